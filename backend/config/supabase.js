@@ -28,7 +28,8 @@ if (!supabaseUrl || !supabaseServiceKey || supabaseUrl.includes('your-project'))
       update: () => ({ eq: () => ({ select: () => ({ single: () => Promise.resolve({ data: null, error: null }) }) }) }),
       delete: () => ({ eq: () => Promise.resolve({ error: null }) }),
       upsert: () => Promise.resolve({ error: null })
-    })
+    }),
+    rpc: () => Promise.resolve({ data: null, error: { message: 'Supabase not configured' } })
   };
 } else {
   supabase = createClient(supabaseUrl, supabaseServiceKey, {
@@ -0,0 +1,135 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, createUserWithDevice } = require('../testing/database');
+
+const PERIOD = '2025-07';
+const TODAY = {
+  daily: { start: '2025-07-16T00:00:00Z', end: '2025-07-17T00:00:00Z' },
+  weekly: { start: '2025-07-14T00:00:00Z', end: '2025-07-21T00:00:00Z' },
+  monthly: { start: '2025-07-01T00:00:00Z', end: '2025-08-01T00:00:00Z' },
+};
+
+describe('debit_usage and token reservations', () => {
+  let db;
+
+  before(async () => {
+    db = await createTestDatabase();
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  async function debit(owner, tokens, { reservationId = null, clientEventId = null, windows = null } = {}) {
+    const { rows: [{ result }] } = await db.query(
+      `SELECT debit_usage(
+         p_device_id => $1::uuid, p_user_id => $2::uuid, p_month_year => $3, p_tokens => $4, p_model_type => 'gpt-4o',
+         p_reservation_id => $5::uuid, p_client_event_id => $6, p_windows => $7::jsonb
+       ) AS result`,
+      [owner.deviceId, owner.userId, PERIOD, tokens, reservationId, clientEventId, windows && JSON.stringify(windows)],
+    );
+    return result;
+  }
+
+  async function reserve(owner, tokens, ttlSeconds = 300) {
+    const { rows: [{ result }] } = await db.query(
+      'SELECT reserve_tokens($1::uuid, $2, $3, \'gpt-4o\', \'chat\', $4) AS result',
+      [owner.deviceId, PERIOD, tokens, ttlSeconds],
+    );
+    return result;
+  }
+
+  async function allocation(owner) {
+    const { rows: [row] } = await db.query(
+      'SELECT allocated_tokens, used_tokens, reserved_tokens FROM token_allocations WHERE device_id = $1 AND month_year = $2',
+      [owner.deviceId, PERIOD],
+    );
+    return row;
+  }
+
+  const logCount = async (owner) => (await db.query(
+    'SELECT COUNT(*)::int AS n FROM usage_logs WHERE device_id = $1', [owner.deviceId],
+  )).rows[0].n;
+
+  test('debits the allocation and writes the log together', async () => {
+    const owner = await createUserWithDevice(db, { budget: 100 });
+    const result = await debit(owner, 30);
+    assert.equal(result.debited, true);
+    assert.equal(result.remaining, 70);
+    assert.equal((await allocation(owner)).used_tokens, 30);
+    assert.equal(await logCount(owner), 1);
+  });
+
+  test('refuses a debit that does not fit, writing nothing', async () => {
+    const owner = await createUserWithDevice(db, { budget: 20 });
+    const result = await debit(owner, 21);
+    assert.deepEqual(result, { debited: false, reason: 'insufficient_tokens', remaining: 20 });
+    assert.equal(await logCount(owner), 0);
+  });
+
+  test('charges a client event once', async () => {
+    const owner = await createUserWithDevice(db, { budget: 100 });
+    const first = await debit(owner, 10, { clientEventId: 'evt-1' });
+    const again = await debit(owner, 10, { clientEventId: 'evt-1' });
+    assert.equal(again.duplicate, true);
+    assert.equal(again.log_id, first.log_id);
+    assert.equal((await allocation(owner)).used_tokens, 10);
+    assert.equal(await logCount(owner), 1);
+  });
+
+  test('refuses a debit over a usage limit', async () => {
+    const owner = await createUserWithDevice(db, { budget: 100 });
+    await db.query('UPDATE devices SET usage_limits = $1 WHERE id = $2', [{ daily: 15 }, owner.deviceId]);
+    await db.query(
+      `UPDATE usage_logs SET created_at = '2025-07-16T08:00:00Z'
+       WHERE id = ($1::jsonb->>'log_id')::uuid`,
+      [JSON.stringify(await debit(owner, 10, { windows: TODAY }))],
+    );
+
+    const result = await debit(owner, 10, { windows: TODAY });
+    assert.equal(result.debited, false);
+    assert.equal(result.reason, 'usage_limit');
+    assert.equal((await allocation(owner)).used_tokens, 10);
+  });
+
+  test('holds reserved tokens until the reservation is settled', async () => {
+    const owner = await createUserWithDevice(db, { budget: 100 });
+    const hold = await reserve(owner, 60);
+    assert.equal(hold.reserved, true);
+    assert.equal(hold.remaining, 40);
+
+    assert.equal((await reserve(owner, 50)).reserved, false);
+    assert.equal((await debit(owner, 50)).reason, 'insufficient_tokens');
+
+    const settled = await debit(owner, 45, { reservationId: hold.reservation_id });
+    assert.equal(settled.debited, true);
+    assert.deepEqual(await allocation(owner), { allocated_tokens: 100, used_tokens: 45, reserved_tokens: 0 });
+
+    const twice = await debit(owner, 45, { reservationId: hold.reservation_id });
+    assert.equal(twice.reason, 'already_settled');
+  });
+
+  test('refunds a reservation without charging', async () => {
+    const owner = await createUserWithDevice(db, { budget: 100 });
+    const hold = await reserve(owner, 60);
+
+    const refund = async () => (await db.query('SELECT refund_reservation($1) AS ok', [hold.reservation_id])).rows[0].ok;
+    assert.equal(await refund(), true);
+    assert.equal(await refund(), false);
+    assert.deepEqual(await allocation(owner), { allocated_tokens: 100, used_tokens: 0, reserved_tokens: 0 });
+    assert.equal(await logCount(owner), 0);
+  });
+
+  test('expires holds that were never settled, but still debits them if they are', async () => {
+    const owner = await createUserWithDevice(db, { budget: 100 });
+    const hold = await reserve(owner, 60, 0);
+    await db.query('UPDATE token_reservations SET expires_at = NOW() - INTERVAL \'1 second\' WHERE id = $1', [hold.reservation_id]);
+
+    const { rows: [{ expired }] } = await db.query('SELECT expire_token_reservations() AS expired');
+    assert.ok(expired >= 1);
+    assert.equal((await allocation(owner)).reserved_tokens, 0);
+
+    assert.equal((await debit(owner, 30, { reservationId: hold.reservation_id })).debited, true);
+    assert.deepEqual(await allocation(owner), { allocated_tokens: 100, used_tokens: 30, reserved_tokens: 0 });
+  });
+});
@@ -0,0 +1,547 @@
+-- =====================================================
+-- Migration: Billing periods and usage limits
+-- Allocations can start over daily, weekly, monthly or every
+-- N days rather than each server-local month. The server
+-- works out the period (admin_settings 'billing_period',
+-- unset = monthly in BILLING_TIME_ZONE; see
+-- utils/billingPeriods.js) and stores allocations under
+-- its key in month_year:
+--   monthly '2025-07', weekly 'W2025-07-14',
+--   daily 'D2025-07-16', custom 'C2025-07-01'
+-- Usage limits cap the tokens used per day, week and month
+-- within the allocation, per device and per account:
+--   { "daily": 20, "weekly": 60, "monthly": 0 }  (0 = none)
+-- They are checked in reserve_tokens and debit_usage against
+-- the windows (start/end instants) the server passes in
+-- =====================================================
+
+-- Period keys are longer than 'YYYY-MM'; the views reading
+-- month_year have to be dropped to widen it
+DROP VIEW IF EXISTS user_device_summary;
+DROP VIEW IF EXISTS device_status_current;
+DROP VIEW IF EXISTS monthly_summary;
+
+ALTER TABLE token_allocations ALTER COLUMN month_year TYPE VARCHAR(16);
+ALTER TABLE token_reservations ALTER COLUMN month_year TYPE VARCHAR(16);
+ALTER TABLE token_transfers ALTER COLUMN month_year TYPE VARCHAR(16);
+ALTER TABLE month_close_summaries ALTER COLUMN month_year TYPE VARCHAR(16);
+
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS usage_limits JSONB DEFAULT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS usage_limits JSONB DEFAULT NULL;
+
+-- Sums of usage per day/week/month
+CREATE INDEX IF NOT EXISTS idx_usage_logs_device_created ON usage_logs(device_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_usage_logs_user_created ON usage_logs(user_id, created_at);
+
+-- =====================================================
+-- VIEWS: as in schema_v2.sql, showing each device's latest
+-- allocation rather than the server's calendar month
+-- =====================================================
+CREATE VIEW user_device_summary AS
+SELECT
+  u.id as user_id,
+  u.email,
+  u.display_name,
+  u.role,
+  u.is_active,
+  u.monthly_token_budget,
+  u.max_devices,
+  COUNT(d.id) as device_count,
+  COALESCE(SUM(ta.used_tokens), 0) as total_used,
+  COALESCE(SUM(ta.allocated_tokens), 0) as total_allocated
+FROM users u
+LEFT JOIN devices d ON u.id = d.user_id
+LEFT JOIN LATERAL (
+  SELECT * FROM token_allocations a
+  WHERE a.device_id = d.id
+  ORDER BY a.created_at DESC
+  LIMIT 1
+) ta ON TRUE
+GROUP BY u.id;
+
+CREATE VIEW device_status_current AS
+SELECT
+  d.id,
+  d.user_id,
+  d.device_name,
+  d.hardware_fingerprint,
+  d.is_blocked,
+  d.last_seen_at,
+  u.email as user_email,
+  u.display_name as user_name,
+  COALESCE(ta.allocated_tokens, 50) as allocated_tokens,
+  COALESCE(ta.used_tokens, 0) as used_tokens,
+  COALESCE(ta.allocated_tokens, 50) - COALESCE(ta.used_tokens, 0) as remaining_tokens,
+  COALESCE(ta.month_year, get_current_month()) as current_month
+FROM devices d
+JOIN users u ON d.user_id = u.id
+LEFT JOIN LATERAL (
+  SELECT * FROM token_allocations a
+  WHERE a.device_id = d.id
+  ORDER BY a.created_at DESC
+  LIMIT 1
+) ta ON TRUE;
+
+CREATE VIEW monthly_summary AS
+SELECT
+  month_year,
+  COUNT(DISTINCT device_id) as active_devices,
+  SUM(allocated_tokens) as total_allocated,
+  SUM(used_tokens) as total_used,
+  SUM(allocated_tokens) - SUM(used_tokens) as total_remaining
+FROM token_allocations
+GROUP BY month_year
+ORDER BY month_year DESC;
+
+-- =====================================================
+-- period_key_kind: which kind of period a key belongs to
+-- ('M'onthly, 'W'eekly, 'D'aily or 'C'ustom). Keys of one
+-- kind sort in date order
+-- =====================================================
+CREATE OR REPLACE FUNCTION period_key_kind(p_key VARCHAR(16))
+RETURNS CHAR(1) AS $$
+  SELECT CASE WHEN p_key ~ '^[A-Z]' THEN LEFT(p_key, 1) ELSE 'M' END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- =====================================================
+-- rollover_allocation: as in migration_add_monthly_rollover.sql,
+-- with "previous" meaning the device's latest allocation for
+-- an earlier period of the same kind. After the period type
+-- changes, allocations start from the owner's budget
+-- =====================================================
+CREATE OR REPLACE FUNCTION rollover_allocation(
+  p_device_id UUID,
+  p_month_year VARCHAR(16),
+  p_default_allocation INTEGER DEFAULT 50
+)
+RETURNS token_allocations AS $$
+DECLARE
+  v_allocation token_allocations%ROWTYPE;
+  v_previous token_allocations%ROWTYPE;
+  v_user users%ROWTYPE;
+  v_policy JSONB;
+  v_base INTEGER;
+  v_carry INTEGER := 0;
+BEGIN
+  SELECT * INTO v_allocation FROM token_allocations
+  WHERE device_id = p_device_id AND month_year = p_month_year;
+  IF FOUND THEN
+    RETURN v_allocation;
+  END IF;
+
+  SELECT u.* INTO v_user FROM users u
+  JOIN devices d ON d.user_id = u.id
+  WHERE d.id = p_device_id;
+  v_policy := COALESCE(v_user.rollover_policy, '{}'::jsonb);
+
+  SELECT * INTO v_previous FROM token_allocations
+  WHERE device_id = p_device_id
+    AND period_key_kind(month_year) = period_key_kind(p_month_year)
+    AND month_year < p_month_year
+  ORDER BY month_year DESC
+  LIMIT 1;
+
+  IF v_previous.id IS NOT NULL AND COALESCE(v_policy->>'base', 'previous') = 'previous' THEN
+    v_base := v_previous.allocated_tokens - COALESCE(v_previous.carried_over_tokens, 0);
+  ELSE
+    v_base := COALESCE(v_user.monthly_token_budget, p_default_allocation);
+  END IF;
+  v_base := GREATEST(v_base, 0);
+
+  IF v_previous.id IS NOT NULL AND COALESCE((v_policy->>'carry_over')::BOOLEAN, FALSE) THEN
+    v_carry := LEAST(
+      GREATEST(v_previous.allocated_tokens - v_previous.used_tokens, 0),
+      COALESCE((v_policy->>'carry_over_cap')::INTEGER, v_base)
+    );
+  END IF;
+
+  INSERT INTO token_allocations (device_id, allocated_tokens, used_tokens, month_year, carried_over_tokens)
+  VALUES (p_device_id, v_base + v_carry, 0, p_month_year, v_carry)
+  ON CONFLICT (device_id, month_year) DO NOTHING;
+
+  SELECT * INTO v_allocation FROM token_allocations
+  WHERE device_id = p_device_id AND month_year = p_month_year;
+  RETURN v_allocation;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- rollover_period: rollover_month for any billing period.
+-- Creates every device's allocation for p_period_key and
+-- closes p_closed_key (the period before, which ran from
+-- p_closed_start to p_closed_end) with a summary per user
+-- in month_close_summaries
+-- Returns { period, closed_period, allocations_created,
+-- tokens_carried_over, users_closed }
+-- =====================================================
+DROP FUNCTION IF EXISTS rollover_month(VARCHAR, INTEGER);
+DROP FUNCTION IF EXISTS previous_month(VARCHAR);
+
+CREATE OR REPLACE FUNCTION rollover_period(
+  p_period_key VARCHAR(16),
+  p_closed_key VARCHAR(16),
+  p_closed_start TIMESTAMPTZ,
+  p_closed_end TIMESTAMPTZ,
+  p_default_allocation INTEGER DEFAULT 50
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_device_id UUID;
+  v_allocation token_allocations%ROWTYPE;
+  v_created INTEGER := 0;
+  v_carried INTEGER := 0;
+  v_closed INTEGER;
+BEGIN
+  -- One rollover of a period at a time (e.g. several servers)
+  PERFORM pg_advisory_xact_lock(hashtext('rollover_period:' || p_period_key));
+
+  FOR v_device_id IN
+    SELECT d.id FROM devices d
+    WHERE NOT EXISTS (
+      SELECT 1 FROM token_allocations a
+      WHERE a.device_id = d.id AND a.month_year = p_period_key
+    )
+  LOOP
+    v_allocation := rollover_allocation(v_device_id, p_period_key, p_default_allocation);
+    v_created := v_created + 1;
+    v_carried := v_carried + COALESCE(v_allocation.carried_over_tokens, 0);
+  END LOOP;
+
+  INSERT INTO month_close_summaries (
+    user_id, month_year, device_count, allocated_tokens, used_tokens,
+    unused_tokens, carried_over_tokens, request_count
+  )
+  SELECT
+    d.user_id,
+    p_closed_key,
+    COUNT(*),
+    SUM(a.allocated_tokens),
+    SUM(a.used_tokens),
+    SUM(GREATEST(a.allocated_tokens - a.used_tokens, 0)),
+    COALESCE(SUM(n.carried_over_tokens), 0),
+    (
+      SELECT COUNT(*) FROM usage_logs l
+      WHERE l.user_id = d.user_id
+        AND l.created_at >= p_closed_start
+        AND l.created_at < p_closed_end
+    )
+  FROM token_allocations a
+  JOIN devices d ON d.id = a.device_id
+  LEFT JOIN token_allocations n ON n.device_id = a.device_id AND n.month_year = p_period_key
+  WHERE a.month_year = p_closed_key AND d.user_id IS NOT NULL
+  GROUP BY d.user_id
+  ON CONFLICT (user_id, month_year) DO NOTHING;
+  GET DIAGNOSTICS v_closed = ROW_COUNT;
+
+  RETURN jsonb_build_object(
+    'period', p_period_key,
+    'closed_period', p_closed_key,
+    'allocations_created', v_created,
+    'tokens_carried_over', v_carried,
+    'users_closed', v_closed
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- check_usage_limits: the first usage limit that p_tokens
+-- more would exceed, or NULL. Device limits are checked
+-- before the owner's account limits; each counts usage and
+-- pending reservations created within the window.
+-- p_windows: { "daily": { "start": ..., "end": ... },
+--              "weekly": ..., "monthly": ... }
+-- Takes a lock per device/account with limits, held until
+-- the caller's transaction ends, so concurrent debits
+-- cannot overshoot a limit together
+-- Returns { scope, limit, limit_tokens, used, remaining,
+-- resets_at }
+-- =====================================================
+CREATE OR REPLACE FUNCTION check_usage_limits(
+  p_device_id UUID,
+  p_tokens INTEGER,
+  p_windows JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_device devices%ROWTYPE;
+  v_user_limits JSONB;
+  v_scope TEXT;
+  v_limits JSONB;
+  v_name TEXT;
+  v_limit INTEGER;
+  v_start TIMESTAMPTZ;
+  v_end TIMESTAMPTZ;
+  v_used BIGINT;
+BEGIN
+  IF p_windows IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_device FROM devices WHERE id = p_device_id;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+  SELECT usage_limits INTO v_user_limits FROM users WHERE id = v_device.user_id;
+
+  FOREACH v_scope IN ARRAY ARRAY['device', 'user'] LOOP
+    v_limits := CASE v_scope WHEN 'device' THEN v_device.usage_limits ELSE v_user_limits END;
+    CONTINUE WHEN v_limits IS NULL;
+
+    PERFORM pg_advisory_xact_lock(hashtext('usage_limits:' || v_scope || ':' ||
+      CASE v_scope WHEN 'device' THEN p_device_id ELSE v_device.user_id END::text));
+
+    FOREACH v_name IN ARRAY ARRAY['daily', 'weekly', 'monthly'] LOOP
+      v_limit := NULLIF((v_limits->>v_name)::INTEGER, 0);
+      CONTINUE WHEN v_limit IS NULL OR p_windows->v_name IS NULL;
+
+      v_start := (p_windows->v_name->>'start')::TIMESTAMPTZ;
+      v_end := (p_windows->v_name->>'end')::TIMESTAMPTZ;
+
+      SELECT COALESCE(SUM(l.tokens_used), 0) INTO v_used FROM usage_logs l
+      WHERE l.created_at >= v_start AND l.created_at < v_end
+        AND CASE v_scope
+          WHEN 'device' THEN l.device_id = p_device_id
+          ELSE l.device_id IN (SELECT id FROM devices WHERE user_id = v_device.user_id)
+        END;
+
+      v_used := v_used + (
+        SELECT COALESCE(SUM(r.tokens), 0) FROM token_reservations r
+        WHERE r.status = 'pending'
+          AND r.created_at >= v_start AND r.created_at < v_end
+          AND CASE v_scope
+            WHEN 'device' THEN r.device_id = p_device_id
+            ELSE r.device_id IN (SELECT id FROM devices WHERE user_id = v_device.user_id)
+          END
+      );
+
+      IF v_used + p_tokens > v_limit THEN
+        RETURN jsonb_build_object(
+          'scope', v_scope,
+          'limit', v_name,
+          'limit_tokens', v_limit,
+          'used', v_used,
+          'remaining', GREATEST(v_limit - v_used, 0),
+          'resets_at', v_end
+        );
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- reserve_tokens: as in migration_add_monthly_rollover.sql,
+-- refusing the hold when it would exceed a usage limit
+-- (reserved = false with `limit` set)
+-- =====================================================
+DROP FUNCTION IF EXISTS reserve_tokens(UUID, VARCHAR, INTEGER, VARCHAR, VARCHAR, INTEGER);
+
+CREATE OR REPLACE FUNCTION reserve_tokens(
+  p_device_id UUID,
+  p_month_year VARCHAR(16),
+  p_tokens INTEGER,
+  p_model_type VARCHAR(100) DEFAULT NULL,
+  p_request_type VARCHAR(50) DEFAULT NULL,
+  p_ttl_seconds INTEGER DEFAULT 300,
+  p_windows JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_allocation token_allocations%ROWTYPE;
+  v_reservation_id UUID;
+  v_limit JSONB;
+BEGIN
+  v_allocation := rollover_allocation(p_device_id, p_month_year);
+
+  v_limit := check_usage_limits(p_device_id, p_tokens, p_windows);
+  IF v_limit IS NOT NULL THEN
+    RETURN jsonb_build_object(
+      'reserved', FALSE,
+      'has_allocation', v_allocation.id IS NOT NULL,
+      'limit', v_limit,
+      'remaining', v_allocation.allocated_tokens - v_allocation.used_tokens - COALESCE(v_allocation.reserved_tokens, 0)
+    );
+  END IF;
+
+  -- Conditional update: only succeeds when the tokens fit
+  UPDATE token_allocations
+  SET reserved_tokens = COALESCE(reserved_tokens, 0) + p_tokens
+  WHERE device_id = p_device_id
+    AND month_year = p_month_year
+    AND used_tokens + COALESCE(reserved_tokens, 0) + p_tokens <= allocated_tokens
+  RETURNING * INTO v_allocation;
+
+  IF NOT FOUND THEN
+    SELECT * INTO v_allocation FROM token_allocations
+    WHERE device_id = p_device_id AND month_year = p_month_year;
+
+    RETURN jsonb_build_object(
+      'reserved', FALSE,
+      'has_allocation', FOUND,
+      'remaining', CASE WHEN FOUND
+        THEN v_allocation.allocated_tokens - v_allocation.used_tokens - COALESCE(v_allocation.reserved_tokens, 0)
+        ELSE 0 END
+    );
+  END IF;
+
+  INSERT INTO token_reservations (device_id, month_year, tokens, model_type, request_type, expires_at)
+  VALUES (p_device_id, p_month_year, p_tokens, p_model_type, p_request_type, NOW() + make_interval(secs => p_ttl_seconds))
+  RETURNING id INTO v_reservation_id;
+
+  RETURN jsonb_build_object(
+    'reserved', TRUE,
+    'has_allocation', TRUE,
+    'reservation_id', v_reservation_id,
+    'remaining', v_allocation.allocated_tokens - v_allocation.used_tokens - v_allocation.reserved_tokens
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- debit_usage: as in migration_add_monthly_rollover.sql,
+-- refusing a debit without a reservation when it would
+-- exceed a usage limit (reason 'usage_limit' with `limit`
+-- set). A reservation was checked when it was made
+-- =====================================================
+DROP FUNCTION IF EXISTS debit_usage(UUID, UUID, VARCHAR, INTEGER, VARCHAR, VARCHAR, TEXT, VARCHAR, INTEGER, INTEGER, UUID, INTEGER, VARCHAR, TIMESTAMPTZ);
+
+CREATE OR REPLACE FUNCTION debit_usage(
+  p_device_id UUID,
+  p_user_id UUID,
+  p_month_year VARCHAR(16),
+  p_tokens INTEGER,
+  p_model_type VARCHAR(100),
+  p_request_type VARCHAR(50) DEFAULT 'completion',
+  p_description TEXT DEFAULT NULL,
+  p_requested_model VARCHAR(100) DEFAULT NULL,
+  p_prompt_tokens INTEGER DEFAULT NULL,
+  p_completion_tokens INTEGER DEFAULT NULL,
+  p_reservation_id UUID DEFAULT NULL,
+  p_default_allocation INTEGER DEFAULT 50,
+  p_client_event_id VARCHAR(128) DEFAULT NULL,
+  p_occurred_at TIMESTAMPTZ DEFAULT NULL,
+  p_windows JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_allocation token_allocations%ROWTYPE;
+  v_reservation token_reservations%ROWTYPE;
+  v_log usage_logs%ROWTYPE;
+  v_log_id UUID;
+  v_limit JSONB;
+BEGIN
+  IF p_tokens < 0 THEN
+    RAISE EXCEPTION 'p_tokens must not be negative';
+  END IF;
+
+  IF p_client_event_id IS NOT NULL THEN
+    -- Serialise submissions of the same event, then answer a repeat
+    -- with the original debit instead of charging again
+    PERFORM pg_advisory_xact_lock(hashtext(p_device_id::text || ':' || p_client_event_id));
+
+    SELECT * INTO v_log FROM usage_logs
+    WHERE device_id = p_device_id AND client_event_id = p_client_event_id;
+
+    IF FOUND THEN
+      SELECT * INTO v_allocation FROM token_allocations
+      WHERE device_id = p_device_id AND month_year = p_month_year;
+
+      RETURN jsonb_build_object(
+        'debited', TRUE,
+        'duplicate', TRUE,
+        'log_id', v_log.id,
+        'tokens_used', v_log.tokens_used,
+        'model_type', v_log.model_type,
+        'allocated', v_allocation.allocated_tokens,
+        'used', v_allocation.used_tokens,
+        'remaining', v_allocation.allocated_tokens - v_allocation.used_tokens - COALESCE(v_allocation.reserved_tokens, 0)
+      );
+    END IF;
+  END IF;
+
+  IF p_reservation_id IS NOT NULL THEN
+    SELECT * INTO v_reservation FROM token_reservations
+    WHERE id = p_reservation_id
+    FOR UPDATE;
+
+    -- An expired hold was already released, but the request still
+    -- succeeded, so it is debited all the same
+    IF NOT FOUND OR v_reservation.status NOT IN ('pending', 'expired') THEN
+      RETURN jsonb_build_object('debited', FALSE, 'reason', 'already_settled', 'remaining', NULL);
+    END IF;
+
+    UPDATE token_reservations
+    SET status = 'committed', committed_tokens = p_tokens, settled_at = NOW()
+    WHERE id = p_reservation_id;
+
+    UPDATE token_allocations
+    SET used_tokens = used_tokens + p_tokens,
+        reserved_tokens = CASE WHEN v_reservation.status = 'pending'
+          THEN GREATEST(COALESCE(reserved_tokens, 0) - v_reservation.tokens, 0)
+          ELSE reserved_tokens END
+    WHERE device_id = v_reservation.device_id AND month_year = v_reservation.month_year
+    RETURNING * INTO v_allocation;
+  ELSE
+    v_allocation := rollover_allocation(p_device_id, p_month_year, p_default_allocation);
+
+    v_limit := check_usage_limits(p_device_id, p_tokens, p_windows);
+    IF v_limit IS NOT NULL THEN
+      RETURN jsonb_build_object(
+        'debited', FALSE,
+        'reason', 'usage_limit',
+        'limit', v_limit,
+        'remaining', v_allocation.allocated_tokens - v_allocation.used_tokens - COALESCE(v_allocation.reserved_tokens, 0)
+      );
+    END IF;
+
+    -- Conditional update: only succeeds when the tokens fit
+    -- alongside those held by in-flight proxy requests
+    UPDATE token_allocations
+    SET used_tokens = used_tokens + p_tokens
+    WHERE device_id = p_device_id
+      AND month_year = p_month_year
+      AND used_tokens + COALESCE(reserved_tokens, 0) + p_tokens <= allocated_tokens
+    RETURNING * INTO v_allocation;
+
+    IF NOT FOUND THEN
+      SELECT * INTO v_allocation FROM token_allocations
+      WHERE device_id = p_device_id AND month_year = p_month_year;
+
+      RETURN jsonb_build_object(
+        'debited', FALSE,
+        'reason', 'insufficient_tokens',
+        'remaining', v_allocation.allocated_tokens - v_allocation.used_tokens - COALESCE(v_allocation.reserved_tokens, 0)
+      );
+    END IF;
+  END IF;
+
+  INSERT INTO usage_logs (
+    device_id, user_id, tokens_used, model_type, requested_model,
+    request_type, prompt_tokens, completion_tokens, description, client_event_id,
+    created_at
+  )
+  VALUES (
+    p_device_id, p_user_id, p_tokens, p_model_type, COALESCE(p_requested_model, p_model_type),
+    p_request_type, p_prompt_tokens, p_completion_tokens, p_description, p_client_event_id,
+    COALESCE(p_occurred_at, NOW())
+  )
+  RETURNING id INTO v_log_id;
+
+  RETURN jsonb_build_object(
+    'debited', TRUE,
+    'duplicate', FALSE,
+    'log_id', v_log_id,
+    'tokens_used', p_tokens,
+    'model_type', p_model_type,
+    'allocated', v_allocation.allocated_tokens,
+    'used', v_allocation.used_tokens,
+    'remaining', v_allocation.allocated_tokens - v_allocation.used_tokens - COALESCE(v_allocation.reserved_tokens, 0)
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
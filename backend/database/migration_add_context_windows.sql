@@ -0,0 +1,29 @@
+-- =====================================================
+-- Migration: Model context windows
+-- Chat requests that do not fit the model's context
+-- window (prompt + max_tokens) lose their oldest turns
+-- before they are sent upstream. NULL = no limit known,
+-- requests are forwarded as they are.
+-- =====================================================
+
+ALTER TABLE models ADD COLUMN IF NOT EXISTS context_window INTEGER
+  CHECK (context_window IS NULL OR context_window > 0);
+
+UPDATE models SET context_window = 200000
+WHERE id IN ('claude-opus-4.5', 'claude-sonnet-4', 'claude-3.5-sonnet', 'claude-sonnet', 'o3-mini') AND context_window IS NULL;
+
+UPDATE models SET context_window = 1047576
+WHERE id IN ('gpt-4.1', 'gpt-4.1-mini', 'gpt-4.1-nano') AND context_window IS NULL;
+
+UPDATE models SET context_window = 128000
+WHERE id IN ('gpt-4o', 'gpt-4o-mini') AND context_window IS NULL;
+
+UPDATE models SET context_window = 400000 WHERE id = 'gpt-5-mini' AND context_window IS NULL;
+UPDATE models SET context_window = 256000 WHERE id = 'grok-code-fast-1' AND context_window IS NULL;
+
+UPDATE models SET context_window = 8191
+WHERE id IN ('text-embedding-3-small', 'text-embedding-3-large') AND context_window IS NULL;
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
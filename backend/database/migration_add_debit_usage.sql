@@ -0,0 +1,112 @@
+-- =====================================================
+-- Migration: Atomic usage accounting
+-- Debiting a device's allocation and writing its usage_logs
+-- row happen in one transaction, so concurrent requests
+-- cannot lose an increment or leave the two out of sync
+-- =====================================================
+
+-- =====================================================
+-- debit_usage: debit tokens and log the usage
+-- Without a reservation, the allocation row (created with
+-- p_default_allocation if missing) is debited only if the
+-- tokens fit. With one, the hold is released and the actual
+-- cost debited, as the request has already been served.
+-- Returns { debited, log_id, allocated, used, remaining }, or
+-- { debited: FALSE, reason, remaining } where reason is
+-- 'insufficient_tokens' or 'already_settled'
+-- =====================================================
+CREATE OR REPLACE FUNCTION debit_usage(
+  p_device_id UUID,
+  p_user_id UUID,
+  p_month_year VARCHAR(7),
+  p_tokens INTEGER,
+  p_model_type VARCHAR(100),
+  p_request_type VARCHAR(50) DEFAULT 'completion',
+  p_description TEXT DEFAULT NULL,
+  p_requested_model VARCHAR(100) DEFAULT NULL,
+  p_prompt_tokens INTEGER DEFAULT NULL,
+  p_completion_tokens INTEGER DEFAULT NULL,
+  p_reservation_id UUID DEFAULT NULL,
+  p_default_allocation INTEGER DEFAULT 50
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_allocation token_allocations%ROWTYPE;
+  v_reservation token_reservations%ROWTYPE;
+  v_log_id UUID;
+BEGIN
+  IF p_tokens < 0 THEN
+    RAISE EXCEPTION 'p_tokens must not be negative';
+  END IF;
+
+  IF p_reservation_id IS NOT NULL THEN
+    SELECT * INTO v_reservation FROM token_reservations
+    WHERE id = p_reservation_id
+    FOR UPDATE;
+
+    -- An expired hold was already released, but the request still
+    -- succeeded, so it is debited all the same
+    IF NOT FOUND OR v_reservation.status NOT IN ('pending', 'expired') THEN
+      RETURN jsonb_build_object('debited', FALSE, 'reason', 'already_settled', 'remaining', NULL);
+    END IF;
+
+    UPDATE token_reservations
+    SET status = 'committed', committed_tokens = p_tokens, settled_at = NOW()
+    WHERE id = p_reservation_id;
+
+    UPDATE token_allocations
+    SET used_tokens = used_tokens + p_tokens,
+        reserved_tokens = CASE WHEN v_reservation.status = 'pending'
+          THEN GREATEST(COALESCE(reserved_tokens, 0) - v_reservation.tokens, 0)
+          ELSE reserved_tokens END
+    WHERE device_id = v_reservation.device_id AND month_year = v_reservation.month_year
+    RETURNING * INTO v_allocation;
+  ELSE
+    INSERT INTO token_allocations (device_id, allocated_tokens, used_tokens, month_year)
+    VALUES (p_device_id, p_default_allocation, 0, p_month_year)
+    ON CONFLICT (device_id, month_year) DO NOTHING;
+
+    -- Conditional update: only succeeds when the tokens fit
+    -- alongside those held by in-flight proxy requests
+    UPDATE token_allocations
+    SET used_tokens = used_tokens + p_tokens
+    WHERE device_id = p_device_id
+      AND month_year = p_month_year
+      AND used_tokens + COALESCE(reserved_tokens, 0) + p_tokens <= allocated_tokens
+    RETURNING * INTO v_allocation;
+
+    IF NOT FOUND THEN
+      SELECT * INTO v_allocation FROM token_allocations
+      WHERE device_id = p_device_id AND month_year = p_month_year;
+
+      RETURN jsonb_build_object(
+        'debited', FALSE,
+        'reason', 'insufficient_tokens',
+        'remaining', v_allocation.allocated_tokens - v_allocation.used_tokens - COALESCE(v_allocation.reserved_tokens, 0)
+      );
+    END IF;
+  END IF;
+
+  INSERT INTO usage_logs (
+    device_id, user_id, tokens_used, model_type, requested_model,
+    request_type, prompt_tokens, completion_tokens, description
+  )
+  VALUES (
+    p_device_id, p_user_id, p_tokens, p_model_type, COALESCE(p_requested_model, p_model_type),
+    p_request_type, p_prompt_tokens, p_completion_tokens, p_description
+  )
+  RETURNING id INTO v_log_id;
+
+  RETURN jsonb_build_object(
+    'debited', TRUE,
+    'log_id', v_log_id,
+    'allocated', v_allocation.allocated_tokens,
+    'used', v_allocation.used_tokens,
+    'remaining', v_allocation.allocated_tokens - v_allocation.used_tokens - COALESCE(v_allocation.reserved_tokens, 0)
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
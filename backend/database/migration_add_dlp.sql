@@ -0,0 +1,49 @@
+-- =====================================================
+-- Migration: Data-loss prevention for proxied prompts
+-- The proxy scans prompts with the built-in rules in
+-- backend/utils/dlp.js plus the rules below, then redacts,
+-- blocks or just logs what they find.
+-- A rule overrides a built-in rule with the same name;
+-- an owner's rule (user_id set) overrides a global one
+-- (user_id NULL, managed by admins).
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS dlp_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  description TEXT DEFAULT '',
+  kind VARCHAR(10) DEFAULT 'regex' CHECK (kind IN ('regex', 'entropy')),
+  pattern TEXT,
+  flags VARCHAR(10) DEFAULT '',
+  min_length INTEGER,
+  min_entropy NUMERIC(4, 2),
+  action VARCHAR(10) DEFAULT 'redact' CHECK (action IN ('log', 'redact', 'block')),
+  is_enabled BOOLEAN DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One rule per name per owner (and one global rule per name)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dlp_rules_owner_name
+  ON dlp_rules(COALESCE(user_id, '00000000-0000-0000-0000-000000000000'::uuid), name);
+
+-- Audit trail of matches. The matched text itself is never stored.
+CREATE TABLE IF NOT EXISTS dlp_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  device_id UUID REFERENCES devices(id) ON DELETE SET NULL,
+  rule_name VARCHAR(50) NOT NULL,
+  action VARCHAR(10) NOT NULL,
+  match_count INTEGER DEFAULT 1,
+  match_preview VARCHAR(40),
+  model_type VARCHAR(100),
+  request_type VARCHAR(50),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dlp_events_user ON dlp_events(user_id, created_at DESC);
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,18 @@
+-- =====================================================
+-- Migration: Embeddings through the AI proxy
+-- Adds a `kind` to catalog models so embedding models
+-- can be priced and routed separately from chat models
+-- =====================================================
+
+ALTER TABLE models ADD COLUMN IF NOT EXISTS kind VARCHAR(20) DEFAULT 'chat'
+  CHECK (kind IN ('chat', 'embedding'));
+
+-- Embedding models have no completion; output_rate is unused.
+INSERT INTO models (id, display_name, provider, description, kind, cost, is_free, input_rate, output_rate, aliases, proxy_enabled, sort_order) VALUES
+  ('text-embedding-3-small', 'Text Embedding 3 Small', 'openai', 'Embeddings for search and RAG', 'embedding', 1, FALSE, 0.02, 0, '{}', TRUE, 500),
+  ('text-embedding-3-large', 'Text Embedding 3 Large', 'openai', 'Embeddings for search and RAG', 'embedding', 1, FALSE, 0.13, 0, '{}', TRUE, 510)
+ON CONFLICT (id) DO NOTHING;
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,54 @@
+-- =====================================================
+-- Migration: Pool of GitHub PATs per owner
+-- The AI proxy rotates across an owner's healthy PATs
+-- (least recently used first) and marks a PAT unhealthy
+-- when GitHub rejects it with 401/403.
+-- users.github_access_token (GitHub sign-in / legacy PAT)
+-- is still used when the owner has no healthy PAT here.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS github_credentials (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  label VARCHAR(100) DEFAULT 'GitHub PAT',
+  token TEXT NOT NULL,
+  scopes TEXT[] DEFAULT '{}',
+  status VARCHAR(20) DEFAULT 'healthy' CHECK (status IN ('healthy', 'unhealthy', 'disabled')),
+  request_count INTEGER DEFAULT 0,
+  error_count INTEGER DEFAULT 0,
+  last_status INTEGER,
+  last_error TEXT,
+  last_error_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_github_credentials_user ON github_credentials(user_id, status);
+
+-- =====================================================
+-- record_github_credential_use: count a proxied request
+-- p_status is the upstream HTTP status (0 = no response).
+-- 401/403 mark the PAT unhealthy until its owner re-enables it.
+-- =====================================================
+CREATE OR REPLACE FUNCTION record_github_credential_use(
+  p_credential_id UUID,
+  p_status INTEGER,
+  p_error TEXT DEFAULT NULL
+)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE github_credentials
+  SET request_count = request_count + 1,
+      error_count = error_count + CASE WHEN p_status BETWEEN 200 AND 399 THEN 0 ELSE 1 END,
+      last_used_at = NOW(),
+      last_status = p_status,
+      last_error = COALESCE(p_error, last_error),
+      last_error_at = CASE WHEN p_error IS NOT NULL THEN NOW() ELSE last_error_at END,
+      status = CASE WHEN p_status IN (401, 403) AND status = 'healthy' THEN 'unhealthy' ELSE status END
+  WHERE id = p_credential_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
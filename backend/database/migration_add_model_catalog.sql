@@ -0,0 +1,62 @@
+-- =====================================================
+-- Migration: Database-backed model catalog
+-- Single source of truth for model names, costs and
+-- proxy routing (replaces the hard-coded lists)
+-- =====================================================
+
+-- =====================================================
+-- MODELS TABLE
+-- `id` is the canonical model name used in usage logs.
+-- `aliases` are alternative names; a model id that
+-- contains an alias (or the id) resolves to this row.
+-- =====================================================
+CREATE TABLE IF NOT EXISTS models (
+  id VARCHAR(100) PRIMARY KEY,
+  display_name VARCHAR(100) NOT NULL,
+  provider VARCHAR(50) DEFAULT 'other',
+  description TEXT DEFAULT '',
+  cost INTEGER DEFAULT 1 CHECK (cost >= 0), -- tokens per prompt
+  is_free BOOLEAN DEFAULT FALSE,
+  input_rate NUMERIC(10, 4),                -- tokens per 1K prompt tokens (per_token metering)
+  output_rate NUMERIC(10, 4),               -- tokens per 1K completion tokens
+  aliases TEXT[] DEFAULT '{}',
+  is_enabled BOOLEAN DEFAULT TRUE,
+  proxy_enabled BOOLEAN DEFAULT FALSE,      -- offered through /api/proxy and /v1
+  upstream VARCHAR(50),                     -- provider key (see providers/index.js)
+  upstream_model VARCHAR(100),
+  credential VARCHAR(100),
+  sort_order INTEGER DEFAULT 100,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS trigger_models_updated ON models;
+CREATE TRIGGER trigger_models_updated
+  BEFORE UPDATE ON models
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- Seed with the models previously hard-coded in the backend and extension.
+-- grok-code-fast-1 is charged 1 token, matching what billing has always done.
+INSERT INTO models (id, display_name, provider, description, cost, is_free, input_rate, output_rate, aliases, proxy_enabled, sort_order) VALUES
+  ('claude-opus-4.5',   'Claude Opus 4.5',   'anthropic', 'Premium model',           3, FALSE, 0.75, 3, '{opus}',                 TRUE,  10),
+  ('claude-sonnet-4',   'Claude Sonnet 4',   'anthropic', '',                        1, FALSE, 0.25, 1, '{}',                     TRUE,  20),
+  ('claude-3.5-sonnet', 'Claude 3.5 Sonnet', 'anthropic', '',                        1, FALSE, 0.25, 1, '{}',                     TRUE,  30),
+  ('claude-sonnet',     'Claude Sonnet',     'anthropic', 'Other Sonnet versions',   1, FALSE, 0.25, 1, '{sonnet}',               FALSE, 40),
+  ('gpt-4.1',           'GPT-4.1',           'openai',    '',                        1, FALSE, 0.25, 1, '{}',                     TRUE,  50),
+  ('gpt-4.1-mini',      'GPT-4.1 Mini',      'openai',    '',                        0, TRUE,  0,    0, '{}',                     TRUE,  60),
+  ('gpt-4.1-nano',      'GPT-4.1 Nano',      'openai',    '',                        0, TRUE,  0,    0, '{}',                     TRUE,  70),
+  ('gpt-4o',            'GPT-4o',            'openai',    '',                        1, FALSE, 0.25, 1, '{}',                     TRUE,  80),
+  ('gpt-4o-mini',       'GPT-4o Mini',       'openai',    '',                        0, TRUE,  0,    0, '{gpt4o-mini}',           TRUE,  90),
+  ('o3-mini',           'o3-mini',           'openai',    '',                        1, FALSE, 0.25, 1, '{}',                     TRUE,  100),
+  ('gpt-4',             'GPT-4',             'openai',    'Other GPT-4 versions',    1, FALSE, 0.25, 1, '{}',                     FALSE, 110),
+  ('gpt-5-mini',        'GPT-5 Mini',        'openai',    '',                        0, TRUE,  0,    0, '{gpt5-mini,gpt-5mini}',  FALSE, 120),
+  ('grok-code-fast-1',  'Grok Code Fast 1',  'xai',       '',                        1, FALSE, 0.25, 1, '{grok-code-fast}',       FALSE, 130),
+  ('gemini',            'Gemini',            'google',    'All Gemini versions',     1, FALSE, 0.25, 1, '{}',                     FALSE, 140),
+  ('copilot',           'GitHub Copilot',    'github',    'Copilot completions',     1, FALSE, 0.25, 1, '{}',                     FALSE, 150),
+  ('other',             'Other models',      'other',     'Fallback for unknown models', 1, FALSE, 0.25, 1, '{}',                 FALSE, 1000)
+ON CONFLICT (id) DO NOTHING;
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,19 @@
+-- =====================================================
+-- Migration: Fallback model chains
+-- When a model's upstream keeps failing (429 / 5xx) the
+-- proxy retries, then tries each fallback in order.
+-- Usage logs record the model that actually served the
+-- request (model_type, which is billed) and the one the
+-- client asked for (requested_model).
+-- =====================================================
+
+ALTER TABLE models ADD COLUMN IF NOT EXISTS fallbacks TEXT[] DEFAULT '{}';
+
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS requested_model VARCHAR(100);
+
+UPDATE models SET fallbacks = '{gpt-4.1,gpt-4o}'
+WHERE id = 'claude-sonnet-4' AND fallbacks = '{}';
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,17 @@
+-- =====================================================
+-- Migration: Per-device and per-user model policies
+-- A policy restricts which models a device may use:
+--   { "mode": "allow" | "deny", "models": ["claude-opus-4.5", ...],
+--     "max_cost": 0 }
+-- `mode`/`models` list catalog model ids; `max_cost` caps the
+-- tokens-per-prompt tier (0 = free models only). NULL = no policy.
+-- User policies (set by admins) apply to all of a user's devices;
+-- device policies (set by owners) narrow them further.
+-- =====================================================
+
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS model_policy JSONB DEFAULT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS model_policy JSONB DEFAULT NULL;
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,361 @@
+-- =====================================================
+-- Migration: Monthly rollover with carry-over
+-- Each device's allocation for a new month is created from
+-- its owner's rollover policy (users.rollover_policy):
+--   { "base": "previous", "carry_over": true,
+--     "carry_over_cap": 100 }
+-- base: "previous" starts from last month's allocation
+-- (without what was carried into it), "budget" from the
+-- owner's monthly_token_budget. carry_over adds last month's
+-- unused tokens, at most carry_over_cap (default: the base).
+-- NULL = { "base": "previous", "carry_over": false }.
+-- The server runs rollover_month when a month starts; the
+-- allocation is also created on a device's first request
+-- =====================================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS rollover_policy JSONB DEFAULT NULL;
+
+-- Tokens of the allocation that were carried over from the month before
+ALTER TABLE token_allocations ADD COLUMN IF NOT EXISTS carried_over_tokens INTEGER DEFAULT 0;
+
+-- =====================================================
+-- MONTH_CLOSE_SUMMARIES TABLE
+-- One row per user for each month that was closed
+-- =====================================================
+CREATE TABLE IF NOT EXISTS month_close_summaries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  month_year VARCHAR(7) NOT NULL,
+  device_count INTEGER NOT NULL DEFAULT 0,
+  allocated_tokens INTEGER NOT NULL DEFAULT 0,
+  used_tokens INTEGER NOT NULL DEFAULT 0,
+  unused_tokens INTEGER NOT NULL DEFAULT 0,
+  carried_over_tokens INTEGER NOT NULL DEFAULT 0, -- into the next month
+  request_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, month_year)
+);
+
+CREATE INDEX IF NOT EXISTS idx_month_close_month ON month_close_summaries(month_year);
+
+-- =====================================================
+-- previous_month: 'YYYY-MM' of the month before
+-- =====================================================
+CREATE OR REPLACE FUNCTION previous_month(p_month_year VARCHAR(7))
+RETURNS VARCHAR(7) AS $$
+  SELECT TO_CHAR(TO_DATE(p_month_year || '-01', 'YYYY-MM-DD') - INTERVAL '1 month', 'YYYY-MM');
+$$ LANGUAGE sql STABLE;
+
+-- =====================================================
+-- rollover_allocation: create a device's allocation for a
+-- month from its owner's rollover policy, if it has none.
+-- p_default_allocation is used for devices without an owner
+-- Returns the device's allocation for the month
+-- =====================================================
+CREATE OR REPLACE FUNCTION rollover_allocation(
+  p_device_id UUID,
+  p_month_year VARCHAR(7),
+  p_default_allocation INTEGER DEFAULT 50
+)
+RETURNS token_allocations AS $$
+DECLARE
+  v_allocation token_allocations%ROWTYPE;
+  v_previous token_allocations%ROWTYPE;
+  v_user users%ROWTYPE;
+  v_policy JSONB;
+  v_base INTEGER;
+  v_carry INTEGER := 0;
+BEGIN
+  SELECT * INTO v_allocation FROM token_allocations
+  WHERE device_id = p_device_id AND month_year = p_month_year;
+  IF FOUND THEN
+    RETURN v_allocation;
+  END IF;
+
+  SELECT u.* INTO v_user FROM users u
+  JOIN devices d ON d.user_id = u.id
+  WHERE d.id = p_device_id;
+  v_policy := COALESCE(v_user.rollover_policy, '{}'::jsonb);
+
+  SELECT * INTO v_previous FROM token_allocations
+  WHERE device_id = p_device_id AND month_year = previous_month(p_month_year);
+
+  IF v_previous.id IS NOT NULL AND COALESCE(v_policy->>'base', 'previous') = 'previous' THEN
+    v_base := v_previous.allocated_tokens - COALESCE(v_previous.carried_over_tokens, 0);
+  ELSE
+    v_base := COALESCE(v_user.monthly_token_budget, p_default_allocation);
+  END IF;
+  v_base := GREATEST(v_base, 0);
+
+  IF v_previous.id IS NOT NULL AND COALESCE((v_policy->>'carry_over')::BOOLEAN, FALSE) THEN
+    v_carry := LEAST(
+      GREATEST(v_previous.allocated_tokens - v_previous.used_tokens, 0),
+      COALESCE((v_policy->>'carry_over_cap')::INTEGER, v_base)
+    );
+  END IF;
+
+  INSERT INTO token_allocations (device_id, allocated_tokens, used_tokens, month_year, carried_over_tokens)
+  VALUES (p_device_id, v_base + v_carry, 0, p_month_year, v_carry)
+  ON CONFLICT (device_id, month_year) DO NOTHING;
+
+  SELECT * INTO v_allocation FROM token_allocations
+  WHERE device_id = p_device_id AND month_year = p_month_year;
+  RETURN v_allocation;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- rollover_month: create every device's allocation for a
+-- month and close the month before with a summary per user.
+-- Safe to run repeatedly: existing allocations and
+-- summaries are left as they are
+-- Returns { month, allocations_created, tokens_carried_over,
+-- users_closed }
+-- =====================================================
+CREATE OR REPLACE FUNCTION rollover_month(
+  p_month_year VARCHAR(7),
+  p_default_allocation INTEGER DEFAULT 50
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_device_id UUID;
+  v_allocation token_allocations%ROWTYPE;
+  v_closed_month VARCHAR(7) := previous_month(p_month_year);
+  v_created INTEGER := 0;
+  v_carried INTEGER := 0;
+  v_closed INTEGER;
+BEGIN
+  -- One rollover of a month at a time (e.g. several servers)
+  PERFORM pg_advisory_xact_lock(hashtext('rollover_month:' || p_month_year));
+
+  FOR v_device_id IN
+    SELECT d.id FROM devices d
+    WHERE NOT EXISTS (
+      SELECT 1 FROM token_allocations a
+      WHERE a.device_id = d.id AND a.month_year = p_month_year
+    )
+  LOOP
+    v_allocation := rollover_allocation(v_device_id, p_month_year, p_default_allocation);
+    v_created := v_created + 1;
+    v_carried := v_carried + COALESCE(v_allocation.carried_over_tokens, 0);
+  END LOOP;
+
+  INSERT INTO month_close_summaries (
+    user_id, month_year, device_count, allocated_tokens, used_tokens,
+    unused_tokens, carried_over_tokens, request_count
+  )
+  SELECT
+    d.user_id,
+    v_closed_month,
+    COUNT(*),
+    SUM(a.allocated_tokens),
+    SUM(a.used_tokens),
+    SUM(GREATEST(a.allocated_tokens - a.used_tokens, 0)),
+    COALESCE(SUM(n.carried_over_tokens), 0),
+    (
+      SELECT COUNT(*) FROM usage_logs l
+      WHERE l.user_id = d.user_id
+        AND l.created_at >= TO_DATE(v_closed_month || '-01', 'YYYY-MM-DD')
+        AND l.created_at < TO_DATE(p_month_year || '-01', 'YYYY-MM-DD')
+    )
+  FROM token_allocations a
+  JOIN devices d ON d.id = a.device_id
+  LEFT JOIN token_allocations n ON n.device_id = a.device_id AND n.month_year = p_month_year
+  WHERE a.month_year = v_closed_month AND d.user_id IS NOT NULL
+  GROUP BY d.user_id
+  ON CONFLICT (user_id, month_year) DO NOTHING;
+  GET DIAGNOSTICS v_closed = ROW_COUNT;
+
+  RETURN jsonb_build_object(
+    'month', p_month_year,
+    'allocations_created', v_created,
+    'tokens_carried_over', v_carried,
+    'users_closed', v_closed
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- reserve_tokens: as in migration_add_token_reservations.sql,
+-- creating the month's allocation first if needed
+-- =====================================================
+CREATE OR REPLACE FUNCTION reserve_tokens(
+  p_device_id UUID,
+  p_month_year VARCHAR(7),
+  p_tokens INTEGER,
+  p_model_type VARCHAR(100) DEFAULT NULL,
+  p_request_type VARCHAR(50) DEFAULT NULL,
+  p_ttl_seconds INTEGER DEFAULT 300
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_allocation token_allocations%ROWTYPE;
+  v_reservation_id UUID;
+BEGIN
+  PERFORM rollover_allocation(p_device_id, p_month_year);
+
+  -- Conditional update: only succeeds when the tokens fit
+  UPDATE token_allocations
+  SET reserved_tokens = COALESCE(reserved_tokens, 0) + p_tokens
+  WHERE device_id = p_device_id
+    AND month_year = p_month_year
+    AND used_tokens + COALESCE(reserved_tokens, 0) + p_tokens <= allocated_tokens
+  RETURNING * INTO v_allocation;
+
+  IF NOT FOUND THEN
+    SELECT * INTO v_allocation FROM token_allocations
+    WHERE device_id = p_device_id AND month_year = p_month_year;
+
+    RETURN jsonb_build_object(
+      'reserved', FALSE,
+      'has_allocation', FOUND,
+      'remaining', CASE WHEN FOUND
+        THEN v_allocation.allocated_tokens - v_allocation.used_tokens - COALESCE(v_allocation.reserved_tokens, 0)
+        ELSE 0 END
+    );
+  END IF;
+
+  INSERT INTO token_reservations (device_id, month_year, tokens, model_type, request_type, expires_at)
+  VALUES (p_device_id, p_month_year, p_tokens, p_model_type, p_request_type, NOW() + make_interval(secs => p_ttl_seconds))
+  RETURNING id INTO v_reservation_id;
+
+  RETURN jsonb_build_object(
+    'reserved', TRUE,
+    'has_allocation', TRUE,
+    'reservation_id', v_reservation_id,
+    'remaining', v_allocation.allocated_tokens - v_allocation.used_tokens - v_allocation.reserved_tokens
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- debit_usage: as in migration_add_usage_batch.sql, with a
+-- missing allocation created from the rollover policy
+-- rather than a flat p_default_allocation
+-- =====================================================
+CREATE OR REPLACE FUNCTION debit_usage(
+  p_device_id UUID,
+  p_user_id UUID,
+  p_month_year VARCHAR(7),
+  p_tokens INTEGER,
+  p_model_type VARCHAR(100),
+  p_request_type VARCHAR(50) DEFAULT 'completion',
+  p_description TEXT DEFAULT NULL,
+  p_requested_model VARCHAR(100) DEFAULT NULL,
+  p_prompt_tokens INTEGER DEFAULT NULL,
+  p_completion_tokens INTEGER DEFAULT NULL,
+  p_reservation_id UUID DEFAULT NULL,
+  p_default_allocation INTEGER DEFAULT 50,
+  p_client_event_id VARCHAR(128) DEFAULT NULL,
+  p_occurred_at TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_allocation token_allocations%ROWTYPE;
+  v_reservation token_reservations%ROWTYPE;
+  v_log usage_logs%ROWTYPE;
+  v_log_id UUID;
+BEGIN
+  IF p_tokens < 0 THEN
+    RAISE EXCEPTION 'p_tokens must not be negative';
+  END IF;
+
+  IF p_client_event_id IS NOT NULL THEN
+    -- Serialise submissions of the same event, then answer a repeat
+    -- with the original debit instead of charging again
+    PERFORM pg_advisory_xact_lock(hashtext(p_device_id::text || ':' || p_client_event_id));
+
+    SELECT * INTO v_log FROM usage_logs
+    WHERE device_id = p_device_id AND client_event_id = p_client_event_id;
+
+    IF FOUND THEN
+      SELECT * INTO v_allocation FROM token_allocations
+      WHERE device_id = p_device_id AND month_year = p_month_year;
+
+      RETURN jsonb_build_object(
+        'debited', TRUE,
+        'duplicate', TRUE,
+        'log_id', v_log.id,
+        'tokens_used', v_log.tokens_used,
+        'model_type', v_log.model_type,
+        'allocated', v_allocation.allocated_tokens,
+        'used', v_allocation.used_tokens,
+        'remaining', v_allocation.allocated_tokens - v_allocation.used_tokens - COALESCE(v_allocation.reserved_tokens, 0)
+      );
+    END IF;
+  END IF;
+
+  IF p_reservation_id IS NOT NULL THEN
+    SELECT * INTO v_reservation FROM token_reservations
+    WHERE id = p_reservation_id
+    FOR UPDATE;
+
+    -- An expired hold was already released, but the request still
+    -- succeeded, so it is debited all the same
+    IF NOT FOUND OR v_reservation.status NOT IN ('pending', 'expired') THEN
+      RETURN jsonb_build_object('debited', FALSE, 'reason', 'already_settled', 'remaining', NULL);
+    END IF;
+
+    UPDATE token_reservations
+    SET status = 'committed', committed_tokens = p_tokens, settled_at = NOW()
+    WHERE id = p_reservation_id;
+
+    UPDATE token_allocations
+    SET used_tokens = used_tokens + p_tokens,
+        reserved_tokens = CASE WHEN v_reservation.status = 'pending'
+          THEN GREATEST(COALESCE(reserved_tokens, 0) - v_reservation.tokens, 0)
+          ELSE reserved_tokens END
+    WHERE device_id = v_reservation.device_id AND month_year = v_reservation.month_year
+    RETURNING * INTO v_allocation;
+  ELSE
+    PERFORM rollover_allocation(p_device_id, p_month_year, p_default_allocation);
+
+    -- Conditional update: only succeeds when the tokens fit
+    -- alongside those held by in-flight proxy requests
+    UPDATE token_allocations
+    SET used_tokens = used_tokens + p_tokens
+    WHERE device_id = p_device_id
+      AND month_year = p_month_year
+      AND used_tokens + COALESCE(reserved_tokens, 0) + p_tokens <= allocated_tokens
+    RETURNING * INTO v_allocation;
+
+    IF NOT FOUND THEN
+      SELECT * INTO v_allocation FROM token_allocations
+      WHERE device_id = p_device_id AND month_year = p_month_year;
+
+      RETURN jsonb_build_object(
+        'debited', FALSE,
+        'reason', 'insufficient_tokens',
+        'remaining', v_allocation.allocated_tokens - v_allocation.used_tokens - COALESCE(v_allocation.reserved_tokens, 0)
+      );
+    END IF;
+  END IF;
+
+  INSERT INTO usage_logs (
+    device_id, user_id, tokens_used, model_type, requested_model,
+    request_type, prompt_tokens, completion_tokens, description, client_event_id,
+    created_at
+  )
+  VALUES (
+    p_device_id, p_user_id, p_tokens, p_model_type, COALESCE(p_requested_model, p_model_type),
+    p_request_type, p_prompt_tokens, p_completion_tokens, p_description, p_client_event_id,
+    COALESCE(p_occurred_at, NOW())
+  )
+  RETURNING id INTO v_log_id;
+
+  RETURN jsonb_build_object(
+    'debited', TRUE,
+    'duplicate', FALSE,
+    'log_id', v_log_id,
+    'tokens_used', p_tokens,
+    'model_type', p_model_type,
+    'allocated', v_allocation.allocated_tokens,
+    'used', v_allocation.used_tokens,
+    'remaining', v_allocation.allocated_tokens - v_allocation.used_tokens - COALESCE(v_allocation.reserved_tokens, 0)
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
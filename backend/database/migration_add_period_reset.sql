@@ -0,0 +1,132 @@
+-- =====================================================
+-- Migration: Reset a period's allocations
+-- POST /api/admin/reset-monthly starts a period over:
+-- every device's allocation is set again from its owner's
+-- rollover policy, with nothing used. Allocations are
+-- updated in place, so tokens held by in-flight proxy
+-- requests (reserved_tokens) stay reserved
+-- =====================================================
+
+-- =====================================================
+-- allocation_amounts: what a device's allocation for
+-- p_month_year starts with under its owner's rollover
+-- policy: { base, carry } (see rollover_allocation)
+-- =====================================================
+CREATE OR REPLACE FUNCTION allocation_amounts(
+  p_device_id UUID,
+  p_month_year VARCHAR(16),
+  p_default_allocation INTEGER DEFAULT 50,
+  OUT base INTEGER,
+  OUT carry INTEGER
+) AS $$
+DECLARE
+  v_previous token_allocations%ROWTYPE;
+  v_user users%ROWTYPE;
+  v_policy JSONB;
+BEGIN
+  SELECT u.* INTO v_user FROM users u
+  JOIN devices d ON d.user_id = u.id
+  WHERE d.id = p_device_id;
+  v_policy := COALESCE(v_user.rollover_policy, '{}'::jsonb);
+
+  SELECT * INTO v_previous FROM token_allocations
+  WHERE device_id = p_device_id
+    AND period_key_kind(month_year) = period_key_kind(p_month_year)
+    AND month_year < p_month_year
+  ORDER BY month_year DESC
+  LIMIT 1;
+
+  IF v_previous.id IS NOT NULL AND COALESCE(v_policy->>'base', 'previous') = 'previous' THEN
+    base := v_previous.allocated_tokens - COALESCE(v_previous.carried_over_tokens, 0);
+  ELSE
+    base := period_budget(COALESCE(v_user.monthly_token_budget, p_default_allocation), p_month_year);
+  END IF;
+  base := GREATEST(base, 0);
+
+  carry := 0;
+  IF v_previous.id IS NOT NULL AND COALESCE((v_policy->>'carry_over')::BOOLEAN, FALSE) THEN
+    carry := LEAST(
+      GREATEST(v_previous.allocated_tokens - v_previous.used_tokens, 0),
+      COALESCE((v_policy->>'carry_over_cap')::INTEGER, base)
+    );
+  END IF;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- =====================================================
+-- rollover_allocation: as in
+-- migration_prorate_period_budgets.sql, on allocation_amounts
+-- =====================================================
+CREATE OR REPLACE FUNCTION rollover_allocation(
+  p_device_id UUID,
+  p_month_year VARCHAR(16),
+  p_default_allocation INTEGER DEFAULT 50
+)
+RETURNS token_allocations AS $$
+DECLARE
+  v_allocation token_allocations%ROWTYPE;
+  v_amounts RECORD;
+BEGIN
+  SELECT * INTO v_allocation FROM token_allocations
+  WHERE device_id = p_device_id AND month_year = p_month_year;
+  IF FOUND THEN
+    RETURN v_allocation;
+  END IF;
+
+  v_amounts := allocation_amounts(p_device_id, p_month_year, p_default_allocation);
+
+  INSERT INTO token_allocations (device_id, allocated_tokens, used_tokens, month_year, carried_over_tokens)
+  VALUES (p_device_id, v_amounts.base + v_amounts.carry, 0, p_month_year, v_amounts.carry)
+  ON CONFLICT (device_id, month_year) DO NOTHING;
+
+  SELECT * INTO v_allocation FROM token_allocations
+  WHERE device_id = p_device_id AND month_year = p_month_year;
+  RETURN v_allocation;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- reset_period: set every device's allocation for
+-- p_period_key from allocation_amounts, with used_tokens
+-- back to 0. reserved_tokens is left as it is
+-- Returns { period, devices_reset, tokens_allocated }
+-- =====================================================
+CREATE OR REPLACE FUNCTION reset_period(
+  p_period_key VARCHAR(16),
+  p_default_allocation INTEGER DEFAULT 50
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_device_id UUID;
+  v_amounts RECORD;
+  v_devices INTEGER := 0;
+  v_tokens INTEGER := 0;
+BEGIN
+  -- Not alongside a rollover of the same period
+  PERFORM pg_advisory_xact_lock(hashtext('rollover_period:' || p_period_key));
+
+  FOR v_device_id IN SELECT id FROM devices LOOP
+    v_amounts := allocation_amounts(v_device_id, p_period_key, p_default_allocation);
+
+    INSERT INTO token_allocations (device_id, allocated_tokens, used_tokens, month_year, carried_over_tokens)
+    VALUES (v_device_id, v_amounts.base + v_amounts.carry, 0, p_period_key, v_amounts.carry)
+    ON CONFLICT (device_id, month_year) DO UPDATE
+    SET allocated_tokens = EXCLUDED.allocated_tokens,
+        used_tokens = 0,
+        carried_over_tokens = EXCLUDED.carried_over_tokens;
+
+    v_devices := v_devices + 1;
+    v_tokens := v_tokens + v_amounts.base + v_amounts.carry;
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'period', p_period_key,
+    'devices_reset', v_devices,
+    'tokens_allocated', v_tokens
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
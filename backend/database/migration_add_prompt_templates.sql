@@ -0,0 +1,84 @@
+-- =====================================================
+-- Migration: System-prompt templates
+-- Instructions the proxy adds to every request, set for
+-- the whole organisation (admins), an account (owners)
+-- or a single device (owners). Chat templates become a
+-- system message; completion templates are appended to
+-- the inline-completion prompt.
+-- Every save adds a version; the newest is current.
+-- An empty template switches the scope off.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  scope VARCHAR(20) NOT NULL CHECK (scope IN ('organization', 'user', 'device')),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  device_id UUID REFERENCES devices(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('chat', 'completion')),
+  version INTEGER NOT NULL,
+  content TEXT NOT NULL DEFAULT '',
+  is_current BOOLEAN DEFAULT true,
+  created_by VARCHAR(20),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (
+    (scope = 'organization' AND user_id IS NULL AND device_id IS NULL)
+    OR (scope = 'user' AND user_id IS NOT NULL AND device_id IS NULL)
+    OR (scope = 'device' AND user_id IS NOT NULL AND device_id IS NOT NULL)
+  )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_version
+  ON prompt_templates(
+    scope,
+    COALESCE(user_id, '00000000-0000-0000-0000-000000000000'::uuid),
+    COALESCE(device_id, '00000000-0000-0000-0000-000000000000'::uuid),
+    kind,
+    version
+  );
+
+CREATE INDEX IF NOT EXISTS idx_prompt_templates_current
+  ON prompt_templates(user_id) WHERE is_current;
+
+-- Save a new version of a template and make it current
+CREATE OR REPLACE FUNCTION save_prompt_template(
+  p_scope VARCHAR,
+  p_user_id UUID,
+  p_device_id UUID,
+  p_kind VARCHAR,
+  p_content TEXT,
+  p_created_by VARCHAR
+) RETURNS prompt_templates AS $$
+DECLARE
+  v_version INTEGER;
+  v_row prompt_templates;
+BEGIN
+  -- Serialise saves of the same template
+  PERFORM pg_advisory_xact_lock(hashtext(
+    p_scope || ':' || COALESCE(p_user_id::text, '') || ':' || COALESCE(p_device_id::text, '') || ':' || p_kind
+  ));
+
+  SELECT COALESCE(MAX(version), 0) + 1 INTO v_version
+  FROM prompt_templates
+  WHERE scope = p_scope
+    AND user_id IS NOT DISTINCT FROM p_user_id
+    AND device_id IS NOT DISTINCT FROM p_device_id
+    AND kind = p_kind;
+
+  UPDATE prompt_templates SET is_current = false
+  WHERE scope = p_scope
+    AND user_id IS NOT DISTINCT FROM p_user_id
+    AND device_id IS NOT DISTINCT FROM p_device_id
+    AND kind = p_kind
+    AND is_current;
+
+  INSERT INTO prompt_templates (scope, user_id, device_id, kind, version, content, created_by)
+  VALUES (p_scope, p_user_id, p_device_id, p_kind, v_version, p_content, p_created_by)
+  RETURNING * INTO v_row;
+
+  RETURN v_row;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
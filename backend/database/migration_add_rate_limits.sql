@@ -0,0 +1,17 @@
+-- =====================================================
+-- Migration: Per-device and per-account proxy rate limits
+-- Limits cap AI proxy traffic:
+--   { "requests_per_minute": 60, "tokens_per_minute": 20000,
+--     "concurrent_streams": 4 }
+-- A missing field uses the server default (PROXY_DEVICE_* /
+-- PROXY_ACCOUNT_* env vars); 0 = no limit. NULL = defaults.
+-- Device limits (set by owners) apply to one device; account
+-- limits (set by admins) are shared by all of a user's devices.
+-- =====================================================
+
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS rate_limits JSONB DEFAULT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS rate_limits JSONB DEFAULT NULL;
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,174 @@
+-- =====================================================
+-- Migration: Two-phase token accounting for the AI proxy
+-- Tokens are reserved atomically when a proxy request is
+-- accepted, then committed on success or refunded on failure
+-- =====================================================
+
+-- Tokens held by in-flight proxy requests
+ALTER TABLE token_allocations ADD COLUMN IF NOT EXISTS reserved_tokens INTEGER DEFAULT 0;
+
+-- =====================================================
+-- TOKEN_RESERVATIONS TABLE
+-- One row per in-flight (or settled) proxy request
+-- =====================================================
+CREATE TABLE IF NOT EXISTS token_reservations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+  month_year VARCHAR(7) NOT NULL,
+  tokens INTEGER NOT NULL CHECK (tokens >= 0),
+  committed_tokens INTEGER,
+  model_type VARCHAR(100),
+  request_type VARCHAR(50),
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'committed', 'refunded', 'expired')),
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  settled_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_reservations_device ON token_reservations(device_id, month_year);
+CREATE INDEX IF NOT EXISTS idx_reservations_pending ON token_reservations(expires_at) WHERE status = 'pending';
+
+-- =====================================================
+-- reserve_tokens: hold tokens if the allocation has room
+-- Returns { reserved, reservation_id, remaining }
+-- =====================================================
+CREATE OR REPLACE FUNCTION reserve_tokens(
+  p_device_id UUID,
+  p_month_year VARCHAR(7),
+  p_tokens INTEGER,
+  p_model_type VARCHAR(100) DEFAULT NULL,
+  p_request_type VARCHAR(50) DEFAULT NULL,
+  p_ttl_seconds INTEGER DEFAULT 300
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_allocation token_allocations%ROWTYPE;
+  v_reservation_id UUID;
+BEGIN
+  -- Conditional update: only succeeds when the tokens fit
+  UPDATE token_allocations
+  SET reserved_tokens = COALESCE(reserved_tokens, 0) + p_tokens
+  WHERE device_id = p_device_id
+    AND month_year = p_month_year
+    AND used_tokens + COALESCE(reserved_tokens, 0) + p_tokens <= allocated_tokens
+  RETURNING * INTO v_allocation;
+
+  IF NOT FOUND THEN
+    SELECT * INTO v_allocation FROM token_allocations
+    WHERE device_id = p_device_id AND month_year = p_month_year;
+
+    RETURN jsonb_build_object(
+      'reserved', FALSE,
+      'has_allocation', FOUND,
+      'remaining', CASE WHEN FOUND
+        THEN v_allocation.allocated_tokens - v_allocation.used_tokens - COALESCE(v_allocation.reserved_tokens, 0)
+        ELSE 0 END
+    );
+  END IF;
+
+  INSERT INTO token_reservations (device_id, month_year, tokens, model_type, request_type, expires_at)
+  VALUES (p_device_id, p_month_year, p_tokens, p_model_type, p_request_type, NOW() + make_interval(secs => p_ttl_seconds))
+  RETURNING id INTO v_reservation_id;
+
+  RETURN jsonb_build_object(
+    'reserved', TRUE,
+    'has_allocation', TRUE,
+    'reservation_id', v_reservation_id,
+    'remaining', v_allocation.allocated_tokens - v_allocation.used_tokens - v_allocation.reserved_tokens
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- commit_reservation: release the hold and debit the
+-- actual cost (which may differ from the reserved amount)
+-- Returns the tokens debited, or NULL if already settled
+-- =====================================================
+CREATE OR REPLACE FUNCTION commit_reservation(
+  p_reservation_id UUID,
+  p_tokens INTEGER
+)
+RETURNS INTEGER AS $$
+DECLARE
+  v_reservation token_reservations%ROWTYPE;
+BEGIN
+  SELECT * INTO v_reservation FROM token_reservations
+  WHERE id = p_reservation_id
+  FOR UPDATE;
+
+  -- An expired hold was already released, but the request still
+  -- succeeded, so it is debited all the same
+  IF NOT FOUND OR v_reservation.status NOT IN ('pending', 'expired') THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE token_reservations
+  SET status = 'committed', committed_tokens = p_tokens, settled_at = NOW()
+  WHERE id = p_reservation_id;
+
+  UPDATE token_allocations
+  SET used_tokens = used_tokens + p_tokens,
+      reserved_tokens = CASE WHEN v_reservation.status = 'pending'
+        THEN GREATEST(COALESCE(reserved_tokens, 0) - v_reservation.tokens, 0)
+        ELSE reserved_tokens END
+  WHERE device_id = v_reservation.device_id AND month_year = v_reservation.month_year;
+
+  RETURN p_tokens;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- refund_reservation: release the hold without debiting
+-- Returns TRUE if a pending reservation was refunded
+-- =====================================================
+CREATE OR REPLACE FUNCTION refund_reservation(
+  p_reservation_id UUID,
+  p_status VARCHAR(20) DEFAULT 'refunded'
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_reservation token_reservations%ROWTYPE;
+BEGIN
+  UPDATE token_reservations
+  SET status = p_status, settled_at = NOW()
+  WHERE id = p_reservation_id AND status = 'pending'
+  RETURNING * INTO v_reservation;
+
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+
+  UPDATE token_allocations
+  SET reserved_tokens = GREATEST(COALESCE(reserved_tokens, 0) - v_reservation.tokens, 0)
+  WHERE device_id = v_reservation.device_id AND month_year = v_reservation.month_year;
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- expire_token_reservations: refund holds left behind by
+-- requests that never settled (e.g. a server restart)
+-- Returns the number of reservations expired
+-- =====================================================
+CREATE OR REPLACE FUNCTION expire_token_reservations()
+RETURNS INTEGER AS $$
+DECLARE
+  v_id UUID;
+  v_count INTEGER := 0;
+BEGIN
+  FOR v_id IN
+    SELECT id FROM token_reservations
+    WHERE status = 'pending' AND expires_at < NOW()
+  LOOP
+    IF refund_reservation(v_id, 'expired') THEN
+      v_count := v_count + 1;
+    END IF;
+  END LOOP;
+  RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,56 @@
+-- =====================================================
+-- Migration: Opt-in transcripts of AI proxy requests
+-- Owners who turn on transcript_logging get the prompt,
+-- response, model and latency of every settled proxy
+-- request stored, linked to its usage_logs row.
+-- Transcripts older than the owner's retention period
+-- are deleted by purge_expired_transcripts(), which the
+-- server runs periodically.
+-- =====================================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS transcript_logging BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS transcript_retention_days INTEGER DEFAULT 30
+  CHECK (transcript_retention_days BETWEEN 1 AND 3650);
+
+CREATE TABLE IF NOT EXISTS transcripts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  device_id UUID REFERENCES devices(id) ON DELETE CASCADE,
+  usage_log_id UUID REFERENCES usage_logs(id) ON DELETE SET NULL,
+  model_type VARCHAR(100),
+  requested_model VARCHAR(100),
+  request_type VARCHAR(50),
+  request JSONB,
+  response JSONB,
+  prompt_tokens INTEGER,
+  completion_tokens INTEGER,
+  latency_ms INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_transcripts_user ON transcripts(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_transcripts_device ON transcripts(device_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_transcripts_usage_log ON transcripts(usage_log_id);
+
+-- =====================================================
+-- purge_expired_transcripts: apply each owner's retention
+-- Returns the number of transcripts deleted.
+-- =====================================================
+CREATE OR REPLACE FUNCTION purge_expired_transcripts()
+RETURNS INTEGER AS $$
+DECLARE
+  v_deleted INTEGER;
+BEGIN
+  DELETE FROM transcripts t
+  USING users u
+  WHERE t.user_id = u.id
+    AND t.created_at < NOW() - make_interval(days => COALESCE(u.transcript_retention_days, 30));
+
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+  RETURN v_deleted;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
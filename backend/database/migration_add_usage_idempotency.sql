@@ -0,0 +1,147 @@
+-- =====================================================
+-- Migration: Idempotent usage logging
+-- Clients send an ID with each usage event (client_event_id
+-- or an Idempotency-Key header), so a retried or replayed
+-- event is only charged once per device
+-- =====================================================
+
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS client_event_id VARCHAR(128);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_usage_client_event
+  ON usage_logs(device_id, client_event_id)
+  WHERE client_event_id IS NOT NULL;
+
+-- Replaced by the version below, which takes p_client_event_id
+DROP FUNCTION IF EXISTS debit_usage(UUID, UUID, VARCHAR, INTEGER, VARCHAR, VARCHAR, TEXT, VARCHAR, INTEGER, INTEGER, UUID, INTEGER);
+
+-- =====================================================
+-- debit_usage: as in migration_add_debit_usage.sql, plus
+-- p_client_event_id. An event already logged for the device
+-- is not debited again: the original log is returned with
+-- { duplicate: TRUE } and the current balance
+-- =====================================================
+CREATE OR REPLACE FUNCTION debit_usage(
+  p_device_id UUID,
+  p_user_id UUID,
+  p_month_year VARCHAR(7),
+  p_tokens INTEGER,
+  p_model_type VARCHAR(100),
+  p_request_type VARCHAR(50) DEFAULT 'completion',
+  p_description TEXT DEFAULT NULL,
+  p_requested_model VARCHAR(100) DEFAULT NULL,
+  p_prompt_tokens INTEGER DEFAULT NULL,
+  p_completion_tokens INTEGER DEFAULT NULL,
+  p_reservation_id UUID DEFAULT NULL,
+  p_default_allocation INTEGER DEFAULT 50,
+  p_client_event_id VARCHAR(128) DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_allocation token_allocations%ROWTYPE;
+  v_reservation token_reservations%ROWTYPE;
+  v_log usage_logs%ROWTYPE;
+  v_log_id UUID;
+BEGIN
+  IF p_tokens < 0 THEN
+    RAISE EXCEPTION 'p_tokens must not be negative';
+  END IF;
+
+  IF p_client_event_id IS NOT NULL THEN
+    -- Serialise submissions of the same event, then answer a repeat
+    -- with the original debit instead of charging again
+    PERFORM pg_advisory_xact_lock(hashtext(p_device_id::text || ':' || p_client_event_id));
+
+    SELECT * INTO v_log FROM usage_logs
+    WHERE device_id = p_device_id AND client_event_id = p_client_event_id;
+
+    IF FOUND THEN
+      SELECT * INTO v_allocation FROM token_allocations
+      WHERE device_id = p_device_id AND month_year = p_month_year;
+
+      RETURN jsonb_build_object(
+        'debited', TRUE,
+        'duplicate', TRUE,
+        'log_id', v_log.id,
+        'tokens_used', v_log.tokens_used,
+        'model_type', v_log.model_type,
+        'allocated', v_allocation.allocated_tokens,
+        'used', v_allocation.used_tokens,
+        'remaining', v_allocation.allocated_tokens - v_allocation.used_tokens - COALESCE(v_allocation.reserved_tokens, 0)
+      );
+    END IF;
+  END IF;
+
+  IF p_reservation_id IS NOT NULL THEN
+    SELECT * INTO v_reservation FROM token_reservations
+    WHERE id = p_reservation_id
+    FOR UPDATE;
+
+    -- An expired hold was already released, but the request still
+    -- succeeded, so it is debited all the same
+    IF NOT FOUND OR v_reservation.status NOT IN ('pending', 'expired') THEN
+      RETURN jsonb_build_object('debited', FALSE, 'reason', 'already_settled', 'remaining', NULL);
+    END IF;
+
+    UPDATE token_reservations
+    SET status = 'committed', committed_tokens = p_tokens, settled_at = NOW()
+    WHERE id = p_reservation_id;
+
+    UPDATE token_allocations
+    SET used_tokens = used_tokens + p_tokens,
+        reserved_tokens = CASE WHEN v_reservation.status = 'pending'
+          THEN GREATEST(COALESCE(reserved_tokens, 0) - v_reservation.tokens, 0)
+          ELSE reserved_tokens END
+    WHERE device_id = v_reservation.device_id AND month_year = v_reservation.month_year
+    RETURNING * INTO v_allocation;
+  ELSE
+    INSERT INTO token_allocations (device_id, allocated_tokens, used_tokens, month_year)
+    VALUES (p_device_id, p_default_allocation, 0, p_month_year)
+    ON CONFLICT (device_id, month_year) DO NOTHING;
+
+    -- Conditional update: only succeeds when the tokens fit
+    -- alongside those held by in-flight proxy requests
+    UPDATE token_allocations
+    SET used_tokens = used_tokens + p_tokens
+    WHERE device_id = p_device_id
+      AND month_year = p_month_year
+      AND used_tokens + COALESCE(reserved_tokens, 0) + p_tokens <= allocated_tokens
+    RETURNING * INTO v_allocation;
+
+    IF NOT FOUND THEN
+      SELECT * INTO v_allocation FROM token_allocations
+      WHERE device_id = p_device_id AND month_year = p_month_year;
+
+      RETURN jsonb_build_object(
+        'debited', FALSE,
+        'reason', 'insufficient_tokens',
+        'remaining', v_allocation.allocated_tokens - v_allocation.used_tokens - COALESCE(v_allocation.reserved_tokens, 0)
+      );
+    END IF;
+  END IF;
+
+  INSERT INTO usage_logs (
+    device_id, user_id, tokens_used, model_type, requested_model,
+    request_type, prompt_tokens, completion_tokens, description, client_event_id
+  )
+  VALUES (
+    p_device_id, p_user_id, p_tokens, p_model_type, COALESCE(p_requested_model, p_model_type),
+    p_request_type, p_prompt_tokens, p_completion_tokens, p_description, p_client_event_id
+  )
+  RETURNING id INTO v_log_id;
+
+  RETURN jsonb_build_object(
+    'debited', TRUE,
+    'duplicate', FALSE,
+    'log_id', v_log_id,
+    'tokens_used', p_tokens,
+    'model_type', p_model_type,
+    'allocated', v_allocation.allocated_tokens,
+    'used', v_allocation.used_tokens,
+    'remaining', v_allocation.allocated_tokens - v_allocation.used_tokens - COALESCE(v_allocation.reserved_tokens, 0)
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
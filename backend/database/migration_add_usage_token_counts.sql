@@ -0,0 +1,19 @@
+-- =====================================================
+-- Migration: Record real prompt/completion token counts
+-- Enables per-token metering of AI proxy requests
+-- =====================================================
+
+-- Upstream token counts for each proxied request (NULL for
+-- usage reported by the extension's own tracking)
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER;
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS completion_tokens INTEGER;
+
+-- Metering mode for proxy requests: 'per_prompt' (flat cost per
+-- request) or 'per_token' (input/output rates per 1K tokens)
+INSERT INTO admin_settings (setting_key, setting_value)
+VALUES ('metering_mode', 'per_prompt')
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
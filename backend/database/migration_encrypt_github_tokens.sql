@@ -0,0 +1,17 @@
+-- =====================================================
+-- Migration: Encrypt stored GitHub tokens at rest
+-- users.github_access_token and github_credentials.token
+-- now hold envelope-encrypted values (see
+-- backend/utils/tokenCrypto.js). Existing plaintext tokens
+-- keep working until encrypted with:
+--   npm run reencrypt-tokens
+-- The same command re-wraps tokens after a master key rotation.
+-- =====================================================
+
+-- Non-secret hint (e.g. "ghp_…a1B2") so PATs can be told apart
+-- on the dashboard without decrypting them
+ALTER TABLE github_credentials ADD COLUMN IF NOT EXISTS token_hint VARCHAR(20);
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,105 @@
+-- =====================================================
+-- Migration: Budgets per billing period
+-- users.monthly_token_budget is a monthly amount, but
+-- rollover_allocation granted all of it every period, so
+-- daily and weekly periods handed out 30 or 4 times the
+-- budget. Allocations started from the budget now get
+-- the share for the period's length: 1/30 of it per day,
+-- rounded up (a week gets 7/30, a custom period
+-- length_days/30); monthly periods get all of it.
+-- Allocations with base "previous" keep following the
+-- period before, so devices already on daily or weekly
+-- periods need their allocation set once by hand
+-- =====================================================
+
+-- =====================================================
+-- period_budget: the part of a monthly budget for the
+-- period p_period_key. Custom periods take their length
+-- from the 'billing_period' setting
+-- =====================================================
+CREATE OR REPLACE FUNCTION period_budget(p_monthly_budget INTEGER, p_period_key VARCHAR(16))
+RETURNS INTEGER AS $$
+DECLARE
+  v_days INTEGER;
+BEGIN
+  v_days := CASE period_key_kind(p_period_key)
+    WHEN 'D' THEN 1
+    WHEN 'W' THEN 7
+    WHEN 'C' THEN (
+      SELECT (setting_value::jsonb->>'length_days')::INTEGER
+      FROM admin_settings
+      WHERE setting_key = 'billing_period'
+    )
+  END;
+
+  IF p_monthly_budget IS NULL OR v_days IS NULL THEN
+    RETURN p_monthly_budget;
+  END IF;
+  RETURN CEIL(p_monthly_budget * v_days / 30.0)::INTEGER;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- =====================================================
+-- rollover_allocation: as in migration_add_billing_periods.sql,
+-- with allocations from the budget (or p_default_allocation,
+-- also a monthly amount) prorated by period_budget
+-- =====================================================
+CREATE OR REPLACE FUNCTION rollover_allocation(
+  p_device_id UUID,
+  p_month_year VARCHAR(16),
+  p_default_allocation INTEGER DEFAULT 50
+)
+RETURNS token_allocations AS $$
+DECLARE
+  v_allocation token_allocations%ROWTYPE;
+  v_previous token_allocations%ROWTYPE;
+  v_user users%ROWTYPE;
+  v_policy JSONB;
+  v_base INTEGER;
+  v_carry INTEGER := 0;
+BEGIN
+  SELECT * INTO v_allocation FROM token_allocations
+  WHERE device_id = p_device_id AND month_year = p_month_year;
+  IF FOUND THEN
+    RETURN v_allocation;
+  END IF;
+
+  SELECT u.* INTO v_user FROM users u
+  JOIN devices d ON d.user_id = u.id
+  WHERE d.id = p_device_id;
+  v_policy := COALESCE(v_user.rollover_policy, '{}'::jsonb);
+
+  SELECT * INTO v_previous FROM token_allocations
+  WHERE device_id = p_device_id
+    AND period_key_kind(month_year) = period_key_kind(p_month_year)
+    AND month_year < p_month_year
+  ORDER BY month_year DESC
+  LIMIT 1;
+
+  IF v_previous.id IS NOT NULL AND COALESCE(v_policy->>'base', 'previous') = 'previous' THEN
+    v_base := v_previous.allocated_tokens - COALESCE(v_previous.carried_over_tokens, 0);
+  ELSE
+    v_base := period_budget(COALESCE(v_user.monthly_token_budget, p_default_allocation), p_month_year);
+  END IF;
+  v_base := GREATEST(v_base, 0);
+
+  IF v_previous.id IS NOT NULL AND COALESCE((v_policy->>'carry_over')::BOOLEAN, FALSE) THEN
+    v_carry := LEAST(
+      GREATEST(v_previous.allocated_tokens - v_previous.used_tokens, 0),
+      COALESCE((v_policy->>'carry_over_cap')::INTEGER, v_base)
+    );
+  END IF;
+
+  INSERT INTO token_allocations (device_id, allocated_tokens, used_tokens, month_year, carried_over_tokens)
+  VALUES (p_device_id, v_base + v_carry, 0, p_month_year, v_carry)
+  ON CONFLICT (device_id, month_year) DO NOTHING;
+
+  SELECT * INTO v_allocation FROM token_allocations
+  WHERE device_id = p_device_id AND month_year = p_month_year;
+  RETURN v_allocation;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,18 @@
+-- =====================================================
+-- Migration: Keep matched text out of DLP events
+-- dlp_events.match_preview held the first characters of
+-- each match, which for a secret is part of the secret.
+-- It now holds only the match's length ('40 chars');
+-- older rows are cut down to the same
+-- =====================================================
+
+UPDATE dlp_events
+SET match_preview = substring(match_preview FROM '\((\d+) chars\)$') || ' chars'
+WHERE match_preview IS NOT NULL
+  AND match_preview !~ '^\d+ chars$';
+
+COMMENT ON COLUMN dlp_events.match_preview IS 'Length of the first match, never its text';
+
+-- =====================================================
+-- ✅ MIGRATION COMPLETE
+-- =====================================================
@@ -0,0 +1,68 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, createUserWithDevice } = require('../testing/database');
+
+describe('reset_period', () => {
+  let db;
+
+  before(async () => {
+    db = await createTestDatabase();
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  const allocationOf = async (deviceId, periodKey) => (await db.query(
+    'SELECT * FROM token_allocations WHERE device_id = $1 AND month_year = $2',
+    [deviceId, periodKey],
+  )).rows[0];
+
+  test('starts allocations over from the rollover policy, keeping reservations', async () => {
+    const owner = await createUserWithDevice(db, { budget: 300 });
+    const { rows: [allocation] } = await db.query('SELECT * FROM rollover_allocation($1, $2)', [owner.deviceId, '2025-08']);
+    await db.query(
+      'UPDATE token_allocations SET allocated_tokens = 40, used_tokens = 35, reserved_tokens = 5 WHERE id = $1',
+      [allocation.id],
+    );
+    // A device that had no allocation for the period yet
+    const newcomer = await createUserWithDevice(db, { budget: 90 });
+
+    const { rows: [{ result }] } = await db.query('SELECT reset_period($1) AS result', ['2025-08']);
+    assert.equal(result.period, '2025-08');
+    assert.ok(result.devices_reset >= 2);
+
+    const reset = await allocationOf(owner.deviceId, '2025-08');
+    assert.equal(reset.id, allocation.id);
+    assert.equal(reset.allocated_tokens, 300);
+    assert.equal(reset.used_tokens, 0);
+    assert.equal(reset.reserved_tokens, 5);
+
+    assert.equal((await allocationOf(newcomer.deviceId, '2025-08')).allocated_tokens, 90);
+  });
+
+  test('follows the previous period with carry-over, as a rollover does', async () => {
+    const { deviceId } = await createUserWithDevice(db, {
+      budget: 300,
+      rolloverPolicy: { base: 'previous', carry_over: true, carry_over_cap: 10 },
+    });
+    await db.query(
+      `INSERT INTO token_allocations (device_id, allocated_tokens, used_tokens, month_year)
+       VALUES ($1, 100, 50, 'W2025-07-14')`,
+      [deviceId],
+    );
+
+    await db.query('SELECT reset_period($1)', ['W2025-07-21']);
+    const reset = await allocationOf(deviceId, 'W2025-07-21');
+    assert.equal(reset.allocated_tokens, 110);
+    assert.equal(reset.carried_over_tokens, 10);
+  });
+
+  test('prorates the default budget for owners without one', async () => {
+    const { deviceId, userId } = await createUserWithDevice(db);
+    await db.query('UPDATE users SET monthly_token_budget = NULL WHERE id = $1', [userId]);
+
+    await db.query('SELECT reset_period($1, $2)', ['D2025-07-16', 60]);
+    assert.equal((await allocationOf(deviceId, 'D2025-07-16')).allocated_tokens, 2);
+  });
+});
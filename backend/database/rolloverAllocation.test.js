@@ -0,0 +1,77 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, createUserWithDevice } = require('../testing/database');
+
+describe('rollover_allocation', () => {
+  let db;
+
+  before(async () => {
+    db = await createTestDatabase();
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  async function rollover(deviceId, periodKey) {
+    const { rows: [allocation] } = await db.query(
+      'SELECT * FROM rollover_allocation($1, $2)',
+      [deviceId, periodKey],
+    );
+    return allocation;
+  }
+
+  test('grants the whole budget for a month', async () => {
+    const { deviceId } = await createUserWithDevice(db, { budget: 300 });
+    assert.equal((await rollover(deviceId, '2025-07')).allocated_tokens, 300);
+  });
+
+  test('grants a day its share of the monthly budget', async () => {
+    const { deviceId } = await createUserWithDevice(db, { budget: 300 });
+    assert.equal((await rollover(deviceId, 'D2025-07-16')).allocated_tokens, 10);
+  });
+
+  test('grants a week its share of the monthly budget', async () => {
+    const { deviceId } = await createUserWithDevice(db, { budget: 300 });
+    assert.equal((await rollover(deviceId, 'W2025-07-14')).allocated_tokens, 70);
+  });
+
+  test('rounds a share up rather than down to nothing', async () => {
+    const { deviceId } = await createUserWithDevice(db, { budget: 50 });
+    assert.equal((await rollover(deviceId, 'D2025-07-16')).allocated_tokens, 2);
+  });
+
+  test('grants a custom period the share for its length', async () => {
+    await db.query(
+      `INSERT INTO admin_settings (setting_key, setting_value) VALUES ('billing_period', $1)
+       ON CONFLICT (setting_key) DO UPDATE SET setting_value = EXCLUDED.setting_value`,
+      [JSON.stringify({ type: 'custom', time_zone: 'UTC', week_start: 1, anchor: '2025-07-01', length_days: 14 })],
+    );
+    const { deviceId } = await createUserWithDevice(db, { budget: 300 });
+    assert.equal((await rollover(deviceId, 'C2025-07-01')).allocated_tokens, 140);
+  });
+
+  test('follows the previous period of the same kind, with carry-over', async () => {
+    const { deviceId } = await createUserWithDevice(db, {
+      budget: 300,
+      rolloverPolicy: { base: 'previous', carry_over: true },
+    });
+    const first = await rollover(deviceId, 'D2025-07-16');
+    await db.query('UPDATE token_allocations SET used_tokens = 4 WHERE id = $1', [first.id]);
+
+    const next = await rollover(deviceId, 'D2025-07-17');
+    assert.equal(next.carried_over_tokens, 6);
+    assert.equal(next.allocated_tokens, 16);
+  });
+
+  test('returns an existing allocation as it is', async () => {
+    const { deviceId } = await createUserWithDevice(db, { budget: 300 });
+    const first = await rollover(deviceId, 'W2025-07-21');
+    await db.query('UPDATE token_allocations SET allocated_tokens = 5, used_tokens = 3 WHERE id = $1', [first.id]);
+
+    const again = await rollover(deviceId, 'W2025-07-21');
+    assert.equal(again.id, first.id);
+    assert.equal(again.allocated_tokens, 5);
+    assert.equal(again.used_tokens, 3);
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Local stand-in for the AI proxy's upstream providers.
+ * Speaks just enough of the OpenAI, Azure OpenAI and Anthropic APIs to
+ * exercise the proxy without real credentials. Replies echo the last
+ * user message; chat completions call the first tool instead when
+ * `tool_choice` is 'required' or names a function. Embeddings are
+ * small deterministic vectors.
+ *
+ * Run with: npm run mock-upstream
+ * Then point the proxy at it, e.g.:
+ *   GITHUB_MODELS_API_URL=http://localhost:4010
+ *   OPENAI_COMPAT_API_URL=http://localhost:4010/v1
+ *   AZURE_OPENAI_ENDPOINT=http://localhost:4010  AZURE_OPENAI_API_KEY=test
+ *   ANTHROPIC_API_URL=http://localhost:4010      ANTHROPIC_API_KEY=test
+ *
+ * Set MOCK_UPSTREAM_STATUS=500 (or 401, 429, ...) to make every request fail.
+ * Set MOCK_UPSTREAM_FAIL_MODELS=claude-sonnet-4,... to fail only those models
+ * (with MOCK_UPSTREAM_STATUS, default 503, and `Retry-After: 1`), e.g. to
+ * exercise fallback chains.
+ * Set MOCK_UPSTREAM_REJECT_TOKENS=ghp_bad,... to answer 401 for those bearer
+ * tokens, e.g. to exercise GitHub PAT pool rotation.
+ */
+
+const http = require('http');
+
+const PORT = process.env.MOCK_UPSTREAM_PORT || 4010;
+const FORCED_STATUS = parseInt(process.env.MOCK_UPSTREAM_STATUS) || 0;
+const FAIL_MODELS = (process.env.MOCK_UPSTREAM_FAIL_MODELS || '').split(',').map(m => m.trim()).filter(Boolean);
+const REJECT_TOKENS = (process.env.MOCK_UPSTREAM_REJECT_TOKENS || '').split(',').map(t => t.trim()).filter(Boolean);
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function lastUserText(messages) {
+  const last = [...(messages || [])].reverse().find(m => m.role === 'user');
+  if (!last) return '';
+  if (typeof last.content === 'string') return last.content;
+  return (last.content || []).map(p => p.text || '').join('');
+}
+
+function promptText(body) {
+  return JSON.stringify(body.messages || []) + JSON.stringify(body.system || '');
+}
+
+function writeSSE(res, data, event = null) {
+  if (event) res.write(`event: ${event}\n`);
+  res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * The tool a chat completion must call, if any.
+ */
+function forcedTool(body) {
+  const choice = body.tool_choice;
+  if (!body.tools?.length || !choice || choice === 'none' || choice === 'auto') return null;
+  const name = choice.function?.name || body.tools[0].function.name;
+  return { id: `call_mock_${Date.now()}`, name, arguments: JSON.stringify({ input: lastUserText(body.messages) }) };
+}
+
+/**
+ * OpenAI / Azure chat completions.
+ */
+function handleChatCompletions(body, res) {
+  const tool = forcedTool(body);
+  const reply = tool ? tool.arguments : `Echo: ${lastUserText(body.messages)}`;
+  const usage = {
+    prompt_tokens: estimateTokens(promptText(body)),
+    completion_tokens: estimateTokens(reply),
+  };
+  usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+  const id = `chatcmpl-mock-${Date.now()}`;
+  const created = Math.floor(Date.now() / 1000);
+
+  if (!body.stream) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({
+      id,
+      object: 'chat.completion',
+      created,
+      model: body.model,
+      choices: [{
+        index: 0,
+        message: tool
+          ? { role: 'assistant', content: null, tool_calls: [{ id: tool.id, type: 'function', function: { name: tool.name, arguments: tool.arguments } }] }
+          : { role: 'assistant', content: reply },
+        finish_reason: tool ? 'tool_calls' : 'stop',
+      }],
+      usage,
+    }));
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  const chunk = (delta, finishReason = null) => ({
+    id, object: 'chat.completion.chunk', created, model: body.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+  });
+  if (tool) {
+    writeSSE(res, chunk({
+      role: 'assistant',
+      content: null,
+      tool_calls: [{ index: 0, id: tool.id, type: 'function', function: { name: tool.name, arguments: '' } }],
+    }));
+    for (const part of tool.arguments.match(/.{1,8}/g)) {
+      writeSSE(res, chunk({ tool_calls: [{ index: 0, function: { arguments: part } }] }));
+    }
+    writeSSE(res, chunk({}, 'tool_calls'));
+  } else {
+    writeSSE(res, chunk({ role: 'assistant', content: '' }));
+    for (const word of reply.split(/(?<= )/)) {
+      writeSSE(res, chunk({ content: word }));
+    }
+    writeSSE(res, chunk({}, 'stop'));
+  }
+  if (body.stream_options?.include_usage) {
+    writeSSE(res, { id, object: 'chat.completion.chunk', created, model: body.model, choices: [], usage });
+  }
+  writeSSE(res, '[DONE]');
+  res.end();
+}
+
+/**
+ * OpenAI / Azure embeddings: a small deterministic vector per input.
+ */
+function handleEmbeddings(body, res) {
+  const inputs = typeof body.input === 'string' || Number.isInteger(body.input?.[0]) ? [body.input] : (body.input || []);
+  const dimensions = body.dimensions || 8;
+  const data = inputs.map((input, index) => {
+    const text = typeof input === 'string' ? input : input.join(',');
+    const embedding = Array.from({ length: dimensions }, (_, i) => ((text.charCodeAt(i % (text.length || 1)) || 0) % 100) / 100);
+    return { object: 'embedding', index, embedding };
+  });
+  const promptTokens = inputs.reduce((sum, input) => sum + (typeof input === 'string' ? estimateTokens(input) : input.length), 0);
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    object: 'list',
+    data,
+    model: body.model,
+    usage: { prompt_tokens: promptTokens, total_tokens: promptTokens },
+  }));
+}
+
+/**
+ * Anthropic Messages API.
+ */
+function handleMessages(body, res) {
+  const reply = `Echo: ${lastUserText(body.messages)}`;
+  const usage = {
+    input_tokens: estimateTokens(promptText(body)),
+    output_tokens: estimateTokens(reply),
+  };
+  const message = {
+    id: `msg_mock_${Date.now()}`,
+    type: 'message',
+    role: 'assistant',
+    model: body.model,
+    content: [{ type: 'text', text: reply }],
+    stop_reason: 'end_turn',
+    stop_sequence: null,
+    usage,
+  };
+
+  if (!body.stream) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify(message));
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  writeSSE(res, {
+    type: 'message_start',
+    message: { ...message, content: [], stop_reason: null, usage: { input_tokens: usage.input_tokens, output_tokens: 0 } },
+  }, 'message_start');
+  writeSSE(res, { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }, 'content_block_start');
+  for (const word of reply.split(/(?<= )/)) {
+    writeSSE(res, { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: word } }, 'content_block_delta');
+  }
+  writeSSE(res, { type: 'content_block_stop', index: 0 }, 'content_block_stop');
+  writeSSE(res, {
+    type: 'message_delta',
+    delta: { stop_reason: 'end_turn', stop_sequence: null },
+    usage: { output_tokens: usage.output_tokens },
+  }, 'message_delta');
+  writeSSE(res, { type: 'message_stop' }, 'message_stop');
+  res.end();
+}
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    let body = {};
+    try {
+      body = raw ? JSON.parse(raw) : {};
+    } catch {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: 'Invalid JSON body' } }));
+    }
+
+    const path = req.url.split('?')[0];
+    console.log(`${req.method} ${path} model=${body.model || '-'} stream=${!!body.stream}`);
+
+    const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (REJECT_TOKENS.includes(bearer)) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: 'Mock upstream rejected token' } }));
+    }
+    if (FAIL_MODELS.length && FAIL_MODELS.includes(body.model)) {
+      const status = FORCED_STATUS || 503;
+      res.writeHead(status, { 'Content-Type': 'application/json', 'Retry-After': '1' });
+      return res.end(JSON.stringify({ error: { message: `Mock upstream forced ${status} for ${body.model}` } }));
+    }
+    if (FORCED_STATUS >= 400) {
+      res.writeHead(FORCED_STATUS, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: `Mock upstream forced ${FORCED_STATUS}` } }));
+    }
+
+    if (req.method === 'POST' && /\/chat\/completions$/.test(path)) {
+      return handleChatCompletions(body, res);
+    }
+    if (req.method === 'POST' && /\/embeddings$/.test(path)) {
+      return handleEmbeddings(body, res);
+    }
+    if (req.method === 'POST' && path === '/v1/messages') {
+      return handleMessages(body, res);
+    }
+
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { message: `Mock upstream has no route for ${req.method} ${path}` } }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Mock upstream listening on http://localhost:${PORT}`);
+});
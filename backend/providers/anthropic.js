@@ -0,0 +1,276 @@
+const { readSSE, formatSSE } = require('./sse');
+const { decryptToken } = require('../utils/tokenCrypto');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 4096;
+
+const STOP_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+};
+
+/**
+ * Convert OpenAI message content (string or parts array) to Anthropic blocks.
+ */
+function toAnthropicContent(content) {
+  if (typeof content === 'string') {
+    return [{ type: 'text', text: content }];
+  }
+  return (content || []).map(part => {
+    if (part.type === 'image_url') {
+      const url = part.image_url?.url || '';
+      const match = url.match(/^data:([^;]+);base64,(.*)$/);
+      return match
+        ? { type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } }
+        : { type: 'image', source: { type: 'url', url } };
+    }
+    return { type: 'text', text: part.text || '' };
+  });
+}
+
+function parseToolArguments(args) {
+  try {
+    return typeof args === 'string' ? JSON.parse(args || '{}') : (args || {});
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Translate an OpenAI chat completions body into an Anthropic Messages body.
+ */
+function toAnthropicRequest(body) {
+  const system = [];
+  const messages = [];
+
+  const push = (role, blocks) => {
+    const last = messages[messages.length - 1];
+    // Anthropic requires alternating roles — merge consecutive turns
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      messages.push({ role, content: blocks });
+    }
+  };
+
+  for (const m of body.messages || []) {
+    if (m.role === 'system' || m.role === 'developer') {
+      system.push(...toAnthropicContent(m.content).filter(b => b.type === 'text'));
+    } else if (m.role === 'tool') {
+      push('user', [{
+        type: 'tool_result',
+        tool_use_id: m.tool_call_id,
+        content: typeof m.content === 'string' ? m.content : toAnthropicContent(m.content),
+      }]);
+    } else if (m.role === 'assistant') {
+      const blocks = m.content ? toAnthropicContent(m.content) : [];
+      for (const call of m.tool_calls || []) {
+        blocks.push({
+          type: 'tool_use',
+          id: call.id,
+          name: call.function?.name,
+          input: parseToolArguments(call.function?.arguments),
+        });
+      }
+      push('assistant', blocks);
+    } else {
+      push('user', toAnthropicContent(m.content));
+    }
+  }
+
+  const request = {
+    model: body.model,
+    messages,
+    max_tokens: body.max_tokens || body.max_completion_tokens || DEFAULT_MAX_TOKENS,
+    ...(system.length && { system }),
+    ...(body.temperature !== undefined && { temperature: body.temperature }),
+    ...(body.top_p !== undefined && { top_p: body.top_p }),
+    ...(body.stop && { stop_sequences: Array.isArray(body.stop) ? body.stop : [body.stop] }),
+    ...(body.stream && { stream: true }),
+  };
+
+  if (Array.isArray(body.tools) && body.tools.length) {
+    request.tools = body.tools.map(t => ({
+      name: t.function?.name,
+      description: t.function?.description,
+      input_schema: t.function?.parameters || { type: 'object', properties: {} },
+    }));
+
+    const choice = body.tool_choice;
+    if (choice === 'required') {
+      request.tool_choice = { type: 'any' };
+    } else if (choice === 'none') {
+      request.tool_choice = { type: 'none' };
+    } else if (choice && typeof choice === 'object' && choice.function?.name) {
+      request.tool_choice = { type: 'tool', name: choice.function.name };
+    } else if (choice === 'auto') {
+      request.tool_choice = { type: 'auto' };
+    }
+  }
+
+  return request;
+}
+
+function toOpenAIUsage(usage) {
+  if (!usage) return undefined;
+  const prompt = (usage.input_tokens || 0)
+    + (usage.cache_creation_input_tokens || 0)
+    + (usage.cache_read_input_tokens || 0);
+  const completion = usage.output_tokens || 0;
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+/**
+ * Translate an Anthropic Messages response into an OpenAI chat completion.
+ */
+function toOpenAIResponse(message) {
+  const text = (message.content || [])
+    .filter(b => b.type === 'text')
+    .map(b => b.text)
+    .join('');
+  const toolCalls = (message.content || [])
+    .filter(b => b.type === 'tool_use')
+    .map(b => ({
+      id: b.id,
+      type: 'function',
+      function: { name: b.name, arguments: JSON.stringify(b.input || {}) },
+    }));
+
+  return {
+    id: message.id,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: message.model,
+    choices: [{
+      index: 0,
+      message: {
+        role: 'assistant',
+        content: text || null,
+        ...(toolCalls.length && { tool_calls: toolCalls }),
+      },
+      finish_reason: STOP_REASONS[message.stop_reason] || 'stop',
+    }],
+    usage: toOpenAIUsage(message.usage),
+  };
+}
+
+/**
+ * Translate an Anthropic event stream into OpenAI chat.completion.chunk SSE.
+ */
+function toOpenAIStream(body, includeUsage) {
+  const encoder = new TextEncoder();
+
+  return new ReadableStream({
+    async start(controller) {
+      const send = (data) => controller.enqueue(encoder.encode(formatSSE(data)));
+      let id = null;
+      let model = null;
+      let usage = {};
+      const toolIndexes = {};
+
+      const chunk = (delta, finishReason = null) => ({
+        id,
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }],
+      });
+
+      try {
+        for await (const { data } of readSSE(body)) {
+          let evt;
+          try {
+            evt = JSON.parse(data);
+          } catch {
+            continue;
+          }
+
+          if (evt.type === 'message_start') {
+            id = evt.message.id;
+            model = evt.message.model;
+            usage = { ...evt.message.usage };
+            send(chunk({ role: 'assistant', content: '' }));
+          } else if (evt.type === 'content_block_start' && evt.content_block.type === 'tool_use') {
+            toolIndexes[evt.index] = Object.keys(toolIndexes).length;
+            send(chunk({
+              tool_calls: [{
+                index: toolIndexes[evt.index],
+                id: evt.content_block.id,
+                type: 'function',
+                function: { name: evt.content_block.name, arguments: '' },
+              }],
+            }));
+          } else if (evt.type === 'content_block_delta' && evt.delta.type === 'text_delta') {
+            send(chunk({ content: evt.delta.text }));
+          } else if (evt.type === 'content_block_delta' && evt.delta.type === 'input_json_delta') {
+            send(chunk({
+              tool_calls: [{ index: toolIndexes[evt.index], function: { arguments: evt.delta.partial_json } }],
+            }));
+          } else if (evt.type === 'message_delta') {
+            usage = { ...usage, ...evt.usage };
+            send(chunk({}, STOP_REASONS[evt.delta?.stop_reason] || 'stop'));
+          } else if (evt.type === 'error') {
+            send({ error: evt.error });
+          }
+        }
+
+        if (includeUsage) {
+          send({ ...chunk({}), choices: [], usage: toOpenAIUsage(usage) });
+        }
+        controller.enqueue(encoder.encode(formatSSE('[DONE]')));
+      } catch (err) {
+        controller.error(err);
+        return;
+      }
+      controller.close();
+    },
+  });
+}
+
+/**
+ * Anthropic Messages API upstream adapter.
+ * Accepts OpenAI chat bodies and answers with OpenAI-shaped Responses,
+ * so routes can treat every provider the same way.
+ */
+function createAnthropicAdapter({ baseUrl }) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  return {
+    type: 'anthropic',
+
+    async chatCompletions(body, { apiKey, signal } = {}) {
+      const apiRes = await fetch(`${root}/v1/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'anthropic-version': ANTHROPIC_VERSION,
+          ...(apiKey && { 'x-api-key': decryptToken(apiKey) }),
+        },
+        body: JSON.stringify(toAnthropicRequest(body)),
+        signal,
+      });
+
+      if (!apiRes.ok) {
+        return apiRes;
+      }
+
+      if (body.stream) {
+        const includeUsage = !!body.stream_options?.include_usage;
+        return new Response(toOpenAIStream(apiRes.body, includeUsage), {
+          status: 200,
+          headers: { 'Content-Type': 'text/event-stream' },
+        });
+      }
+
+      const message = await apiRes.json();
+      return new Response(JSON.stringify(toOpenAIResponse(message)), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    },
+  };
+}
+
+module.exports = { createAnthropicAdapter, toAnthropicRequest, toOpenAIResponse };
@@ -0,0 +1,39 @@
+const { decryptToken } = require('../utils/tokenCrypto');
+
+/**
+ * Azure OpenAI upstream adapter.
+ * Azure addresses models by deployment name in the URL and authenticates
+ * with an `api-key` header; the request/response schema is OpenAI's.
+ */
+function createAzureAdapter({ baseUrl, apiVersion }) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  const post = (operation, body, { apiKey, signal } = {}) => {
+    const deployment = encodeURIComponent(body.model);
+    const url = `${root}/openai/deployments/${deployment}/${operation}?api-version=${encodeURIComponent(apiVersion)}`;
+
+    return fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { 'api-key': decryptToken(apiKey) }),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+  };
+
+  return {
+    type: 'azure',
+
+    chatCompletions(body, options) {
+      return post('chat/completions', body, options);
+    },
+
+    embeddings(body, options) {
+      return post('embeddings', body, options);
+    },
+  };
+}
+
+module.exports = { createAzureAdapter };
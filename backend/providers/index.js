@@ -0,0 +1,113 @@
+const { createOpenAIAdapter } = require('./openai');
+const { createAzureAdapter } = require('./azure');
+const { createAnthropicAdapter } = require('./anthropic');
+const { canDecryptToken } = require('../utils/tokenCrypto');
+
+const ADAPTER_FACTORIES = {
+  openai: createOpenAIAdapter,
+  azure: createAzureAdapter,
+  anthropic: createAnthropicAdapter,
+};
+
+/**
+ * Upstream providers the proxy can route models to.
+ * A provider without a base URL is disabled.
+ *
+ * `credential` is the default credential for models served by the provider:
+ *   'owner'    — the device owner's stored GitHub token
+ *   'env:NAME' — a server-wide key read from process.env.NAME
+ *   'none'     — no Authorization header (e.g. a local Ollama server)
+ */
+const UPSTREAM_PROVIDERS = {
+  github: {
+    type: 'openai',
+    baseUrl: process.env.GITHUB_MODELS_API_URL || 'https://models.github.ai/inference',
+    credential: 'owner',
+  },
+  azure: {
+    type: 'azure',
+    baseUrl: process.env.AZURE_OPENAI_ENDPOINT || '',
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+    credential: 'env:AZURE_OPENAI_API_KEY',
+  },
+  anthropic: {
+    type: 'anthropic',
+    baseUrl: process.env.ANTHROPIC_API_URL || (process.env.ANTHROPIC_API_KEY ? 'https://api.anthropic.com' : ''),
+    credential: 'env:ANTHROPIC_API_KEY',
+  },
+  local: {
+    type: 'openai',
+    baseUrl: process.env.OPENAI_COMPAT_API_URL || '',
+    credential: process.env.OPENAI_COMPAT_API_KEY ? 'env:OPENAI_COMPAT_API_KEY' : 'none',
+  },
+};
+
+const adapters = {};
+
+/**
+ * Get (and memoize) the adapter for a configured provider, or null.
+ */
+function getAdapter(providerName) {
+  const config = UPSTREAM_PROVIDERS[providerName];
+  if (!config || !config.baseUrl) return null;
+  if (!adapters[providerName]) {
+    adapters[providerName] = ADAPTER_FACTORIES[config.type](config);
+  }
+  return adapters[providerName];
+}
+
+/**
+ * Resolve a credential reference to an API key.
+ * Returns undefined when the credential is not available.
+ *
+ * Owner tokens stay encrypted (see utils/tokenCrypto.js); adapters
+ * decrypt them only when building the upstream request.
+ */
+function resolveCredential(credential, owner) {
+  if (credential === 'none') return null;
+  if (credential === 'owner') {
+    const token = owner?.github_access_token;
+    return token && canDecryptToken(token) ? token : undefined;
+  }
+  if (credential?.startsWith('env:')) return process.env[credential.slice(4)] || undefined;
+  return undefined;
+}
+
+/**
+ * Work out which provider, upstream model name and API key serve a model.
+ * `modelEntry` is a model catalog entry (unknown models route to GitHub).
+ *
+ * Returns { providerName, adapter, upstreamModel, credential, apiKey } or { error },
+ * where `credential` is the credential reference the key was resolved from.
+ */
+function resolveModelRoute(modelEntry, owner) {
+  const providerName = modelEntry.upstream || 'github';
+  const adapter = getAdapter(providerName);
+  if (!adapter) {
+    return { error: `Upstream provider "${providerName}" is not configured on the server.` };
+  }
+
+  const credential = modelEntry.credential || UPSTREAM_PROVIDERS[providerName].credential;
+  const apiKey = resolveCredential(credential, owner);
+  if (apiKey === undefined) {
+    return {
+      error: credential === 'owner'
+        ? 'AI proxy not available. Account owner must sign in via GitHub on the dashboard to enable model access.'
+        : `No credential configured for upstream provider "${providerName}".`,
+    };
+  }
+
+  return {
+    providerName,
+    adapter,
+    upstreamModel: modelEntry.upstream_model || modelEntry.id,
+    credential,
+    apiKey,
+  };
+}
+
+module.exports = {
+  UPSTREAM_PROVIDERS,
+  getAdapter,
+  resolveModelRoute,
+};
@@ -0,0 +1,47 @@
+const { decryptToken } = require('../utils/tokenCrypto');
+
+/**
+ * OpenAI-compatible upstream adapter.
+ * Serves GitHub Models, OpenAI itself and self-hosted servers that speak
+ * the OpenAI schema (Ollama, vLLM, LM Studio, ...).
+ */
+function createOpenAIAdapter({ baseUrl }) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  return {
+    type: 'openai',
+
+    /**
+     * POST an OpenAI chat completions body upstream.
+     * Returns the raw fetch Response (JSON or SSE, already OpenAI-shaped).
+     */
+    chatCompletions(body, { apiKey, signal } = {}) {
+      return fetch(`${root}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { Authorization: `Bearer ${decryptToken(apiKey)}` }),
+        },
+        body: JSON.stringify(body),
+        signal,
+      });
+    },
+
+    /**
+     * POST an OpenAI embeddings body upstream.
+     */
+    embeddings(body, { apiKey, signal } = {}) {
+      return fetch(`${root}/embeddings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { Authorization: `Bearer ${decryptToken(apiKey)}` }),
+        },
+        body: JSON.stringify(body),
+        signal,
+      });
+    },
+  };
+}
+
+module.exports = { createOpenAIAdapter };
@@ -0,0 +1,62 @@
+/**
+ * Parse a Server-Sent Events body into { event, data } records.
+ * Handles events split across network chunks. Leaving the loop early
+ * cancels the body, which closes the upstream connection.
+ */
+async function* readSSE(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = null;
+  let dataLines = [];
+
+  const flush = () => {
+    const record = dataLines.length ? { event, data: dataLines.join('\n') } : null;
+    event = null;
+    dataLines = [];
+    return record;
+  };
+
+  let finished = false;
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let newlineIdx;
+      while ((newlineIdx = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.substring(0, newlineIdx).replace(/\r$/, '');
+        buffer = buffer.substring(newlineIdx + 1);
+
+        if (line === '') {
+          const record = flush();
+          if (record) yield record;
+        } else if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+      }
+    }
+    finished = true;
+  } finally {
+    if (!finished) reader.cancel().catch(() => {});
+  }
+
+  if (buffer.trim().startsWith('data:')) {
+    dataLines.push(buffer.trim().slice(5).replace(/^ /, ''));
+  }
+  const record = flush();
+  if (record) yield record;
+}
+
+/**
+ * Format one SSE `data:` record.
+ */
+function formatSSE(data, event = null) {
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  return `${event ? `event: ${event}\n` : ''}data: ${payload}\n\n`;
+}
+
+module.exports = { readSSE, formatSSE };
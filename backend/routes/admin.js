@@ -2,7 +2,19 @@ const express = require('express');
 const router = express.Router();
 const supabase = require('../config/supabase');
 const { authenticateAdmin } = require('../middleware/auth');
-const { generateAdminToken, generateInviteCode, generateUserToken, hashPassword, getCurrentMonth } = require('../utils/helpers');
+const { generateAdminToken, generateInviteCode, generateUserToken, hashPassword } = require('../utils/helpers');
+const { normalizeModelId, refreshModelCatalog } = require('../utils/modelCatalog');
+const { parseModelPolicy } = require('../utils/modelPolicy');
+const { parseRateLimits } = require('../utils/rateLimits');
+const { parseRolloverPolicy, getPeriodAllocation, rolloverPeriod, resetPeriod, listMonthCloseSummaries } = require('../utils/rollover');
+const {
+  getBillingPeriod, getCurrentPeriod, parseBillingPeriod, saveBillingPeriod, parseUsageLimits,
+} = require('../utils/billingPeriods');
+const { DLP_RULE_FIELDS, parseDlpRule, mergeDlpRules, loadDlpRuleRows, invalidateDlpRules } = require('../utils/dlp');
+const {
+  PROMPT_TEMPLATE_KINDS, MAX_TEMPLATE_CHARS, parseTemplateContent, loadCurrentTemplates,
+  listTemplateVersions, savePromptTemplate, templatesByKind,
+} = require('../utils/promptTemplates');
 
 /**
  * POST /api/admin/login
@@ -66,7 +78,7 @@ router.post('/login', async (req, res) => {
  */
 router.get('/dashboard', authenticateAdmin, async (req, res) => {
   try {
-    const currentMonth = getCurrentMonth();
+    const periodKey = getCurrentPeriod().key;
 
     // Get all users
     const { data: users } = await supabase
@@ -84,7 +96,7 @@ router.get('/dashboard', authenticateAdmin, async (req, res) => {
     const { data: allocations } = await supabase
       .from('token_allocations')
       .select('*')
-      .eq('month_year', currentMonth);
+      .eq('month_year', periodKey);
 
     const allocMap = {};
     allocations?.forEach(a => { allocMap[a.device_id] = a; });
@@ -104,6 +116,8 @@ router.get('/dashboard', authenticateAdmin, async (req, res) => {
           name: d.device_name,
           fingerprint: d.hardware_fingerprint,
           is_blocked: d.is_blocked,
+          model_policy: d.model_policy || null,
+          usage_limits: d.usage_limits || null,
           last_seen: d.last_seen_at,
           created_at: d.created_at,
           allocation: {
@@ -127,6 +141,10 @@ router.get('/dashboard', authenticateAdmin, async (req, res) => {
         avatar_url: u.avatar_url,
         monthly_token_budget: u.monthly_token_budget,
         max_devices: u.max_devices,
+        model_policy: u.model_policy || null,
+        rate_limits: u.rate_limits || null,
+        rollover_policy: u.rollover_policy || null,
+        usage_limits: u.usage_limits || null,
         created_at: u.created_at,
         last_login: u.last_login_at,
         device_count: deviceList.length,
@@ -148,7 +166,9 @@ router.get('/dashboard', authenticateAdmin, async (req, res) => {
     const totalAllocated = allDevices.reduce((s, d) => s + d.allocation.allocated, 0);
 
     res.json({
-      month: currentMonth,
+      month: periodKey,
+      period: getCurrentPeriod(),
+      billing_period: getBillingPeriod(),
       budget: {
         total: totalBudget,
         allocated: totalAllocated,
@@ -178,7 +198,7 @@ router.get('/dashboard', authenticateAdmin, async (req, res) => {
  */
 router.get('/devices', authenticateAdmin, async (req, res) => {
   try {
-    const currentMonth = getCurrentMonth();
+    const periodKey = getCurrentPeriod().key;
 
     const { data: devices } = await supabase
       .from('devices')
@@ -188,7 +208,7 @@ router.get('/devices', authenticateAdmin, async (req, res) => {
     const { data: allocations } = await supabase
       .from('token_allocations')
       .select('*')
-      .eq('month_year', currentMonth);
+      .eq('month_year', periodKey);
 
     const allocMap = {};
     allocations?.forEach(a => { allocMap[a.device_id] = a; });
@@ -232,16 +252,45 @@ router.get('/users', authenticateAdmin, async (req, res) => {
 
 /**
  * PUT /api/admin/users/:id
- * Update user settings (budget, max_devices, role, active)
+ * Update user settings (budget, max_devices, role, active, model_policy, rate_limits,
+ * rollover_policy)
  */
 router.put('/users/:id', authenticateAdmin, async (req, res) => {
   try {
-    const { monthly_token_budget, max_devices, role, is_active } = req.body;
+    const { monthly_token_budget, max_devices, role, is_active, model_policy, rate_limits, rollover_policy, usage_limits } = req.body;
     const updates = {};
     if (monthly_token_budget !== undefined) updates.monthly_token_budget = monthly_token_budget;
     if (max_devices !== undefined) updates.max_devices = max_devices;
     if (role !== undefined) updates.role = role;
     if (is_active !== undefined) updates.is_active = is_active;
+    if (model_policy !== undefined) {
+      const { policy, error } = parseModelPolicy(model_policy);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updates.model_policy = policy;
+    }
+    if (rate_limits !== undefined) {
+      const { limits, error } = parseRateLimits(rate_limits);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updates.rate_limits = limits;
+    }
+    if (rollover_policy !== undefined) {
+      const { policy, error } = parseRolloverPolicy(rollover_policy);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updates.rollover_policy = policy;
+    }
+    if (usage_limits !== undefined) {
+      const { limits, error } = parseUsageLimits(usage_limits);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updates.usage_limits = limits;
+    }
 
     const { data, error } = await supabase
       .from('users')
@@ -347,6 +396,454 @@ router.delete('/invites/:id', authenticateAdmin, async (req, res) => {
   }
 });
 
+// ── Model Catalog ─────────────────────────────────────────
+
+const MODEL_FIELDS = [
+  'display_name', 'provider', 'description', 'kind', 'cost', 'is_free', 'input_rate', 'output_rate',
+  'context_window', 'aliases', 'fallbacks', 'is_enabled', 'proxy_enabled', 'upstream', 'upstream_model', 'credential', 'sort_order',
+];
+
+/**
+ * Helper: Pick and validate editable model fields from a request body.
+ * Returns { updates } or { error }.
+ */
+function parseModelFields(body) {
+  const updates = {};
+  for (const field of MODEL_FIELDS) {
+    if (body[field] !== undefined) updates[field] = body[field];
+  }
+
+  if (updates.kind !== undefined && !['chat', 'embedding'].includes(updates.kind)) {
+    return { error: "kind must be 'chat' or 'embedding'" };
+  }
+  if (updates.cost !== undefined && (!Number.isInteger(updates.cost) || updates.cost < 0)) {
+    return { error: 'cost must be a non-negative integer' };
+  }
+  for (const rate of ['input_rate', 'output_rate']) {
+    if (updates[rate] !== undefined && updates[rate] !== null && !(Number(updates[rate]) >= 0)) {
+      return { error: `${rate} must be a non-negative number` };
+    }
+  }
+  if (updates.context_window !== undefined && updates.context_window !== null
+    && !(Number.isInteger(updates.context_window) && updates.context_window > 0)) {
+    return { error: 'context_window must be a positive integer or null' };
+  }
+  for (const list of ['aliases', 'fallbacks']) {
+    if (updates[list] === undefined) continue;
+    if (!Array.isArray(updates[list]) || updates[list].some(a => typeof a !== 'string')) {
+      return { error: `${list} must be an array of strings` };
+    }
+    updates[list] = [...new Set(updates[list].map(normalizeModelId).filter(Boolean))];
+  }
+  return { updates };
+}
+
+/**
+ * GET /api/admin/models
+ * List the model catalog, including disabled models
+ */
+router.get('/models', authenticateAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('models')
+      .select('*')
+      .order('sort_order', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch models' });
+    }
+
+    res.json({ models: data || [] });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch models' });
+  }
+});
+
+/**
+ * POST /api/admin/models
+ * Add a model to the catalog
+ */
+router.post('/models', authenticateAdmin, async (req, res) => {
+  try {
+    const id = normalizeModelId(req.body.id);
+    if (!id) {
+      return res.status(400).json({ error: 'id is required' });
+    }
+
+    const { updates, error: invalid } = parseModelFields(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { data, error } = await supabase
+      .from('models')
+      .insert({ display_name: id, ...updates, id })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(409).json({ error: `Failed to add model: ${error.message}` });
+    }
+
+    await refreshModelCatalog();
+    res.status(201).json({ success: true, model: data });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to add model' });
+  }
+});
+
+/**
+ * PUT /api/admin/models/:id
+ * Update costs, aliases, routing or enable/disable a model
+ */
+router.put('/models/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const { updates, error: invalid } = parseModelFields(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { data, error } = await supabase
+      .from('models')
+      .update(updates)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    await refreshModelCatalog();
+    res.json({ success: true, model: data });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update model' });
+  }
+});
+
+/**
+ * DELETE /api/admin/models/:id
+ * Remove a model (usage of it is then charged as "other")
+ */
+router.delete('/models/:id', authenticateAdmin, async (req, res) => {
+  try {
+    if (req.params.id === 'other') {
+      return res.status(400).json({ error: 'The "other" fallback model cannot be deleted' });
+    }
+
+    await supabase.from('models').delete().eq('id', req.params.id);
+    await refreshModelCatalog();
+    res.json({ success: true, message: 'Model deleted' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete model' });
+  }
+});
+
+/**
+ * GET /api/admin/dlp/rules
+ * Effective global DLP rules (built-in + global overrides),
+ * or an owner's effective rules with ?user_id=
+ */
+router.get('/dlp/rules', authenticateAdmin, async (req, res) => {
+  try {
+    const rules = mergeDlpRules(await loadDlpRuleRows(req.query.user_id || null));
+    res.json({ rules });
+  } catch (error) {
+    console.error('Admin DLP rules error:', error);
+    res.status(500).json({ error: 'Failed to fetch DLP rules' });
+  }
+});
+
+/**
+ * POST /api/admin/dlp/rules
+ * Add a global rule, or a rule for one owner with `user_id`
+ */
+router.post('/dlp/rules', authenticateAdmin, async (req, res) => {
+  try {
+    const { rule, error: invalid } = parseDlpRule(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { data, error } = await supabase
+      .from('dlp_rules')
+      .insert({ ...rule, user_id: req.body.user_id || null })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(409).json({ error: `Failed to add rule: ${error.message}` });
+    }
+
+    invalidateDlpRules();
+    res.status(201).json({ success: true, rule: data });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to add DLP rule' });
+  }
+});
+
+/**
+ * PUT /api/admin/dlp/rules/:id
+ * Update any DLP rule
+ */
+router.put('/dlp/rules/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const { data: existing } = await supabase
+      .from('dlp_rules')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (!existing) {
+      return res.status(404).json({ error: 'DLP rule not found' });
+    }
+
+    const current = Object.fromEntries(DLP_RULE_FIELDS.map(field => [field, existing[field]]));
+    const { rule, error: invalid } = parseDlpRule({ ...current, ...req.body });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { data, error } = await supabase
+      .from('dlp_rules')
+      .update({ ...rule, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(409).json({ error: `Failed to update rule: ${error.message}` });
+    }
+
+    invalidateDlpRules();
+    res.json({ success: true, rule: data });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update DLP rule' });
+  }
+});
+
+/**
+ * DELETE /api/admin/dlp/rules/:id
+ * Remove a DLP rule (an overridden built-in rule applies again)
+ */
+router.delete('/dlp/rules/:id', authenticateAdmin, async (req, res) => {
+  try {
+    await supabase.from('dlp_rules').delete().eq('id', req.params.id);
+    invalidateDlpRules();
+    res.json({ success: true, message: 'DLP rule deleted' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete DLP rule' });
+  }
+});
+
+/**
+ * GET /api/admin/dlp/events
+ * Recent DLP matches across all owners (?user_id= to filter)
+ */
+router.get('/dlp/events', authenticateAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    let query = supabase
+      .from('dlp_events')
+      .select('*, devices(device_name), users(display_name)')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (req.query.user_id) query = query.eq('user_id', req.query.user_id);
+
+    const { data: events } = await query;
+    res.json({ events: events || [] });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch DLP events' });
+  }
+});
+
+// ── Transcripts ───────────────────────────────────────────
+
+/**
+ * GET /api/admin/transcripts
+ * Transcripts across all owners, without bodies (?user_id=, ?device_id=, ?limit=, ?offset=)
+ */
+router.get('/transcripts', authenticateAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    let query = supabase
+      .from('transcripts')
+      .select('id, user_id, device_id, usage_log_id, model_type, requested_model, request_type, prompt_tokens, completion_tokens, latency_ms, created_at, devices(device_name), users(display_name)')
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (req.query.user_id) query = query.eq('user_id', req.query.user_id);
+    if (req.query.device_id) query = query.eq('device_id', req.query.device_id);
+
+    const { data: transcripts } = await query;
+    res.json({ transcripts: transcripts || [] });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch transcripts' });
+  }
+});
+
+/**
+ * GET /api/admin/transcripts/:id
+ * One transcript with its request and response
+ */
+router.get('/transcripts/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const { data: transcript } = await supabase
+      .from('transcripts')
+      .select('*, devices(device_name), users(display_name)')
+      .eq('id', req.params.id)
+      .single();
+
+    if (!transcript) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+    res.json({ transcript });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch transcript' });
+  }
+});
+
+// ── Prompt templates ──────────────────────────────────────
+
+/**
+ * GET /api/admin/prompt-templates
+ * Current organisation-wide instructions, by kind
+ */
+router.get('/prompt-templates', authenticateAdmin, async (req, res) => {
+  try {
+    const rows = await loadCurrentTemplates(null);
+    res.json({ organization: templatesByKind(rows), max_chars: MAX_TEMPLATE_CHARS });
+  } catch (error) {
+    console.error('Admin prompt templates error:', error);
+    res.status(500).json({ error: 'Failed to fetch prompt templates' });
+  }
+});
+
+/**
+ * PUT /api/admin/prompt-templates/:kind
+ * Save a new version of the organisation's chat or completion instructions
+ * (an empty content turns them off)
+ */
+router.put('/prompt-templates/:kind', authenticateAdmin, async (req, res) => {
+  try {
+    const { kind } = req.params;
+    if (!PROMPT_TEMPLATE_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${PROMPT_TEMPLATE_KINDS.join(', ')}` });
+    }
+
+    const { content, error: invalid } = parseTemplateContent(req.body.content);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const template = await savePromptTemplate({ scope: 'organization', kind, content, createdBy: 'admin' });
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Admin save prompt template error:', error);
+    res.status(500).json({ error: 'Failed to save prompt template' });
+  }
+});
+
+/**
+ * GET /api/admin/prompt-templates/:kind/versions
+ * Version history of the organisation's instructions
+ */
+router.get('/prompt-templates/:kind/versions', authenticateAdmin, async (req, res) => {
+  try {
+    const { kind } = req.params;
+    if (!PROMPT_TEMPLATE_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${PROMPT_TEMPLATE_KINDS.join(', ')}` });
+    }
+
+    const versions = await listTemplateVersions({ scope: 'organization', kind });
+    res.json({ versions });
+  } catch (error) {
+    console.error('Admin prompt template versions error:', error);
+    res.status(500).json({ error: 'Failed to fetch prompt template versions' });
+  }
+});
+
+// ── Billing periods & rollover ────────────────────────────
+
+/**
+ * GET /api/admin/billing-period
+ * How often allocations start over, and the current period
+ */
+router.get('/billing-period', authenticateAdmin, (req, res) => {
+  res.json({ billing_period: getBillingPeriod(), current: getCurrentPeriod() });
+});
+
+/**
+ * PUT /api/admin/billing-period
+ * Change the billing period: { type, time_zone, week_start?, anchor?,
+ * length_days? }. Allocations for the new period are created as devices
+ * use them (or by the scheduler within a minute)
+ */
+router.put('/billing-period', authenticateAdmin, async (req, res) => {
+  try {
+    const { definition, error } = parseBillingPeriod(req.body.billing_period);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await saveBillingPeriod(definition);
+    res.json({ success: true, billing_period: definition, current: getCurrentPeriod() });
+  } catch (error) {
+    console.error('Billing period error:', error);
+    res.status(500).json({ error: 'Failed to update billing period' });
+  }
+});
+
+/**
+ * POST /api/admin/rollover
+ * Roll over to a billing period now instead of waiting for the scheduler:
+ * the one containing `date` (default: now), or `month` (YYYY-MM) with
+ * monthly periods. Devices that already have an allocation are left alone
+ */
+router.post('/rollover', authenticateAdmin, async (req, res) => {
+  try {
+    const { month, date } = req.body;
+    let at = new Date();
+    if (month !== undefined) {
+      if (typeof month !== 'string' || !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        return res.status(400).json({ error: 'month must be YYYY-MM' });
+      }
+      if (getBillingPeriod().type !== 'monthly') {
+        return res.status(400).json({ error: 'month only applies to monthly billing periods; send date instead' });
+      }
+      at = new Date(`${month}-15T12:00:00Z`);
+    } else if (date !== undefined) {
+      at = new Date(typeof date === 'string' ? date : NaN);
+      if (Number.isNaN(at.getTime())) {
+        return res.status(400).json({ error: 'date must be an ISO 8601 date' });
+      }
+    }
+
+    const result = await rolloverPeriod(getCurrentPeriod(at));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Rollover error:', error);
+    res.status(500).json({ error: 'Failed to roll over' });
+  }
+});
+
+/**
+ * GET /api/admin/month-close?month=<period key>&user_id=
+ * Period-close summaries per user, newest first
+ */
+router.get('/month-close', authenticateAdmin, async (req, res) => {
+  try {
+    const summaries = await listMonthCloseSummaries({
+      month: req.query.month || null,
+      userId: req.query.user_id || null,
+    });
+    res.json({ summaries });
+  } catch (error) {
+    console.error('Month close error:', error);
+    res.status(500).json({ error: 'Failed to fetch month-close summaries' });
+  }
+});
+
 // ── Existing admin endpoints (kept for backward compat) ───
 
 router.post('/allocate', authenticateAdmin, async (req, res) => {
@@ -356,14 +853,14 @@ router.post('/allocate', authenticateAdmin, async (req, res) => {
       return res.status(400).json({ error: 'device_id and tokens are required' });
     }
 
-    const currentMonth = getCurrentMonth();
+    const periodKey = getCurrentPeriod().key;
 
     if (from_device_id) {
       const { data: srcAlloc } = await supabase
         .from('token_allocations')
         .select('*')
         .eq('device_id', from_device_id)
-        .eq('month_year', currentMonth)
+        .eq('month_year', periodKey)
         .single();
 
       if (!srcAlloc) return res.status(404).json({ error: 'Source allocation not found' });
@@ -376,29 +873,17 @@ router.post('/allocate', authenticateAdmin, async (req, res) => {
         .eq('id', srcAlloc.id);
     }
 
-    let { data: tgtAlloc } = await supabase
+    // The target's allocation is created from its owner's rollover policy
+    // before the tokens are added
+    const tgtAlloc = await getPeriodAllocation(device_id, periodKey);
+    await supabase
       .from('token_allocations')
-      .select('*')
-      .eq('device_id', device_id)
-      .eq('month_year', currentMonth)
-      .single();
-
-    if (!tgtAlloc) {
-      const { data: na } = await supabase
-        .from('token_allocations')
-        .insert({ device_id, allocated_tokens: tokens, used_tokens: 0, month_year: currentMonth })
-        .select().single();
-      tgtAlloc = na;
-    } else {
-      await supabase
-        .from('token_allocations')
-        .update({ allocated_tokens: tgtAlloc.allocated_tokens + tokens })
-        .eq('id', tgtAlloc.id);
-      tgtAlloc.allocated_tokens += tokens;
-    }
+      .update({ allocated_tokens: tgtAlloc.allocated_tokens + tokens })
+      .eq('id', tgtAlloc.id);
+    tgtAlloc.allocated_tokens += tokens;
 
     await supabase.from('token_transfers').insert({
-      from_device_id, to_device_id: device_id, tokens_transferred: tokens, month_year: currentMonth, reason,
+      from_device_id, to_device_id: device_id, tokens_transferred: tokens, month_year: periodKey, reason,
     });
 
     res.json({ success: true, device_id, new_allocation: tgtAlloc.allocated_tokens, tokens_added: tokens });
@@ -413,16 +898,16 @@ router.post('/set-allocation', authenticateAdmin, async (req, res) => {
     if (!device_id || allocated_tokens === undefined) {
       return res.status(400).json({ error: 'device_id and allocated_tokens are required' });
     }
-    const currentMonth = getCurrentMonth();
+    const periodKey = getCurrentPeriod().key;
 
     let { data: alloc } = await supabase
       .from('token_allocations').select('*')
-      .eq('device_id', device_id).eq('month_year', currentMonth).single();
+      .eq('device_id', device_id).eq('month_year', periodKey).single();
 
     if (!alloc) {
       const { data: na } = await supabase
         .from('token_allocations')
-        .insert({ device_id, allocated_tokens, used_tokens: 0, month_year: currentMonth })
+        .insert({ device_id, allocated_tokens, used_tokens: 0, month_year: periodKey })
         .select().single();
       alloc = na;
     } else {
@@ -472,18 +957,19 @@ router.post('/rename-device', authenticateAdmin, async (req, res) => {
 
 router.post('/reset-monthly', authenticateAdmin, async (req, res) => {
   try {
-    const { month = getCurrentMonth(), default_tokens = 50 } = req.body;
-    const { data: devices } = await supabase.from('devices').select('id');
-    if (!devices?.length) return res.json({ success: true, message: 'No devices to reset', devices_reset: 0 });
-
-    await supabase.from('token_allocations').delete().eq('month_year', month);
-    const newAllocations = devices.map(d => ({
-      device_id: d.id, allocated_tokens: default_tokens, used_tokens: 0, month_year: month,
-    }));
-    await supabase.from('token_allocations').insert(newAllocations);
+    const { month = getCurrentPeriod().key, default_tokens = 50 } = req.body;
+    if (typeof month !== 'string' || !month) {
+      return res.status(400).json({ error: 'month must be a period key' });
+    }
+    if (!Number.isInteger(default_tokens) || default_tokens < 0) {
+      return res.status(400).json({ error: 'default_tokens must be a non-negative integer' });
+    }
 
-    res.json({ success: true, month, devices_reset: devices.length, tokens_per_device: default_tokens });
+    // Allocations start over from the rollover policies; reservations are kept
+    const result = await resetPeriod(month, default_tokens);
+    res.json({ success: true, month, devices_reset: result.devices_reset, tokens_allocated: result.tokens_allocated });
   } catch (error) {
+    console.error('Reset allocations error:', error);
     res.status(500).json({ error: 'Failed to reset allocations' });
   }
 });
@@ -0,0 +1,372 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateDevice } = require('../middleware/auth');
+const { proxyChatCompletion, validateChatParams } = require('../utils/proxyCore');
+
+/**
+ * Anthropic Messages API-compatible route.
+ * Mounted at /api/proxy/messages and /v1/messages, so Anthropic SDKs can
+ * use `<server>` as their base URL with the device token as the API key.
+ * Requests are translated to the OpenAI schema the proxy speaks, so any
+ * upstream provider can serve them.
+ */
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  429: 'rate_limit_error',
+};
+
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'refusal',
+};
+
+/**
+ * Helper: Build an Anthropic error envelope.
+ */
+function anthropicError(status, message) {
+  return { type: 'error', error: { type: ERROR_TYPES[status] || 'api_error', message } };
+}
+
+/**
+ * Middleware: Re-shape `{ error: '...' }` bodies (from the shared auth
+ * middleware and this route) into the Anthropic error envelope, and
+ * accept the device token from the `x-api-key` header Anthropic SDKs send.
+ */
+function anthropicCompat(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => json(typeof body?.error === 'string' ? anthropicError(res.statusCode, body.error) : body);
+
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${apiKey}`;
+  }
+  next();
+}
+
+/**
+ * Convert Anthropic content (string or blocks) to OpenAI content parts.
+ */
+function toOpenAIContent(content) {
+  if (typeof content === 'string') return content;
+  const parts = [];
+  for (const block of content || []) {
+    if (block.type === 'text') {
+      parts.push({ type: 'text', text: block.text });
+    } else if (block.type === 'image') {
+      const url = block.source?.type === 'base64'
+        ? `data:${block.source.media_type};base64,${block.source.data}`
+        : block.source?.url;
+      parts.push({ type: 'image_url', image_url: { url } });
+    }
+  }
+  // Plain text collapses to a string for providers without multi-part support
+  return parts.every(p => p.type === 'text') ? parts.map(p => p.text).join('') : parts;
+}
+
+/**
+ * Flatten a tool_result's content to the string OpenAI tool messages take.
+ */
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  return (content || []).filter(b => b.type === 'text').map(b => b.text).join('');
+}
+
+/**
+ * Check the shape of an Anthropic Messages body before translating it.
+ * Returns an error message (in Anthropic's `field: problem` style), or null.
+ */
+function validateMessagesRequest(body) {
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const isBlocks = (v) => Array.isArray(v) && v.every(isObject);
+
+  if (body.system !== undefined && body.system !== null && typeof body.system !== 'string' && !isBlocks(body.system)) {
+    return 'system: Input should be a valid string or list of content blocks';
+  }
+
+  for (const [i, m] of body.messages.entries()) {
+    if (!isObject(m) || !['user', 'assistant'].includes(m.role)) {
+      return `messages.${i}.role: Input should be 'user' or 'assistant'`;
+    }
+    if (typeof m.content !== 'string' && !isBlocks(m.content)) {
+      return `messages.${i}.content: Input should be a valid string or list of content blocks`;
+    }
+    if (typeof m.content === 'string') continue;
+    for (const [j, b] of m.content.entries()) {
+      if (b.type === 'tool_result' && b.content !== undefined && typeof b.content !== 'string' && !isBlocks(b.content)) {
+        return `messages.${i}.content.${j}.content: Input should be a valid string or list of content blocks`;
+      }
+    }
+  }
+
+  if (body.tools !== undefined && !(Array.isArray(body.tools) && body.tools.every(t => isObject(t) && typeof t.name === 'string' && t.name))) {
+    return 'tools: Input should be a list of tools with a name';
+  }
+  if (body.tool_choice !== undefined && !isObject(body.tool_choice)) {
+    return 'tool_choice: Input should be an object';
+  }
+  if (body.stop_sequences !== undefined && !(Array.isArray(body.stop_sequences) && body.stop_sequences.every(s => typeof s === 'string'))) {
+    return 'stop_sequences: Input should be a list of strings';
+  }
+  if (body.metadata !== undefined && !isObject(body.metadata)) {
+    return 'metadata: Input should be an object';
+  }
+  return null;
+}
+
+/**
+ * Translate an Anthropic Messages body into an OpenAI chat completions body.
+ */
+function toOpenAIRequest(body) {
+  const messages = [];
+
+  if (body.system) {
+    const system = typeof body.system === 'string'
+      ? body.system
+      : body.system.filter(b => b.type === 'text').map(b => b.text).join('\n');
+    if (system) messages.push({ role: 'system', content: system });
+  }
+
+  for (const m of body.messages) {
+    const blocks = typeof m.content === 'string' ? null : (m.content || []);
+
+    if (m.role === 'assistant') {
+      const toolCalls = (blocks || [])
+        .filter(b => b.type === 'tool_use')
+        .map(b => ({ id: b.id, type: 'function', function: { name: b.name, arguments: JSON.stringify(b.input || {}) } }));
+      const text = blocks ? blocks.filter(b => b.type === 'text').map(b => b.text).join('') : m.content;
+      messages.push({
+        role: 'assistant',
+        content: text || null,
+        ...(toolCalls.length && { tool_calls: toolCalls }),
+      });
+      continue;
+    }
+
+    // Tool results become tool messages, which must directly follow the assistant turn
+    for (const b of (blocks || []).filter(b => b.type === 'tool_result')) {
+      messages.push({
+        role: 'tool',
+        tool_call_id: b.tool_use_id,
+        content: (b.is_error ? '[error] ' : '') + toolResultText(b.content),
+      });
+    }
+
+    const rest = blocks ? blocks.filter(b => b.type !== 'tool_result') : m.content;
+    if (!blocks || rest.length) {
+      messages.push({ role: 'user', content: toOpenAIContent(rest) });
+    }
+  }
+
+  const request = {
+    model: body.model,
+    messages,
+    max_tokens: body.max_tokens,
+    stream: !!body.stream,
+    ...(body.temperature !== undefined && { temperature: body.temperature }),
+    ...(body.top_p !== undefined && { top_p: body.top_p }),
+    ...(body.stop_sequences?.length && { stop: body.stop_sequences }),
+    ...(body.metadata?.user_id && { user: body.metadata.user_id }),
+  };
+
+  if (Array.isArray(body.tools) && body.tools.length) {
+    request.tools = body.tools.map(t => ({
+      type: 'function',
+      function: { name: t.name, description: t.description, parameters: t.input_schema },
+    }));
+
+    const choice = body.tool_choice;
+    if (choice?.type === 'any') {
+      request.tool_choice = 'required';
+    } else if (choice?.type === 'tool') {
+      request.tool_choice = { type: 'function', function: { name: choice.name } };
+    } else if (choice?.type === 'none' || choice?.type === 'auto') {
+      request.tool_choice = choice.type;
+    }
+    if (choice?.disable_parallel_tool_use) {
+      request.parallel_tool_calls = false;
+    }
+  }
+
+  return request;
+}
+
+function parseToolInput(args) {
+  try {
+    return JSON.parse(args || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Translate an OpenAI chat.completion into an Anthropic message.
+ */
+function toAnthropicMessage(result, model) {
+  const choice = result.choices?.[0] || {};
+  const content = [];
+  if (choice.message?.content) {
+    content.push({ type: 'text', text: choice.message.content });
+  }
+  for (const call of choice.message?.tool_calls || []) {
+    content.push({ type: 'tool_use', id: call.id, name: call.function?.name, input: parseToolInput(call.function?.arguments) });
+  }
+
+  return {
+    id: result.id?.startsWith('msg_') ? result.id : `msg_${result.id}`,
+    type: 'message',
+    role: 'assistant',
+    model,
+    content,
+    stop_reason: STOP_REASONS[choice.finish_reason] || 'end_turn',
+    stop_sequence: null,
+    usage: {
+      input_tokens: result.usage?.prompt_tokens || 0,
+      output_tokens: result.usage?.completion_tokens || 0,
+    },
+  };
+}
+
+/**
+ * Stream transform: turn OpenAI chat.completion.chunk events into
+ * Anthropic message_start / content_block_* / message_delta events.
+ */
+function createMessageStreamTransform(model) {
+  const event = (type, data) => `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+  let started = false;
+  let blockIndex = -1;
+  let openBlock = null; // 'text' | 'tool_use'
+  let stopReason = 'end_turn';
+  let usage = null;
+
+  const closeBlock = () => {
+    if (!openBlock) return '';
+    openBlock = null;
+    return event('content_block_stop', { index: blockIndex });
+  };
+
+  return (data) => {
+    let out = '';
+
+    if (!started) {
+      started = true;
+      const id = data !== '[DONE]' && data.id ? `msg_${data.id}` : `msg_${Date.now()}`;
+      out += event('message_start', {
+        message: {
+          id, type: 'message', role: 'assistant', model, content: [],
+          stop_reason: null, stop_sequence: null, usage: { input_tokens: 0, output_tokens: 0 },
+        },
+      });
+    }
+
+    if (data === '[DONE]') {
+      out += closeBlock();
+      out += event('message_delta', {
+        delta: { stop_reason: stopReason, stop_sequence: null },
+        usage: {
+          output_tokens: usage?.completion_tokens || 0,
+          ...(usage && { input_tokens: usage.prompt_tokens }),
+        },
+      });
+      out += event('message_stop', {});
+      return out;
+    }
+
+    if (data.usage) usage = data.usage;
+    if (data.error) {
+      return out + event('error', { error: { type: 'api_error', message: data.error.message || 'Upstream error' } });
+    }
+
+    const choice = data.choices?.[0];
+    const delta = choice?.delta || {};
+
+    if (delta.content) {
+      if (openBlock !== 'text') {
+        out += closeBlock();
+        blockIndex++;
+        openBlock = 'text';
+        out += event('content_block_start', { index: blockIndex, content_block: { type: 'text', text: '' } });
+      }
+      out += event('content_block_delta', { index: blockIndex, delta: { type: 'text_delta', text: delta.content } });
+    }
+
+    for (const call of delta.tool_calls || []) {
+      if (call.id) {
+        out += closeBlock();
+        blockIndex++;
+        openBlock = 'tool_use';
+        out += event('content_block_start', {
+          index: blockIndex,
+          content_block: { type: 'tool_use', id: call.id, name: call.function?.name, input: {} },
+        });
+      }
+      if (call.function?.arguments) {
+        out += event('content_block_delta', {
+          index: blockIndex,
+          delta: { type: 'input_json_delta', partial_json: call.function.arguments },
+        });
+      }
+    }
+
+    if (choice?.finish_reason) {
+      stopReason = STOP_REASONS[choice.finish_reason] || 'end_turn';
+    }
+
+    return out || null;
+  };
+}
+
+/**
+ * POST /api/proxy/messages (also /v1/messages)
+ * Anthropic Messages API-compatible endpoint, streaming or not.
+ * Accepts the device JWT as a bearer token or `x-api-key`.
+ */
+router.post('/messages', anthropicCompat, authenticateDevice, async (req, res) => {
+  try {
+    const { model, messages, max_tokens, stream = false } = req.body;
+
+    if (!model) {
+      return res.status(400).json({ error: 'model: Field required' });
+    }
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({ error: 'messages: Field required' });
+    }
+    if (!Number.isInteger(max_tokens) || max_tokens < 1) {
+      return res.status(400).json({ error: 'max_tokens: Field required' });
+    }
+
+    const malformed = validateMessagesRequest(req.body);
+    if (malformed) {
+      return res.status(400).json({ error: malformed });
+    }
+
+    const body = toOpenAIRequest(req.body);
+    const invalid = validateChatParams(body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    // Rewrite chat responses into Anthropic messages
+    const json = res.json.bind(res);
+    res.json = (result) => json(result?.object === 'chat.completion' ? toAnthropicMessage(result, model) : result);
+
+    await proxyChatCompletion(req, res, body, {
+      requestType: stream ? 'messages-stream' : 'messages',
+      sendError: (status, message) => res.status(status).json({ error: message }),
+      transform: createMessageStreamTransform(model),
+    });
+  } catch (error) {
+    console.error('Proxy messages error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Proxy request failed' });
+    }
+  }
+});
+
+module.exports = router;
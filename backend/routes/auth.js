@@ -7,8 +7,12 @@ const {
   hashPassword,
   comparePassword,
   generateDeviceToken,
-  getCurrentMonth,
 } = require('../utils/helpers');
+const { getCurrentPeriod } = require('../utils/billingPeriods');
+const { getPeriodAllocation } = require('../utils/rollover');
+const { UPSTREAM_PROVIDERS } = require('../providers');
+const { pickGitHubCredential } = require('../utils/githubCredentials');
+const { canEncryptTokens, encryptToken } = require('../utils/tokenCrypto');
 
 const GITHUB_CLIENT_ID = process.env.GITHUB_CLIENT_ID || '';
 const GITHUB_CLIENT_SECRET = process.env.GITHUB_CLIENT_SECRET || '';
@@ -305,11 +309,11 @@ router.get('/me', authenticateUser, async (req, res) => {
       .eq('user_id', req.userId)
       .order('created_at', { ascending: true });
 
-    const currentMonth = getCurrentMonth();
+    const periodKey = getCurrentPeriod().key;
     const { data: allocations } = await supabase
       .from('token_allocations')
       .select('*')
-      .eq('month_year', currentMonth);
+      .eq('month_year', periodKey);
 
     const allocMap = {};
     allocations?.forEach(a => { allocMap[a.device_id] = a; });
@@ -344,7 +348,7 @@ router.get('/me', authenticateUser, async (req, res) => {
       },
       devices: deviceList,
       summary: {
-        month: currentMonth,
+        month: periodKey,
         total_allocated: totalAllocated,
         total_used: totalUsed,
         total_remaining: totalAllocated - totalUsed,
@@ -377,30 +381,11 @@ router.post('/link-device', authenticateUser, async (req, res) => {
       .eq('hardware_fingerprint', hardware_fingerprint)
       .single();
 
-    const currentMonth = getCurrentMonth();
+    const periodKey = getCurrentPeriod().key;
 
     if (existing) {
       // Already linked — return existing info
-      let { data: allocation } = await supabase
-        .from('token_allocations')
-        .select('*')
-        .eq('device_id', existing.id)
-        .eq('month_year', currentMonth)
-        .single();
-
-      if (!allocation) {
-        const { data: newAlloc } = await supabase
-          .from('token_allocations')
-          .insert({
-            device_id: existing.id,
-            allocated_tokens: req.user.monthly_token_budget,
-            used_tokens: 0,
-            month_year: currentMonth,
-          })
-          .select()
-          .single();
-        allocation = newAlloc;
-      }
+      const allocation = await getPeriodAllocation(existing.id, periodKey);
 
       await supabase
         .from('devices')
@@ -414,10 +399,10 @@ router.post('/link-device', authenticateUser, async (req, res) => {
         device_name: existing.device_name,
         is_blocked: existing.is_blocked,
         allocation: {
-          allocated: allocation?.allocated_tokens || req.user.monthly_token_budget,
-          used: allocation?.used_tokens || 0,
-          remaining: (allocation?.allocated_tokens || req.user.monthly_token_budget) - (allocation?.used_tokens || 0),
-          month: currentMonth,
+          allocated: allocation.allocated_tokens,
+          used: allocation.used_tokens,
+          remaining: allocation.allocated_tokens - allocation.used_tokens - (allocation.reserved_tokens || 0),
+          month: periodKey,
         },
       });
     }
@@ -457,16 +442,7 @@ router.post('/link-device', authenticateUser, async (req, res) => {
     }
 
     // Create allocation
-    const { data: allocation } = await supabase
-      .from('token_allocations')
-      .insert({
-        device_id: deviceId,
-        allocated_tokens: req.user.monthly_token_budget,
-        used_tokens: 0,
-        month_year: currentMonth,
-      })
-      .select()
-      .single();
+    const allocation = await getPeriodAllocation(deviceId, periodKey);
 
     res.status(201).json({
       message: 'Device linked successfully',
@@ -475,10 +451,10 @@ router.post('/link-device', authenticateUser, async (req, res) => {
       device_name: newDevice.device_name,
       is_blocked: false,
       allocation: {
-        allocated: req.user.monthly_token_budget,
-        used: 0,
-        remaining: req.user.monthly_token_budget,
-        month: currentMonth,
+        allocated: allocation.allocated_tokens,
+        used: allocation.used_tokens,
+        remaining: allocation.allocated_tokens - allocation.used_tokens,
+        month: periodKey,
       },
     });
   } catch (error) {
@@ -553,8 +529,14 @@ router.get('/github/callback', async (req, res) => {
     const avatar_url = ghUser.avatar_url;
     const display_name = ghUser.name || github_username;
 
-    // Store the GitHub access token for AI proxy functionality
-    const githubAccessToken = tokenData.access_token;
+    // Store the GitHub access token (encrypted) for AI proxy functionality.
+    // Without an encryption key the user still signs in, just without it
+    let githubAccessToken = null;
+    if (canEncryptTokens()) {
+      githubAccessToken = encryptToken(tokenData.access_token);
+    } else {
+      console.warn(`⚠️  TOKEN_ENCRYPTION_KEYS not set - not storing the GitHub token of ${github_username}`);
+    }
 
     // Check if user exists by github_id
     let { data: user } = await supabase
@@ -587,7 +569,7 @@ router.get('/github/callback', async (req, res) => {
         role: user.role,
         github_username: user.github_username,
         avatar_url: user.avatar_url,
-        has_copilot_proxy: true,
+        has_copilot_proxy: !!githubAccessToken,
       }))}`);
     }
 
@@ -632,7 +614,7 @@ router.get('/github/callback', async (req, res) => {
         role: 'user',
         github_username,
         avatar_url,
-        has_copilot_proxy: true,
+        has_copilot_proxy: !!githubAccessToken,
       }))}`);
     }
 
@@ -664,7 +646,7 @@ router.get('/github/callback', async (req, res) => {
       role: newUser.role,
       github_username: newUser.github_username,
       avatar_url: newUser.avatar_url,
-      has_copilot_proxy: true,
+      has_copilot_proxy: !!githubAccessToken,
     }))}`);
   } catch (error) {
     console.error('GitHub callback error:', error);
@@ -672,6 +654,53 @@ router.get('/github/callback', async (req, res) => {
   }
 });
 
+/**
+ * Helper: Check a GitHub PAT's format and try it against GitHub Models.
+ * Returns { scopes } (from X-OAuth-Scopes, classic PATs only) or { error }.
+ */
+async function validateGitHubPat(pat) {
+  // Validate the PAT format (should start with github_pat_ or ghp_)
+  if (!pat.startsWith('github_pat_') && !pat.startsWith('ghp_')) {
+    return { error: 'Invalid PAT format. GitHub PATs start with github_pat_ or ghp_' };
+  }
+
+  // Test the PAT by making a simple request to GitHub Models API
+  try {
+    const testRes = await fetch(`${UPSTREAM_PROVIDERS.github.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${pat}`,
+      },
+      body: JSON.stringify({
+        model: 'gpt-4o-mini',
+        messages: [{ role: 'user', content: 'Hi' }],
+        max_tokens: 5,
+      }),
+    });
+
+    if (!testRes.ok) {
+      const errBody = await testRes.text();
+      console.error('PAT validation failed:', testRes.status, errBody);
+
+      if (testRes.status === 401) {
+        return { error: 'Invalid PAT or PAT has expired. Please generate a new one.' };
+      }
+      if (testRes.status === 403) {
+        return { error: 'PAT does not have models:read scope. Please create a new PAT with the models:read permission.' };
+      }
+      return { error: `PAT validation failed: ${testRes.status}` };
+    }
+
+    await testRes.body?.cancel().catch(() => {});
+    const scopesHeader = testRes.headers.get('x-oauth-scopes');
+    return { scopes: scopesHeader ? scopesHeader.split(',').map(s => s.trim()).filter(Boolean) : [] };
+  } catch (fetchErr) {
+    console.error('PAT validation error:', fetchErr);
+    return { error: 'Could not validate PAT. Check your internet connection and try again.' };
+  }
+}
+
 /**
  * POST /api/auth/save-github-pat
  * Save a GitHub Personal Access Token for AI proxy functionality
@@ -685,59 +714,21 @@ router.post('/save-github-pat', authenticateUser, async (req, res) => {
       return res.status(400).json({ error: 'github_pat is required' });
     }
 
-    // Validate the PAT format (should start with github_pat_ or ghp_)
-    const pat = github_pat.trim();
-    if (!pat.startsWith('github_pat_') && !pat.startsWith('ghp_')) {
-      return res.status(400).json({
-        error: 'Invalid PAT format. GitHub PATs start with github_pat_ or ghp_'
-      });
+    if (!canEncryptTokens()) {
+      return res.status(503).json({ error: 'GitHub tokens cannot be saved: token encryption is not configured on the server (TOKEN_ENCRYPTION_KEYS)' });
     }
 
-    // Test the PAT by making a simple request to GitHub Models API
-    try {
-      const testRes = await fetch('https://models.github.ai/inference/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${pat}`,
-        },
-        body: JSON.stringify({
-          model: 'gpt-4o-mini',
-          messages: [{ role: 'user', content: 'Hi' }],
-          max_tokens: 5,
-        }),
-      });
-
-      if (!testRes.ok) {
-        const errBody = await testRes.text();
-        console.error('PAT validation failed:', testRes.status, errBody);
-
-        if (testRes.status === 401) {
-          return res.status(400).json({
-            error: 'Invalid PAT or PAT has expired. Please generate a new one.'
-          });
-        }
-        if (testRes.status === 403) {
-          return res.status(400).json({
-            error: 'PAT does not have models:read scope. Please create a new PAT with the models:read permission.'
-          });
-        }
-        return res.status(400).json({
-          error: `PAT validation failed: ${testRes.status}`
-        });
-      }
-    } catch (fetchErr) {
-      console.error('PAT validation error:', fetchErr);
-      return res.status(400).json({
-        error: 'Could not validate PAT. Check your internet connection and try again.'
-      });
+    const pat = github_pat.trim();
+    const validation = await validateGitHubPat(pat);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
     }
 
     // Save the PAT to the user's record
     const { error: updateErr } = await supabase
       .from('users')
       .update({
-        github_access_token: pat,
+        github_access_token: encryptToken(pat),
         // If we don't have a github_username yet, we can try to get it
       })
       .eq('id', req.userId);
@@ -784,12 +775,12 @@ router.get('/proxy-status', authenticateUser, async (req, res) => {
   try {
     const { data: user } = await supabase
       .from('users')
-      .select('github_access_token, github_username')
+      .select('id, github_access_token, github_username')
       .eq('id', req.userId)
       .single();
 
     res.json({
-      has_copilot_proxy: !!(user && user.github_access_token),
+      has_copilot_proxy: !!(user && (user.github_access_token || await pickGitHubCredential(user.id))),
       github_username: user?.github_username || null,
     });
   } catch (error) {
@@ -797,4 +788,159 @@ router.get('/proxy-status', authenticateUser, async (req, res) => {
   }
 });
 
+// =====================================================
+// GITHUB CREDENTIAL POOL
+// Extra PATs the AI proxy rotates across (see utils/githubCredentials.js)
+// =====================================================
+
+// Tokens are stored encrypted and never returned; `token_hint` identifies them
+const CREDENTIAL_FIELDS = 'id, label, token_hint, scopes, status, request_count, error_count, last_status, last_error, last_error_at, last_used_at, created_at';
+
+/**
+ * Helper: Short, non-secret hint for recognising a PAT (e.g. "ghp_…a1B2").
+ */
+function tokenHint(pat) {
+  return `${pat.slice(0, 4)}…${pat.slice(-4)}`;
+}
+
+/**
+ * GET /api/auth/github-credentials
+ * List the user's pooled GitHub PATs with usage and health
+ */
+router.get('/github-credentials', authenticateUser, async (req, res) => {
+  try {
+    const { data: credentials, error } = await supabase
+      .from('github_credentials')
+      .select(CREDENTIAL_FIELDS)
+      .eq('user_id', req.userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ credentials: credentials || [] });
+  } catch (error) {
+    console.error('List GitHub credentials error:', error);
+    res.status(500).json({ error: 'Failed to list GitHub credentials' });
+  }
+});
+
+/**
+ * POST /api/auth/github-credentials
+ * Add a PAT to the pool: { token, label?, scopes? }
+ * The PAT is validated against GitHub Models before it is stored
+ */
+router.post('/github-credentials', authenticateUser, async (req, res) => {
+  try {
+    const { token, label, scopes } = req.body;
+
+    if (!token || typeof token !== 'string' || !token.trim()) {
+      return res.status(400).json({ error: 'token is required' });
+    }
+    if (label !== undefined && (typeof label !== 'string' || label.length > 100)) {
+      return res.status(400).json({ error: 'label must be a string of at most 100 characters' });
+    }
+    if (scopes !== undefined && (!Array.isArray(scopes) || scopes.some(s => typeof s !== 'string'))) {
+      return res.status(400).json({ error: 'scopes must be an array of strings' });
+    }
+
+    if (!canEncryptTokens()) {
+      return res.status(503).json({ error: 'GitHub tokens cannot be saved: token encryption is not configured on the server (TOKEN_ENCRYPTION_KEYS)' });
+    }
+
+    const pat = token.trim();
+    const validation = await validateGitHubPat(pat);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const { data: credential, error } = await supabase
+      .from('github_credentials')
+      .insert({
+        user_id: req.userId,
+        label: label?.trim() || 'GitHub PAT',
+        token: encryptToken(pat),
+        token_hint: tokenHint(pat),
+        scopes: scopes || validation.scopes,
+      })
+      .select(CREDENTIAL_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ credential });
+  } catch (error) {
+    console.error('Add GitHub credential error:', error);
+    res.status(500).json({ error: 'Failed to add GitHub credential' });
+  }
+});
+
+/**
+ * PUT /api/auth/github-credentials/:id
+ * Rename a PAT, or set its status: 'healthy' (re-enable) or 'disabled'
+ */
+router.put('/github-credentials/:id', authenticateUser, async (req, res) => {
+  try {
+    const { label, status } = req.body;
+    const updates = {};
+
+    if (label !== undefined) {
+      if (typeof label !== 'string' || !label.trim() || label.length > 100) {
+        return res.status(400).json({ error: 'label must be a non-empty string of at most 100 characters' });
+      }
+      updates.label = label.trim();
+    }
+    if (status !== undefined) {
+      if (!['healthy', 'disabled'].includes(status)) {
+        return res.status(400).json({ error: "status must be 'healthy' or 'disabled'" });
+      }
+      updates.status = status;
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const { data: credential } = await supabase
+      .from('github_credentials')
+      .update(updates)
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .select(CREDENTIAL_FIELDS)
+      .single();
+
+    if (!credential) {
+      return res.status(404).json({ error: 'GitHub credential not found' });
+    }
+
+    res.json({ credential });
+  } catch (error) {
+    console.error('Update GitHub credential error:', error);
+    res.status(500).json({ error: 'Failed to update GitHub credential' });
+  }
+});
+
+/**
+ * DELETE /api/auth/github-credentials/:id
+ * Remove a PAT from the pool
+ */
+router.delete('/github-credentials/:id', authenticateUser, async (req, res) => {
+  try {
+    const { data: credential } = await supabase
+      .from('github_credentials')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .select('id')
+      .single();
+
+    if (!credential) {
+      return res.status(404).json({ error: 'GitHub credential not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete GitHub credential error:', error);
+    res.status(500).json({ error: 'Failed to delete GitHub credential' });
+  }
+});
+
 module.exports = router;
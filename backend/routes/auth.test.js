@@ -0,0 +1,91 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// GitHub sign-in without a token encryption key configured
+delete process.env.TOKEN_ENCRYPTION_KEYS;
+delete process.env.TOKEN_ENCRYPTION_KEY_VERSION;
+
+const { installFakeSupabase } = require('../testing/fakeSupabase');
+const { startApp } = require('../testing/app');
+const supabase = installFakeSupabase();
+const { generateUserToken } = require('../utils/helpers');
+const authRoutes = require('./auth');
+
+const GITHUB_RESPONSES = {
+  'https://github.com/login/oauth/access_token': { access_token: 'gho_test' },
+  'https://api.github.com/user': { id: 42, login: 'octocat', name: 'Octo Cat', avatar_url: 'https://example.com/a.png' },
+  'https://api.github.com/user/emails': [{ email: 'octo@example.com', primary: true }],
+};
+
+const USER = { id: 'u1', email: 'octo@example.com', role: 'user', is_active: true, github_username: 'octocat' };
+
+describe('auth routes without TOKEN_ENCRYPTION_KEYS', () => {
+  let app;
+  const realFetch = global.fetch;
+
+  before(async () => {
+    app = await startApp({ '/api/auth': authRoutes });
+    // Answer GitHub's endpoints; requests to the test server go through
+    global.fetch = async (url, options) => {
+      if (url in GITHUB_RESPONSES) return new Response(JSON.stringify(GITHUB_RESPONSES[url]));
+      return realFetch(url, options);
+    };
+  });
+
+  after(async () => {
+    global.fetch = realFetch;
+    await app.close();
+  });
+
+  beforeEach(() => supabase.reset());
+
+  const signIn = () => fetch(app.url('/api/auth/github/callback?code=abc'), { redirect: 'manual' });
+  const redirectUser = (res) => JSON.parse(new URL(res.headers.get('location')).searchParams.get('user'));
+
+  test('signs an existing GitHub user in without storing their token', async () => {
+    supabase.onQuery = (table, query) => (
+      table === 'users' && query.method === 'select' ? { data: USER, error: null } : { data: null, error: null }
+    );
+
+    const res = await signIn();
+    assert.equal(res.status, 302);
+    assert.match(res.headers.get('location'), /\/auth\/callback\?token=/);
+    assert.equal(redirectUser(res).has_copilot_proxy, false);
+
+    const update = supabase.calls.find(q => q.table === 'users' && q.method === 'update');
+    assert.equal(update.values.github_access_token, null);
+  });
+
+  test('creates a new GitHub user without storing their token', async () => {
+    supabase.onQuery = (table, query) => {
+      if (table === 'users' && query.method === 'insert') {
+        return { data: { ...USER, ...query.values, id: 'u2' }, error: null };
+      }
+      if (table === 'admin_settings') return { data: [], error: null };
+      return { data: null, error: null };
+    };
+
+    const res = await signIn();
+    assert.match(res.headers.get('location'), /\/auth\/callback\?token=/);
+
+    const insert = supabase.calls.find(q => q.table === 'users' && q.method === 'insert');
+    assert.equal(insert.values.github_access_token, null);
+    assert.equal(insert.values.github_username, 'octocat');
+  });
+
+  test('refuses to save a PAT', async () => {
+    supabase.onQuery = (table) => (table === 'users' ? { data: USER, error: null } : { data: null, error: null });
+
+    const res = await fetch(app.url('/api/auth/save-github-pat'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${generateUserToken(USER.id, USER.email, USER.role)}`,
+      },
+      body: JSON.stringify({ github_pat: 'ghp_test' }),
+    });
+    assert.equal(res.status, 503);
+    assert.match((await res.json()).error, /TOKEN_ENCRYPTION_KEYS/);
+    assert.ok(!supabase.calls.some(q => q.table === 'users' && q.method === 'update'));
+  });
+});
@@ -4,10 +4,13 @@ const supabase = require('../config/supabase');
 const { authenticateDevice } = require('../middleware/auth');
 const { 
   generateDeviceToken, 
-  getCurrentMonth,
   calculateTokens,
   getModelTokenCost 
 } = require('../utils/helpers');
+const { checkModelPolicy } = require('../utils/modelPolicy');
+const { parseClientEventId, isValidPromptCount, debitUsage } = require('../utils/usageAccounting');
+const { getCurrentPeriod, checkUsageLimits, usageLimitMessage, secondsUntilReset } = require('../utils/billingPeriods');
+const { getPeriodAllocation } = require('../utils/rollover');
 
 /**
  * POST /api/devices/register
@@ -32,29 +35,10 @@ router.post('/register', async (req, res) => {
     
     if (existingDevice) {
       // Device already registered, return existing token info
-      const currentMonth = getCurrentMonth();
+      const periodKey = getCurrentPeriod().key;
       
-      // Get or create allocation for current month
-      let { data: allocation } = await supabase
-        .from('token_allocations')
-        .select('*')
-        .eq('device_id', existingDevice.id)
-        .eq('month_year', currentMonth)
-        .single();
-      
-      if (!allocation) {
-        const { data: newAllocation } = await supabase
-          .from('token_allocations')
-          .insert({
-            device_id: existingDevice.id,
-            allocated_tokens: 50,
-            used_tokens: 0,
-            month_year: currentMonth
-          })
-          .select()
-          .single();
-        allocation = newAllocation;
-      }
+      // Get or create allocation for the current billing period
+      const allocation = await getPeriodAllocation(existingDevice.id, periodKey);
       
       // Update last seen
       await supabase
@@ -69,10 +53,10 @@ router.post('/register', async (req, res) => {
         device_name: existingDevice.device_name,
         is_blocked: existingDevice.is_blocked,
         allocation: {
-          allocated: allocation?.allocated_tokens || 50,
-          used: allocation?.used_tokens || 0,
-          remaining: (allocation?.allocated_tokens || 50) - (allocation?.used_tokens || 0),
-          month: currentMonth
+          allocated: allocation.allocated_tokens,
+          used: allocation.used_tokens,
+          remaining: allocation.allocated_tokens - allocation.used_tokens - (allocation.reserved_tokens || 0),
+          month: periodKey
         }
       });
     }
@@ -103,7 +87,7 @@ router.post('/register', async (req, res) => {
     const deviceId = require('uuid').v4();
     // Legacy route: no user context available, pass null for userId
     const deviceToken = generateDeviceToken(deviceId, null, hardware_fingerprint);
-    const currentMonth = getCurrentMonth();
+    const periodKey = getCurrentPeriod().key;
     
     // Create device — legacy route without user association
     // This will fail if user_id is NOT NULL in schema. 
@@ -126,20 +110,7 @@ router.post('/register', async (req, res) => {
     }
     
     // Create initial token allocation
-    const { data: allocation, error: allocError } = await supabase
-      .from('token_allocations')
-      .insert({
-        device_id: deviceId,
-        allocated_tokens: 50,
-        used_tokens: 0,
-        month_year: currentMonth
-      })
-      .select()
-      .single();
-    
-    if (allocError) {
-      console.error('Allocation error:', allocError);
-    }
+    const allocation = await getPeriodAllocation(deviceId, periodKey);
     
     res.status(201).json({
       message: 'Device registered successfully',
@@ -148,10 +119,10 @@ router.post('/register', async (req, res) => {
       device_name: newDevice.device_name,
       is_blocked: false,
       allocation: {
-        allocated: 50,
-        used: 0,
-        remaining: 50,
-        month: currentMonth
+        allocated: allocation.allocated_tokens,
+        used: allocation.used_tokens,
+        remaining: allocation.allocated_tokens - allocation.used_tokens,
+        month: periodKey
       }
     });
   } catch (error) {
@@ -166,30 +137,10 @@ router.post('/register', async (req, res) => {
  */
 router.get('/me', authenticateDevice, async (req, res) => {
   try {
-    const currentMonth = getCurrentMonth();
-    
-    // Get allocation
-    let { data: allocation } = await supabase
-      .from('token_allocations')
-      .select('*')
-      .eq('device_id', req.deviceId)
-      .eq('month_year', currentMonth)
-      .single();
+    const periodKey = getCurrentPeriod().key;
     
-    // Create allocation if doesn't exist
-    if (!allocation) {
-      const { data: newAllocation } = await supabase
-        .from('token_allocations')
-        .insert({
-          device_id: req.deviceId,
-          allocated_tokens: 50,
-          used_tokens: 0,
-          month_year: currentMonth
-        })
-        .select()
-        .single();
-      allocation = newAllocation;
-    }
+    // Get allocation, created if it doesn't exist
+    const allocation = await getPeriodAllocation(req.deviceId, periodKey);
     
     res.json({
       device: {
@@ -200,10 +151,10 @@ router.get('/me', authenticateDevice, async (req, res) => {
         created_at: req.device.created_at
       },
       allocation: {
-        allocated: allocation?.allocated_tokens || 50,
-        used: allocation?.used_tokens || 0,
-        remaining: (allocation?.allocated_tokens || 50) - (allocation?.used_tokens || 0),
-        month: currentMonth
+        allocated: allocation.allocated_tokens,
+        used: allocation.used_tokens,
+        remaining: allocation.allocated_tokens - allocation.used_tokens - (allocation.reserved_tokens || 0),
+        month: periodKey
       }
     });
   } catch (error) {
@@ -225,36 +176,17 @@ router.get('/:id/tokens', authenticateDevice, async (req, res) => {
       return res.status(403).json({ error: 'Can only check your own tokens' });
     }
     
-    const currentMonth = getCurrentMonth();
-    
-    let { data: allocation } = await supabase
-      .from('token_allocations')
-      .select('*')
-      .eq('device_id', deviceId)
-      .eq('month_year', currentMonth)
-      .single();
+    const periodKey = getCurrentPeriod().key;
     
-    if (!allocation) {
-      const { data: newAllocation } = await supabase
-        .from('token_allocations')
-        .insert({
-          device_id: deviceId,
-          allocated_tokens: 50,
-          used_tokens: 0,
-          month_year: currentMonth
-        })
-        .select()
-        .single();
-      allocation = newAllocation;
-    }
+    const allocation = await getPeriodAllocation(deviceId, periodKey);
     
-    const remaining = (allocation?.allocated_tokens || 50) - (allocation?.used_tokens || 0);
+    const remaining = allocation.allocated_tokens - allocation.used_tokens - (allocation.reserved_tokens || 0);
     
     res.json({
       device_id: deviceId,
-      month: currentMonth,
-      allocated: allocation?.allocated_tokens || 50,
-      used: allocation?.used_tokens || 0,
+      month: periodKey,
+      allocated: allocation.allocated_tokens,
+      used: allocation.used_tokens,
       remaining: remaining,
       can_use_tokens: remaining > 0 && !req.device.is_blocked,
       token_costs: {
@@ -271,6 +203,11 @@ router.get('/:id/tokens', authenticateDevice, async (req, res) => {
 /**
  * POST /api/devices/:id/usage
  * Log token usage (authenticated)
+ * An Idempotency-Key header or client_event_id makes retries safe: an
+ * event already logged for the device returns the original result
+ * (duplicate: true) without charging again
+ * Usage over a daily/weekly/monthly limit of the device or its owner gets
+ * 429 with Retry-After (code USAGE_LIMIT_REACHED)
  */
 router.post('/:id/usage', authenticateDevice, async (req, res) => {
   try {
@@ -285,76 +222,67 @@ router.post('/:id/usage', authenticateDevice, async (req, res) => {
       return res.status(400).json({ error: 'model_type is required' });
     }
     
-    const currentMonth = getCurrentMonth();
+    if (!isValidPromptCount(prompt_count)) {
+      return res.status(400).json({ error: 'prompt_count must be a positive integer' });
+    }
     
-    // Get current allocation
-    let { data: allocation } = await supabase
-      .from('token_allocations')
-      .select('*')
-      .eq('device_id', deviceId)
-      .eq('month_year', currentMonth)
-      .single();
+    const periodKey = getCurrentPeriod().key;
     
-    if (!allocation) {
-      const { data: newAllocation } = await supabase
-        .from('token_allocations')
-        .insert({
-          device_id: deviceId,
-          allocated_tokens: 50,
-          used_tokens: 0,
-          month_year: currentMonth
-        })
-        .select()
-        .single();
-      allocation = newAllocation;
+    const { clientEventId, error: eventIdError } = parseClientEventId(req);
+    if (eventIdError) {
+      return res.status(400).json({ error: eventIdError });
     }
     
-    // Calculate tokens to use
+    // Debit and log in one transaction; refused if the tokens do not fit
     const tokensToUse = calculateTokens(model_type, prompt_count);
-    const remaining = allocation.allocated_tokens - allocation.used_tokens;
+    const result = await debitUsage({
+      deviceId,
+      userId: req.userId,
+      monthYear: periodKey,
+      tokens: tokensToUse,
+      modelType: model_type,
+      requestType: request_type,
+      description,
+      clientEventId
+    });
+    
+    if (result.reason === 'usage_limit') {
+      const retryAfter = secondsUntilReset(result.limit);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: usageLimitMessage(result.limit),
+        code: 'USAGE_LIMIT_REACHED',
+        requested: tokensToUse,
+        limit: result.limit,
+        retry_after: retryAfter
+      });
+    }
     
-    if (tokensToUse > remaining) {
+    if (!result.debited) {
       return res.status(403).json({
         error: 'Insufficient tokens',
         requested: tokensToUse,
-        remaining: remaining,
+        remaining: result.remaining,
         message: 'Contact admin to request more tokens'
       });
     }
     
-    // Update allocation
-    const newUsed = allocation.used_tokens + tokensToUse;
-    const { error: updateError } = await supabase
-      .from('token_allocations')
-      .update({ used_tokens: newUsed })
-      .eq('id', allocation.id);
-    
-    if (updateError) {
-      return res.status(500).json({ error: 'Failed to update token usage' });
+    // A repeated event gets the original debit back, without a new charge
+    if (result.duplicate) {
+      res.set('Idempotent-Replayed', 'true');
     }
     
-    // Log usage
-    await supabase
-      .from('usage_logs')
-      .insert({
-        device_id: deviceId,
-        user_id: req.userId,
-        tokens_used: tokensToUse,
-        model_type,
-        request_type,
-        description
-      });
-    
     res.json({
       success: true,
-      tokens_used: tokensToUse,
-      model_type,
+      tokens_used: result.tokens_used,
+      model_type: result.model_type,
+      duplicate: result.duplicate,
       token_cost_per_prompt: getModelTokenCost(model_type),
       prompt_count,
       allocation: {
-        allocated: allocation.allocated_tokens,
-        used: newUsed,
-        remaining: allocation.allocated_tokens - newUsed
+        allocated: result.allocated,
+        used: result.used,
+        remaining: result.remaining
       }
     });
   } catch (error) {
@@ -400,7 +328,7 @@ router.get('/:id/history', authenticateDevice, async (req, res) => {
 
 /**
  * POST /api/devices/check-can-use
- * Quick check if device can use tokens (authenticated)
+ * Quick check if device can use tokens, within its usage limits (authenticated)
  */
 router.post('/check-can-use', authenticateDevice, async (req, res) => {
   try {
@@ -410,29 +338,35 @@ router.post('/check-can-use', authenticateDevice, async (req, res) => {
       return res.status(400).json({ error: 'model_type is required' });
     }
     
-    const currentMonth = getCurrentMonth();
+    if (!isValidPromptCount(prompt_count)) {
+      return res.status(400).json({ error: 'prompt_count must be a positive integer' });
+    }
+    
+    const periodKey = getCurrentPeriod().key;
     const tokensNeeded = calculateTokens(model_type, prompt_count);
     
-    let { data: allocation } = await supabase
-      .from('token_allocations')
-      .select('*')
-      .eq('device_id', req.deviceId)
-      .eq('month_year', currentMonth)
-      .single();
+    const allocation = await getPeriodAllocation(req.deviceId, periodKey);
     
-    if (!allocation) {
-      allocation = { allocated_tokens: 50, used_tokens: 0 };
-    }
+    const { data: owner } = await supabase
+      .from('users')
+      .select('id, model_policy')
+      .eq('id', req.userId)
+      .single();
+    const denied = checkModelPolicy(model_type, req.device, owner);
+    const limit = await checkUsageLimits(req.deviceId, tokensNeeded);
     
-    const remaining = allocation.allocated_tokens - allocation.used_tokens;
-    const canUse = remaining >= tokensNeeded && !req.device.is_blocked;
+    // Tokens held by in-flight proxy requests are not available either
+    const remaining = allocation.allocated_tokens - allocation.used_tokens - (allocation.reserved_tokens || 0);
+    const canUse = remaining >= tokensNeeded && !req.device.is_blocked && !denied && !limit;
     
     res.json({
       can_use: canUse,
       tokens_needed: tokensNeeded,
       remaining: remaining,
       is_blocked: req.device.is_blocked,
-      reason: !canUse ? (req.device.is_blocked ? 'Device is blocked' : 'Insufficient tokens') : null
+      reason: !canUse ? (req.device.is_blocked ? 'Device is blocked' : denied ? denied.error : limit ? usageLimitMessage(limit) : 'Insufficient tokens') : null,
+      ...(limit && { code: 'USAGE_LIMIT_REACHED', limit }),
+      ...(denied && { code: denied.code })
     });
   } catch (error) {
     console.error('Check error:', error);
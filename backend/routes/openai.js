@@ -0,0 +1,283 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateDevice } = require('../middleware/auth');
+const {
+  OPENAI_CHAT_PARAMS,
+  validateChatParams,
+  getRoutableModels,
+  proxyChatCompletion,
+  proxyEmbeddings,
+  validateEmbeddingsInput,
+} = require('../utils/proxyCore');
+const { loadProxyOwner } = require('../utils/githubCredentials');
+
+/**
+ * OpenAI-compatible API surface (mounted at /v1).
+ * Lets OpenAI clients (CLI agents, Continue, aider, scripts) use a
+ * device's allocation: base URL `<server>/v1`, API key = device token.
+ */
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  429: 'rate_limit_error',
+};
+
+/**
+ * Helper: Build an OpenAI error envelope.
+ */
+function openAIError(status, message, code = null) {
+  return {
+    error: {
+      message,
+      type: code === 'INSUFFICIENT_TOKENS' ? 'insufficient_quota' : (ERROR_TYPES[status] || 'api_error'),
+      param: null,
+      code: code ? code.toLowerCase() : null,
+    },
+  };
+}
+
+/**
+ * Helper: Write an error in OpenAI format.
+ */
+function errorSender(res) {
+  return (status, message, extra = {}) => res.status(status).json(openAIError(status, message, extra.code));
+}
+
+// Re-shape `{ error: '...' }` bodies from the shared auth middleware
+// into the OpenAI error envelope clients expect
+router.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => json(typeof body?.error === 'string'
+    ? openAIError(res.statusCode, body.error, body.code)
+    : body);
+  next();
+});
+
+/**
+ * Helper: Models the device's owner can reach and its policies allow,
+ * as OpenAI model objects.
+ */
+async function listModels(userId, device) {
+  const { owner: user } = await loadProxyOwner(userId);
+
+  return getRoutableModels(user, device).map(m => ({
+    id: m.id,
+    object: 'model',
+    created: 0,
+    owned_by: m.provider || 'system',
+  }));
+}
+
+/**
+ * GET /v1/models
+ * List models available to this device.
+ * Requires device JWT as the bearer API key.
+ */
+router.get('/models', authenticateDevice, async (req, res) => {
+  try {
+    res.json({ object: 'list', data: await listModels(req.userId, req.device) });
+  } catch (error) {
+    console.error('OpenAI models error:', error);
+    res.status(500).json({ error: 'Failed to list models' });
+  }
+});
+
+/**
+ * GET /v1/models/:model
+ * Retrieve a single model.
+ */
+router.get('/models/:model', authenticateDevice, async (req, res) => {
+  try {
+    const model = (await listModels(req.userId, req.device)).find(m => m.id === req.params.model);
+    if (!model) {
+      return res.status(404).json({ error: `The model '${req.params.model}' does not exist`, code: 'MODEL_NOT_FOUND' });
+    }
+    res.json(model);
+  } catch (error) {
+    console.error('OpenAI model error:', error);
+    res.status(500).json({ error: 'Failed to get model' });
+  }
+});
+
+/**
+ * POST /v1/chat/completions
+ * OpenAI chat completions, streaming or not, metered against the device.
+ */
+router.post('/chat/completions', authenticateDevice, async (req, res) => {
+  try {
+    const { model, messages, stream = false, stream_options } = req.body;
+
+    if (!model) {
+      return res.status(400).json({ error: 'you must provide a model parameter' });
+    }
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({ error: "'messages' must be a non-empty array" });
+    }
+
+    const invalid = validateChatParams(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const body = { model, messages, stream: !!stream };
+    for (const param of OPENAI_CHAT_PARAMS) {
+      if (req.body[param] !== undefined) body[param] = req.body[param];
+    }
+
+    await proxyChatCompletion(req, res, body, {
+      requestType: stream ? 'openai-chat-stream' : 'openai-chat',
+      sendError: errorSender(res),
+      truncation: req.body.truncation,
+      // Upstream always gets include_usage; hide the usage chunk unless asked for
+      transform: stream_options?.include_usage ? null : dropUsageChunk,
+    });
+  } catch (error) {
+    console.error('OpenAI chat completions error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Proxy request failed' });
+    }
+  }
+});
+
+/**
+ * POST /v1/completions
+ * Legacy text completions, served by the chat endpoint upstream.
+ */
+router.post('/completions', authenticateDevice, async (req, res) => {
+  try {
+    const { model, prompt, suffix, stream = false, stream_options, max_tokens = 16 } = req.body;
+
+    if (!model) {
+      return res.status(400).json({ error: 'you must provide a model parameter' });
+    }
+    if (typeof prompt !== 'string' && !(Array.isArray(prompt) && prompt.length === 1 && typeof prompt[0] === 'string')) {
+      return res.status(400).json({ error: "'prompt' must be a string (batched prompts are not supported)" });
+    }
+
+    const invalid = validateChatParams(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const text = Array.isArray(prompt) ? prompt[0] : prompt;
+    const messages = suffix
+      ? [
+        { role: 'system', content: 'Return ONLY the text that goes between PREFIX and SUFFIX, with no explanation or formatting.' },
+        { role: 'user', content: `PREFIX:\n${text}\n\nSUFFIX:\n${suffix}` },
+      ]
+      : [
+        { role: 'system', content: 'Continue the text. Return only the continuation.' },
+        { role: 'user', content: text },
+      ];
+
+    const body = { model, messages, max_tokens, stream: !!stream };
+    for (const param of ['temperature', 'top_p', 'stop', 'presence_penalty', 'frequency_penalty', 'seed', 'user']) {
+      if (req.body[param] !== undefined) body[param] = req.body[param];
+    }
+
+    // Rewrite chat responses into text_completion objects
+    const json = res.json.bind(res);
+    res.json = (result) => json(result?.object === 'chat.completion' ? toTextCompletion(result) : result);
+
+    await proxyChatCompletion(req, res, body, {
+      requestType: stream ? 'openai-completion-stream' : 'openai-completion',
+      sendError: errorSender(res),
+      templateKind: 'completion',
+      transform: (data) => toTextCompletionChunk(data, !!stream_options?.include_usage),
+    });
+  } catch (error) {
+    console.error('OpenAI completions error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Proxy request failed' });
+    }
+  }
+});
+
+/**
+ * POST /v1/embeddings
+ * OpenAI embeddings, metered against the device like /api/proxy/embeddings.
+ */
+router.post('/embeddings', authenticateDevice, async (req, res) => {
+  try {
+    const { model, input, encoding_format, dimensions, user } = req.body;
+
+    if (!model) {
+      return res.status(400).json({ error: 'you must provide a model parameter' });
+    }
+    const invalid = validateEmbeddingsInput(input);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await proxyEmbeddings(req, res, {
+      model,
+      input,
+      ...(encoding_format !== undefined && { encoding_format }),
+      ...(dimensions !== undefined && { dimensions }),
+      ...(user !== undefined && { user }),
+    }, {
+      sendError: errorSender(res),
+    });
+  } catch (error) {
+    console.error('OpenAI embeddings error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Proxy request failed' });
+    }
+  }
+});
+
+/**
+ * Stream transform: drop the trailing usage-only chunk.
+ */
+function dropUsageChunk(data) {
+  if (data !== '[DONE]' && data.usage && data.choices?.length === 0) return null;
+  return undefined;
+}
+
+/**
+ * Convert a chat.completion into a text_completion.
+ */
+function toTextCompletion(result) {
+  return {
+    id: result.id,
+    object: 'text_completion',
+    created: result.created,
+    model: result.model,
+    choices: (result.choices || []).map(c => ({
+      text: c.message?.content || '',
+      index: c.index,
+      logprobs: null,
+      finish_reason: c.finish_reason,
+    })),
+    usage: result.usage,
+  };
+}
+
+/**
+ * Stream transform: convert chat.completion.chunk events into text_completion events.
+ */
+function toTextCompletionChunk(data, includeUsage) {
+  if (data === '[DONE]') return undefined;
+  if (data.usage && data.choices?.length === 0 && !includeUsage) return null;
+  if (!data.choices) return undefined;
+
+  const chunk = {
+    id: data.id,
+    object: 'text_completion',
+    created: data.created,
+    model: data.model,
+    choices: data.choices.map(c => ({
+      text: c.delta?.content || '',
+      index: c.index,
+      logprobs: null,
+      finish_reason: c.finish_reason ?? null,
+    })),
+    ...(data.usage && { usage: data.usage }),
+  };
+  return `data: ${JSON.stringify(chunk)}\n`;
+}
+
+module.exports = router;
@@ -1,32 +1,35 @@
 const express = require('express');
 const router = express.Router();
-const supabase = require('../config/supabase');
 const { authenticateDevice } = require('../middleware/auth');
-const { calculateTokens, getCurrentMonth } = require('../utils/helpers');
+const {
+  OPENAI_CHAT_PARAMS,
+  validateChatParams,
+  getRoutableModels,
+  estimateTokens,
+  runMeteredRequest,
+  sendUpstreamError,
+  proxyChatCompletion,
+  proxyEmbeddings,
+  validateEmbeddingsInput,
+} = require('../utils/proxyCore');
+const { loadProxyOwner } = require('../utils/githubCredentials');
+const { completionCacheKey, getCachedCompletion, storeCachedCompletion } = require('../utils/completionCache');
+const { createCompletionStopper } = require('../utils/completionStops');
+const { postProcessCompletion, recordCompletionRules } = require('../utils/completionPostProcess');
+const { getPromptInstructions } = require('../utils/promptTemplates');
+const { readSSE, formatSSE } = require('../providers/sse');
 
 /**
- * GitHub Models API endpoint.
- * This is the public GitHub-hosted inference API that works with
- * GitHub personal access tokens with `models:read` scope.
- * The correct endpoint is models.github.ai, NOT models.inference.ai.azure.com
+ * Largest `max_tokens` an inline completion may ask for.
  */
-const GITHUB_MODELS_API = 'https://models.github.ai/inference';
+const MAX_COMPLETION_TOKENS = parseInt(process.env.PROXY_COMPLETION_MAX_TOKENS) || 1024;
 
 /**
- * Default models available through GitHub Models / Copilot.
- * Model IDs must match what GitHub Models API accepts.
+ * Helper: Write an error in this API's `{ error, code, ... }` format.
  */
-const PROXY_MODELS = [
-  { id: 'gpt-4o', name: 'GPT-4o', provider: 'openai', cost: 1 },
-  { id: 'gpt-4o-mini', name: 'GPT-4o Mini', provider: 'openai', cost: 0 },
-  { id: 'o3-mini', name: 'o3-mini', provider: 'openai', cost: 1 },
-  { id: 'gpt-4.1', name: 'GPT-4.1', provider: 'openai', cost: 1 },
-  { id: 'gpt-4.1-mini', name: 'GPT-4.1 Mini', provider: 'openai', cost: 0 },
-  { id: 'gpt-4.1-nano', name: 'GPT-4.1 Nano', provider: 'openai', cost: 0 },
-  { id: 'claude-3.5-sonnet', name: 'Claude 3.5 Sonnet', provider: 'anthropic', cost: 1 },
-  { id: 'claude-sonnet-4', name: 'Claude Sonnet 4', provider: 'anthropic', cost: 1 },
-  { id: 'claude-opus-4.5', name: 'Claude Opus 4.5', provider: 'anthropic', cost: 3 },
-];
+function errorSender(res) {
+  return (status, message, extra = {}) => res.status(status).json({ error: message, ...extra });
+}
 
 /**
  * GET /api/proxy/models
@@ -35,14 +38,14 @@ const PROXY_MODELS = [
  */
 router.get('/models', authenticateDevice, async (req, res) => {
   try {
-    // Get the device owner's user record
-    const { data: user } = await supabase
-      .from('users')
-      .select('id, github_access_token')
-      .eq('id', req.userId)
-      .single();
-
-    if (!user || !user.github_access_token) {
+    // Get the device owner's user record (with a PAT from their pool, if any)
+    const { owner: user } = await loadProxyOwner(req.userId);
+
+    // Only list chat models whose upstream and credential are usable
+    // and that the device's model policies allow
+    const routable = getRoutableModels(user, req.device).filter(m => m.kind === 'chat');
+
+    if (routable.length === 0) {
       return res.json({
         available: false,
         reason: 'Account owner has not connected GitHub with Copilot access. Ask the owner to sign in via GitHub on the dashboard.',
@@ -52,11 +55,13 @@ router.get('/models', authenticateDevice, async (req, res) => {
 
     res.json({
       available: true,
-      models: PROXY_MODELS.map(m => ({
+      models: routable.map(m => ({
         id: m.id,
-        name: m.name,
+        name: m.display_name,
         provider: m.provider,
         cost: m.cost,
+        input_rate: m.input_rate,
+        output_rate: m.output_rate,
       })),
     });
   } catch (error) {
@@ -71,14 +76,10 @@ router.get('/models', authenticateDevice, async (req, res) => {
  */
 router.get('/status', authenticateDevice, async (req, res) => {
   try {
-    const { data: user } = await supabase
-      .from('users')
-      .select('id, github_access_token, github_username')
-      .eq('id', req.userId)
-      .single();
+    const { owner: user } = await loadProxyOwner(req.userId);
 
     res.json({
-      available: !!(user && user.github_access_token),
+      available: getRoutableModels(user).length > 0,
       github_username: user?.github_username || null,
     });
   } catch (error) {
@@ -89,281 +90,317 @@ router.get('/status', authenticateDevice, async (req, res) => {
 /**
  * POST /api/proxy/chat
  * Proxy chat completions through the account owner's GitHub token.
- * Accepts OpenAI-compatible request body.
+ * Accepts OpenAI-compatible request body, including tools/tool_choice,
+ * response_format, stop, seed and top_p. Tool call deltas are streamed
+ * back unchanged. Conversations longer than the model's context window
+ * lose their oldest turns (X-Context-Truncated header) unless
+ * `truncation: 'disabled'` is sent.
  * Requires device JWT.
  */
 router.post('/chat', authenticateDevice, async (req, res) => {
   try {
-    const { messages, model = 'gpt-4o', temperature, max_tokens, stream = false } = req.body;
+    const { messages, model = 'gpt-4o', stream = false } = req.body;
 
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
       return res.status(400).json({ error: 'messages array is required' });
     }
 
-    // Get the device owner's GitHub token
-    const { data: user } = await supabase
-      .from('users')
-      .select('id, github_access_token')
-      .eq('id', req.userId)
-      .single();
+    const invalid = validateChatParams(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid, code: 'INVALID_PARAMETER' });
+    }
 
-    if (!user || !user.github_access_token) {
-      return res.status(403).json({
-        error: 'AI proxy not available. Account owner must sign in via GitHub on the dashboard to enable model access.',
-      });
+    const body = { messages, model, stream: !!stream };
+    for (const param of OPENAI_CHAT_PARAMS) {
+      if (req.body[param] !== undefined) body[param] = req.body[param];
     }
 
-    // Check token limits before making the API call
-    const currentMonth = getCurrentMonth();
-    const { data: allocation } = await supabase
-      .from('token_allocations')
-      .select('*')
-      .eq('device_id', req.deviceId)
-      .eq('month_year', currentMonth)
-      .single();
-
-    if (!allocation) {
-      return res.status(403).json({ error: 'No token allocation for this month.' });
+    await proxyChatCompletion(req, res, body, {
+      requestType: stream ? 'chat-stream' : 'chat',
+      sendError: errorSender(res),
+      truncation: req.body.truncation,
+    });
+  } catch (error) {
+    console.error('Proxy chat error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Proxy request failed' });
     }
+  }
+});
 
-    const modelCost = calculateTokens(model);
-    if (allocation.used_tokens + modelCost > allocation.allocated_tokens) {
-      return res.status(403).json({
-        error: 'Token limit reached. No remaining tokens this month.',
-        remaining: allocation.allocated_tokens - allocation.used_tokens,
-      });
+/**
+ * POST /api/proxy/embeddings
+ * Proxy OpenAI-compatible embeddings through the owner's upstream provider.
+ * Charged at the embedding model's catalog cost (input tokens only).
+ * Requires device JWT.
+ */
+router.post('/embeddings', authenticateDevice, async (req, res) => {
+  try {
+    const { input, model = 'text-embedding-3-small', encoding_format, dimensions, user } = req.body;
+
+    const invalid = validateEmbeddingsInput(input);
+    if (invalid) {
+      return res.status(400).json({ error: invalid, code: 'INVALID_PARAMETER' });
     }
 
-    // Build the request to GitHub Models API
-    const apiBody = {
-      messages,
+    await proxyEmbeddings(req, res, {
       model,
-      ...(temperature !== undefined && { temperature }),
-      ...(max_tokens !== undefined && { max_tokens }),
-      stream: !!stream,
-    };
-
-    if (stream) {
-      // ─── Streaming response ────────────────────────────
-      const apiRes = await fetch(`${GITHUB_MODELS_API}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${user.github_access_token}`,
-        },
-        body: JSON.stringify(apiBody),
-      });
+      input,
+      ...(encoding_format !== undefined && { encoding_format }),
+      ...(dimensions !== undefined && { dimensions }),
+      ...(user !== undefined && { user }),
+    }, {
+      sendError: errorSender(res),
+    });
+  } catch (error) {
+    console.error('Proxy embeddings error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Proxy embeddings request failed' });
+    }
+  }
+});
 
-      if (!apiRes.ok) {
-        const errBody = await apiRes.text();
-        console.error(`GitHub Models API error (${apiRes.status}):`, errBody);
-
-        // If 401, the stored token is invalid
-        if (apiRes.status === 401) {
-          return res.status(502).json({
-            error: 'GitHub token expired or invalid. Account owner must re-login via GitHub on the dashboard.',
-          });
-        }
-        return res.status(502).json({
-          error: `Upstream AI API error: ${apiRes.status}`,
-          detail: errBody.substring(0, 500),
-        });
-      }
+/**
+ * Helper: Answer a `stream: true` completion request over SSE (see below).
+ */
+async function streamCompletion(res, options) {
+  const {
+    callUpstream, signal, abortReason, settle, sendError,
+    messages, max_tokens, prefix, suffix, language, promptEstimate, cached, cacheKey,
+  } = options;
+
+  const startSSE = (cache) => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Cache', cache);
+  };
+
+  if (cached) {
+    await settle(cached.usage, { content: cached.completion });
+    startSSE('HIT');
+    res.write(formatSSE({ delta: cached.completion }));
+    res.write(formatSSE({ done: true, completion: cached.completion, model: cached.model, usage: cached.usage, stop_reason: 'cached' }));
+    return res.end();
+  }
 
-      // Set up SSE streaming
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
+  const { apiRes, route, model: servedModel } = await callUpstream((route) => route.adapter.chatCompletions({
+    messages,
+    model: route.upstreamModel,
+    temperature: 0.1,
+    max_tokens,
+    stream: true,
+    stream_options: { include_usage: true },
+  }, { apiKey: route.apiKey, signal }));
+
+  if (!apiRes?.ok) {
+    return sendUpstreamError(apiRes, route, sendError);
+  }
 
-      const reader = apiRes.body.getReader();
-      const decoder = new TextDecoder();
+  startSSE('MISS');
+  const stopper = createCompletionStopper({ language, prefix, suffix });
+  let usage = null;
+  let stopReason = null;
 
+  try {
+    for await (const { data } of readSSE(apiRes.body)) {
+      if (data === '[DONE]') break;
+      let chunk;
       try {
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-          const chunk = decoder.decode(value, { stream: true });
-          res.write(chunk);
-        }
-      } catch (streamErr) {
-        console.error('Stream error:', streamErr);
-      } finally {
-        res.end();
+        chunk = JSON.parse(data);
+      } catch {
+        continue;
       }
-
-      // Log usage after streaming completes
-      await logProxyUsage(req.deviceId, req.userId, model, 'chat-stream', currentMonth, allocation);
-    } else {
-      // ─── Non-streaming response ────────────────────────
-      const apiRes = await fetch(`${GITHUB_MODELS_API}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${user.github_access_token}`,
-        },
-        body: JSON.stringify(apiBody),
-      });
-
-      if (!apiRes.ok) {
-        const errBody = await apiRes.text();
-        console.error(`GitHub Models API error (${apiRes.status}):`, errBody);
-
-        if (apiRes.status === 401) {
-          return res.status(502).json({
-            error: 'GitHub token expired or invalid. Account owner must re-login via GitHub on the dashboard.',
-          });
-        }
-        return res.status(502).json({
-          error: `Upstream AI API error: ${apiRes.status}`,
-          detail: errBody.substring(0, 500),
-        });
+      if (chunk.usage) usage = chunk.usage;
+
+      const choice = chunk.choices?.[0];
+      const { text, stop } = stopper.push(choice?.delta?.content);
+      if (text) res.write(formatSSE({ delta: text }));
+      if (stop) {
+        // Leaving the loop cancels the upstream request
+        stopReason = 'stop_sequence';
+        break;
       }
+      if (choice?.finish_reason) stopReason = choice.finish_reason;
+    }
+  } catch (streamErr) {
+    if (streamErr.name !== 'AbortError') {
+      console.error('Completion stream error:', streamErr);
+    }
+    console.warn(`Completion stream ended early (${abortReason() || 'stream error'}), refunding`);
+    return res.end();
+  }
 
-      const result = await apiRes.json();
+  if (stopReason !== 'stop_sequence') {
+    const text = stopper.finish();
+    if (text) res.write(formatSSE({ delta: text }));
+  }
+  const rawText = stopper.completion();
 
-      // Log usage
-      await logProxyUsage(req.deviceId, req.userId, model, 'chat', currentMonth, allocation);
+  // The deltas are as the model wrote them; the final completion is cleaned up
+  const processed = postProcessCompletion(rawText, { prefix, suffix, language });
+  if (stopper.fenced()) processed.rules.unshift('strip-fences');
+  recordCompletionRules(servedModel, processed.rules);
 
-      res.json(result);
-    }
-  } catch (error) {
-    console.error('Proxy chat error:', error);
-    res.status(500).json({ error: 'Proxy request failed' });
+  if (processed.dropped) {
+    // Not settled, so not charged (nor cached)
+    res.write(formatSSE({ done: true, completion: '', model: servedModel, usage, stop_reason: stopReason || 'stop', dropped: processed.dropped }));
+    return res.end();
   }
-});
+
+  // Upstream only reports usage when the stream runs to the end
+  const usageToLog = usage || {
+    prompt_tokens: promptEstimate,
+    completion_tokens: estimateTokens(rawText),
+  };
+
+  await settle(usageToLog, { content: processed.completion });
+  storeCachedCompletion(cacheKey, { completion: processed.completion, model: servedModel, usage: usageToLog });
+
+  res.write(formatSSE({ done: true, completion: processed.completion, model: servedModel, usage, stop_reason: stopReason || 'stop' }));
+  res.end();
+}
 
 /**
  * POST /api/proxy/completions
  * Proxy code completions (FIM - Fill In Middle) for inline suggestions.
  * Takes prefix/suffix context and returns completion text.
+ * Repeated requests are answered from a short-lived cache (X-Cache: HIT).
+ * Completion instructions from the prompt templates are added to the prompt.
+ *
+ * The completion is cleaned up (code fences, text repeated from the prefix
+ * or suffix, indentation; utils/completionPostProcess.js). Completions that
+ * are only whitespace or comments come back empty with `dropped` set to the
+ * rule, and are not charged.
+ *
+ * With `stream: true` the completion is sent over SSE as whole lines
+ * (`{ delta }` records), cut off by language-aware stop rules
+ * (utils/completionStops.js), then a final `{ done, completion, model,
+ * usage, stop_reason }` record whose `completion` is the cleaned-up text.
+ * `max_tokens` (default 256) is capped at PROXY_COMPLETION_MAX_TOKENS.
  * Requires device JWT.
  */
 router.post('/completions', authenticateDevice, async (req, res) => {
   try {
-    const { prefix, suffix, language, file_path, model = 'gpt-4o-mini', max_tokens = 256 } = req.body;
+    const { prefix, suffix, language, file_path, model = 'gpt-4o-mini', max_tokens = 256, stream = false } = req.body;
 
-    if (!prefix) {
+    if (typeof prefix !== 'string' || !prefix) {
       return res.status(400).json({ error: 'prefix is required for code completion' });
     }
-
-    // Get the device owner's GitHub token
-    const { data: user } = await supabase
-      .from('users')
-      .select('id, github_access_token')
-      .eq('id', req.userId)
-      .single();
-
-    if (!user || !user.github_access_token) {
-      return res.status(403).json({ error: 'AI proxy not available.' });
+    if (suffix !== undefined && suffix !== null && typeof suffix !== 'string') {
+      return res.status(400).json({ error: "'suffix' must be a string", code: 'INVALID_PARAMETER' });
     }
-
-    // Check token limits
-    const currentMonth = getCurrentMonth();
-    const { data: allocation } = await supabase
-      .from('token_allocations')
-      .select('*')
-      .eq('device_id', req.deviceId)
-      .eq('month_year', currentMonth)
-      .single();
-
-    if (!allocation) {
-      return res.status(403).json({ error: 'No token allocation for this month.' });
+    if (!(Number.isInteger(max_tokens) && max_tokens > 0 && max_tokens <= MAX_COMPLETION_TOKENS)) {
+      return res.status(400).json({
+        error: `'max_tokens' must be a positive integer of at most ${MAX_COMPLETION_TOKENS}`,
+        code: 'INVALID_PARAMETER',
+      });
     }
 
-    const modelCost = calculateTokens(model);
-    if (allocation.used_tokens + modelCost > allocation.allocated_tokens) {
-      return res.status(403).json({ error: 'Token limit reached.' });
+    // The organisation's, owner's and device's completion instructions
+    const instructions = await getPromptInstructions(req.userId, req.deviceId, 'completion');
+    if (instructions.text) {
+      res.setHeader('X-Prompt-Templates', instructions.versions.join(','));
     }
 
     // Build a chat-style request for code completion using FIM-style prompt
-    const systemPrompt = `You are a code completion assistant. You are given code context (prefix and suffix) and must return ONLY the code that goes between them. Do not include any explanation, markdown formatting, or code fences. Output raw code only.${language ? ` Language: ${language}.` : ''}`;
+    const systemPrompt = `You are a code completion assistant. You are given code context (prefix and suffix) and must return ONLY the code that goes between them. Do not include any explanation, markdown formatting, or code fences. Output raw code only.${language ? ` Language: ${language}.` : ''}${instructions.text ? `\n\nFollow these project instructions:\n${instructions.text}` : ''}`;
 
     const userPrompt = suffix
       ? `Complete the code between PREFIX and SUFFIX.\n\nPREFIX:\n${prefix}\n\nSUFFIX:\n${suffix}\n\nCompletion:`
       : `Continue this code:\n\n${prefix}\n\nCompletion:`;
 
-    const apiRes = await fetch(`${GITHUB_MODELS_API}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${user.github_access_token}`,
-      },
-      body: JSON.stringify({
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt },
-        ],
-        model,
+    const promptEstimate = estimateTokens(systemPrompt) + estimateTokens(userPrompt);
+    const sendError = errorSender(res);
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ];
+
+    // Identical requests (e.g. the cursor moving back and forth) are served from the cache
+    const cacheKey = completionCacheKey(req.userId, {
+      prefix, suffix, language, model, max_tokens, instructions: instructions.text,
+    });
+    const cached = getCachedCompletion(cacheKey);
+
+    await runMeteredRequest(req, res, {
+      model,
+      requestType: stream ? 'inline-completion-stream' : 'inline-completion',
+      promptEstimate,
+      completionReserve: max_tokens,
+      scan: { messages },
+      stream: !!stream,
+      cached,
+      sendError,
+    }, async ({ callUpstream, signal, abortReason, settle }) => {
+      if (stream) {
+        return streamCompletion(res, {
+          callUpstream, signal, abortReason, settle, sendError,
+          messages, max_tokens, prefix, suffix, language, promptEstimate, cached, cacheKey,
+        });
+      }
+
+      if (cached) {
+        await settle(cached.usage, { content: cached.completion });
+        res.setHeader('X-Cache', 'HIT');
+        return res.json({
+          completion: cached.completion,
+          model: cached.model,
+          usage: cached.usage,
+          cached: true,
+        });
+      }
+
+      const { apiRes, route, model: servedModel } = await callUpstream((route) => route.adapter.chatCompletions({
+        messages,
+        model: route.upstreamModel,
         temperature: 0.1,
         max_tokens,
         stream: false,
-      }),
-    });
+      }, { apiKey: route.apiKey, signal }));
 
-    if (!apiRes.ok) {
-      const errBody = await apiRes.text();
-      console.error(`Completions API error (${apiRes.status}):`, errBody);
-      if (apiRes.status === 401) {
-        return res.status(502).json({ error: 'GitHub token expired. Owner must re-login.' });
+      if (!apiRes?.ok) {
+        return sendUpstreamError(apiRes, route, sendError);
       }
-      return res.status(502).json({ error: `Upstream error: ${apiRes.status}` });
-    }
 
-    const result = await apiRes.json();
-    const completionText = result.choices?.[0]?.message?.content || '';
+      const result = await apiRes.json();
+      const rawText = result.choices?.[0]?.message?.content || '';
+
+      const processed = postProcessCompletion(rawText, { prefix, suffix, language });
+      recordCompletionRules(servedModel, processed.rules);
+
+      res.setHeader('X-Cache', 'MISS');
+      if (processed.dropped) {
+        // Not settled, so not charged
+        return res.json({
+          completion: '',
+          model: servedModel,
+          usage: result.usage || null,
+          dropped: processed.dropped,
+        });
+      }
 
-    // Log usage
-    await logProxyUsage(req.deviceId, req.userId, model, 'inline-completion', currentMonth, allocation);
+      const usage = result.usage || {
+        prompt_tokens: promptEstimate,
+        completion_tokens: estimateTokens(rawText),
+      };
 
-    res.json({
-      completion: completionText,
-      model: result.model || model,
-      usage: result.usage || null,
+      // Log usage
+      await settle(usage, { content: processed.completion });
+      storeCachedCompletion(cacheKey, { completion: processed.completion, model: servedModel, usage });
+
+      res.json({
+        completion: processed.completion,
+        model: servedModel,
+        usage: result.usage || null,
+      });
     });
   } catch (error) {
     console.error('Proxy completions error:', error);
-    res.status(500).json({ error: 'Proxy completion failed' });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Proxy completion failed' });
+    }
   }
 });
 
-/**
- * Helper: Log proxy usage and update token allocation
- */
-async function logProxyUsage(deviceId, userId, modelType, requestType, currentMonth, _allocation) {
-  try {
-    const tokenCost = calculateTokens(modelType);
-
-    // Re-fetch the latest allocation to avoid stale data race conditions
-    const { data: freshAllocation } = await supabase
-      .from('token_allocations')
-      .select('*')
-      .eq('device_id', deviceId)
-      .eq('month_year', currentMonth)
-      .single();
-
-    const currentUsed = freshAllocation?.used_tokens || _allocation?.used_tokens || 0;
-
-    // Update allocation with fresh data
-    await supabase
-      .from('token_allocations')
-      .update({ used_tokens: currentUsed + tokenCost })
-      .eq('device_id', deviceId)
-      .eq('month_year', currentMonth);
-
-    // Insert usage log
-    await supabase
-      .from('usage_logs')
-      .insert({
-        device_id: deviceId,
-        user_id: userId,
-        tokens_used: tokenCost,
-        model_type: modelType,
-        request_type: `proxy-${requestType}`,
-        description: `AI proxy: ${requestType} via ${modelType}`,
-      });
-  } catch (err) {
-    console.error('Failed to log proxy usage:', err);
-  }
-}
-
 module.exports = router;
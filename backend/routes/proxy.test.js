@@ -0,0 +1,196 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { installFakeSupabase } = require('../testing/fakeSupabase');
+const { startApp } = require('../testing/app');
+
+const DEVICE = { id: 'd1', user_id: 'u1', is_blocked: false };
+const USER = { id: 'u1', is_active: true, role: 'user', github_access_token: 'ghp_test' };
+
+// What the fake upstream answers with: { content } for the next completion
+let upstreamReply = { content: '' };
+// The body of the last request the fake upstream received
+let upstreamRequest = null;
+
+const upstream = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    upstreamRequest = JSON.parse(body);
+    const { stream } = upstreamRequest;
+    const usage = { prompt_tokens: 20, completion_tokens: 5 };
+    if (!stream) {
+      res.setHeader('Content-Type', 'application/json');
+      return res.end(JSON.stringify({
+        model: 'gpt-4o-mini-2024-07-18',
+        choices: [{ message: { content: upstreamReply.content }, finish_reason: 'stop' }],
+        usage,
+      }));
+    }
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: upstreamReply.content } }] })}\n\n`);
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: 'stop' }], usage })}\n\n`);
+    res.end('data: [DONE]\n\n');
+  });
+});
+
+const supabase = installFakeSupabase();
+let app;
+let token;
+
+before(async () => {
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  process.env.GITHUB_MODELS_API_URL = `http://127.0.0.1:${upstream.address().port}`;
+  token = require('../utils/helpers').generateDeviceToken(DEVICE.id, USER.id, 'fingerprint');
+  app = await startApp({ '/api/proxy': require('./proxy') });
+});
+
+after(async () => {
+  await app.close();
+  await new Promise(resolve => upstream.close(resolve));
+});
+
+beforeEach(() => {
+  upstreamRequest = null;
+  supabase.reset();
+  supabase.onQuery = (table, query) => {
+    if (table === 'devices') return { data: DEVICE, error: null };
+    if (table === 'users') return { data: USER, error: null };
+    return { data: query.single ? null : [], error: null };
+  };
+  supabase.onRpc = (name) => {
+    if (name === 'reserve_tokens') return { data: { reserved: true, has_allocation: true, reservation_id: 'r1' }, error: null };
+    if (name === 'debit_usage') return { data: { debited: true, log_id: 'l1' }, error: null };
+    return { data: null, error: null };
+  };
+});
+
+function complete(body) {
+  return fetch(app.url('/api/proxy/completions'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ language: 'javascript', model: 'gpt-4o-mini', ...body }),
+  });
+}
+
+// The `done` record of a streamed completion
+async function streamedDone(res) {
+  const records = (await res.text()).split('\n\n').filter(Boolean).map(line => JSON.parse(line.replace(/^data: /, '')));
+  return records.find(record => record.done);
+}
+
+const rpcNames = () => supabase.calls.filter(call => call.rpc).map(call => call.rpc);
+
+describe('POST /api/proxy/completions', () => {
+  test('charges a completion and reports the model that served it', async () => {
+    upstreamReply = { content: 'return a + b;' };
+    const res = await complete({ prefix: 'function add(a, b) {\n  ' });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.completion, 'return a + b;');
+    assert.equal(body.model, 'gpt-4o-mini');
+    assert.deepEqual(rpcNames(), ['reserve_tokens', 'debit_usage']);
+  });
+
+  test('does not charge a dropped completion', async () => {
+    upstreamReply = { content: '// nothing to add\n' };
+    const res = await complete({ prefix: 'function noop() {\n  ' });
+    const body = await res.json();
+
+    assert.equal(body.completion, '');
+    assert.equal(body.dropped, 'drop-comment-only');
+    assert.equal(body.model, 'gpt-4o-mini');
+    assert.deepEqual(rpcNames(), ['reserve_tokens', 'refund_reservation']);
+  });
+
+  test('does not charge a dropped streamed completion', async () => {
+    upstreamReply = { content: '// nothing to add\n' };
+    const res = await complete({ prefix: 'function idle() {\n  ', stream: true });
+    const done = await streamedDone(res);
+
+    assert.equal(done.completion, '');
+    assert.equal(done.dropped, 'drop-comment-only');
+    assert.equal(done.model, 'gpt-4o-mini');
+    assert.deepEqual(rpcNames(), ['reserve_tokens', 'refund_reservation']);
+  });
+
+  test('charges a streamed completion and caches it', async () => {
+    upstreamReply = { content: 'return a * b;\n' };
+    const prefix = 'function mul(a, b) {\n  ';
+    const done = await streamedDone(await complete({ prefix, stream: true }));
+    assert.equal(done.completion, 'return a * b;');
+    assert.deepEqual(rpcNames(), ['reserve_tokens', 'debit_usage']);
+
+    const again = await complete({ prefix });
+    assert.equal(again.headers.get('x-cache'), 'HIT');
+    assert.equal((await again.json()).completion, 'return a * b;');
+  });
+
+  test('asks upstream for the requested max_tokens', async () => {
+    upstreamReply = { content: 'return a - b;' };
+    const res = await complete({ prefix: 'function sub(a, b) {\n  ', max_tokens: 64 });
+
+    assert.equal(res.status, 200);
+    assert.equal(upstreamRequest.max_tokens, 64);
+  });
+
+  const invalidBodies = [
+    ['a prefix that is not a string', { prefix: ['function f() {'] }, /prefix is required/],
+    ['a suffix that is not a string', { prefix: 'f(', suffix: { text: ')' } }, /'suffix' must be a string/],
+    ['max_tokens of 0', { prefix: 'f(', max_tokens: 0 }, /'max_tokens' must be a positive integer/],
+    ['a fractional max_tokens', { prefix: 'f(', max_tokens: 2.5 }, /'max_tokens' must be a positive integer/],
+    ['max_tokens as a string', { prefix: 'f(', max_tokens: '256' }, /'max_tokens' must be a positive integer/],
+    ['max_tokens over the cap', { prefix: 'f(', max_tokens: 1025 }, /at most 1024/],
+  ];
+
+  for (const [what, body, error] of invalidBodies) {
+    test(`refuses ${what}`, async () => {
+      const res = await complete(body);
+      assert.equal(res.status, 400);
+      assert.match((await res.json()).error, error);
+      assert.equal(upstreamRequest, null);
+      assert.deepEqual(rpcNames(), []);
+    });
+  }
+});
+
+describe('POST /api/proxy/chat', () => {
+  function chat(messages) {
+    return fetch(app.url('/api/proxy/chat'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ model: 'gpt-4o-mini', messages }),
+    });
+  }
+
+  test('answers a well-formed conversation', async () => {
+    upstreamReply = { content: 'Hello!' };
+    const res = await chat([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: [{ type: 'text', text: 'Hi' }] },
+    ]);
+    assert.equal(res.status, 200);
+    assert.equal(upstreamRequest.messages.length, 2);
+  });
+
+  const malformed = [
+    ['a null message', [null], /'messages\[0\]' must be an object/],
+    ['a string message', [{ role: 'user', content: 'Hi' }, 'and again'], /'messages\[1\]' must be an object/],
+    ['a message without a role', [{ content: 'Hi' }], /'messages\[0\]' must be an object with a string 'role'/],
+    ['a message with numeric content', [{ role: 'user', content: 42 }], /'messages\[0\]\.content' must be a string or an array/],
+    ['a message without content', [{ role: 'user' }], /'messages\[0\]\.content' must be a string or an array/],
+  ];
+
+  for (const [what, messages, error] of malformed) {
+    test(`refuses ${what} with a 400`, async () => {
+      const res = await chat(messages);
+      assert.equal(res.status, 400);
+      const body = await res.json();
+      assert.equal(body.code, 'INVALID_PARAMETER');
+      assert.match(body.error, error);
+      assert.equal(upstreamRequest, null);
+    });
+  }
+});
@@ -2,11 +2,25 @@ const express = require('express');
 const router = express.Router();
 const supabase = require('../config/supabase');
 const { authenticateDevice, authenticateAdmin } = require('../middleware/auth');
-const { getCurrentMonth, calculateTokens, getModelTokenCost } = require('../utils/helpers');
+const { calculateTokens, getModelTokenCost } = require('../utils/helpers');
+const { getModelCatalog } = require('../utils/modelCatalog');
+const { parseClientEventId, isValidPromptCount, parseUsageEvent, debitUsage } = require('../utils/usageAccounting');
+const { getCurrentPeriod, checkUsageLimits, usageLimitMessage, secondsUntilReset } = require('../utils/billingPeriods');
+const { checkModelPolicy } = require('../utils/modelPolicy');
+const { getPeriodAllocation } = require('../utils/rollover');
+const { getCompletionCacheStats } = require('../utils/completionCache');
+const { getCompletionRuleStats } = require('../utils/completionPostProcess');
+
+const MAX_BATCH_EVENTS = 100;
 
 /**
  * POST /api/usage/log
  * Quick endpoint to log usage (authenticated device)
+ * An Idempotency-Key header or client_event_id makes retries safe: an
+ * event already logged for the device returns the original result
+ * (duplicate: true) without charging again
+ * Usage over a daily/weekly/monthly limit of the device or its owner gets
+ * 429 with Retry-After (code USAGE_LIMIT_REACHED)
  */
 router.post('/log', authenticateDevice, async (req, res) => {
   try {
@@ -16,67 +30,62 @@ router.post('/log', authenticateDevice, async (req, res) => {
       return res.status(400).json({ error: 'model_type is required' });
     }
     
-    const currentMonth = getCurrentMonth();
-    const tokensToUse = calculateTokens(model_type, prompt_count);
+    if (!isValidPromptCount(prompt_count)) {
+      return res.status(400).json({ error: 'prompt_count must be a positive integer' });
+    }
     
-    // Get current allocation
-    let { data: allocation } = await supabase
-      .from('token_allocations')
-      .select('*')
-      .eq('device_id', req.deviceId)
-      .eq('month_year', currentMonth)
-      .single();
+    const tokensToUse = calculateTokens(model_type, prompt_count);
     
-    if (!allocation) {
-      const { data: newAlloc } = await supabase
-        .from('token_allocations')
-        .insert({
-          device_id: req.deviceId,
-          allocated_tokens: 50,
-          used_tokens: 0,
-          month_year: currentMonth
-        })
-        .select()
-        .single();
-      allocation = newAlloc;
+    const { clientEventId, error: eventIdError } = parseClientEventId(req);
+    if (eventIdError) {
+      return res.status(400).json({ error: eventIdError });
     }
     
-    const remaining = allocation.allocated_tokens - allocation.used_tokens;
+    // Debit and log in one transaction; refused if the tokens do not fit
+    const result = await debitUsage({
+      deviceId: req.deviceId,
+      userId: req.userId,
+      monthYear: getCurrentPeriod().key,
+      tokens: tokensToUse,
+      modelType: model_type,
+      requestType: request_type,
+      description,
+      clientEventId
+    });
+    
+    if (result.reason === 'usage_limit') {
+      const retryAfter = secondsUntilReset(result.limit);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: usageLimitMessage(result.limit),
+        code: 'USAGE_LIMIT_REACHED',
+        requested: tokensToUse,
+        limit: result.limit,
+        retry_after: retryAfter
+      });
+    }
     
-    if (tokensToUse > remaining) {
+    if (!result.debited) {
       return res.status(403).json({
         error: 'Insufficient tokens',
         code: 'INSUFFICIENT_TOKENS',
         requested: tokensToUse,
-        remaining: remaining,
+        remaining: result.remaining,
         message: 'Contact admin to request more tokens'
       });
     }
     
-    // Update allocation
-    const newUsed = allocation.used_tokens + tokensToUse;
-    await supabase
-      .from('token_allocations')
-      .update({ used_tokens: newUsed })
-      .eq('id', allocation.id);
-    
-    // Log usage
-    await supabase
-      .from('usage_logs')
-      .insert({
-        device_id: req.deviceId,
-        user_id: req.userId,
-        tokens_used: tokensToUse,
-        model_type,
-        request_type,
-        description
-      });
+    // A repeated event gets the original debit back, without a new charge
+    if (result.duplicate) {
+      res.set('Idempotent-Replayed', 'true');
+    }
     
     res.json({
       success: true,
-      tokens_used: tokensToUse,
-      model_type,
-      remaining: allocation.allocated_tokens - newUsed
+      tokens_used: result.tokens_used,
+      model_type: result.model_type,
+      duplicate: result.duplicate,
+      remaining: result.remaining
     });
   } catch (error) {
     console.error('Usage log error:', error);
@@ -85,31 +94,108 @@ router.post('/log', authenticateDevice, async (req, res) => {
 });
 
 /**
- * GET /api/usage/balance
- * Get current token balance (authenticated device)
+ * POST /api/usage/batch
+ * Log usage events recorded while offline (authenticated device)
+ * Each event is { client_event_id, model_type, occurred_at, request_type?,
+ * description?, prompt_count? } and is charged like /log, oldest first, to
+ * the billing period it occurred in. Results come back in the order sent,
+ * each 'logged', 'duplicate' (already logged, not charged again),
+ * 'rejected' (the budget ran out, or a usage limit was reached at the
+ * time) or 'invalid'
  */
-router.get('/balance', authenticateDevice, async (req, res) => {
+router.post('/batch', authenticateDevice, async (req, res) => {
   try {
-    const currentMonth = getCurrentMonth();
+    const { events } = req.body;
     
-    let { data: allocation } = await supabase
-      .from('token_allocations')
-      .select('*')
-      .eq('device_id', req.deviceId)
-      .eq('month_year', currentMonth)
-      .single();
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({ error: 'events must be a non-empty array' });
+    }
+    if (events.length > MAX_BATCH_EVENTS) {
+      return res.status(400).json({ error: `At most ${MAX_BATCH_EVENTS} events per batch` });
+    }
+    
+    const parsed = events.map(event => parseUsageEvent(event));
+    // Oldest first, so the budget is spent in the order it was used
+    const order = events
+      .map((_, i) => i)
+      .sort((a, b) => (parsed[a].event?.occurredAt ?? 0) - (parsed[b].event?.occurredAt ?? 0));
     
-    if (!allocation) {
-      allocation = { allocated_tokens: 50, used_tokens: 0 };
+    const results = new Array(events.length);
+    for (const i of order) {
+      const { event, error } = parsed[i];
+      const clientEventId = event?.clientEventId ?? (typeof events[i]?.client_event_id === 'string' ? events[i].client_event_id : null);
+      
+      if (error) {
+        results[i] = { client_event_id: clientEventId, status: 'invalid', error };
+        continue;
+      }
+      
+      const tokensToUse = calculateTokens(event.modelType, event.promptCount);
+      const result = await debitUsage({
+        deviceId: req.deviceId,
+        userId: req.userId,
+        monthYear: getCurrentPeriod(event.occurredAt).key,
+        tokens: tokensToUse,
+        modelType: event.modelType,
+        requestType: event.requestType,
+        description: event.description,
+        clientEventId: event.clientEventId,
+        occurredAt: event.occurredAt
+      });
+      
+      results[i] = result.debited
+        ? {
+          client_event_id: clientEventId,
+          status: result.duplicate ? 'duplicate' : 'logged',
+          tokens_used: result.tokens_used,
+          model_type: result.model_type,
+          remaining: result.remaining
+        }
+        : {
+          client_event_id: clientEventId,
+          status: 'rejected',
+          code: result.reason === 'usage_limit' ? 'USAGE_LIMIT_REACHED' : 'INSUFFICIENT_TOKENS',
+          requested: tokensToUse,
+          remaining: result.remaining,
+          ...(result.limit && { limit: result.limit })
+        };
     }
     
+    const summary = { logged: 0, duplicate: 0, rejected: 0, invalid: 0, tokens_used: 0 };
+    for (const result of results) {
+      summary[result.status]++;
+      if (result.status === 'logged') {
+        summary.tokens_used += result.tokens_used;
+      }
+    }
+    
+    res.json({ results, summary });
+  } catch (error) {
+    console.error('Usage batch error:', error);
+    res.status(500).json({ error: 'Failed to log usage batch' });
+  }
+});
+
+/**
+ * GET /api/usage/balance
+ * Get the token balance for the current billing period (authenticated device)
+ * `remaining` leaves out tokens `reserved` by in-flight proxy requests
+ */
+router.get('/balance', authenticateDevice, async (req, res) => {
+  try {
+    const period = getCurrentPeriod();
+    
+    const allocation = await getPeriodAllocation(req.deviceId, period.key);
+    
     res.json({
       device_id: req.deviceId,
       device_name: req.device.device_name,
-      month: currentMonth,
+      month: period.key,
+      period,
       allocated: allocation.allocated_tokens,
       used: allocation.used_tokens,
-      remaining: allocation.allocated_tokens - allocation.used_tokens,
+      reserved: allocation.reserved_tokens || 0,
+      remaining: allocation.allocated_tokens - allocation.used_tokens - (allocation.reserved_tokens || 0),
       is_blocked: req.device.is_blocked
     });
   } catch (error) {
@@ -120,37 +206,45 @@ router.get('/balance', authenticateDevice, async (req, res) => {
 
 /**
  * GET /api/usage/models
- * Get model token costs
+ * Get model token costs from the model catalog
  */
 router.get('/models', (req, res) => {
+  const models = getModelCatalog()
+    .filter(m => m.is_enabled)
+    .map(m => ({
+      id: m.id,
+      name: m.id,
+      display_name: m.display_name,
+      provider: m.provider,
+      description: m.description,
+      kind: m.kind,
+      tokens_per_prompt: m.is_free ? 0 : m.cost,
+      is_free: m.is_free,
+      input_rate: m.input_rate,
+      output_rate: m.output_rate,
+      aliases: m.aliases,
+    }));
+
   res.json({
-    models: [
-      { name: 'claude-opus-4.5', tokens_per_prompt: 3, description: 'Claude Opus 4.5 - Premium model' },
-      { name: 'claude-sonnet', tokens_per_prompt: 1, description: 'Claude Sonnet' },
-      { name: 'gpt-4', tokens_per_prompt: 1, description: 'GPT-4' },
-      { name: 'gpt-4o', tokens_per_prompt: 1, description: 'GPT-4o' },
-      { name: 'gpt-5-mini', tokens_per_prompt: 0, description: 'GPT-5 Mini (FREE)' },
-      { name: 'grok-code-fast-1', tokens_per_prompt: 0, description: 'Grok Code Fast 1 (FREE)' },
-      { name: 'copilot', tokens_per_prompt: 1, description: 'GitHub Copilot' },
-      { name: 'other', tokens_per_prompt: 1, description: 'Other models' }
-    ],
-    note: 'Claude Opus 4.5 = 3 tokens, free models = 0 tokens, all others = 1 token per prompt'
+    models,
+    note: 'Unknown models are matched by the longest model name or alias they contain, then charged as "other"'
   });
 });
 
 /**
  * GET /api/usage/stats
- * Get usage statistics (admin only)
+ * Get usage statistics, completion cache hit/miss counts and completion
+ * post-processing rule counts per model (admin only)
  */
 router.get('/stats', authenticateAdmin, async (req, res) => {
   try {
-    const currentMonth = getCurrentMonth();
+    const period = getCurrentPeriod();
     
     // Get usage by model
     const { data: usageByModel } = await supabase
       .from('usage_logs')
       .select('model_type, tokens_used')
-      .gte('created_at', `${currentMonth}-01`);
+      .gte('created_at', period.start.toISOString());
     
     const modelStats = {};
     usageByModel?.forEach(log => {
@@ -165,18 +259,21 @@ router.get('/stats', authenticateAdmin, async (req, res) => {
     const { data: allocations } = await supabase
       .from('token_allocations')
       .select('*')
-      .eq('month_year', currentMonth);
+      .eq('month_year', period.key);
     
     const totalAllocated = allocations?.reduce((sum, a) => sum + a.allocated_tokens, 0) || 0;
     const totalUsed = allocations?.reduce((sum, a) => sum + a.used_tokens, 0) || 0;
     
     res.json({
-      month: currentMonth,
+      month: period.key,
+      period,
       total_allocated: totalAllocated,
       total_used: totalUsed,
       total_remaining: totalAllocated - totalUsed,
       usage_by_model: modelStats,
-      request_count: usageByModel?.length || 0
+      request_count: usageByModel?.length || 0,
+      completion_cache: getCompletionCacheStats(),
+      completion_postprocess: getCompletionRuleStats()
     });
   } catch (error) {
     console.error('Stats error:', error);
@@ -186,7 +283,8 @@ router.get('/stats', authenticateAdmin, async (req, res) => {
 
 /**
  * POST /api/usage/check
- * Check if can use tokens without consuming them
+ * Check if can use tokens without consuming them, including the usage
+ * limits of the device and its owner
  */
 router.post('/check', authenticateDevice, async (req, res) => {
   try {
@@ -196,29 +294,34 @@ router.post('/check', authenticateDevice, async (req, res) => {
       return res.status(400).json({ error: 'model_type is required' });
     }
     
-    const currentMonth = getCurrentMonth();
+    if (!isValidPromptCount(prompt_count)) {
+      return res.status(400).json({ error: 'prompt_count must be a positive integer' });
+    }
+    
     const tokensNeeded = calculateTokens(model_type, prompt_count);
     
-    let { data: allocation } = await supabase
-      .from('token_allocations')
-      .select('*')
-      .eq('device_id', req.deviceId)
-      .eq('month_year', currentMonth)
-      .single();
+    const allocation = await getPeriodAllocation(req.deviceId, getCurrentPeriod().key);
     
-    if (!allocation) {
-      allocation = { allocated_tokens: 50, used_tokens: 0 };
-    }
+    const { data: owner } = await supabase
+      .from('users')
+      .select('id, model_policy')
+      .eq('id', req.userId)
+      .single();
+    const denied = checkModelPolicy(model_type, req.device, owner);
+    const limit = await checkUsageLimits(req.deviceId, tokensNeeded);
     
-    const remaining = allocation.allocated_tokens - allocation.used_tokens;
-    const canUse = remaining >= tokensNeeded && !req.device.is_blocked;
+    // Tokens held by in-flight proxy requests are not available either
+    const remaining = allocation.allocated_tokens - allocation.used_tokens - (allocation.reserved_tokens || 0);
+    const canUse = remaining >= tokensNeeded && !req.device.is_blocked && !denied && !limit;
     
     res.json({
       can_use: canUse,
       tokens_needed: tokensNeeded,
       token_cost: getModelTokenCost(model_type),
       remaining: remaining,
-      is_blocked: req.device.is_blocked
+      is_blocked: req.device.is_blocked,
+      ...(limit && { code: 'USAGE_LIMIT_REACHED', reason: usageLimitMessage(limit), limit }),
+      ...(denied && { code: denied.code, reason: denied.error })
     });
   } catch (error) {
     console.error('Check error:', error);
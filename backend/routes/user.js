@@ -3,7 +3,17 @@ const router = express.Router();
 const supabase = require('../config/supabase');
 const { authenticateUser } = require('../middleware/auth');
 const crypto = require('crypto');
-const { getCurrentMonth, generateDeviceToken } = require('../utils/helpers');
+const { generateDeviceToken } = require('../utils/helpers');
+const { getCurrentPeriod, parseUsageLimits } = require('../utils/billingPeriods');
+const { parseModelPolicy } = require('../utils/modelPolicy');
+const { parseRateLimits, getRateLimitDefaults } = require('../utils/rateLimits');
+const { pickGitHubCredential } = require('../utils/githubCredentials');
+const { DLP_RULE_FIELDS, parseDlpRule, checkOwnerDlpRule, mergeDlpRules, loadDlpRuleRows, invalidateDlpRules } = require('../utils/dlp');
+const { parseTranscriptSettings } = require('../utils/transcripts');
+const {
+  PROMPT_TEMPLATE_KINDS, MAX_TEMPLATE_CHARS, parseTemplateContent, loadCurrentTemplates,
+  listTemplateVersions, savePromptTemplate, templatesByKind,
+} = require('../utils/promptTemplates');
 
 /**
  * GET /api/user/dashboard
@@ -11,7 +21,7 @@ const { getCurrentMonth, generateDeviceToken } = require('../utils/helpers');
  */
 router.get('/dashboard', authenticateUser, async (req, res) => {
   try {
-    const currentMonth = getCurrentMonth();
+    const periodKey = getCurrentPeriod().key;
 
     // Get user's devices
     const { data: devices } = await supabase
@@ -20,7 +30,7 @@ router.get('/dashboard', authenticateUser, async (req, res) => {
       .eq('user_id', req.userId)
       .order('created_at', { ascending: true });
 
-    // Get allocations for this month
+    // Get allocations for this billing period
     const deviceIds = (devices || []).map(d => d.id);
     let allocations = [];
     if (deviceIds.length > 0) {
@@ -28,7 +38,7 @@ router.get('/dashboard', authenticateUser, async (req, res) => {
         .from('token_allocations')
         .select('*')
         .in('device_id', deviceIds)
-        .eq('month_year', currentMonth);
+        .eq('month_year', periodKey);
       allocations = allocs || [];
     }
 
@@ -48,6 +58,9 @@ router.get('/dashboard', authenticateUser, async (req, res) => {
         id: d.id,
         name: d.device_name,
         is_blocked: d.is_blocked,
+        model_policy: d.model_policy || null,
+        rate_limits: d.rate_limits || null,
+        usage_limits: d.usage_limits || null,
         last_seen: d.last_seen_at,
         created_at: d.created_at,
         allocation: {
@@ -71,6 +84,9 @@ router.get('/dashboard', authenticateUser, async (req, res) => {
         max_devices: req.user.max_devices,
         github_username: req.user.github_username,
         avatar_url: req.user.avatar_url,
+        model_policy: req.user.model_policy || null,
+        rate_limits: req.user.rate_limits || null,
+        usage_limits: req.user.usage_limits || null,
       },
       devices: deviceList,
       token_keys: (tokenKeys || []).map(tk => ({
@@ -84,7 +100,8 @@ router.get('/dashboard', authenticateUser, async (req, res) => {
         expires_at: tk.expires_at,
       })),
       summary: {
-        month: currentMonth,
+        month: periodKey,
+        period: getCurrentPeriod(),
         total_budget: req.user.monthly_token_budget,
         total_allocated: totalAllocated,
         total_used: totalUsed,
@@ -92,6 +109,7 @@ router.get('/dashboard', authenticateUser, async (req, res) => {
         device_count: deviceList.length,
         max_devices: req.user.max_devices,
       },
+      rate_limit_defaults: getRateLimitDefaults(),
     });
   } catch (error) {
     console.error('User dashboard error:', error);
@@ -224,7 +242,7 @@ router.post('/redeem-key', async (req, res) => {
       return res.status(400).json({ error: 'This token key has expired. Request a new one from the owner.' });
     }
 
-    // Get the key owner (user) — include github_access_token to check proxy availability
+    // Get the key owner (user) — GitHub token or PAT pool decides proxy availability
     const { data: owner } = await supabase
       .from('users')
       .select('*')
@@ -234,6 +252,7 @@ router.post('/redeem-key', async (req, res) => {
     if (!owner || !owner.is_active) {
       return res.status(403).json({ error: 'The account that generated this key is not active.' });
     }
+    const hasCopilotProxy = !!owner.github_access_token || !!(await pickGitHubCredential(owner.id));
 
     // Check if device already exists for this user
     const { data: existingDevice } = await supabase
@@ -257,7 +276,7 @@ router.post('/redeem-key', async (req, res) => {
       console.log(`Migrated device fingerprint from user ${foreignDevice.user_id} → ${key.user_id}`);
     }
 
-    const currentMonth = getCurrentMonth();
+    const periodKey = getCurrentPeriod().key;
 
     if (existingDevice) {
       // Mark key as used and link to existing device
@@ -275,7 +294,7 @@ router.post('/redeem-key', async (req, res) => {
         .from('token_allocations')
         .select('*')
         .eq('device_id', existingDevice.id)
-        .eq('month_year', currentMonth)
+        .eq('month_year', periodKey)
         .single();
 
       if (!allocation) {
@@ -285,7 +304,7 @@ router.post('/redeem-key', async (req, res) => {
             device_id: existingDevice.id,
             allocated_tokens: key.allocated_tokens,
             used_tokens: 0,
-            month_year: currentMonth,
+            month_year: periodKey,
           })
           .select()
           .single();
@@ -298,7 +317,7 @@ router.post('/redeem-key', async (req, res) => {
         device_token: existingDevice.device_token,
         device_name: existingDevice.device_name,
         owner: owner.display_name,
-        has_copilot_proxy: !!owner.github_access_token,
+        has_copilot_proxy: hasCopilotProxy,
         allocation: {
           allocated: allocation?.allocated_tokens || key.allocated_tokens,
           used: allocation?.used_tokens || 0,
@@ -338,7 +357,7 @@ router.post('/redeem-key', async (req, res) => {
         device_id: deviceId,
         allocated_tokens: key.allocated_tokens,
         used_tokens: 0,
-        month_year: currentMonth,
+        month_year: periodKey,
       })
       .select()
       .single();
@@ -355,7 +374,7 @@ router.post('/redeem-key', async (req, res) => {
       device_token: deviceToken,
       device_name: newDevice.device_name,
       owner: owner.display_name,
-      has_copilot_proxy: !!owner.github_access_token,
+      has_copilot_proxy: hasCopilotProxy,
       allocation: {
         allocated: key.allocated_tokens,
         used: 0,
@@ -391,18 +410,18 @@ router.put('/devices/:id/allocation', authenticateUser, async (req, res) => {
       return res.status(404).json({ error: 'Device not found' });
     }
 
-    const currentMonth = getCurrentMonth();
+    const periodKey = getCurrentPeriod().key;
     let { data: alloc } = await supabase
       .from('token_allocations')
       .select('*')
       .eq('device_id', device.id)
-      .eq('month_year', currentMonth)
+      .eq('month_year', periodKey)
       .single();
 
     if (!alloc) {
       await supabase
         .from('token_allocations')
-        .insert({ device_id: device.id, allocated_tokens, used_tokens: 0, month_year: currentMonth });
+        .insert({ device_id: device.id, allocated_tokens, used_tokens: 0, month_year: periodKey });
     } else {
       await supabase
         .from('token_allocations')
@@ -446,6 +465,106 @@ router.put('/devices/:id/block', authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/user/devices/:id/policy
+ * User sets which models their own device may use (null clears the policy)
+ */
+router.put('/devices/:id/policy', authenticateUser, async (req, res) => {
+  try {
+    const { policy, error } = parseModelPolicy(req.body.model_policy);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { data: device } = await supabase
+      .from('devices')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .single();
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    await supabase
+      .from('devices')
+      .update({ model_policy: policy })
+      .eq('id', device.id);
+
+    res.json({ success: true, device_id: device.id, model_policy: policy });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update model policy' });
+  }
+});
+
+/**
+ * PUT /api/user/devices/:id/limits
+ * User sets proxy rate limits for their own device (null restores the defaults)
+ */
+router.put('/devices/:id/limits', authenticateUser, async (req, res) => {
+  try {
+    const { limits, error } = parseRateLimits(req.body.rate_limits);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { data: device } = await supabase
+      .from('devices')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .single();
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    await supabase
+      .from('devices')
+      .update({ rate_limits: limits })
+      .eq('id', device.id);
+
+    res.json({ success: true, device_id: device.id, rate_limits: limits });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update rate limits' });
+  }
+});
+
+/**
+ * PUT /api/user/devices/:id/usage-limits
+ * User caps the tokens their own device may use per day, week and month
+ * (null removes the caps)
+ */
+router.put('/devices/:id/usage-limits', authenticateUser, async (req, res) => {
+  try {
+    const { limits, error } = parseUsageLimits(req.body.usage_limits);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { data: device } = await supabase
+      .from('devices')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .single();
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    await supabase
+      .from('devices')
+      .update({ usage_limits: limits })
+      .eq('id', device.id);
+
+    res.json({ success: true, device_id: device.id, usage_limits: limits });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update usage limits' });
+  }
+});
+
 /**
  * PUT /api/user/devices/:id/rename
  * User renames their own device
@@ -522,15 +641,394 @@ router.get('/devices/:id/history', authenticateUser, async (req, res) => {
 
     const { data: logs } = await supabase
       .from('usage_logs')
-      .select('*')
+      .select('*, transcripts(id)')
       .eq('device_id', device.id)
       .order('created_at', { ascending: false })
       .limit(50);
 
-    res.json({ logs: logs || [] });
+    // Link each log to its transcript, if one was kept
+    res.json({
+      logs: (logs || []).map(({ transcripts, ...log }) => ({
+        ...log,
+        transcript_id: transcripts?.[0]?.id || null,
+      })),
+    });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch history' });
   }
 });
 
+
+// =====================================================
+// DATA-LOSS PREVENTION
+// Owners add entropy rules (or make built-in/global ones
+// stricter by name) for prompts their devices send through
+// the proxy; patterns are left to admins
+// =====================================================
+
+/**
+ * GET /api/user/dlp/rules
+ * Effective DLP rules for the user's devices, with where each comes from
+ */
+router.get('/dlp/rules', authenticateUser, async (req, res) => {
+  try {
+    const rules = mergeDlpRules(await loadDlpRuleRows(req.userId));
+    res.json({ rules });
+  } catch (error) {
+    console.error('DLP rules error:', error);
+    res.status(500).json({ error: 'Failed to fetch DLP rules' });
+  }
+});
+
+/**
+ * POST /api/user/dlp/rules
+ * Add an entropy rule, or make a built-in or global rule stricter by naming
+ * it (owners cannot set patterns)
+ */
+router.post('/dlp/rules', authenticateUser, async (req, res) => {
+  try {
+    const { rule, error: invalid } = parseDlpRule(req.body, { allowPattern: false });
+    const refused = invalid || await checkOwnerDlpRule(rule);
+    if (refused) {
+      return res.status(400).json({ error: refused });
+    }
+
+    const { data, error } = await supabase
+      .from('dlp_rules')
+      .insert({ ...rule, user_id: req.userId })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(409).json({ error: `Failed to add rule: ${error.message}` });
+    }
+
+    invalidateDlpRules();
+    res.status(201).json({ success: true, rule: data });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to add DLP rule' });
+  }
+});
+
+/**
+ * PUT /api/user/dlp/rules/:id
+ * Update one of the user's own rules
+ */
+router.put('/dlp/rules/:id', authenticateUser, async (req, res) => {
+  try {
+    const { data: existing } = await supabase
+      .from('dlp_rules')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .single();
+
+    if (!existing) {
+      return res.status(404).json({ error: 'DLP rule not found' });
+    }
+
+    // Rows saved before owners lost patterns have theirs dropped
+    const current = Object.fromEntries(DLP_RULE_FIELDS.map(field => [field, existing[field]]));
+    const { rule, error: invalid } = parseDlpRule({ ...current, pattern: null, ...req.body }, { allowPattern: false });
+    const refused = invalid || await checkOwnerDlpRule(rule);
+    if (refused) {
+      return res.status(400).json({ error: refused });
+    }
+
+    const { data, error } = await supabase
+      .from('dlp_rules')
+      .update({ ...rule, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(409).json({ error: `Failed to update rule: ${error.message}` });
+    }
+
+    invalidateDlpRules();
+    res.json({ success: true, rule: data });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update DLP rule' });
+  }
+});
+
+/**
+ * DELETE /api/user/dlp/rules/:id
+ * Remove one of the user's own rules (an overridden rule applies as before)
+ */
+router.delete('/dlp/rules/:id', authenticateUser, async (req, res) => {
+  try {
+    await supabase
+      .from('dlp_rules')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId);
+
+    invalidateDlpRules();
+    res.json({ success: true, message: 'DLP rule deleted' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete DLP rule' });
+  }
+});
+
+/**
+ * GET /api/user/dlp/events
+ * Recent DLP matches on the user's devices (matched text is never stored)
+ */
+router.get('/dlp/events', authenticateUser, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const { data: events } = await supabase
+      .from('dlp_events')
+      .select('*, devices(device_name)')
+      .eq('user_id', req.userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    res.json({ events: events || [] });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch DLP events' });
+  }
+});
+
+// =====================================================
+// TRANSCRIPTS
+// Opt-in copies of proxied prompts and responses,
+// deleted after the owner's retention period
+// =====================================================
+
+// Everything but the request/response bodies, for listings
+const TRANSCRIPT_SUMMARY_FIELDS = 'id, device_id, usage_log_id, model_type, requested_model, request_type, prompt_tokens, completion_tokens, latency_ms, created_at';
+
+/**
+ * GET /api/user/transcripts/settings
+ * Whether transcripts are kept, and for how long
+ */
+router.get('/transcripts/settings', authenticateUser, async (req, res) => {
+  try {
+    const { data: user } = await supabase
+      .from('users')
+      .select('transcript_logging, transcript_retention_days')
+      .eq('id', req.userId)
+      .single();
+
+    res.json({
+      transcript_logging: user?.transcript_logging || false,
+      transcript_retention_days: user?.transcript_retention_days || 30,
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch transcript settings' });
+  }
+});
+
+/**
+ * PUT /api/user/transcripts/settings
+ * Turn transcripts on or off and set the retention period.
+ * Body: { transcript_logging?, transcript_retention_days? }
+ */
+router.put('/transcripts/settings', authenticateUser, async (req, res) => {
+  try {
+    const { settings, error: settingsError } = parseTranscriptSettings(req.body);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .update(settings)
+      .eq('id', req.userId)
+      .select('transcript_logging, transcript_retention_days')
+      .single();
+
+    if (error) throw error;
+    res.json(user);
+  } catch (error) {
+    console.error('Transcript settings error:', error);
+    res.status(500).json({ error: 'Failed to update transcript settings' });
+  }
+});
+
+/**
+ * GET /api/user/transcripts
+ * The user's transcripts, newest first, without bodies (?device_id=, ?limit=, ?offset=)
+ */
+router.get('/transcripts', authenticateUser, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    let query = supabase
+      .from('transcripts')
+      .select(`${TRANSCRIPT_SUMMARY_FIELDS}, devices(device_name)`)
+      .eq('user_id', req.userId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (req.query.device_id) query = query.eq('device_id', req.query.device_id);
+
+    const { data: transcripts } = await query;
+    res.json({ transcripts: transcripts || [] });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch transcripts' });
+  }
+});
+
+/**
+ * GET /api/user/transcripts/:id
+ * One transcript with its request and response
+ */
+router.get('/transcripts/:id', authenticateUser, async (req, res) => {
+  try {
+    const { data: transcript } = await supabase
+      .from('transcripts')
+      .select('*, devices(device_name)')
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .single();
+
+    if (!transcript) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+    res.json({ transcript });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch transcript' });
+  }
+});
+
+/**
+ * DELETE /api/user/transcripts/:id
+ * Delete one of the user's transcripts (the usage log is kept)
+ */
+router.delete('/transcripts/:id', authenticateUser, async (req, res) => {
+  try {
+    const { data: deleted, error } = await supabase
+      .from('transcripts')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .select('id');
+
+    if (error) throw error;
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete transcript' });
+  }
+});
+
+// ── Prompt templates ──────────────────────────────────────
+
+/**
+ * Helper: Check that a device belongs to the user (when given).
+ * Returns false after answering 404 if it does not.
+ */
+async function checkOwnDevice(req, res, deviceId) {
+  if (!deviceId) return true;
+
+  const { data: device } = await supabase
+    .from('devices')
+    .select('id')
+    .eq('id', deviceId)
+    .eq('user_id', req.userId)
+    .single();
+
+  if (!device) {
+    res.status(404).json({ error: 'Device not found' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /api/user/prompt-templates
+ * Current instructions for the user's requests: the organisation's
+ * (read-only), the account's and each device's, by kind
+ */
+router.get('/prompt-templates', authenticateUser, async (req, res) => {
+  try {
+    const rows = await loadCurrentTemplates(req.userId);
+
+    const devices = {};
+    for (const row of rows.filter(t => t.scope === 'device')) {
+      devices[row.device_id] = templatesByKind(rows.filter(t => t.device_id === row.device_id));
+    }
+
+    res.json({
+      organization: templatesByKind(rows.filter(t => t.scope === 'organization')),
+      user: templatesByKind(rows.filter(t => t.scope === 'user')),
+      devices,
+      max_chars: MAX_TEMPLATE_CHARS,
+    });
+  } catch (error) {
+    console.error('Prompt templates error:', error);
+    res.status(500).json({ error: 'Failed to fetch prompt templates' });
+  }
+});
+
+/**
+ * PUT /api/user/prompt-templates/:kind
+ * Save a new version of the account's chat or completion instructions
+ * ({ content, device_id? }; with device_id, that device's only).
+ * An empty content turns them off.
+ */
+router.put('/prompt-templates/:kind', authenticateUser, async (req, res) => {
+  try {
+    const { kind } = req.params;
+    if (!PROMPT_TEMPLATE_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${PROMPT_TEMPLATE_KINDS.join(', ')}` });
+    }
+
+    const { content, error: invalid } = parseTemplateContent(req.body.content);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const deviceId = req.body.device_id || null;
+    if (!(await checkOwnDevice(req, res, deviceId))) return;
+
+    const template = await savePromptTemplate({
+      scope: deviceId ? 'device' : 'user',
+      userId: req.userId,
+      deviceId,
+      kind,
+      content,
+      createdBy: 'owner',
+    });
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Save prompt template error:', error);
+    res.status(500).json({ error: 'Failed to save prompt template' });
+  }
+});
+
+/**
+ * GET /api/user/prompt-templates/:kind/versions
+ * Version history of the account's (or, with ?device_id=, a device's) instructions
+ */
+router.get('/prompt-templates/:kind/versions', authenticateUser, async (req, res) => {
+  try {
+    const { kind } = req.params;
+    if (!PROMPT_TEMPLATE_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${PROMPT_TEMPLATE_KINDS.join(', ')}` });
+    }
+
+    const deviceId = req.query.device_id || null;
+    if (!(await checkOwnDevice(req, res, deviceId))) return;
+
+    const versions = await listTemplateVersions({
+      scope: deviceId ? 'device' : 'user',
+      userId: req.userId,
+      deviceId,
+      kind,
+    });
+
+    res.json({ versions });
+  } catch (error) {
+    console.error('Prompt template versions error:', error);
+    res.status(500).json({ error: 'Failed to fetch prompt template versions' });
+  }
+});
+
 module.exports = router;
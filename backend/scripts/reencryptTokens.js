@@ -0,0 +1,83 @@
+require('dotenv').config();
+
+/**
+ * Encrypt plaintext GitHub tokens and re-wrap tokens encrypted with an
+ * older master key, so they all use TOKEN_ENCRYPTION_KEY_VERSION.
+ *
+ * Rotating the master key:
+ *   1. Add the new key to TOKEN_ENCRYPTION_KEYS (keep the old one) and
+ *      point TOKEN_ENCRYPTION_KEY_VERSION at it; restart the server
+ *   2. npm run reencrypt-tokens
+ *   3. Remove the old key from TOKEN_ENCRYPTION_KEYS
+ *
+ * Usage: npm run reencrypt-tokens [-- --dry-run]
+ */
+
+const supabase = require('../config/supabase');
+const { needsReencryption, reencryptToken, decryptToken } = require('../utils/tokenCrypto');
+
+const PAGE_SIZE = 500;
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Re-encrypt `column` in every row of `table` that needs it.
+ * `extraUpdates(plaintext)` may add columns to the update.
+ */
+async function reencryptColumn(table, column, extraUpdates = () => ({})) {
+  let updated = 0;
+  let failed = 0;
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: rows, error } = await supabase
+      .from(table)
+      .select(`id, ${column}`)
+      .not(column, 'is', null)
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw new Error(`Failed to read ${table}: ${error.message}`);
+
+    for (const row of rows) {
+      if (!needsReencryption(row[column])) continue;
+      try {
+        const updates = {
+          [column]: reencryptToken(row[column]),
+          ...extraUpdates(decryptToken(row[column])),
+        };
+        if (!dryRun) {
+          const { error: updateErr } = await supabase.from(table).update(updates).eq('id', row.id);
+          if (updateErr) throw updateErr;
+        }
+        updated++;
+      } catch (err) {
+        failed++;
+        console.error(`  ${table} ${row.id}: ${err.message}`);
+      }
+    }
+
+    if (rows.length < PAGE_SIZE) break;
+  }
+
+  console.log(`${table}.${column}: ${updated} ${dryRun ? 'to re-encrypt' : 're-encrypted'}, ${failed} failed`);
+  return failed;
+}
+
+async function main() {
+  if (!process.env.TOKEN_ENCRYPTION_KEYS) {
+    console.error('TOKEN_ENCRYPTION_KEYS is not set; nothing to encrypt with.');
+    process.exit(1);
+  }
+
+  const failed =
+    await reencryptColumn('users', 'github_access_token') +
+    await reencryptColumn('github_credentials', 'token', pat => ({
+      token_hint: `${pat.slice(0, 4)}…${pat.slice(-4)}`,
+    }));
+
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Re-encryption failed:', err.message);
+  process.exit(1);
+});
@@ -11,6 +11,13 @@ const usageRoutes = require('./routes/usage');
 const healthRoutes = require('./routes/health');
 const userRoutes = require('./routes/user');
 const proxyRoutes = require('./routes/proxy');
+const openaiRoutes = require('./routes/openai');
+const anthropicRoutes = require('./routes/anthropic');
+const { startReservationSweeper } = require('./utils/reservations');
+const { startModelCatalogRefresh } = require('./utils/modelCatalog');
+const { startTranscriptPurge } = require('./utils/transcripts');
+const { startPeriodRollover } = require('./utils/rollover');
+const { startBillingPeriodRefresh } = require('./utils/billingPeriods');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -45,11 +52,13 @@ app.use(cors({
 }));
 app.use(express.json());
 
-// Rate limiting
+// Rate limiting (per IP). AI proxy routes are limited per device and
+// account instead (utils/rateLimits.js), since many devices share an IP behind NAT.
 const limiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 100, // 100 requests per minute
-  message: { error: 'Too many requests, please try again later' }
+  message: { error: 'Too many requests, please try again later' },
+  skip: (req) => req.path.startsWith('/api/proxy/') || req.path.startsWith('/v1/'),
 });
 app.use(limiter);
 
@@ -61,6 +70,9 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/usage', usageRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/proxy', proxyRoutes);
+app.use('/api/proxy', anthropicRoutes); // POST /api/proxy/messages
+app.use('/v1', anthropicRoutes); // Anthropic SDKs post to <base URL>/v1/messages
+app.use('/v1', openaiRoutes); // OpenAI-compatible API (device token as API key)
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -72,7 +84,8 @@ app.get('/', (req, res) => {
       health: '/api/health',
       devices: '/api/devices',
       admin: '/api/admin',
-      usage: '/api/usage'
+      usage: '/api/usage',
+      openai: '/v1'
     }
   });
 });
@@ -93,6 +106,21 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`\n📡 Access: http://localhost:${PORT}`);
   console.log(`\n⚙️  Extension setting: "tokenTracker.serverUrl": "http://YOUR_SERVER_IP:${PORT}"\n`);
+
+  // Refund proxy token reservations that were never settled
+  startReservationSweeper();
+
+  // Load model costs from the database and keep them fresh
+  startModelCatalogRefresh();
+
+  // Delete proxy transcripts past each owner's retention period
+  startTranscriptPurge();
+
+  // Load the billing period definition and keep it fresh
+  startBillingPeriodRefresh();
+
+  // Create each period's allocations from owners' rollover policies
+  startPeriodRollover();
 });
 
 module.exports = app;
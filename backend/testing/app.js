@@ -0,0 +1,25 @@
+const express = require('express');
+
+/**
+ * Serve routers on a free local port for route tests.
+ * `mounts` maps paths to routers, as app.use() takes them. Returns
+ * { url, close }, where url(path) is the full URL of `path`.
+ */
+async function startApp(mounts) {
+  const app = express();
+  app.use(express.json());
+  for (const [mountPath, router] of Object.entries(mounts)) {
+    app.use(mountPath, router);
+  }
+
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url: (path) => `${base}${path}`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+module.exports = { startApp };
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const { uuid_ossp } = require('@electric-sql/pglite/contrib/uuid_ossp');
+
+/**
+ * In-memory Postgres (PGlite) with the schema and every migration applied,
+ * for tests of the database functions. New migrations go at the end of
+ * MIGRATIONS, in the order they are meant to run.
+ */
+
+const DATABASE_DIR = path.join(__dirname, '..', 'database');
+
+const MIGRATIONS = [
+  'schema_v2_fresh.sql',
+  'migration_add_github_token.sql',
+  'migration_add_token_keys.sql',
+  'migration_add_usage_token_counts.sql',
+  'migration_add_token_reservations.sql',
+  'migration_add_model_catalog.sql',
+  'migration_add_embeddings.sql',
+  'migration_add_model_policies.sql',
+  'migration_add_model_fallbacks.sql',
+  'migration_add_github_credentials.sql',
+  'migration_encrypt_github_tokens.sql',
+  'migration_add_dlp.sql',
+  'migration_add_transcripts.sql',
+  'migration_add_rate_limits.sql',
+  'migration_add_context_windows.sql',
+  'migration_add_prompt_templates.sql',
+  'migration_add_debit_usage.sql',
+  'migration_add_usage_idempotency.sql',
+  'migration_add_usage_batch.sql',
+  'migration_add_monthly_rollover.sql',
+  'migration_add_billing_periods.sql',
+  'migration_scrub_dlp_match_previews.sql',
+  'migration_prorate_period_budgets.sql',
+  'migration_add_period_reset.sql',
+];
+
+/**
+ * A fresh database. Close it with `await db.close()`.
+ */
+async function createTestDatabase() {
+  const db = await PGlite.create({ extensions: { uuid_ossp } });
+  for (const file of MIGRATIONS) {
+    try {
+      await db.exec(fs.readFileSync(path.join(DATABASE_DIR, file), 'utf8'));
+    } catch (err) {
+      throw new Error(`${file}: ${err.message}`);
+    }
+  }
+  return db;
+}
+
+/**
+ * Insert a user and a device of theirs; returns { userId, deviceId }.
+ */
+async function createUserWithDevice(db, { budget = 300, rolloverPolicy = null } = {}) {
+  const { rows: [user] } = await db.query(
+    `INSERT INTO users (email, display_name, monthly_token_budget, rollover_policy)
+     VALUES ('user-' || uuid_generate_v4() || '@example.com', 'Test user', $1, $2)
+     RETURNING id`,
+    [budget, rolloverPolicy],
+  );
+  const { rows: [device] } = await db.query(
+    `INSERT INTO devices (user_id, device_name, hardware_fingerprint, device_token)
+     VALUES ($1, 'Test device', uuid_generate_v4()::text, uuid_generate_v4()::text)
+     RETURNING id`,
+    [user.id],
+  );
+  return { userId: user.id, deviceId: device.id };
+}
+
+module.exports = {
+  createTestDatabase,
+  createUserWithDevice,
+};
@@ -0,0 +1,80 @@
+const path = require('path');
+
+/**
+ * In-memory stand-in for config/supabase in unit tests.
+ *
+ * Queries are recorded in `calls` and answered by `onQuery(table, query)`,
+ * RPCs by `onRpc(name, args)`; both return `{ data, error }` and can be
+ * replaced per test. `query` holds the method chain, e.g.
+ * `{ method: 'update', values: {...}, filters: [['eq', 'id', 1]] }`.
+ *
+ * Install it before requiring the module under test:
+ *
+ *   const supabase = installFakeSupabase();
+ *   const { debitUsage } = require('../utils/usageAccounting');
+ */
+
+const QUERY_METHODS = ['select', 'insert', 'update', 'upsert', 'delete'];
+const FILTER_METHODS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is', 'or', 'not', 'like', 'ilike', 'contains'];
+const MODIFIER_METHODS = ['order', 'limit', 'range'];
+
+function createFakeSupabase() {
+  const fake = {
+    calls: [],
+    onQuery: () => ({ data: null, error: null }),
+    onRpc: () => ({ data: null, error: null }),
+    reset() {
+      fake.calls.length = 0;
+      fake.onQuery = () => ({ data: null, error: null });
+      fake.onRpc = () => ({ data: null, error: null });
+    },
+    from(table) {
+      const query = { table, method: 'select', values: null, filters: [], single: false };
+      const run = () => {
+        fake.calls.push(query);
+        return Promise.resolve(fake.onQuery(table, query));
+      };
+      const builder = {
+        single() { query.single = true; return run(); },
+        maybeSingle() { query.single = true; return run(); },
+        then(resolve, reject) { return run().then(resolve, reject); },
+      };
+      for (const method of QUERY_METHODS) {
+        builder[method] = (values) => {
+          // select() after a write only shapes the result
+          if (method !== 'select' || query.method === 'select') {
+            query.method = method;
+            query.values = method === 'select' ? null : values;
+          }
+          return builder;
+        };
+      }
+      for (const method of FILTER_METHODS) {
+        builder[method] = (...args) => { query.filters.push([method, ...args]); return builder; };
+      }
+      for (const method of MODIFIER_METHODS) {
+        builder[method] = () => builder;
+      }
+      return builder;
+    },
+    rpc(name, args) {
+      fake.calls.push({ rpc: name, args });
+      return Promise.resolve(fake.onRpc(name, args));
+    },
+  };
+  return fake;
+}
+
+/**
+ * Make `require('../config/supabase')` return a fake client.
+ */
+function installFakeSupabase(fake = createFakeSupabase()) {
+  const modulePath = require.resolve(path.join(__dirname, '..', 'config', 'supabase'));
+  require.cache[modulePath] = { id: modulePath, filename: modulePath, loaded: true, exports: fake };
+  return fake;
+}
+
+module.exports = {
+  createFakeSupabase,
+  installFakeSupabase,
+};
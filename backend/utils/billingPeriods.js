@@ -0,0 +1,323 @@
+const supabase = require('../config/supabase');
+
+/**
+ * Billing periods and per-period usage limits
+ * (see migration_add_billing_periods.sql).
+ *
+ * The billing period decides how often allocations start over. Admins set
+ * it in admin_settings ('billing_period') as
+ * `{ type, time_zone, week_start, anchor, length_days }`:
+ *  - monthly (default): calendar months, keyed 'YYYY-MM' as before;
+ *  - weekly: weeks starting on `week_start` (0 = Sunday … 6 = Saturday,
+ *    default 1), keyed 'W' + the first day ('W2025-07-14');
+ *  - daily: keyed 'D' + the day;
+ *  - custom: periods of `length_days` days counted from `anchor`
+ *    (YYYY-MM-DD), keyed 'C' + the first day.
+ * Periods start at midnight in `time_zone` (an IANA name; default
+ * BILLING_TIME_ZONE, else the server's own).
+ *
+ * Usage limits are caps layered under a period's allocation —
+ * `{ daily, weekly, monthly }` in tokens, 0 = no cap — per device
+ * (devices.usage_limits, set by owners) and per account
+ * (users.usage_limits, set by admins, shared by all of its devices). Their
+ * days, weeks and months use the billing period's time zone and week start.
+ * The database checks them when debiting (check_usage_limits).
+ */
+
+const PERIOD_TYPES = ['monthly', 'weekly', 'daily', 'custom'];
+const USAGE_LIMIT_FIELDS = ['daily', 'weekly', 'monthly'];
+const MAX_CUSTOM_DAYS = 366;
+
+const SERVER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const DEFAULT_DEFINITION = {
+  type: 'monthly',
+  time_zone: process.env.BILLING_TIME_ZONE || SERVER_TIME_ZONE,
+  week_start: 1,
+};
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
+let definition = DEFAULT_DEFINITION;
+
+function isTimeZone(name) {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Calendar fields of `date` as seen in `timeZone`.
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+  });
+  for (const { type, value } of format.formatToParts(date)) parts[type] = value;
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+  };
+}
+
+// Milliseconds `timeZone` is ahead of UTC at `instant`
+function zoneOffset(instant, timeZone) {
+  const p = zonedParts(new Date(instant), timeZone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * The instant of midnight starting a calendar day in `timeZone`. Days
+ * and months out of range roll over, as with Date.UTC.
+ */
+function zonedMidnight(year, month, day, timeZone) {
+  const wall = Date.UTC(year, month - 1, day);
+  const guess = wall - zoneOffset(wall, timeZone);
+  return new Date(wall - zoneOffset(guess, timeZone));
+}
+
+// 'YYYY-MM-DD' of a calendar day (out-of-range days roll over)
+function dayKey(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+/**
+ * The period of `type` containing `date`: { key, start, end }.
+ */
+function periodBounds(type, date, def) {
+  const tz = def.time_zone;
+  const { year, month, day, weekday } = zonedParts(date, tz);
+  let first;
+  let length;
+
+  switch (type) {
+    case 'daily':
+      first = day;
+      length = 1;
+      break;
+    case 'weekly':
+      first = day - ((weekday - (def.week_start ?? 1) + 7) % 7);
+      length = 7;
+      break;
+    case 'custom': {
+      const [ay, am, ad] = def.anchor.split('-').map(Number);
+      const sinceAnchor = Math.round((Date.UTC(year, month - 1, day) - Date.UTC(ay, am - 1, ad)) / 86400000);
+      const offset = Math.floor(sinceAnchor / def.length_days) * def.length_days;
+      const start = zonedMidnight(ay, am, ad + offset, tz);
+      return {
+        key: `C${dayKey(ay, am, ad + offset)}`,
+        start,
+        end: zonedMidnight(ay, am, ad + offset + def.length_days, tz),
+      };
+    }
+    default:
+      return {
+        key: `${year}-${String(month).padStart(2, '0')}`,
+        start: zonedMidnight(year, month, 1, tz),
+        end: zonedMidnight(year, month + 1, 1, tz),
+      };
+  }
+
+  return {
+    key: `${type === 'daily' ? 'D' : 'W'}${dayKey(year, month, first)}`,
+    start: zonedMidnight(year, month, first, tz),
+    end: zonedMidnight(year, month, first + length, tz),
+  };
+}
+
+/**
+ * Validate a billing period from a request body.
+ * Returns { definition } or { error }.
+ */
+function parseBillingPeriod(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'billing_period must be an object' };
+  }
+  const { type = 'monthly', time_zone = DEFAULT_DEFINITION.time_zone, week_start = 1, anchor, length_days } = input;
+
+  if (!PERIOD_TYPES.includes(type)) {
+    return { error: `type must be one of: ${PERIOD_TYPES.join(', ')}` };
+  }
+  if (typeof time_zone !== 'string' || !isTimeZone(time_zone)) {
+    return { error: 'time_zone must be an IANA time zone, e.g. "Europe/Berlin"' };
+  }
+  if (!Number.isInteger(week_start) || week_start < 0 || week_start > 6) {
+    return { error: 'week_start must be 0 (Sunday) to 6 (Saturday)' };
+  }
+
+  const result = { type, time_zone, week_start };
+  if (type === 'custom') {
+    // Round-tripped, so that days such as 2025-02-30 do not roll over
+    if (typeof anchor !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(anchor) || dayKey(...anchor.split('-').map(Number)) !== anchor) {
+      return { error: 'anchor must be the first day of a period, as YYYY-MM-DD' };
+    }
+    if (!Number.isInteger(length_days) || length_days < 1 || length_days > MAX_CUSTOM_DAYS) {
+      return { error: `length_days must be an integer from 1 to ${MAX_CUSTOM_DAYS}` };
+    }
+    result.anchor = anchor;
+    result.length_days = length_days;
+  }
+  return { definition: result };
+}
+
+/**
+ * Validate usage limits from a request body.
+ * Returns { limits } (null clears them) or { error }.
+ */
+function parseUsageLimits(input) {
+  if (input === null) return { limits: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'usage_limits must be an object or null' };
+  }
+
+  const limits = {};
+  for (const [field, value] of Object.entries(input)) {
+    if (!USAGE_LIMIT_FIELDS.includes(field)) {
+      return { error: `Unknown usage limit: ${field}` };
+    }
+    if (value === null || value === undefined) continue;
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: `usage_limits.${field} must be a non-negative integer (0 = no limit)` };
+    }
+    limits[field] = value;
+  }
+
+  return { limits: Object.keys(limits).length ? limits : null };
+}
+
+/**
+ * Load the billing period from admin settings. Keeps the last good one
+ * (or the default) if the setting is missing or invalid.
+ */
+async function refreshBillingPeriod() {
+  const { data: setting, error } = await supabase
+    .from('admin_settings')
+    .select('setting_value')
+    .eq('setting_key', 'billing_period')
+    .single();
+  if (error || !setting) return definition;
+
+  try {
+    const parsed = parseBillingPeriod(JSON.parse(setting.setting_value));
+    if (parsed.definition) {
+      definition = parsed.definition;
+    } else {
+      console.error('Invalid billing_period setting:', parsed.error);
+    }
+  } catch {
+    console.error('Invalid billing_period setting: not JSON');
+  }
+  return definition;
+}
+
+/**
+ * Load the billing period now and keep it fresh (other server instances may edit it).
+ */
+function startBillingPeriodRefresh(intervalMs = REFRESH_INTERVAL_MS) {
+  refreshBillingPeriod();
+  const timer = setInterval(refreshBillingPeriod, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Save a billing period (from parseBillingPeriod) and use it from now on.
+ */
+async function saveBillingPeriod(next) {
+  const { error } = await supabase
+    .from('admin_settings')
+    .upsert({ setting_key: 'billing_period', setting_value: JSON.stringify(next) }, { onConflict: 'setting_key' });
+  if (error) throw error;
+  definition = next;
+  return definition;
+}
+
+function getBillingPeriod() {
+  return definition;
+}
+
+/**
+ * The billing period containing `date` (default: now):
+ * { key, type, time_zone, start, end } with `start`/`end` as Dates.
+ * `key` is what allocations are stored under (token_allocations.month_year).
+ */
+function getCurrentPeriod(date = new Date()) {
+  return { ...periodBounds(definition.type, date, definition), type: definition.type, time_zone: definition.time_zone };
+}
+
+/**
+ * The billing period before `period`.
+ */
+function getPreviousPeriod(period) {
+  return getCurrentPeriod(new Date(period.start.getTime() - 1));
+}
+
+/**
+ * The day, week and month containing `date`, for check_usage_limits:
+ * { daily: { start, end }, weekly: …, monthly: … } as ISO strings.
+ */
+function getLimitWindows(date = new Date()) {
+  return Object.fromEntries(USAGE_LIMIT_FIELDS.map(name => {
+    const { start, end } = periodBounds(name, date, definition);
+    return [name, { start: start.toISOString(), end: end.toISOString() }];
+  }));
+}
+
+/**
+ * Check usage limits without debiting: the first cap `tokens` more would
+ * exceed, as { scope, limit, limit_tokens, used, remaining, resets_at },
+ * or null.
+ */
+async function checkUsageLimits(deviceId, tokens, date = new Date()) {
+  const { data, error } = await supabase.rpc('check_usage_limits', {
+    p_device_id: deviceId,
+    p_tokens: tokens,
+    p_windows: getLimitWindows(date),
+  });
+  if (error) {
+    throw new Error(`Failed to check usage limits: ${error.message}`);
+  }
+  return data || null;
+}
+
+/**
+ * Error message for a usage limit violation from checkUsageLimits.
+ */
+function usageLimitMessage(violation) {
+  const owner = violation.scope === 'device' ? 'this device' : 'your account';
+  const name = violation.limit.charAt(0).toUpperCase() + violation.limit.slice(1);
+  return `${name} usage limit of ${violation.limit_tokens} tokens reached for ${owner}. Resets at ${violation.resets_at}.`;
+}
+
+/**
+ * Seconds until a usage limit resets, for Retry-After.
+ */
+function secondsUntilReset(violation) {
+  return Math.max(Math.ceil((Date.parse(violation.resets_at) - Date.now()) / 1000), 1);
+}
+
+module.exports = {
+  PERIOD_TYPES,
+  USAGE_LIMIT_FIELDS,
+  parseBillingPeriod,
+  parseUsageLimits,
+  refreshBillingPeriod,
+  startBillingPeriodRefresh,
+  saveBillingPeriod,
+  getBillingPeriod,
+  getCurrentPeriod,
+  getPreviousPeriod,
+  getLimitWindows,
+  checkUsageLimits,
+  usageLimitMessage,
+  secondsUntilReset,
+};
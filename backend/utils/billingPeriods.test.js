@@ -0,0 +1,101 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../testing/fakeSupabase').installFakeSupabase();
+const {
+  parseBillingPeriod,
+  parseUsageLimits,
+  saveBillingPeriod,
+  getCurrentPeriod,
+  getPreviousPeriod,
+  getLimitWindows,
+} = require('./billingPeriods');
+
+const custom = (anchor, length_days = 14) => parseBillingPeriod({ type: 'custom', time_zone: 'UTC', anchor, length_days });
+
+async function use(input) {
+  const { definition, error } = parseBillingPeriod(input);
+  assert.equal(error, undefined);
+  await saveBillingPeriod(definition);
+}
+
+describe('parseBillingPeriod', () => {
+  test('fills in the defaults', () => {
+    assert.deepEqual(parseBillingPeriod({ type: 'weekly', time_zone: 'UTC' }).definition, {
+      type: 'weekly', time_zone: 'UTC', week_start: 1,
+    });
+  });
+
+  test('accepts a custom period from a real day', () => {
+    assert.deepEqual(custom('2024-02-29').definition, {
+      type: 'custom', time_zone: 'UTC', week_start: 1, anchor: '2024-02-29', length_days: 14,
+    });
+  });
+
+  for (const anchor of ['2025-02-30', '2025-02-29', '2025-04-31', '2025-13-01', '2025-00-10', '2025-01-00', '2025-7-1', 20250701]) {
+    test(`refuses the anchor ${anchor}`, () => {
+      assert.match(custom(anchor).error, /anchor must be the first day of a period/);
+    });
+  }
+
+  test('refuses unknown types, time zones and week starts', () => {
+    assert.match(parseBillingPeriod({ type: 'yearly' }).error, /type must be one of/);
+    assert.match(parseBillingPeriod({ time_zone: 'Mars/Olympus' }).error, /time_zone/);
+    assert.match(parseBillingPeriod({ week_start: 7 }).error, /week_start/);
+    assert.match(custom('2025-07-01', 0).error, /length_days/);
+  });
+});
+
+describe('parseUsageLimits', () => {
+  test('keeps the caps that are set', () => {
+    assert.deepEqual(parseUsageLimits({ daily: 100, weekly: null, monthly: 0 }).limits, { daily: 100, monthly: 0 });
+    assert.equal(parseUsageLimits({}).limits, null);
+    assert.equal(parseUsageLimits(null).limits, null);
+  });
+
+  test('refuses unknown or negative caps', () => {
+    assert.match(parseUsageLimits({ hourly: 5 }).error, /Unknown usage limit/);
+    assert.match(parseUsageLimits({ daily: -1 }).error, /non-negative integer/);
+  });
+});
+
+describe('getCurrentPeriod', () => {
+  test('keys calendar months as before', async () => {
+    await use({ type: 'monthly', time_zone: 'UTC' });
+    const period = getCurrentPeriod(new Date('2025-07-16T12:00:00Z'));
+    assert.equal(period.key, '2025-07');
+    assert.equal(period.start.toISOString(), '2025-07-01T00:00:00.000Z');
+    assert.equal(period.end.toISOString(), '2025-08-01T00:00:00.000Z');
+    assert.equal(getPreviousPeriod(period).key, '2025-06');
+  });
+
+  test('starts weeks on week_start', async () => {
+    await use({ type: 'weekly', time_zone: 'UTC', week_start: 0 });
+    const period = getCurrentPeriod(new Date('2025-07-16T12:00:00Z'));
+    assert.equal(period.key, 'W2025-07-13');
+    assert.equal(period.end.toISOString(), '2025-07-20T00:00:00.000Z');
+  });
+
+  test('starts days at midnight in the time zone', async () => {
+    await use({ type: 'daily', time_zone: 'America/New_York' });
+    // 02:00 UTC is still the evening before in New York
+    const period = getCurrentPeriod(new Date('2025-07-16T02:00:00Z'));
+    assert.equal(period.key, 'D2025-07-15');
+    assert.equal(period.start.toISOString(), '2025-07-15T04:00:00.000Z');
+  });
+
+  test('counts custom periods from the anchor, before it too', async () => {
+    await use({ type: 'custom', time_zone: 'UTC', anchor: '2025-07-01', length_days: 14 });
+    assert.equal(getCurrentPeriod(new Date('2025-07-20T00:00:00Z')).key, 'C2025-07-15');
+    assert.equal(getCurrentPeriod(new Date('2025-06-30T00:00:00Z')).key, 'C2025-06-17');
+  });
+
+  test('gives usage limits their own day, week and month', async () => {
+    await use({ type: 'custom', time_zone: 'UTC', week_start: 1, anchor: '2025-07-01', length_days: 14 });
+    assert.deepEqual(getLimitWindows(new Date('2025-07-16T12:00:00Z')), {
+      daily: { start: '2025-07-16T00:00:00.000Z', end: '2025-07-17T00:00:00.000Z' },
+      weekly: { start: '2025-07-14T00:00:00.000Z', end: '2025-07-21T00:00:00.000Z' },
+      monthly: { start: '2025-07-01T00:00:00.000Z', end: '2025-08-01T00:00:00.000Z' },
+    });
+  });
+});
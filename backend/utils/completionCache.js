@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { findModel, normalizeModelId } = require('./modelCatalog');
+
+/**
+ * Response cache for inline completions (POST /api/proxy/completions).
+ *
+ * Editors ask again for the same prefix/suffix whenever the cursor moves
+ * back and forth. Completions are cached per account, keyed on a hash of
+ * the normalised prefix, suffix, language, model, max_tokens and prompt
+ * template instructions, for COMPLETION_CACHE_TTL_MS. The cache is an
+ * in-memory LRU bounded by COMPLETION_CACHE_MAX_ENTRIES (0 disables it)
+ * and COMPLETION_CACHE_MAX_CHARS of cached text.
+ *
+ * Hits are charged COMPLETION_CACHE_HIT_CHARGE times the usual cost
+ * (0 = free, 1 = full price), rounded to whole tokens.
+ */
+
+const TTL_MS = parseInt(process.env.COMPLETION_CACHE_TTL_MS) || 5 * 60 * 1000;
+const MAX_ENTRIES = parseInt(process.env.COMPLETION_CACHE_MAX_ENTRIES ?? 1000);
+const MAX_CHARS = parseInt(process.env.COMPLETION_CACHE_MAX_CHARS) || 5 * 1000 * 1000;
+const HIT_CHARGE = Math.min(Math.max(parseFloat(process.env.COMPLETION_CACHE_HIT_CHARGE) || 0, 0), 1);
+
+// key → { completion, model, usage, chars, expiresAt }, least recently used first
+const entries = new Map();
+let cachedChars = 0;
+const stats = { hits: 0, misses: 0, evictions: 0 };
+
+// Line endings and trailing whitespace do not change what the model is
+// asked, except on the cursor line: how far it is indented decides how the
+// completion is indented. That is the prefix's last line and the suffix's
+// first, which keep their whitespace
+function normalise(text, cursorLine) {
+  const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+  const keep = cursorLine === 'last' ? lines.length - 1 : 0;
+  return lines.map((line, i) => (i === keep ? line : line.replace(/[ \t]+$/, ''))).join('\n');
+}
+
+/**
+ * Cache key for a completion request, or null when caching is disabled.
+ */
+function completionCacheKey(userId, { prefix, suffix, language, model, max_tokens, instructions = '' }) {
+  if (!MAX_ENTRIES) return null;
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([
+      userId,
+      normalise(prefix, 'last'),
+      normalise(suffix, 'first'),
+      (language || '').toLowerCase(),
+      findModel(model)?.id || normalizeModelId(model),
+      max_tokens,
+      instructions,
+    ]))
+    .digest('hex');
+}
+
+function remove(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+  entries.delete(key);
+  cachedChars -= entry.chars;
+}
+
+/**
+ * The cached completion for `key`, or null. Counts the hit or miss.
+ */
+function getCachedCompletion(key) {
+  if (!key) return null;
+
+  const entry = entries.get(key);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    remove(key);
+    stats.misses++;
+    return null;
+  }
+
+  // Move to the most recently used end
+  entries.delete(key);
+  entries.set(key, entry);
+  stats.hits++;
+  return entry;
+}
+
+/**
+ * Cache a completion, evicting the least recently used entries to stay
+ * within the size bounds.
+ */
+function storeCachedCompletion(key, { completion, model, usage }) {
+  if (!key) return;
+
+  const chars = completion.length;
+  if (chars > MAX_CHARS) return;
+
+  remove(key);
+  entries.set(key, { completion, model, usage, chars, expiresAt: Date.now() + TTL_MS });
+  cachedChars += chars;
+
+  for (const oldest of entries.keys()) {
+    if (entries.size <= MAX_ENTRIES && cachedChars <= MAX_CHARS) break;
+    remove(oldest);
+    stats.evictions++;
+  }
+}
+
+/**
+ * Fraction of the usual cost charged for a cache hit.
+ */
+function getCacheHitCharge() {
+  return HIT_CHARGE;
+}
+
+/**
+ * Hit/miss counters since startup and current size, for the admin stats.
+ */
+function getCompletionCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: MAX_ENTRIES > 0,
+    ...stats,
+    hit_rate: lookups ? Math.round((stats.hits / lookups) * 1000) / 1000 : 0,
+    entries: entries.size,
+    cached_chars: cachedChars,
+    max_entries: MAX_ENTRIES,
+    ttl_ms: TTL_MS,
+    hit_charge: HIT_CHARGE,
+  };
+}
+
+module.exports = {
+  completionCacheKey,
+  getCachedCompletion,
+  storeCachedCompletion,
+  getCacheHitCharge,
+  getCompletionCacheStats,
+};
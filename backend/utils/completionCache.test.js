@@ -0,0 +1,69 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.COMPLETION_CACHE_MAX_ENTRIES = '2';
+process.env.COMPLETION_CACHE_HIT_CHARGE = '0.25';
+
+require('../testing/fakeSupabase').installFakeSupabase();
+const {
+  completionCacheKey,
+  getCachedCompletion,
+  storeCachedCompletion,
+  getCacheHitCharge,
+  getCompletionCacheStats,
+} = require('./completionCache');
+
+const REQUEST = { prefix: 'def f():\n    ', suffix: '\n', language: 'python', model: 'gpt-4o-mini', max_tokens: 64 };
+const keyFor = (changes, userId = 'u1') => completionCacheKey(userId, { ...REQUEST, ...changes });
+
+describe('completionCacheKey', () => {
+  test('ignores line endings and trailing whitespace before the cursor line', () => {
+    assert.equal(keyFor({ prefix: 'import os  \r\ndef f():\r\n    ' }), keyFor({ prefix: 'import os\ndef f():\n    ' }));
+    assert.equal(keyFor({ suffix: '\nreturn 1   \n' }), keyFor({ suffix: '\nreturn 1\n' }));
+  });
+
+  test('keeps the indentation of the cursor line', () => {
+    assert.notEqual(keyFor({ prefix: 'def f():\n    ' }), keyFor({ prefix: 'def f():\n' }));
+    assert.notEqual(keyFor({ prefix: 'x = 1\n  ' }), keyFor({ prefix: 'x = 1\n\t' }));
+  });
+
+  test('keeps the rest of the cursor line in the suffix', () => {
+    assert.notEqual(keyFor({ suffix: '  \nreturn 1' }), keyFor({ suffix: '\nreturn 1' }));
+  });
+
+  test('differs per account, language, model and max_tokens', () => {
+    const key = keyFor({});
+    assert.notEqual(keyFor({}, 'u2'), key);
+    assert.notEqual(keyFor({ language: 'ruby' }), key);
+    assert.notEqual(keyFor({ model: 'gpt-4o' }), key);
+    assert.notEqual(keyFor({ max_tokens: 65 }), key);
+    assert.equal(keyFor({ language: 'Python' }), key);
+  });
+});
+
+describe('completion cache', () => {
+  test('returns what was stored and counts hits and misses', () => {
+    const key = keyFor({ prefix: 'a = ' });
+    assert.equal(getCachedCompletion(key), null);
+    storeCachedCompletion(key, { completion: '1', model: 'gpt-4o-mini', usage: { completion_tokens: 1 } });
+    assert.equal(getCachedCompletion(key).completion, '1');
+
+    const stats = getCompletionCacheStats();
+    assert.ok(stats.hits >= 1 && stats.misses >= 1);
+    assert.equal(stats.hit_charge, 0.25);
+    assert.equal(getCacheHitCharge(), 0.25);
+  });
+
+  test('evicts the least recently used entry beyond the size bound', () => {
+    const [first, second, third] = ['x = ', 'y = ', 'z = '].map(prefix => keyFor({ prefix }));
+    storeCachedCompletion(first, { completion: '1', model: 'm', usage: {} });
+    storeCachedCompletion(second, { completion: '2', model: 'm', usage: {} });
+    getCachedCompletion(first);
+    storeCachedCompletion(third, { completion: '3', model: 'm', usage: {} });
+
+    assert.equal(getCachedCompletion(second), null);
+    assert.equal(getCachedCompletion(first).completion, '1');
+    assert.equal(getCachedCompletion(third).completion, '3');
+    assert.equal(getCompletionCacheStats().entries, 2);
+  });
+});
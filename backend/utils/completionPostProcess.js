@@ -0,0 +1,216 @@
+/**
+ * Post-processing for inline completions (POST /api/proxy/completions).
+ *
+ * Chat models asked to fill in code often wrap it in markdown fences,
+ * repeat the code before the cursor, duplicate what comes after it, or
+ * indent it as if it started at column 0. The rules below fix that, in
+ * order, and drop completions that are only whitespace or comments;
+ * dropped completions are not charged.
+ *
+ * How often each rule fires is counted per model since startup, for the
+ * admin stats (GET /api/usage/stats).
+ */
+
+const MAX_OVERLAP_CHARS = 500;
+// Shorter prefix repeats are only trimmed when they cover the whole cursor line
+const MIN_PREFIX_OVERLAP = 10;
+const MIN_SUFFIX_OVERLAP = 3;
+
+const HASH_COMMENT_LANGUAGES = [
+  'python', 'ruby', 'shellscript', 'yaml', 'perl', 'r', 'powershell', 'dockerfile', 'makefile', 'toml', 'coffeescript',
+];
+const DASH_COMMENT_LANGUAGES = ['sql', 'lua', 'haskell'];
+const MARKUP_LANGUAGES = ['html', 'xml', 'markdown', 'vue', 'svelte'];
+
+// Lines starting with these close a block, so may sit left of the cursor line
+const CLOSER = /^\s*([}\])]|(else|elif|except|finally|catch|end|case|default)\b)/;
+// Lines ending with these open a block
+const OPENER = /[:{([]\s*$/;
+
+const stats = {};
+
+function lastLine(text) {
+  return text.slice(text.lastIndexOf('\n') + 1);
+}
+
+function leadingWhitespace(line) {
+  return line.match(/^[ \t]*/)[0];
+}
+
+function indentWidth(line) {
+  return leadingWhitespace(line).replace(/\t/g, '    ').length;
+}
+
+/**
+ * strip-fences: ```lang … ``` around the code (the closing fence may be missing).
+ */
+function stripFences(text) {
+  const lines = text.split('\n');
+  const start = lines.findIndex(l => l.trim());
+  if (start === -1 || !/^\s*```/.test(lines[start])) return text;
+
+  const body = lines.slice(start + 1);
+  const end = body.findIndex(l => /^\s*```\s*$/.test(l));
+  return (end === -1 ? body : body.slice(0, end)).join('\n');
+}
+
+/**
+ * trim-prefix-overlap: the start of the completion repeats the end of the prefix.
+ */
+function trimPrefixOverlap(text, { prefix }) {
+  const cursorLine = lastLine(prefix).trimStart();
+  const max = Math.min(text.length, prefix.length, MAX_OVERLAP_CHARS);
+
+  for (let k = max; k > 0; k--) {
+    const head = text.slice(0, k);
+    if (!head.trim() || !prefix.endsWith(head)) continue;
+    if (k >= MIN_PREFIX_OVERLAP || (cursorLine.trim().length >= 3 && k >= cursorLine.length)) {
+      return text.slice(k);
+    }
+  }
+  return text;
+}
+
+/**
+ * trim-suffix-overlap: the end of the completion is already after the cursor,
+ * either as trailing lines (e.g. a closing brace) or within the line.
+ */
+function trimSuffixOverlap(text, { suffix }) {
+  const suffixLines = suffix.split('\n').map(l => l.trim()).filter(Boolean);
+  const lines = text.split('\n');
+
+  // Whole lines: drop trailing completion lines that match the suffix's first lines
+  for (let n = Math.min(suffixLines.length, lines.length - 1); n > 0; n--) {
+    const tail = lines.slice(-n).map(l => l.trim());
+    if (tail.every((l, i) => l === suffixLines[i])) {
+      return lines.slice(0, -n).join('\n').replace(/\s+$/, '');
+    }
+  }
+
+  // Within a line: the completion ends with the start of the suffix
+  const max = Math.min(text.length - 1, suffix.length, MAX_OVERLAP_CHARS);
+  for (let k = max; k > 0; k--) {
+    const head = suffix.slice(0, k);
+    if (head.trim().length >= MIN_SUFFIX_OVERLAP && text.endsWith(head)) {
+      return text.slice(0, -k);
+    }
+  }
+  return text;
+}
+
+/**
+ * normalise-indent: match the surrounding code's tabs/spaces, drop indentation
+ * repeated on the cursor line, and shift blocks written from column 0.
+ */
+function normaliseIndent(text, { prefix }) {
+  const cursorLine = lastLine(prefix);
+  const cursorIndent = leadingWhitespace(cursorLine);
+  const atLineStart = !cursorLine.trim();
+  const lines = text.split('\n');
+
+  // The cursor line already has its indentation
+  if (atLineStart && cursorIndent) {
+    lines[0] = lines[0].replace(/^[ \t]+/, '');
+  }
+
+  const prefixIndents = prefix.split('\n').filter(l => l.trim()).map(leadingWhitespace).filter(Boolean);
+  const useTabs = prefixIndents.some(ws => ws.startsWith('\t'));
+  const spaceIndents = prefixIndents.filter(ws => !ws.includes('\t')).map(ws => ws.length);
+  const unit = spaceIndents.length ? Math.min(...spaceIndents) : 4;
+
+  const rest = lines.slice(1).map(line => {
+    const ws = leadingWhitespace(line);
+    if (!ws) return line;
+    const fixed = useTabs
+      ? ws.replace(new RegExp(` {${unit}}`, 'g'), '\t')
+      : ws.replace(/\t/g, ' '.repeat(unit));
+    return fixed + line.slice(ws.length);
+  });
+
+  // Written as if the completion started at column 0: the next line sits left
+  // of the cursor line, or no deeper than it under a line that opens a block
+  const first = rest.find(l => l.trim());
+  const cursorColumn = atLineStart ? cursorLine : cursorIndent;
+  if (cursorColumn && first && !CLOSER.test(first)) {
+    const depth = indentWidth(first);
+    const target = indentWidth(cursorColumn);
+    if (depth < target || (OPENER.test(lines[0]) && depth <= target)) {
+      for (let i = 0; i < rest.length; i++) {
+        if (rest[i].trim()) rest[i] = cursorColumn + rest[i];
+      }
+    }
+  }
+
+  return [lines[0], ...rest].join('\n');
+}
+
+function commentPattern(language) {
+  const lang = (language || '').toLowerCase();
+  if (HASH_COMMENT_LANGUAGES.includes(lang)) return /^\s*#/;
+  if (DASH_COMMENT_LANGUAGES.includes(lang)) return /^\s*--/;
+  if (MARKUP_LANGUAGES.includes(lang)) return /^\s*(<!--|-->)|-->\s*$/;
+  return /^\s*(\/\/|\/\*|\*)/;
+}
+
+function isCommentOnly(text, language) {
+  const pattern = commentPattern(language);
+  return text.split('\n').filter(l => l.trim()).every(l => pattern.test(l));
+}
+
+const RULES = [
+  ['strip-fences', stripFences],
+  ['trim-prefix-overlap', trimPrefixOverlap],
+  ['trim-suffix-overlap', trimSuffixOverlap],
+  ['normalise-indent', normaliseIndent],
+];
+
+/**
+ * Run a completion through the rules. Returns { completion, rules, dropped }:
+ * the cleaned text, the rules that changed it, and why it was dropped
+ * ('drop-empty' / 'drop-comment-only', with an empty completion) or null.
+ */
+function postProcessCompletion(text, { prefix = '', suffix = '', language } = {}) {
+  const context = { prefix, suffix, language };
+  const rules = [];
+  let completion = text || '';
+
+  for (const [name, rule] of RULES) {
+    const next = rule(completion, context);
+    if (next !== completion) {
+      rules.push(name);
+      completion = next;
+    }
+  }
+
+  const dropped = !completion.trim() ? 'drop-empty'
+    : isCommentOnly(completion, language) ? 'drop-comment-only'
+      : null;
+  if (dropped) {
+    return { completion: '', rules: [...rules, dropped], dropped };
+  }
+  return { completion, rules, dropped: null };
+}
+
+/**
+ * Count a processed completion for `model`.
+ */
+function recordCompletionRules(model, rules) {
+  const entry = stats[model] || (stats[model] = { completions: 0, rules: {} });
+  entry.completions++;
+  for (const rule of rules) {
+    entry.rules[rule] = (entry.rules[rule] || 0) + 1;
+  }
+}
+
+/**
+ * Per-model counts since startup: { [model]: { completions, rules: { [rule]: n } } }.
+ */
+function getCompletionRuleStats() {
+  return stats;
+}
+
+module.exports = {
+  postProcessCompletion,
+  recordCompletionRules,
+  getCompletionRuleStats,
+};
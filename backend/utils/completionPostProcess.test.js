@@ -0,0 +1,81 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { postProcessCompletion, recordCompletionRules, getCompletionRuleStats } = require('./completionPostProcess');
+
+describe('postProcessCompletion', () => {
+  test('leaves a clean completion alone', () => {
+    assert.deepEqual(postProcessCompletion('return a + b;', { prefix: 'function add(a, b) {\n  ', language: 'javascript' }), {
+      completion: 'return a + b;', rules: [], dropped: null,
+    });
+  });
+
+  test('strips code fences, closed or not', () => {
+    const closed = postProcessCompletion('```js\nreturn 1;\n```\nThis returns one.', { language: 'javascript' });
+    assert.equal(closed.completion, 'return 1;');
+    assert.deepEqual(closed.rules, ['strip-fences']);
+
+    assert.equal(postProcessCompletion('```\nreturn 1;', { language: 'javascript' }).completion, 'return 1;');
+  });
+
+  test('trims a repeat of the cursor line', () => {
+    const result = postProcessCompletion('const total = items.length;', { prefix: 'x();\nconst total = ', language: 'javascript' });
+    assert.equal(result.completion, 'items.length;');
+    assert.deepEqual(result.rules, ['trim-prefix-overlap']);
+  });
+
+  test('keeps a short head that merely matches the end of the prefix', () => {
+    assert.equal(postProcessCompletion('= 1;', { prefix: 'let a =', language: 'javascript' }).completion, '= 1;');
+  });
+
+  test('trims trailing lines already after the cursor', () => {
+    const result = postProcessCompletion('  return 1;\n}', { prefix: 'function one() {\n', suffix: '\n}\n', language: 'javascript' });
+    assert.equal(result.completion, '  return 1;');
+    assert.deepEqual(result.rules, ['trim-suffix-overlap']);
+  });
+
+  test('trims the start of the suffix from the end of the line', () => {
+    assert.equal(postProcessCompletion('foo(a, b));', { prefix: 'call(', suffix: '));' }).completion, 'foo(a, b');
+  });
+
+  test('drops indentation the cursor line already has', () => {
+    const result = postProcessCompletion('    return 1;', { prefix: 'def f():\n    ', language: 'python' });
+    assert.equal(result.completion, 'return 1;');
+    assert.deepEqual(result.rules, ['normalise-indent']);
+  });
+
+  test('uses tabs when the surrounding code does', () => {
+    const result = postProcessCompletion('if (x) {\n    go();\n}', { prefix: 'func f() {\n\tinit()\n\t', language: 'go' });
+    assert.equal(result.completion, 'if (x) {\n\t\tgo();\n\t}');
+  });
+
+  test('shifts a block written from column 0 under the cursor', () => {
+    const result = postProcessCompletion('for x in xs:\n    print(x)', { prefix: 'def f(xs):\n    ', language: 'python' });
+    assert.equal(result.completion, 'for x in xs:\n        print(x)');
+  });
+
+  test('drops empty completions', () => {
+    assert.deepEqual(postProcessCompletion('```\n\n```', { language: 'javascript' }), {
+      completion: '', rules: ['strip-fences', 'drop-empty'], dropped: 'drop-empty',
+    });
+    assert.equal(postProcessCompletion(null).dropped, 'drop-empty');
+  });
+
+  test("drops comment-only completions in the language's comment style", () => {
+    assert.equal(postProcessCompletion('// TODO\n/* later */', { language: 'javascript' }).dropped, 'drop-comment-only');
+    assert.equal(postProcessCompletion('# TODO', { language: 'python' }).dropped, 'drop-comment-only');
+    assert.equal(postProcessCompletion('-- TODO', { language: 'sql' }).dropped, 'drop-comment-only');
+    assert.equal(postProcessCompletion('<!-- TODO -->', { language: 'html' }).dropped, 'drop-comment-only');
+    assert.equal(postProcessCompletion('# heading', { language: 'javascript' }).dropped, null);
+  });
+});
+
+describe('recordCompletionRules', () => {
+  test('counts completions and rules per model', () => {
+    recordCompletionRules('stats-model', ['strip-fences']);
+    recordCompletionRules('stats-model', ['strip-fences', 'drop-empty']);
+    assert.deepEqual(getCompletionRuleStats()['stats-model'], {
+      completions: 2,
+      rules: { 'strip-fences': 2, 'drop-empty': 1 },
+    });
+  });
+});
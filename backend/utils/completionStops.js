@@ -0,0 +1,154 @@
+/**
+ * Language-aware stop rules for streamed inline completions.
+ *
+ * Models happily keep writing past the code the user wants: the rest of
+ * the file, the next function, or a copy of the code after the cursor.
+ * The stopper below works line by line and ends the completion when it
+ *  - repeats the first line of the suffix,
+ *  - produces two blank lines in a row,
+ *  - closes the block the cursor is in, or finishes a block it opened
+ *    (braces in C-like languages, indentation in Python and YAML),
+ *  - reaches the end of a markdown code fence (an opening fence is skipped).
+ */
+
+const BRACE_LANGUAGES = [
+  'javascript', 'javascriptreact', 'typescript', 'typescriptreact', 'java', 'c', 'cpp',
+  'csharp', 'go', 'rust', 'php', 'kotlin', 'swift', 'scala', 'dart', 'json', 'jsonc', 'css', 'scss', 'less',
+];
+const INDENT_LANGUAGES = ['python', 'yaml'];
+
+function indentOf(line) {
+  return line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+}
+
+/**
+ * Create a stopper for one completion. Feed it streamed text with
+ * `push(delta)`, which returns { text, stop }: the text that may be sent
+ * to the client now (whole lines only) and whether the completion is done.
+ * Call `finish()` when the stream ends to get the last line, and
+ * `completion()` for everything emitted, and `fenced()` to know whether
+ * a code fence was stripped.
+ */
+function createCompletionStopper({ language, prefix = '', suffix = '' }) {
+  const lang = (language || '').toLowerCase();
+  const braces = BRACE_LANGUAGES.includes(lang);
+  const indented = INDENT_LANGUAGES.includes(lang);
+
+  const cursorLine = prefix.slice(prefix.lastIndexOf('\n') + 1);
+  const baseIndent = indentOf(cursorLine);
+  const suffixLine = (suffix.split('\n').find(l => l.trim()) || '').trim();
+  const suffixClosesBlock = suffix.trimStart().startsWith('}');
+
+  let pending = '';
+  let lineIndex = 0;
+  let heldBlanks = 0;
+  let emittedLines = 0;
+  let emitted = '';
+  let depth = 0;
+  let openedBlock = false;
+  let opensIndentedBlock = false;
+  let stopped = false;
+  let fenced = false;
+
+  const emitLine = (line) => {
+    const text = (emittedLines++ > 0 ? '\n' : '') + line;
+    emitted += text;
+    return text;
+  };
+
+  // 'ok' to keep the line, 'drop' to stop before it, 'last' to stop after it
+  const checkLine = (line, index) => {
+    const trimmed = line.trim();
+
+    if (index > 0 && suffixLine && trimmed === suffixLine) return 'drop';
+
+    if (braces) {
+      for (const ch of line) {
+        if (ch === '{') {
+          depth++;
+          openedBlock = true;
+        } else if (ch === '}' && --depth < 0) {
+          // Closes the block the cursor is in; keep the brace unless the suffix has it
+          return suffixClosesBlock ? 'drop' : 'last';
+        }
+      }
+      if (openedBlock && depth === 0 && indentOf(line) <= baseIndent) return 'last';
+    }
+
+    if (indented) {
+      if (index === 0) {
+        opensIndentedBlock = (cursorLine + line).trimEnd().endsWith(':');
+      } else if (trimmed) {
+        const indent = indentOf(line);
+        if (indent < baseIndent || (opensIndentedBlock && indent <= baseIndent)) return 'drop';
+      }
+    }
+
+    return 'ok';
+  };
+
+  const acceptLine = (line, index) => {
+    if (/^\s*```/.test(line)) {
+      // Skip an opening fence as if it were not there; a closing one ends the code
+      if (emittedLines === 0 && !heldBlanks) {
+        fenced = true;
+        lineIndex--;
+      } else {
+        stopped = true;
+      }
+      return '';
+    }
+
+    if (index > 0 && !line.trim()) {
+      // Hold blank lines until we know the completion goes on
+      heldBlanks++;
+      if (heldBlanks >= 2) stopped = true;
+      return '';
+    }
+
+    const verdict = checkLine(line, index);
+    if (verdict === 'drop') {
+      stopped = true;
+      return '';
+    }
+
+    let text = '';
+    for (; heldBlanks > 0; heldBlanks--) text += emitLine('');
+    text += emitLine(line);
+    if (verdict === 'last') stopped = true;
+    return text;
+  };
+
+  return {
+    push(delta) {
+      if (stopped) return { text: '', stop: true };
+      pending += delta || '';
+
+      let text = '';
+      let newlineIdx;
+      while (!stopped && (newlineIdx = pending.indexOf('\n')) !== -1) {
+        const line = pending.substring(0, newlineIdx).replace(/\r$/, '');
+        pending = pending.substring(newlineIdx + 1);
+        text += acceptLine(line, lineIndex++);
+      }
+      return { text, stop: stopped };
+    },
+
+    finish() {
+      if (stopped || !pending) return '';
+      const line = pending;
+      pending = '';
+      return acceptLine(line, lineIndex++);
+    },
+
+    completion() {
+      return emitted;
+    },
+
+    fenced() {
+      return fenced;
+    },
+  };
+}
+
+module.exports = { createCompletionStopper };
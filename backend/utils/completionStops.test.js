@@ -0,0 +1,104 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCompletionStopper } = require('./completionStops');
+
+/**
+ * Stream `deltas` through a stopper; returns what the client was sent
+ * and whether the stopper ended the completion early.
+ */
+function run(options, deltas) {
+  const stopper = createCompletionStopper(options);
+  let sent = '';
+  let stopped = false;
+  for (const delta of deltas) {
+    const { text, stop } = stopper.push(delta);
+    sent += text;
+    if (stop) {
+      stopped = true;
+      break;
+    }
+  }
+  if (!stopped) sent += stopper.finish();
+  assert.equal(stopper.completion(), sent);
+  return { sent, stopped, fenced: stopper.fenced() };
+}
+
+describe('createCompletionStopper', () => {
+  test('sends whole lines only', () => {
+    const stopper = createCompletionStopper({ language: 'javascript', prefix: 'const a = ' });
+    assert.deepEqual(stopper.push('1;\nconst'), { text: '1;', stop: false });
+    assert.deepEqual(stopper.push(' b = 2;'), { text: '', stop: false });
+    assert.equal(stopper.finish(), '\nconst b = 2;');
+  });
+
+  test('stops at the first line of the suffix', () => {
+    const { sent, stopped } = run(
+      { language: 'javascript', prefix: 'function f() {\n  ', suffix: '\n  return x;\n}' },
+      ['const x = 1;\n', '  return x;\n', '}\n'],
+    );
+    assert.equal(sent, 'const x = 1;');
+    assert.equal(stopped, true);
+  });
+
+  test('stops after two blank lines', () => {
+    const { sent, stopped } = run({ language: 'ruby', prefix: 'x = ' }, ['1\n', '\n', '\n', 'y = 2\n']);
+    assert.equal(sent, '1');
+    assert.equal(stopped, true);
+  });
+
+  test('keeps single blank lines inside the completion', () => {
+    const { sent } = run({ language: 'ruby', prefix: 'x = ' }, ['1\n\ny = 2']);
+    assert.equal(sent, '1\n\ny = 2');
+  });
+
+  test('keeps the brace that closes the block the cursor is in', () => {
+    const { sent, stopped } = run(
+      { language: 'typescript', prefix: 'if (ok) {\n  ' },
+      ['run();\n', '}\n', 'function next() {}\n'],
+    );
+    assert.equal(sent, 'run();\n}');
+    assert.equal(stopped, true);
+  });
+
+  test('leaves the closing brace to the suffix when it has one', () => {
+    const { sent } = run(
+      { language: 'go', prefix: 'if ok {\n\t', suffix: '\n}' },
+      ['run()\n', '}\n'],
+    );
+    assert.equal(sent, 'run()');
+  });
+
+  test('ends after a block the completion opened and closed', () => {
+    const { sent, stopped } = run(
+      { language: 'javascript', prefix: '' },
+      ['function a() {\n', '  return 1;\n', '}\n', 'function b() {}\n'],
+    );
+    assert.equal(sent, 'function a() {\n  return 1;\n}');
+    assert.equal(stopped, true);
+  });
+
+  test('ends a Python block when the indentation drops back', () => {
+    const { sent, stopped } = run(
+      { language: 'python', prefix: 'def f():\n    if x:' },
+      ['\n', '        y = 1\n', '    return y\n'],
+    );
+    assert.equal(sent, '\n        y = 1');
+    assert.equal(stopped, true);
+  });
+
+  test('skips an opening code fence and stops at the closing one', () => {
+    const { sent, stopped, fenced } = run(
+      { language: 'javascript', prefix: 'const a = ' },
+      ['```javascript\n', '1;\n', '```\n', 'Explanation'],
+    );
+    assert.equal(sent, '1;');
+    assert.equal(stopped, true);
+    assert.equal(fenced, true);
+  });
+
+  test('does nothing language-specific for unknown languages', () => {
+    const { sent, stopped } = run({ language: 'brainfuck', prefix: '' }, ['}\n', '}\n']);
+    assert.equal(sent, '}\n}');
+    assert.equal(stopped, false);
+  });
+});
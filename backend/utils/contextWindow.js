@@ -0,0 +1,85 @@
+const { countMessagesTokens } = require('./tokenizer');
+
+/**
+ * Fitting chat requests into the model's context window.
+ *
+ * A model's context window (models.context_window, in tokens) holds both
+ * the prompt and the reply. When the messages plus the tokens reserved for
+ * the reply (max_tokens) do not fit, the oldest turns are dropped:
+ *  - system/developer messages at the start and the latest turn are kept;
+ *  - an assistant message with tool calls goes together with its results;
+ *  - the kept conversation starts with a user message where possible;
+ *  - a system note in their place says how many messages were left out.
+ * If that is still too long, or the client sent `truncation: 'disabled'`,
+ * the request is refused instead (CONTEXT_LENGTH_EXCEEDED).
+ *
+ * Token counts are estimates (utils/tokenizer.js), so CONTEXT_MARGIN of
+ * the window is kept free.
+ */
+
+const CONTEXT_MARGIN = 0.05;
+const LEADING_ROLES = ['system', 'developer'];
+const TRUNCATION_MODES = ['auto', 'disabled'];
+
+function omittedNote(count) {
+  return {
+    role: 'system',
+    content: `[${count} earlier message${count === 1 ? '' : 's'} of this conversation omitted to fit the context window.]`,
+  };
+}
+
+/**
+ * Fit `messages` into `contextWindow` tokens, leaving `completionReserve`
+ * for the reply. Returns { messages, omitted, promptTokens }, where
+ * `omitted` counts the dropped messages (0 = unchanged), or
+ * { error, promptTokens, contextWindow } when the request cannot fit.
+ * A model without a context window is never trimmed.
+ */
+function fitToContextWindow(messages, { model, contextWindow, completionReserve = 0, tools = null, truncation = 'auto' }) {
+  const promptTokens = countMessagesTokens(messages, tools);
+  const budget = Math.floor((contextWindow || 0) * (1 - CONTEXT_MARGIN)) - completionReserve;
+  if (!contextWindow || promptTokens <= budget) {
+    return { messages, omitted: 0, promptTokens };
+  }
+
+  const tooLong = (tokens) => ({
+    error: `This conversation is too long for ${model}: about ${tokens} prompt tokens, but its ${contextWindow}-token context window has room for ${Math.max(budget, 0)} after reserving ${completionReserve} for the reply.`,
+    promptTokens: tokens,
+    contextWindow,
+  });
+  if (truncation === 'disabled') return tooLong(promptTokens);
+
+  let lead = 0;
+  while (lead < messages.length && LEADING_ROLES.includes(messages[lead].role)) lead++;
+  const head = messages.slice(0, lead);
+
+  // Tool results belong to the assistant message that called them
+  const turns = [];
+  for (const message of messages.slice(lead)) {
+    if (message.role === 'tool' && turns.length) turns[turns.length - 1].push(message);
+    else turns.push([message]);
+  }
+  const turnTokens = turns.map(turn => countMessagesTokens(turn));
+
+  let total = countMessagesTokens([...head, omittedNote(messages.length)], tools)
+    + turnTokens.reduce((sum, t) => sum + t, 0);
+  let start = 0;
+  while (start < turns.length - 1 && (total > budget || turns[start][0].role !== 'user')) {
+    total -= turnTokens[start];
+    start++;
+  }
+  if (total > budget) return tooLong(total);
+
+  const kept = turns.slice(start).flat();
+  const omitted = messages.length - head.length - kept.length;
+  return {
+    messages: [...head, omittedNote(omitted), ...kept],
+    omitted,
+    promptTokens: total,
+  };
+}
+
+module.exports = {
+  TRUNCATION_MODES,
+  fitToContextWindow,
+};
@@ -0,0 +1,65 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { fitToContextWindow } = require('./contextWindow');
+const { countMessagesTokens } = require('./tokenizer');
+
+// A message of about `words` tokens
+const say = (role, words, label = role) => ({ role, content: `${label} ${'word '.repeat(words)}` });
+
+const conversation = [
+  say('system', 10),
+  say('user', 100, 'first'),
+  say('assistant', 100, 'first'),
+  say('user', 100, 'second'),
+  say('assistant', 100, 'second'),
+  say('user', 100, 'third'),
+];
+
+describe('fitToContextWindow', () => {
+  test('leaves a conversation that fits alone', () => {
+    const fit = fitToContextWindow(conversation, { model: 'm', contextWindow: 8000, completionReserve: 256 });
+    assert.equal(fit.messages, conversation);
+    assert.equal(fit.omitted, 0);
+    assert.equal(fit.promptTokens, countMessagesTokens(conversation));
+  });
+
+  test('never trims a model without a context window', () => {
+    assert.equal(fitToContextWindow(conversation, { model: 'm', contextWindow: null }).omitted, 0);
+  });
+
+  test('drops the oldest turns, keeping the system prompt and starting on a user turn', () => {
+    const fit = fitToContextWindow(conversation, { model: 'm', contextWindow: 400, completionReserve: 100 });
+    assert.equal(fit.omitted, 4);
+    assert.deepEqual(fit.messages.map(m => m.role), ['system', 'system', 'user']);
+    assert.equal(fit.messages[0], conversation[0]);
+    assert.match(fit.messages[1].content, /4 earlier messages of this conversation omitted/);
+    assert.equal(fit.messages[2], conversation[5]);
+    assert.ok(fit.promptTokens <= 400 * 0.95 - 100);
+  });
+
+  test('keeps tool results with the call that asked for them', () => {
+    const call = { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'look', arguments: '{}' } }] };
+    const messages = [
+      say('user', 300, 'old'),
+      say('user', 20, 'ask'),
+      call,
+      { role: 'tool', tool_call_id: 'c1', content: 'result' },
+    ];
+    const fit = fitToContextWindow(messages, { model: 'm', contextWindow: 200 });
+    assert.equal(fit.omitted, 1);
+    assert.deepEqual(fit.messages.slice(1), messages.slice(1));
+  });
+
+  test('refuses a conversation whose latest turn alone is too long', () => {
+    const fit = fitToContextWindow([say('user', 500)], { model: 'tiny', contextWindow: 300, completionReserve: 50 });
+    assert.match(fit.error, /too long for tiny/);
+    assert.equal(fit.contextWindow, 300);
+    assert.equal(fit.messages, undefined);
+  });
+
+  test("refuses instead of trimming with truncation: 'disabled'", () => {
+    const fit = fitToContextWindow(conversation, { model: 'm', contextWindow: 400, truncation: 'disabled' });
+    assert.match(fit.error, /reserving 0 for the reply/);
+    assert.equal(fit.promptTokens, countMessagesTokens(conversation));
+  });
+});
@@ -0,0 +1,385 @@
+const supabase = require('../config/supabase');
+
+/**
+ * Data-loss prevention for prompts sent through the proxy.
+ *
+ * A rule is either a regex or an entropy rule (long random-looking strings
+ * such as API keys), with an action:
+ *   log    — record the match and forward the prompt unchanged
+ *   redact — replace the match with [REDACTED:<rule name>] before forwarding
+ *   block  — reject the request (403 DLP_BLOCKED)
+ *
+ * BUILTIN_DLP_RULES apply to everyone. Rows in `dlp_rules` (see
+ * migration_add_dlp.sql) override them by name: global rules (user_id NULL)
+ * replace them, then the device owner's own rules can make a built-in or
+ * global rule stricter, never weaker. Every match is written to
+ * `dlp_events` without the matched text.
+ *
+ * Patterns run synchronously against every proxied prompt, so a pattern
+ * that backtracks badly would stall the proxy for everyone: only admins
+ * write them. Owners add entropy rules (with the built-in candidate
+ * pattern) or override a built-in or global rule by name, keeping its
+ * pattern.
+ */
+
+const DLP_ACTIONS = ['log', 'redact', 'block'];
+const DLP_KINDS = ['regex', 'entropy'];
+
+// What env-secret takes for a secret: a quoted string, or a bare value
+// mixing letters and digits, of at least 8 characters and not just a
+// number. Settings such as MAX_TOKENS = 256 are left alone
+const ENV_SECRET_VALUE = `(?:"(?!\\d+")[^"\\s]{8,}"|'(?!\\d+')[^'\\s]{8,}'|(?=[\\w./+=:@~-]*\\d)(?=[\\w./+=:@~-]*[A-Za-z])[\\w./+=:@~-]{8,}(?!\\S))`;
+
+const BUILTIN_DLP_RULES = [
+  { name: 'private-key', description: 'PEM private key blocks', pattern: '-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----[\\s\\S]*?(?:-----END (?:[A-Z]+ )?PRIVATE KEY-----|$)', action: 'block' },
+  { name: 'aws-access-key-id', description: 'AWS access key IDs', pattern: '\\b(?:AKIA|ASIA)[0-9A-Z]{16}\\b', action: 'redact' },
+  { name: 'aws-secret-access-key', description: 'AWS secret keys assigned in config or code', pattern: 'aws_?secret_?(?:access_?)?key["\']?\\s*[:=]\\s*["\']?[A-Za-z0-9/+=]{40}', flags: 'i', action: 'redact' },
+  { name: 'github-token', description: 'GitHub personal access and app tokens', pattern: '\\b(?:gh[pousr]_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{82})\\b', action: 'redact' },
+  { name: 'slack-token', description: 'Slack bot and user tokens', pattern: '\\bxox[abprs]-[A-Za-z0-9-]{10,}', action: 'redact' },
+  { name: 'env-secret', description: '.env style assignments of secrets, tokens and passwords', pattern: `^[ \\t]*(?:export[ \\t]+)?[A-Z0-9_]*(?:SECRET|TOKEN|PASSWORD|PASSWD|API_KEY|PRIVATE_KEY)[A-Z0-9_]*[ \\t]*=[ \\t]*${ENV_SECRET_VALUE}`, flags: 'm', action: 'redact' },
+  { name: 'credit-card', description: 'Payment card numbers', pattern: '\\b(?:4\\d{3}|5[1-5]\\d{2}|3[47]\\d{2}|6011)[ -]?\\d{4}[ -]?\\d{4}[ -]?\\d{1,4}\\b', action: 'redact' },
+  { name: 'email-address', description: 'Email addresses', pattern: '\\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}\\b', action: 'log' },
+  { name: 'us-ssn', description: 'US social security numbers', pattern: '\\b\\d{3}-\\d{2}-\\d{4}\\b', action: 'log' },
+  { name: 'high-entropy-string', description: 'Long random-looking strings (possible keys)', kind: 'entropy', min_length: 24, min_entropy: 4.5, action: 'log' },
+].map(rule => normalizeRule({ ...rule, source: 'builtin' }));
+
+// Message fields that never hold user text (and may hold base64 images)
+const SKIPPED_KEYS = ['role', 'type', 'name', 'id', 'tool_call_id', 'image_url', 'cache_control'];
+
+const CACHE_TTL_MS = 60 * 1000;
+const rulesCache = new Map(); // userId → { rules, loadedAt }
+
+function normalizeRule(rule) {
+  return {
+    id: null,
+    user_id: null,
+    description: '',
+    kind: 'regex',
+    pattern: null,
+    flags: '',
+    min_length: null,
+    min_entropy: null,
+    is_enabled: true,
+    ...rule,
+    min_entropy: rule.min_entropy === null || rule.min_entropy === undefined ? null : Number(rule.min_entropy),
+  };
+}
+
+/**
+ * Editable rule columns in `dlp_rules`.
+ */
+const DLP_RULE_FIELDS = ['name', 'description', 'kind', 'pattern', 'flags', 'min_length', 'min_entropy', 'action', 'is_enabled'];
+
+/**
+ * Validate a complete rule (for updates, merge the changes into the
+ * stored row first). Returns { rule } with only DLP_RULE_FIELDS, or { error }.
+ * With `allowPattern` false (owners' rules) no pattern may be given, and a
+ * regex rule is an override that takes the pattern of the rule it names
+ * (see checkOwnerDlpRule).
+ */
+function parseDlpRule(input, { allowPattern = true } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Rule must be an object' };
+  }
+
+  const {
+    name, description = '', kind = 'regex', pattern = null, flags = '',
+    min_length = null, min_entropy = null, action, is_enabled = true,
+  } = input;
+
+  if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9-]{0,49}$/.test(name)) {
+    return { error: 'name must be 1-50 lowercase letters, digits or dashes' };
+  }
+  if (description !== null && (typeof description !== 'string' || description.length > 200)) {
+    return { error: 'description must be a string of at most 200 characters' };
+  }
+  if (!DLP_KINDS.includes(kind)) {
+    return { error: "kind must be 'regex' or 'entropy'" };
+  }
+  if (!DLP_ACTIONS.includes(action)) {
+    return { error: "action must be 'log', 'redact' or 'block'" };
+  }
+  if (typeof is_enabled !== 'boolean') {
+    return { error: 'is_enabled must be a boolean' };
+  }
+  if (flags !== null && (typeof flags !== 'string' || !/^[imsu]*$/.test(flags))) {
+    return { error: 'flags may only contain i, m, s and u' };
+  }
+  if (pattern !== null && (typeof pattern !== 'string' || pattern.length > 500)) {
+    return { error: 'pattern must be a regular expression of at most 500 characters' };
+  }
+  if (pattern && !allowPattern) {
+    return { error: 'Only administrators can set patterns; add an entropy rule or override a built-in or global rule instead' };
+  }
+  if (kind === 'regex' && !pattern && allowPattern) {
+    return { error: 'pattern is required for regex rules' };
+  }
+  if (pattern) {
+    try {
+      new RegExp(pattern, `${flags || ''}g`);
+    } catch (err) {
+      return { error: `Invalid pattern: ${err.message}` };
+    }
+  }
+  if (min_length !== null && (!Number.isInteger(min_length) || min_length < 8 || min_length > 200)) {
+    return { error: 'min_length must be an integer between 8 and 200' };
+  }
+  if (min_entropy !== null && !(Number(min_entropy) >= 1 && Number(min_entropy) <= 8)) {
+    return { error: 'min_entropy must be between 1 and 8 (bits per character)' };
+  }
+
+  return {
+    rule: {
+      name,
+      description: description || '',
+      kind,
+      pattern: pattern || null,
+      flags: [...new Set(flags || '')].join(''),
+      min_length,
+      min_entropy: min_entropy === null ? null : Number(min_entropy),
+      action,
+      is_enabled,
+    },
+  };
+}
+
+// The stronger of two actions (log < redact < block)
+function strongerAction(a, b) {
+  return DLP_ACTIONS.indexOf(a) >= DLP_ACTIONS.indexOf(b) ? a : b;
+}
+
+/**
+ * Combine built-in rules with `dlp_rules` rows, later ones overriding
+ * earlier ones by name: built-in → global → owner.
+ * Owner rules never bring their own pattern: an override keeps the match
+ * of the rule it replaces, and other owner rules are entropy rules with
+ * the built-in candidate pattern (owner regex rules with nothing to
+ * override are left out). An override only tightens the shared rule: the
+ * stronger action applies, and an enabled rule stays enabled.
+ * Each rule gets `source` ('builtin' | 'global' | 'owner').
+ */
+function mergeDlpRules(rows) {
+  const byName = new Map(BUILTIN_DLP_RULES.map(rule => [rule.name, rule]));
+
+  for (const row of rows.filter(r => !r.user_id)) {
+    byName.set(row.name, normalizeRule({ ...row, source: 'global' }));
+  }
+  for (const row of rows.filter(r => r.user_id)) {
+    const base = byName.get(row.name);
+    if (!base && row.kind !== 'entropy') continue;
+
+    const match = base
+      ? { kind: base.kind, pattern: base.pattern, flags: base.flags, min_length: base.min_length, min_entropy: base.min_entropy }
+      : { pattern: null };
+    const tightened = base && {
+      action: !row.is_enabled ? base.action : base.is_enabled ? strongerAction(base.action, row.action) : row.action,
+      is_enabled: base.is_enabled || row.is_enabled,
+    };
+    byName.set(row.name, normalizeRule({ ...row, ...match, ...tightened, source: 'owner' }));
+  }
+  return [...byName.values()];
+}
+
+/**
+ * Load the `dlp_rules` rows that apply to an owner (global and their own),
+ * or only the global ones when `userId` is null.
+ */
+async function loadDlpRuleRows(userId) {
+  let query = supabase.from('dlp_rules').select('*');
+  query = userId ? query.or(`user_id.is.null,user_id.eq.${userId}`) : query.is('user_id', null);
+
+  const { data, error } = await query.order('name', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Check an owner's rule (parsed without patterns) against the shared
+ * rules: a regex rule must name a built-in or global rule to override,
+ * and an override may only make that rule stricter.
+ * Returns an error message, or null.
+ */
+async function checkOwnerDlpRule(rule) {
+  const shared = mergeDlpRules(await loadDlpRuleRows(null)).find(r => r.name === rule.name);
+  if (!shared) {
+    return rule.kind === 'regex'
+      ? `There is no built-in or global rule named ${rule.name} to override; only administrators can add regex rules`
+      : null;
+  }
+  if (!shared.is_enabled) return null;
+
+  const origin = shared.source === 'builtin' ? 'built-in' : 'global';
+  if (!rule.is_enabled) {
+    return `${rule.name} is a ${origin} rule; an override cannot turn it off`;
+  }
+  if (strongerAction(shared.action, rule.action) !== rule.action) {
+    return `${rule.name} is a ${origin} rule with action '${shared.action}'; an override can only make it stricter`;
+  }
+  return null;
+}
+
+/**
+ * Turn a rule into a RegExp that finds its candidate matches.
+ */
+function compileRule(rule) {
+  const flags = `${rule.flags || ''}g`;
+  if (rule.kind === 'entropy') {
+    return new RegExp(rule.pattern || `[A-Za-z0-9+/=_-]{${rule.min_length || 20},}`, flags);
+  }
+  return new RegExp(rule.pattern, flags);
+}
+
+/**
+ * Enabled, compiled rules for a device owner (cached briefly).
+ * Falls back to the built-in rules if `dlp_rules` cannot be read.
+ */
+async function getDlpRules(userId) {
+  const cached = rulesCache.get(userId);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.rules;
+
+  let merged;
+  try {
+    merged = mergeDlpRules(await loadDlpRuleRows(userId));
+  } catch (error) {
+    if (cached) return cached.rules;
+    merged = BUILTIN_DLP_RULES;
+  }
+
+  const rules = [];
+  for (const rule of merged.filter(r => r.is_enabled)) {
+    try {
+      rules.push({ ...rule, regex: compileRule(rule) });
+    } catch (err) {
+      console.error(`Skipping DLP rule ${rule.name}: ${err.message}`);
+    }
+  }
+
+  rulesCache.set(userId, { rules, loadedAt: Date.now() });
+  return rules;
+}
+
+/**
+ * Drop cached rules after rules are changed.
+ */
+function invalidateDlpRules() {
+  rulesCache.clear();
+}
+
+/**
+ * Shannon entropy in bits per character.
+ */
+function shannonEntropy(text) {
+  const counts = {};
+  for (const ch of text) counts[ch] = (counts[ch] || 0) + 1;
+  let entropy = 0;
+  for (const count of Object.values(counts)) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Apply every rule to a string; returns the (possibly redacted) string.
+ * Matches are tallied into `findings` (rule name → finding).
+ */
+function scanText(text, rules, findings) {
+  let result = text;
+  for (const rule of rules) {
+    rule.regex.lastIndex = 0;
+    result = result.replace(rule.regex, (match) => {
+      if (!match) return match;
+      if (rule.kind === 'entropy' && shannonEntropy(match) < (rule.min_entropy ?? 4.5)) return match;
+
+      // Only the length is kept: even a few characters of a secret are too many
+      const finding = findings.get(rule.name) || { rule, count: 0, preview: `${match.length} chars` };
+      finding.count++;
+      findings.set(rule.name, finding);
+      return rule.action === 'redact' ? `[REDACTED:${rule.name}]` : match;
+    });
+  }
+  return result;
+}
+
+/**
+ * Scan every string in a value, redacting in place.
+ */
+function scanValue(value, rules, findings) {
+  if (typeof value === 'string') return scanText(value, rules, findings);
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => { value[i] = scanValue(item, rules, findings); });
+  } else if (value && typeof value === 'object') {
+    for (const key of Object.keys(value)) {
+      if (!SKIPPED_KEYS.includes(key)) value[key] = scanValue(value[key], rules, findings);
+    }
+  }
+  return value;
+}
+
+/**
+ * Write matches to the dlp_events audit table.
+ */
+async function recordDlpEvents(req, findings, { model, requestType }) {
+  const { error } = await supabase.from('dlp_events').insert(findings.map(f => ({
+    user_id: req.userId,
+    device_id: req.deviceId,
+    rule_name: f.rule.name,
+    action: f.rule.action,
+    match_count: f.count,
+    match_preview: f.preview,
+    model_type: model,
+    request_type: requestType,
+  })));
+  if (error) {
+    console.error('Failed to record DLP events:', error.message);
+  }
+}
+
+/**
+ * Scan the prompt fields of an upstream request body (`messages`, `input`,
+ * `prompt`, `system`) and redact them in place.
+ *
+ * Returns { redacted: [rule names], blocked: null } or, when a blocking
+ * rule matched, { blocked: { error, code: 'DLP_BLOCKED', rules } }.
+ */
+async function applyDlp(req, body, { model, requestType }) {
+  const rules = await getDlpRules(req.userId);
+  const findings = new Map();
+
+  for (const field of ['messages', 'input', 'prompt', 'system']) {
+    if (body[field] !== undefined) body[field] = scanValue(body[field], rules, findings);
+  }
+
+  if (findings.size === 0) return { redacted: [], blocked: null };
+
+  const matched = [...findings.values()];
+  await recordDlpEvents(req, matched, { model, requestType });
+
+  const blocking = matched.filter(f => f.rule.action === 'block').map(f => f.rule.name);
+  if (blocking.length) {
+    return {
+      redacted: [],
+      blocked: {
+        error: `Request blocked by data-loss prevention: it appears to contain sensitive data (${blocking.join(', ')}).`,
+        code: 'DLP_BLOCKED',
+        rules: blocking,
+      },
+    };
+  }
+
+  return {
+    redacted: matched.filter(f => f.rule.action === 'redact').map(f => f.rule.name),
+    blocked: null,
+  };
+}
+
+module.exports = {
+  BUILTIN_DLP_RULES,
+  DLP_RULE_FIELDS,
+  parseDlpRule,
+  checkOwnerDlpRule,
+  mergeDlpRules,
+  loadDlpRuleRows,
+  invalidateDlpRules,
+  applyDlp,
+};
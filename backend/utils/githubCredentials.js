@@ -0,0 +1,86 @@
+const supabase = require('../config/supabase');
+
+/**
+ * Pool of GitHub PATs per owner (see migration_add_github_credentials.sql).
+ * The proxy uses the owner's least recently used healthy PAT, and falls
+ * back to users.github_access_token when the pool has none.
+ */
+
+const UNHEALTHY_STATUSES = [401, 403];
+
+/**
+ * Least recently used healthy credential for a user, or null.
+ * `excludeIds` skips credentials already tried for this request.
+ */
+async function pickGitHubCredential(userId, excludeIds = []) {
+  let query = supabase
+    .from('github_credentials')
+    .select('id, token')
+    .eq('user_id', userId)
+    .eq('status', 'healthy');
+
+  if (excludeIds.length) {
+    query = query.not('id', 'in', `(${excludeIds.join(',')})`);
+  }
+
+  const { data } = await query
+    .order('last_used_at', { ascending: true, nullsFirst: true })
+    .limit(1);
+
+  return data?.[0] || null;
+}
+
+/**
+ * Load a device owner for proxying (credentials, model policy, rate
+ * limits and transcript opt-in), with `github_access_token` set to the
+ * PAT to use for this request. Returns { owner, credential } where
+ * `credential` is the pooled PAT in use (null when using the legacy token).
+ */
+async function loadProxyOwner(userId) {
+  const { data: owner } = await supabase
+    .from('users')
+    .select('id, github_access_token, github_username, model_policy, rate_limits, transcript_logging')
+    .eq('id', userId)
+    .single();
+
+  if (!owner) return { owner: null, credential: null };
+
+  const credential = await pickGitHubCredential(owner.id);
+  return {
+    owner: credential ? { ...owner, github_access_token: credential.token } : owner,
+    credential,
+  };
+}
+
+/**
+ * Count a request made with a pooled credential and record its outcome.
+ * `apiRes` is the upstream response (null if there was none).
+ * Returns true if the credential was rejected and is now unhealthy.
+ */
+async function recordGitHubCredentialUse(credentialId, apiRes) {
+  const status = apiRes?.status || 0;
+  let errorText = null;
+  if (!apiRes) {
+    errorText = 'No response from upstream';
+  } else if (!apiRes.ok) {
+    const body = await apiRes.clone().text().catch(() => '');
+    errorText = `${status}: ${body.substring(0, 300)}`;
+  }
+
+  const { error } = await supabase.rpc('record_github_credential_use', {
+    p_credential_id: credentialId,
+    p_status: status,
+    p_error: errorText,
+  });
+  if (error) {
+    console.error('Failed to record GitHub credential use:', error.message);
+  }
+
+  return UNHEALTHY_STATUSES.includes(status);
+}
+
+module.exports = {
+  pickGitHubCredential,
+  loadProxyOwner,
+  recordGitHubCredentialUse,
+};
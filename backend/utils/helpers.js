@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { getModelCost } = require('./modelCatalog');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-change-this';
 
@@ -69,73 +70,37 @@ function generateInviteCode() {
   return crypto.randomBytes(16).toString('hex');
 }
 
-/**
- * Get current month in YYYY-MM format
- */
-function getCurrentMonth() {
-  const now = new Date();
-  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-}
-
-/**
- * Free models list - these cost 0 tokens
- */
-const FREE_MODELS = [
-  'gpt-5-mini', 'gpt5-mini', 'gpt-5mini',
-  'gpt-4o-mini',
-];
-
 /**
  * Check if a model is free
  */
 function isModelFree(modelType) {
-  const model = modelType.toLowerCase().replace(/[\s_]/g, '-');
-  return FREE_MODELS.some(free => model.includes(free));
+  return getModelCost(modelType) === 0;
 }
 
 /**
  * Calculate tokens based on model type
- * Free models (gpt-5-mini, gpt-4o-mini) = 0 tokens
- * Claude Opus 4.5 = 3 tokens per prompt
- * All other models (including grok-code-fast) = 1 token per prompt
+ * Costs per prompt come from the model catalog (see utils/modelCatalog.js)
  */
 function calculateTokens(modelType, promptCount = 1) {
-  const model = modelType.toLowerCase();
-  if (isModelFree(model)) {
-    return 0;
-  }
-  if (model.includes('claude') && (model.includes('opus') || model.includes('4.5'))) {
-    return 3 * promptCount;
-  }
-  return 1 * promptCount;
+  return getModelCost(modelType) * promptCount;
 }
 
 /**
- * Model types enum
+ * Calculate tokens from real upstream token counts.
+ * Rates are allocation tokens per 1K prompt/completion tokens; any
+ * non-zero charge is rounded up so paid requests never cost 0.
  */
-const MODEL_TYPES = {
-  CLAUDE_OPUS_4_5: 'claude-opus-4.5',
-  CLAUDE_SONNET: 'claude-sonnet',
-  GPT_4: 'gpt-4',
-  GPT_4O: 'gpt-4o',
-  GPT_5_MINI: 'gpt-5-mini',
-  GROK_CODE_FAST: 'grok-code-fast-1',
-  COPILOT: 'copilot',
-  OTHER: 'other'
-};
+function calculateMeteredTokens(rates, promptTokens = 0, completionTokens = 0) {
+  const cost = ((promptTokens || 0) / 1000) * (rates.input_rate || 0)
+    + ((completionTokens || 0) / 1000) * (rates.output_rate || 0);
+  return Math.ceil(cost);
+}
 
 /**
  * Get token cost for a model
  */
 function getModelTokenCost(modelType) {
-  const model = modelType.toLowerCase();
-  if (isModelFree(model)) {
-    return 0;
-  }
-  if (model.includes('claude') && (model.includes('opus') || model.includes('4.5'))) {
-    return 3;
-  }
-  return 1;
+  return getModelCost(modelType);
 }
 
 module.exports = {
@@ -146,10 +111,8 @@ module.exports = {
   verifyToken,
   hashPassword,
   comparePassword,
-  getCurrentMonth,
   calculateTokens,
-  MODEL_TYPES,
-  FREE_MODELS,
+  calculateMeteredTokens,
   isModelFree,
   getModelTokenCost
 };
@@ -0,0 +1,155 @@
+const supabase = require('../config/supabase');
+
+/**
+ * Model catalog — the single source of truth for model costs.
+ * Rows live in the `models` table (see migration_add_model_catalog.sql);
+ * they are cached in memory so cost lookups stay synchronous.
+ *
+ * DEFAULT_MODELS mirrors the migration seed and is used until the
+ * table has been loaded (or when the database is unavailable).
+ */
+const DEFAULT_MODELS = [
+  { id: 'claude-opus-4.5', display_name: 'Claude Opus 4.5', provider: 'anthropic', description: 'Premium model', cost: 3, is_free: false, input_rate: 0.75, output_rate: 3, context_window: 200000, aliases: ['opus'], proxy_enabled: true, sort_order: 10 },
+  { id: 'claude-sonnet-4', display_name: 'Claude Sonnet 4', provider: 'anthropic', cost: 1, is_free: false, input_rate: 0.25, output_rate: 1, context_window: 200000, aliases: [], fallbacks: ['gpt-4.1', 'gpt-4o'], proxy_enabled: true, sort_order: 20 },
+  { id: 'claude-3.5-sonnet', display_name: 'Claude 3.5 Sonnet', provider: 'anthropic', cost: 1, is_free: false, input_rate: 0.25, output_rate: 1, context_window: 200000, aliases: [], proxy_enabled: true, sort_order: 30 },
+  { id: 'claude-sonnet', display_name: 'Claude Sonnet', provider: 'anthropic', description: 'Other Sonnet versions', cost: 1, is_free: false, input_rate: 0.25, output_rate: 1, context_window: 200000, aliases: ['sonnet'], proxy_enabled: false, sort_order: 40 },
+  { id: 'gpt-4.1', display_name: 'GPT-4.1', provider: 'openai', cost: 1, is_free: false, input_rate: 0.25, output_rate: 1, context_window: 1047576, aliases: [], proxy_enabled: true, sort_order: 50 },
+  { id: 'gpt-4.1-mini', display_name: 'GPT-4.1 Mini', provider: 'openai', cost: 0, is_free: true, input_rate: 0, output_rate: 0, context_window: 1047576, aliases: [], proxy_enabled: true, sort_order: 60 },
+  { id: 'gpt-4.1-nano', display_name: 'GPT-4.1 Nano', provider: 'openai', cost: 0, is_free: true, input_rate: 0, output_rate: 0, context_window: 1047576, aliases: [], proxy_enabled: true, sort_order: 70 },
+  { id: 'gpt-4o', display_name: 'GPT-4o', provider: 'openai', cost: 1, is_free: false, input_rate: 0.25, output_rate: 1, context_window: 128000, aliases: [], proxy_enabled: true, sort_order: 80 },
+  { id: 'gpt-4o-mini', display_name: 'GPT-4o Mini', provider: 'openai', cost: 0, is_free: true, input_rate: 0, output_rate: 0, context_window: 128000, aliases: ['gpt4o-mini'], proxy_enabled: true, sort_order: 90 },
+  { id: 'o3-mini', display_name: 'o3-mini', provider: 'openai', cost: 1, is_free: false, input_rate: 0.25, output_rate: 1, context_window: 200000, aliases: [], proxy_enabled: true, sort_order: 100 },
+  { id: 'gpt-4', display_name: 'GPT-4', provider: 'openai', description: 'Other GPT-4 versions', cost: 1, is_free: false, input_rate: 0.25, output_rate: 1, aliases: [], proxy_enabled: false, sort_order: 110 },
+  { id: 'gpt-5-mini', display_name: 'GPT-5 Mini', provider: 'openai', cost: 0, is_free: true, input_rate: 0, output_rate: 0, context_window: 400000, aliases: ['gpt5-mini', 'gpt-5mini'], proxy_enabled: false, sort_order: 120 },
+  { id: 'grok-code-fast-1', display_name: 'Grok Code Fast 1', provider: 'xai', cost: 1, is_free: false, input_rate: 0.25, output_rate: 1, context_window: 256000, aliases: ['grok-code-fast'], proxy_enabled: false, sort_order: 130 },
+  { id: 'gemini', display_name: 'Gemini', provider: 'google', description: 'All Gemini versions', cost: 1, is_free: false, input_rate: 0.25, output_rate: 1, aliases: [], proxy_enabled: false, sort_order: 140 },
+  { id: 'copilot', display_name: 'GitHub Copilot', provider: 'github', description: 'Copilot completions', cost: 1, is_free: false, input_rate: 0.25, output_rate: 1, aliases: [], proxy_enabled: false, sort_order: 150 },
+  { id: 'text-embedding-3-small', display_name: 'Text Embedding 3 Small', provider: 'openai', description: 'Embeddings for search and RAG', kind: 'embedding', cost: 1, is_free: false, input_rate: 0.02, output_rate: 0, context_window: 8191, aliases: [], proxy_enabled: true, sort_order: 500 },
+  { id: 'text-embedding-3-large', display_name: 'Text Embedding 3 Large', provider: 'openai', description: 'Embeddings for search and RAG', kind: 'embedding', cost: 1, is_free: false, input_rate: 0.13, output_rate: 0, context_window: 8191, aliases: [], proxy_enabled: true, sort_order: 510 },
+  { id: 'other', display_name: 'Other models', provider: 'other', description: 'Fallback for unknown models', cost: 1, is_free: false, input_rate: 0.25, output_rate: 1, aliases: [], proxy_enabled: false, sort_order: 1000 },
+].map(normalizeEntry);
+
+const FALLBACK_MODEL_ID = 'other';
+
+let catalog = DEFAULT_MODELS;
+let loadedAt = 0;
+
+/**
+ * Fill in defaults so callers can rely on every field being present.
+ */
+function normalizeEntry(m) {
+  return {
+    description: '',
+    kind: 'chat',
+    is_enabled: true,
+    upstream: null,
+    upstream_model: null,
+    credential: null,
+    ...m,
+    cost: Number(m.cost) || 0,
+    input_rate: m.input_rate === null || m.input_rate === undefined ? null : Number(m.input_rate),
+    output_rate: m.output_rate === null || m.output_rate === undefined ? null : Number(m.output_rate),
+    context_window: m.context_window ? Number(m.context_window) : null,
+    aliases: (m.aliases || []).map(normalizeModelId),
+    fallbacks: (m.fallbacks || []).map(normalizeModelId),
+  };
+}
+
+/**
+ * Normalize a model name for matching ("GPT 4o_mini" → "gpt-4o-mini").
+ */
+function normalizeModelId(modelId) {
+  return String(modelId || '').toLowerCase().trim().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Reload the catalog from the database.
+ * Keeps the previous catalog if the table is missing or empty.
+ */
+async function refreshModelCatalog() {
+  const { data, error } = await supabase
+    .from('models')
+    .select('*')
+    .order('sort_order', { ascending: true });
+
+  if (error || !data?.length) {
+    if (error && loadedAt) console.error('Model catalog refresh failed:', error.message);
+    return catalog;
+  }
+
+  catalog = data.map(normalizeEntry);
+  loadedAt = Date.now();
+  return catalog;
+}
+
+/**
+ * Load the catalog now and keep it fresh (other server instances may edit it).
+ */
+function startModelCatalogRefresh(intervalMs = 60 * 1000) {
+  refreshModelCatalog();
+  const timer = setInterval(refreshModelCatalog, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * All catalog entries, including disabled ones.
+ */
+function getModelCatalog() {
+  return catalog;
+}
+
+/**
+ * Exact lookup by id or alias. Returns undefined for unknown models.
+ */
+function findModel(modelId) {
+  const id = normalizeModelId(modelId);
+  return catalog.find(m => m.id === id)
+    || catalog.find(m => m.aliases.includes(id));
+}
+
+/**
+ * Resolve any model name (e.g. "copilot/claude-sonnet-4-20250514") to a
+ * catalog entry: exact id/alias first, then the longest id or alias the
+ * name contains, then the `other` fallback entry.
+ */
+function resolveModel(modelId) {
+  const exact = findModel(modelId);
+  if (exact) return exact;
+
+  const id = normalizeModelId(modelId);
+  let best = null;
+  let bestLength = 0;
+  for (const m of catalog) {
+    if (m.id === FALLBACK_MODEL_ID) continue;
+    for (const name of [m.id, ...m.aliases]) {
+      if (name.length > bestLength && id.includes(name)) {
+        best = m;
+        bestLength = name.length;
+      }
+    }
+  }
+
+  return best
+    || catalog.find(m => m.id === FALLBACK_MODEL_ID)
+    || normalizeEntry({ id: FALLBACK_MODEL_ID, display_name: 'Other models', cost: 1 });
+}
+
+/**
+ * Tokens charged per prompt for a model.
+ */
+function getModelCost(modelId) {
+  const model = resolveModel(modelId);
+  return model.is_free ? 0 : model.cost;
+}
+
+module.exports = {
+  DEFAULT_MODELS,
+  normalizeModelId,
+  refreshModelCatalog,
+  startModelCatalogRefresh,
+  getModelCatalog,
+  findModel,
+  resolveModel,
+  getModelCost,
+};
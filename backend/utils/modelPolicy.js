@@ -0,0 +1,84 @@
+const { normalizeModelId, resolveModel, getModelCost } = require('./modelCatalog');
+
+/**
+ * Model policies — which models a device may use.
+ *
+ * A policy is `{ mode: 'allow' | 'deny', models: [ids], max_cost }`
+ * (see migration_add_model_policies.sql). Both the owner's user policy
+ * and the device's own policy must allow a model.
+ */
+const POLICY_MODES = ['allow', 'deny'];
+
+/**
+ * Validate a policy from a request body.
+ * Returns { policy } (null clears the policy) or { error }.
+ */
+function parseModelPolicy(input) {
+  if (input === null) return { policy: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'model_policy must be an object or null' };
+  }
+
+  const { mode = 'allow', models = [], max_cost = null } = input;
+
+  if (!POLICY_MODES.includes(mode)) {
+    return { error: "model_policy.mode must be 'allow' or 'deny'" };
+  }
+  if (!Array.isArray(models) || models.some(m => typeof m !== 'string')) {
+    return { error: 'model_policy.models must be an array of model ids' };
+  }
+  if (max_cost !== null && (!Number.isInteger(max_cost) || max_cost < 0)) {
+    return { error: 'model_policy.max_cost must be a non-negative integer or null' };
+  }
+
+  const ids = [...new Set(models.map(normalizeModelId).filter(Boolean))];
+
+  // An empty deny list with no cost cap restricts nothing
+  if (mode === 'deny' && ids.length === 0 && max_cost === null) {
+    return { policy: null };
+  }
+
+  return { policy: { mode, models: ids, max_cost } };
+}
+
+/**
+ * Why a single policy rejects a model, or null if it allows it.
+ */
+function policyViolation(policy, modelId, scope) {
+  if (!policy) return null;
+
+  const requested = normalizeModelId(modelId);
+  const resolved = resolveModel(modelId).id;
+  const listed = (policy.models || []).some(id => id === requested || id === resolved);
+
+  if (policy.mode === 'allow' && !listed) {
+    return `Model ${modelId} is not in this ${scope}'s allowed models.`;
+  }
+  if (policy.mode === 'deny' && listed) {
+    return `Model ${modelId} is blocked for this ${scope}.`;
+  }
+
+  const maxCost = policy.max_cost;
+  if (maxCost !== null && maxCost !== undefined && getModelCost(modelId) > maxCost) {
+    return maxCost === 0
+      ? `This ${scope} may only use free models.`
+      : `Model ${modelId} costs ${getModelCost(modelId)} tokens per prompt; this ${scope} is limited to ${maxCost}.`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a model against the owner's and the device's policies.
+ * Returns null if allowed, otherwise { error, code: 'MODEL_NOT_ALLOWED' }.
+ */
+function checkModelPolicy(modelId, device, user) {
+  const reason = policyViolation(user?.model_policy, modelId, 'account')
+    || policyViolation(device?.model_policy, modelId, 'device');
+  return reason ? { error: reason, code: 'MODEL_NOT_ALLOWED' } : null;
+}
+
+module.exports = {
+  parseModelPolicy,
+  checkModelPolicy,
+};
@@ -0,0 +1,133 @@
+const supabase = require('../config/supabase');
+
+/**
+ * System-prompt templates (see migration_add_prompt_templates.sql).
+ *
+ * Instructions such as "We use TypeScript strict mode; never suggest
+ * jQuery" are set for the organisation (admins), an account or a single
+ * device (owners), separately for chat and for inline completions. The
+ * proxy joins the current version of each that applies, organisation
+ * first, and adds them to the request.
+ */
+
+const PROMPT_TEMPLATE_KINDS = ['chat', 'completion'];
+const PROMPT_TEMPLATE_SCOPES = ['organization', 'user', 'device'];
+const MAX_TEMPLATE_CHARS = parseInt(process.env.PROMPT_TEMPLATE_MAX_CHARS) || 4000;
+
+const CACHE_TTL_MS = 60 * 1000;
+const templatesCache = new Map(); // userId → { rows, loadedAt }
+
+/**
+ * Validate a template body. Returns { content } ('' clears the
+ * template) or { error }.
+ */
+function parseTemplateContent(input) {
+  if (typeof input !== 'string') {
+    return { error: 'content must be a string' };
+  }
+  const content = input.trim();
+  if (content.length > MAX_TEMPLATE_CHARS) {
+    return { error: `content must be at most ${MAX_TEMPLATE_CHARS} characters` };
+  }
+  return { content };
+}
+
+/**
+ * Current templates that apply to an owner's devices (the organisation's
+ * and their own), or only the organisation's when `userId` is null.
+ */
+async function loadCurrentTemplates(userId) {
+  let query = supabase
+    .from('prompt_templates')
+    .select('scope, device_id, kind, version, content, created_by, created_at')
+    .eq('is_current', true);
+  query = userId ? query.or(`user_id.is.null,user_id.eq.${userId}`) : query.is('user_id', null);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Earlier versions of one template, newest first.
+ */
+async function listTemplateVersions({ scope, userId = null, deviceId = null, kind }) {
+  let query = supabase
+    .from('prompt_templates')
+    .select('version, content, is_current, created_by, created_at')
+    .eq('scope', scope)
+    .eq('kind', kind);
+  query = userId ? query.eq('user_id', userId) : query.is('user_id', null);
+  query = deviceId ? query.eq('device_id', deviceId) : query.is('device_id', null);
+
+  const { data, error } = await query.order('version', { ascending: false }).limit(50);
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Save a new version of a template and make it current.
+ */
+async function savePromptTemplate({ scope, userId = null, deviceId = null, kind, content, createdBy }) {
+  const { data, error } = await supabase.rpc('save_prompt_template', {
+    p_scope: scope,
+    p_user_id: userId,
+    p_device_id: deviceId,
+    p_kind: kind,
+    p_content: content,
+    p_created_by: createdBy,
+  });
+  if (error) throw error;
+
+  templatesCache.clear();
+  return data;
+}
+
+/**
+ * The instructions to add to a device's requests of `kind`:
+ * { text, versions }, where `versions` lists the templates used as
+ * "scope@version". Uses a short cache; requests go ahead without
+ * instructions if the templates cannot be read.
+ */
+async function getPromptInstructions(userId, deviceId, kind) {
+  let cached = templatesCache.get(userId);
+  if (!cached || Date.now() - cached.loadedAt >= CACHE_TTL_MS) {
+    try {
+      cached = { rows: await loadCurrentTemplates(userId), loadedAt: Date.now() };
+      templatesCache.set(userId, cached);
+    } catch (error) {
+      if (!cached) return { text: '', versions: [] };
+    }
+  }
+
+  const applies = cached.rows.filter(t => t.kind === kind && t.content
+    && (t.scope !== 'device' || t.device_id === deviceId));
+  applies.sort((a, b) => PROMPT_TEMPLATE_SCOPES.indexOf(a.scope) - PROMPT_TEMPLATE_SCOPES.indexOf(b.scope));
+
+  return {
+    text: applies.map(t => t.content).join('\n\n'),
+    versions: applies.map(t => `${t.scope}@${t.version}`),
+  };
+}
+
+/**
+ * Templates by kind for one scope, from loadCurrentTemplates() rows:
+ * { chat, completion }, each the current version or null.
+ */
+function templatesByKind(rows) {
+  return Object.fromEntries(PROMPT_TEMPLATE_KINDS.map(kind => [
+    kind,
+    rows.find(t => t.kind === kind) || null,
+  ]));
+}
+
+module.exports = {
+  PROMPT_TEMPLATE_KINDS,
+  MAX_TEMPLATE_CHARS,
+  parseTemplateContent,
+  loadCurrentTemplates,
+  listTemplateVersions,
+  savePromptTemplate,
+  getPromptInstructions,
+  templatesByKind,
+};
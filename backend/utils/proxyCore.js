@@ -0,0 +1,853 @@
+const supabase = require('../config/supabase');
+const { calculateTokens, calculateMeteredTokens } = require('./helpers');
+const { getCurrentPeriod, secondsUntilReset, usageLimitMessage } = require('./billingPeriods');
+const { resolveModelRoute } = require('../providers');
+const { reserveTokens, refundReservation } = require('./reservations');
+const { debitUsage } = require('./usageAccounting');
+const { getModelCatalog, findModel, resolveModel } = require('./modelCatalog');
+const { checkModelPolicy } = require('./modelPolicy');
+const { callWithFallback } = require('./upstreamRetry');
+const { loadProxyOwner, pickGitHubCredential, recordGitHubCredentialUse } = require('./githubCredentials');
+const { applyDlp } = require('./dlp');
+const { recordTranscript } = require('./transcripts');
+const { acquireRateLimit } = require('./rateLimits');
+const { getCacheHitCharge } = require('./completionCache');
+const { countTokens: estimateTokens, countMessagesTokens: estimateMessagesTokens } = require('./tokenizer');
+const { TRUNCATION_MODES, fitToContextWindow } = require('./contextWindow');
+const { getPromptInstructions } = require('./promptTemplates');
+
+/**
+ * Shared plumbing for the AI proxy routes (/api/proxy and the
+ * OpenAI-compatible /v1 surface): model lookup, metering, token
+ * reservations, upstream timeouts and stream relaying.
+ */
+
+/**
+ * Models offered through the proxy: enabled catalog entries with
+ * `proxy_enabled` set. Model IDs must match what the upstream accepts
+ * (or set `upstream_model`).
+ *
+ * Each entry may also say how it is served (see providers/index.js):
+ *   upstream       — provider key: 'github' (default), 'azure', 'anthropic', 'local'
+ *   credential     — 'owner', 'env:NAME' or 'none' (defaults to the provider's)
+ *   upstream_model — model/deployment name sent upstream (defaults to id)
+ */
+function getProxyModels() {
+  return getModelCatalog().filter(m => m.is_enabled && m.proxy_enabled);
+}
+
+/**
+ * Find the catalog entry for a model id or alias (null if unknown).
+ */
+function getModelEntry(modelId) {
+  return findModel(modelId) || null;
+}
+
+/**
+ * The catalog entry the proxy serves for a model id or alias: { entry },
+ * or { status, error, code } for sendError. Unknown models and models not
+ * offered through the proxy (`proxy_enabled` unset) are 404s; disabled
+ * ones are refused with 403.
+ */
+function findProxyModel(modelId) {
+  const entry = getModelEntry(modelId);
+  if (!entry || !entry.proxy_enabled) {
+    return { status: 404, error: `Model ${modelId} is not available through the proxy.`, code: 'MODEL_NOT_FOUND' };
+  }
+  if (entry.is_enabled === false) {
+    return { status: 403, error: `Model ${modelId} is disabled by the administrator.`, code: 'MODEL_DISABLED' };
+  }
+  return { entry };
+}
+
+/**
+ * Models the owner can actually reach (upstream configured, credential present)
+ * and, when a device is given, that its model policies allow.
+ */
+function getRoutableModels(owner, device = null) {
+  return getProxyModels().filter(m => !resolveModelRoute(m, owner).error
+    && !(device && checkModelPolicy(m.id, device, owner)));
+}
+
+/**
+ * Usable fallbacks for a catalog entry, in order: enabled, allowed by the
+ * device's model policies, routable, and supporting `operation`.
+ * Returns a list of { model, route }.
+ */
+function getFallbackCandidates(entry, owner, device, operation) {
+  const candidates = [];
+  for (const id of entry.fallbacks || []) {
+    const fallback = findModel(id);
+    if (!fallback || fallback.id === entry.id || candidates.some(c => c.model === fallback.id)) continue;
+    if (!fallback.is_enabled || !fallback.proxy_enabled || checkModelPolicy(fallback.id, device, owner)) continue;
+
+    const route = resolveModelRoute(fallback, owner);
+    if (route.error || typeof route.adapter[operation] !== 'function') continue;
+    candidates.push({ model: fallback.id, route });
+  }
+  return candidates;
+}
+
+/**
+ * Upper bound on a whole proxy request, including streaming.
+ * Timed-out requests are aborted and their reservation refunded.
+ */
+const UPSTREAM_TIMEOUT_MS = parseInt(process.env.PROXY_UPSTREAM_TIMEOUT_MS) || 120 * 1000;
+
+/**
+ * Completion tokens to reserve for when a chat request sets no max_tokens
+ * (only matters when metering per token).
+ */
+const DEFAULT_COMPLETION_RESERVE = 1024;
+
+/**
+ * OpenAI chat completion parameters forwarded upstream as-is.
+ * `n` is left out on purpose: per-prompt metering charges one completion.
+ */
+const OPENAI_CHAT_PARAMS = [
+  'temperature', 'top_p', 'max_tokens', 'max_completion_tokens', 'stop',
+  'presence_penalty', 'frequency_penalty', 'logit_bias', 'logprobs', 'top_logprobs',
+  'seed', 'tools', 'tool_choice', 'parallel_tool_calls', 'response_format',
+  'reasoning_effort', 'user',
+];
+
+const TOOL_CHOICES = ['none', 'auto', 'required'];
+const RESPONSE_FORMATS = ['text', 'json_object', 'json_schema'];
+
+/**
+ * Validate the optional OpenAI chat parameters in a request body.
+ * Returns an error message, or null if the body is acceptable.
+ */
+function validateChatParams(body) {
+  const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+  if (Array.isArray(body.messages)) {
+    for (const [i, message] of body.messages.entries()) {
+      if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.role !== 'string') {
+        return `'messages[${i}]' must be an object with a string 'role'`;
+      }
+      // Assistant turns that only call tools have no content
+      const content = message.content;
+      if (typeof content !== 'string' && !Array.isArray(content) && !(content == null && message.tool_calls)) {
+        return `'messages[${i}].content' must be a string or an array of content parts`;
+      }
+    }
+  }
+
+  if (body.temperature !== undefined && !(isNumber(body.temperature) && body.temperature >= 0 && body.temperature <= 2)) {
+    return "'temperature' must be a number between 0 and 2";
+  }
+  if (body.top_p !== undefined && !(isNumber(body.top_p) && body.top_p >= 0 && body.top_p <= 1)) {
+    return "'top_p' must be a number between 0 and 1";
+  }
+  for (const param of ['max_tokens', 'max_completion_tokens']) {
+    if (body[param] !== undefined && body[param] !== null && !(Number.isInteger(body[param]) && body[param] > 0)) {
+      return `'${param}' must be a positive integer`;
+    }
+  }
+  if (body.seed !== undefined && body.seed !== null && !Number.isInteger(body.seed)) {
+    return "'seed' must be an integer";
+  }
+  if (body.truncation !== undefined && !TRUNCATION_MODES.includes(body.truncation)) {
+    return `'truncation' must be one of: ${TRUNCATION_MODES.join(', ')}`;
+  }
+
+  if (body.stop !== undefined && body.stop !== null) {
+    const stop = Array.isArray(body.stop) ? body.stop : [body.stop];
+    if (stop.length > 4 || !stop.every(s => typeof s === 'string')) {
+      return "'stop' must be a string or an array of up to 4 strings";
+    }
+  }
+
+  if (body.tools !== undefined) {
+    if (!Array.isArray(body.tools)) {
+      return "'tools' must be an array";
+    }
+    for (const [i, tool] of body.tools.entries()) {
+      if (tool?.type !== 'function' || typeof tool.function?.name !== 'string' || !tool.function.name) {
+        return `'tools[${i}]' must be { type: 'function', function: { name, parameters? } }`;
+      }
+    }
+  }
+
+  const choice = body.tool_choice;
+  if (choice !== undefined && choice !== null) {
+    const named = typeof choice === 'object' && choice.type === 'function' && typeof choice.function?.name === 'string';
+    if (!TOOL_CHOICES.includes(choice) && !named) {
+      return "'tool_choice' must be 'none', 'auto', 'required' or { type: 'function', function: { name } }";
+    }
+    if (choice !== 'none' && !body.tools?.length) {
+      return "'tool_choice' requires 'tools'";
+    }
+    if (named && !body.tools.some(t => t.function.name === choice.function.name)) {
+      return `'tool_choice' names unknown tool '${choice.function.name}'`;
+    }
+  }
+
+  const format = body.response_format;
+  if (format !== undefined && format !== null) {
+    if (!RESPONSE_FORMATS.includes(format?.type)) {
+      return "'response_format.type' must be 'text', 'json_object' or 'json_schema'";
+    }
+    if (format.type === 'json_schema' && typeof format.json_schema?.name !== 'string') {
+      return "'response_format.json_schema' must include a name and schema";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Metering modes for proxy requests.
+ *   per_prompt — flat cost per request from calculateTokens() (default)
+ *   per_token  — debit from the upstream prompt/completion token counts
+ *                using each model's input_rate/output_rate (per 1K tokens)
+ */
+const METERING_MODES = ['per_prompt', 'per_token'];
+
+/**
+ * Resolve the active metering mode.
+ * The `metering_mode` admin setting wins over the PROXY_METERING_MODE env var.
+ */
+async function getMeteringMode() {
+  const { data: setting } = await supabase
+    .from('admin_settings')
+    .select('setting_value')
+    .eq('setting_key', 'metering_mode')
+    .single();
+
+  const mode = setting?.setting_value || process.env.PROXY_METERING_MODE;
+  return METERING_MODES.includes(mode) ? mode : 'per_prompt';
+}
+
+/**
+ * Get input/output rates for a model from the catalog.
+ * Entries without rates are rated from their flat per-prompt cost.
+ */
+function getModelRates(modelType) {
+  const model = resolveModel(modelType);
+  if (model.input_rate !== null && model.output_rate !== null) {
+    return { input_rate: model.input_rate, output_rate: model.output_rate };
+  }
+  const cost = calculateTokens(modelType);
+  return { input_rate: cost * 0.25, output_rate: cost };
+}
+
+/**
+ * Text a completion message produced, including tool call arguments.
+ */
+function completionText(message) {
+  const args = (message?.tool_calls || []).map(c => `${c.function?.name || ''}${c.function?.arguments || ''}`);
+  return (message?.content || '') + args.join('');
+}
+
+/**
+ * Cost of a request in allocation tokens under the given metering mode.
+ * `usage` is an OpenAI-style { prompt_tokens, completion_tokens } object.
+ */
+function calculateRequestCost(modelType, meteringMode, usage) {
+  if (meteringMode !== 'per_token') {
+    return calculateTokens(modelType);
+  }
+  return calculateMeteredTokens(getModelRates(modelType), usage?.prompt_tokens, usage?.completion_tokens);
+}
+
+/**
+ * Abort an upstream call when the request times out or the client goes away.
+ * Returns { signal, reason(), cleanup() }.
+ */
+function createUpstreamAbort(res) {
+  const controller = new AbortController();
+  let reason = null;
+  const abort = (why) => {
+    if (controller.signal.aborted) return;
+    reason = why;
+    controller.abort();
+  };
+
+  const timer = setTimeout(() => abort('timeout'), UPSTREAM_TIMEOUT_MS);
+  const onClose = () => {
+    if (!res.writableFinished) abort('client_closed');
+  };
+  res.on('close', onClose);
+
+  return {
+    signal: controller.signal,
+    reason: () => reason,
+    cleanup: () => {
+      clearTimeout(timer);
+      res.off('close', onClose);
+    },
+  };
+}
+
+/**
+ * Run a metered proxy request: resolve the upstream route (and the
+ * model's fallback chain), reserve the worst-case cost, then hand over to
+ * `handler`, which makes the upstream call, writes the response and calls
+ * `settle(usage, output)` on success. Anything that is not settled
+ * (upstream error, timeout, client abort) is refunded. `output` is the
+ * response kept in the owner's transcript, if they opted in.
+ *
+ * `handler` calls `callUpstream(call)` with `call(route)` returning a fetch
+ * Response; it retries, falls back to the next model on 429/5xx, and
+ * returns { apiRes, route, model } for the model that answered (apiRes is null
+ * if no upstream could be reached). Billing follows the model that served
+ * the request, which is also reported in the X-Served-Model header.
+ *
+ * Requests over the device's or the account's rate limits
+ * (utils/rateLimits.js) get 429 with Retry-After, as do requests over a
+ * usage limit (utils/billingPeriods.js); `options.stream` marks
+ * requests that count towards the concurrent stream limit.
+ *
+ * `options.cached` is a cached response (utils/completionCache.js) the
+ * handler will serve instead of calling upstream; it is charged the
+ * cache-hit fraction of the usual cost and logged as `<requestType>-cached`.
+ *
+ * `options.operation` is the adapter method the handler will call.
+ * `options.scan` is the upstream request body; its prompt fields are run
+ * through the DLP rules (utils/dlp.js) and redacted in place before any
+ * tokens are reserved.
+ * `sendError(status, message, extra)` writes errors in the caller's format.
+ * handler receives { callUpstream, meteringMode, signal, abortReason, settle, cached }.
+ */
+async function runMeteredRequest(req, res, options, handler) {
+  const {
+    model,
+    requestType,
+    promptEstimate,
+    completionReserve = DEFAULT_COMPLETION_RESERVE,
+    operation = 'chatCompletions',
+    scan,
+    stream = false,
+    cached = null,
+    sendError,
+  } = options;
+
+  // Get the device owner's credentials (next PAT from their pool) and model policy
+  let { owner, credential: githubCredential } = await loadProxyOwner(req.userId);
+
+  const { entry, ...unavailable } = findProxyModel(model);
+  if (!entry) {
+    return sendError(unavailable.status, unavailable.error, { code: unavailable.code });
+  }
+
+  const denied = checkModelPolicy(model, req.device, owner);
+  if (denied) {
+    return sendError(403, denied.error, { code: denied.code });
+  }
+
+  if (scan) {
+    const dlp = await applyDlp(req, scan, { model, requestType });
+    if (dlp.blocked) {
+      const { error, ...extra } = dlp.blocked;
+      return sendError(403, error, extra);
+    }
+    if (dlp.redacted.length) {
+      res.setHeader('X-DLP-Redacted', dlp.redacted.join(','));
+    }
+  }
+
+  const route = resolveModelRoute(entry, owner);
+  if (route.error) {
+    return sendError(403, route.error, { code: 'PROXY_UNAVAILABLE' });
+  }
+  if (typeof route.adapter[operation] !== 'function') {
+    return sendError(400, `Upstream provider "${route.providerName}" does not support ${operation}.`, {
+      code: 'UNSUPPORTED_OPERATION',
+    });
+  }
+
+  let candidates = [{ model, route }, ...getFallbackCandidates(entry, owner, req.device, operation)];
+
+  const rateLimit = acquireRateLimit(req, owner, { promptEstimate, stream });
+  if (rateLimit.error) {
+    res.setHeader('Retry-After', String(rateLimit.retryAfter));
+    return sendError(429, rateLimit.error, { code: rateLimit.code, retry_after: rateLimit.retryAfter });
+  }
+
+  // From here on the rate limit slot is always released
+  try {
+    // Reserve the worst-case cost across the chain up front; settled once the call finishes
+    const meteringMode = await getMeteringMode();
+    const costFactor = cached ? getCacheHitCharge() : 1;
+    const reserveCost = Math.round(costFactor * Math.max(...candidates.map(c => calculateRequestCost(c.model, meteringMode, {
+      prompt_tokens: promptEstimate,
+      completion_tokens: completionReserve,
+    }))));
+
+    let reservation;
+    try {
+      reservation = await reserveTokens(req.deviceId, getCurrentPeriod().key, reserveCost, model, requestType);
+    } catch (err) {
+      console.error('Token reservation failed:', err.message);
+      return sendError(503, 'Token accounting is unavailable. Try again shortly.', { code: 'RESERVATION_UNAVAILABLE' });
+    }
+    if (!reservation?.reserved) {
+      if (reservation?.limit) {
+        const retryAfter = secondsUntilReset(reservation.limit);
+        res.setHeader('Retry-After', String(retryAfter));
+        return sendError(429, usageLimitMessage(reservation.limit), {
+          code: 'USAGE_LIMIT_REACHED',
+          limit: reservation.limit,
+          retry_after: retryAfter,
+        });
+      }
+      if (!reservation?.has_allocation) {
+        return sendError(403, 'No token allocation for this period.', { code: 'NO_ALLOCATION' });
+      }
+      return sendError(403, 'Token limit reached. No remaining tokens this period.', {
+        code: 'INSUFFICIENT_TOKENS',
+        remaining: reservation.remaining,
+      });
+    }
+
+    const upstream = createUpstreamAbort(res);
+    const startedAt = Date.now();
+    let settled = false;
+    let served = candidates[0];
+
+    const triedCredentials = [];
+
+    const callUpstream = async (call) => {
+      let result = await callWithFallback(candidates, call, upstream.signal);
+
+      // Track pooled GitHub PATs; when one is rejected, retry with the next healthy one
+      while (githubCredential && result.candidate.route.credential === 'owner') {
+        const rejected = await recordGitHubCredentialUse(githubCredential.id, result.apiRes);
+        if (!rejected) break;
+
+        triedCredentials.push(githubCredential.id);
+        const next = await pickGitHubCredential(req.userId, triedCredentials);
+        if (!next) break;
+
+        console.warn(`GitHub credential ${githubCredential.id} rejected (${result.apiRes.status}), rotating to ${next.id}`);
+        await result.apiRes.body?.cancel().catch(() => {});
+        githubCredential = next;
+        owner = { ...owner, github_access_token: next.token };
+        candidates = candidates.map(c => c.route.credential === 'owner'
+          ? { model: c.model, route: resolveModelRoute(getModelEntry(c.model), owner) }
+          : c);
+        result = await callWithFallback(candidates, call, upstream.signal);
+      }
+
+      served = result.candidate;
+      if (served.model !== model) {
+        console.warn(`Proxy request for ${model} served by fallback ${served.model}`);
+      }
+      if (!res.headersSent) {
+        res.setHeader('X-Served-Model', served.model);
+      }
+      return { apiRes: result.apiRes, route: served.route, model: served.model };
+    };
+
+    // Settled only once the debit goes through; a debit that keeps failing
+    // leaves the hold to be refunded below rather than to the sweeper
+    const settle = async (usage, output = null) => {
+      rateLimit.recordUsage((usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0));
+      const loggedType = cached ? `${requestType}-cached` : requestType;
+      let usageLogId;
+      try {
+        usageLogId = await logProxyUsage(req.deviceId, req.userId, served.model, loggedType, reservation.reservation_id, usage, meteringMode, model, costFactor);
+      } catch (err) {
+        console.error(`Failed to debit proxy usage, refunding reservation ${reservation.reservation_id}:`, err.message || err);
+        return;
+      }
+      settled = true;
+      if (owner?.transcript_logging && usageLogId) {
+        await recordTranscript({
+          req,
+          usageLogId,
+          modelType: served.model,
+          requestedModel: model,
+          requestType: loggedType,
+          request: scan,
+          response: output,
+          usage,
+          latencyMs: Date.now() - startedAt,
+        });
+      }
+    };
+
+    try {
+      await handler({
+        callUpstream,
+        meteringMode,
+        signal: upstream.signal,
+        abortReason: upstream.reason,
+        settle,
+        cached,
+      });
+    } catch (error) {
+      if (upstream.reason() === 'timeout') {
+        console.error(`Upstream ${served.route.providerName} timed out after ${UPSTREAM_TIMEOUT_MS}ms`);
+        if (!res.headersSent) {
+          sendError(504, 'Upstream AI API timed out', { code: 'UPSTREAM_TIMEOUT' });
+        }
+        return;
+      }
+      if (upstream.reason() === 'client_closed') {
+        return;
+      }
+      throw error;
+    } finally {
+      upstream.cleanup();
+      if (!settled) {
+        await refundReservation(reservation.reservation_id);
+      }
+    }
+  } finally {
+    rateLimit.release();
+  }
+}
+
+/**
+ * Report a non-2xx upstream response to the client.
+ * `apiRes` is null when no upstream could be reached at all.
+ */
+async function sendUpstreamError(apiRes, route, sendError) {
+  if (!apiRes) {
+    return sendError(503, 'Upstream AI API is unavailable. Try again shortly.', { code: 'UPSTREAM_UNAVAILABLE' });
+  }
+
+  const errBody = await apiRes.text();
+  console.error(`Upstream ${route.providerName} API error (${apiRes.status}):`, errBody);
+
+  // If 401, the stored token is invalid
+  if (apiRes.status === 401 && route.providerName === 'github') {
+    return sendError(502, 'GitHub token expired or invalid. Account owner must re-login via GitHub or add a valid PAT on the dashboard.', {
+      code: 'UPSTREAM_AUTH',
+    });
+  }
+  return sendError(502, `Upstream AI API error: ${apiRes.status}`, {
+    code: 'UPSTREAM_ERROR',
+    detail: errBody.substring(0, 500),
+  });
+}
+
+/**
+ * Proxy an OpenAI chat completions body (`body.model` is the catalog id)
+ * and answer in OpenAI format, streaming or not.
+ *
+ * The organisation's, owner's and device's instructions (utils/promptTemplates.js)
+ * go first as a system message; X-Prompt-Templates lists the versions used.
+ *
+ * Conversations too long for the model's context window lose their oldest
+ * turns (utils/contextWindow.js); the response then carries a Warning
+ * header and X-Context-Truncated with the number of messages left out.
+ *
+ * options.transform    — see relayStream(); used to reshape stream chunks
+ * options.sendError    — see runMeteredRequest()
+ * options.truncation   — 'disabled' refuses over-long requests instead
+ * options.templateKind — which instructions apply: 'chat' (default) or 'completion'
+ */
+async function proxyChatCompletion(req, res, body, options) {
+  const { requestType, sendError, transform, truncation, templateKind = 'chat' } = options;
+  const stream = !!body.stream;
+  const completionReserve = body.max_tokens || body.max_completion_tokens || DEFAULT_COMPLETION_RESERVE;
+
+  const instructions = await getPromptInstructions(req.userId, req.deviceId, templateKind);
+  if (instructions.text) {
+    body = { ...body, messages: [{ role: 'system', content: instructions.text }, ...body.messages] };
+    res.setHeader('X-Prompt-Templates', instructions.versions.join(','));
+  }
+
+  const { entry, ...unavailable } = findProxyModel(body.model);
+  if (!entry) {
+    return sendError(unavailable.status, unavailable.error, { code: unavailable.code });
+  }
+
+  const fit = fitToContextWindow(body.messages, {
+    model: entry.id,
+    contextWindow: entry.context_window,
+    completionReserve,
+    tools: body.tools,
+    truncation,
+  });
+  if (fit.error) {
+    return sendError(400, fit.error, {
+      code: 'CONTEXT_LENGTH_EXCEEDED',
+      prompt_tokens: fit.promptTokens,
+      context_window: fit.contextWindow,
+    });
+  }
+  if (fit.omitted) {
+    body = { ...body, messages: fit.messages };
+    res.setHeader('X-Context-Truncated', String(fit.omitted));
+    res.setHeader('Warning', `299 - "${fit.omitted} earlier messages omitted to fit the context window of ${entry.id}"`);
+  }
+
+  await runMeteredRequest(req, res, {
+    model: body.model,
+    requestType,
+    promptEstimate: fit.promptTokens,
+    completionReserve,
+    scan: body,
+    stream,
+    sendError,
+  }, async ({ callUpstream, signal, abortReason, settle }) => {
+    // Build the upstream request (OpenAI schema — adapters translate as needed)
+    const apiBody = {
+      ...body,
+      stream,
+      // Ask upstream to append a final usage chunk to the stream
+      ...(stream && { stream_options: { ...body.stream_options, include_usage: true } }),
+    };
+
+    const { apiRes, route } = await callUpstream((route) => route.adapter.chatCompletions(
+      { ...apiBody, model: route.upstreamModel },
+      { apiKey: route.apiKey, signal },
+    ));
+
+    if (!apiRes?.ok) {
+      return sendUpstreamError(apiRes, route, sendError);
+    }
+
+    if (stream) {
+      // ─── Streaming response ────────────────────────────
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+
+      const streamed = await relayStream(apiRes, res, transform);
+      if (!streamed.completed) {
+        console.warn(`Proxy stream for device ${req.deviceId} ended early (${abortReason() || 'stream error'}), refunding`);
+        return;
+      }
+
+      // Fall back to an estimate if upstream did not report usage
+      await settle(streamed.usage || {
+        prompt_tokens: estimateMessagesTokens(body.messages, body.tools),
+        completion_tokens: estimateTokens(streamed.content),
+      }, { role: 'assistant', content: streamed.content });
+    } else {
+      // ─── Non-streaming response ────────────────────────
+      const result = await apiRes.json();
+
+      await settle(result.usage || {
+        prompt_tokens: estimateMessagesTokens(body.messages, body.tools),
+        completion_tokens: estimateTokens(completionText(result.choices?.[0]?.message)),
+      }, result.choices?.[0]?.message);
+
+      res.json(result);
+    }
+  });
+}
+
+/**
+ * Validate an embeddings `input`: a string, an array of strings, or
+ * pre-tokenized input (an array of integers, or of integer arrays).
+ * Returns an error message, or null.
+ */
+function validateEmbeddingsInput(input) {
+  const isTokens = (v) => Array.isArray(v) && v.length > 0 && v.every(Number.isInteger);
+  if (typeof input === 'string' && input.length > 0) return null;
+  if (isTokens(input)) return null;
+  if (Array.isArray(input) && input.length > 0 && input.length <= 2048
+    && (input.every(s => typeof s === 'string' && s.length > 0) || input.every(isTokens))) {
+    return null;
+  }
+  return "'input' must be a non-empty string or array of strings (at most 2048 items)";
+}
+
+/**
+ * Estimate prompt tokens for an embeddings input.
+ */
+function estimateEmbeddingsTokens(input) {
+  const items = typeof input === 'string' || Number.isInteger(input?.[0]) ? [input] : input;
+  return items.reduce((sum, item) => sum + (typeof item === 'string' ? estimateTokens(item) : item.length), 0);
+}
+
+/**
+ * Proxy an OpenAI embeddings request: metered like chat, but with no
+ * completion tokens. Only embedding models from the catalog are accepted,
+ * and only on upstreams whose adapter implements `embeddings`
+ * (checked by runMeteredRequest).
+ *
+ * `body` is an OpenAI embeddings body ({ model, input, ... }).
+ */
+async function proxyEmbeddings(req, res, body, { requestType = 'embeddings', sendError }) {
+  const { entry, ...unavailable } = findProxyModel(body.model);
+  if (!entry) {
+    return sendError(unavailable.status, unavailable.error, { code: unavailable.code });
+  }
+  if (entry.kind !== 'embedding') {
+    return sendError(400, `Model ${body.model} is not an embedding model.`, { code: 'INVALID_MODEL' });
+  }
+
+  const promptEstimate = estimateEmbeddingsTokens(body.input);
+
+  await runMeteredRequest(req, res, {
+    model: body.model,
+    requestType,
+    promptEstimate,
+    completionReserve: 0,
+    operation: 'embeddings',
+    scan: body,
+    sendError,
+  }, async ({ callUpstream, signal, settle }) => {
+    const { apiRes, route } = await callUpstream((route) => route.adapter.embeddings(
+      { ...body, model: route.upstreamModel },
+      { apiKey: route.apiKey, signal },
+    ));
+
+    if (!apiRes?.ok) {
+      return sendUpstreamError(apiRes, route, sendError);
+    }
+
+    const result = await apiRes.json();
+
+    // Transcripts keep the shape of the result, not the vectors
+    await settle({
+      prompt_tokens: result.usage?.prompt_tokens ?? promptEstimate,
+      completion_tokens: 0,
+    }, {
+      embeddings: result.data?.length || 0,
+      dimensions: result.data?.[0]?.embedding?.length || 0,
+    });
+
+    res.json(result);
+  });
+}
+
+/**
+ * Relay an upstream OpenAI SSE stream to the client line by line, while
+ * collecting the streamed text (and tool call arguments) and the final
+ * `usage` chunk (if any). Lines are written unchanged unless transformed,
+ * so tool call deltas reach the client intact.
+ *
+ * `transform(data)` is called with each parsed chunk (or '[DONE]') and
+ * returns undefined to pass the line through unchanged, null to drop it,
+ * or replacement SSE text.
+ * `completed` is false if the stream was cut short (abort, timeout, error).
+ */
+async function relayStream(apiRes, res, transform = null) {
+  const reader = apiRes.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let usage = null;
+  let completed = false;
+
+  const relayLine = (line) => {
+    let data;
+    if (line.startsWith('data: ')) {
+      const raw = line.slice(6).trim();
+      try {
+        data = raw === '[DONE]' ? raw : JSON.parse(raw);
+      } catch {
+        // Not JSON — pass through without inspecting
+      }
+    }
+
+    if (data && data !== '[DONE]') {
+      if (data.usage) usage = data.usage;
+      const delta = data.choices?.[0]?.delta;
+      if (delta?.content) content += delta.content;
+      for (const call of delta?.tool_calls || []) {
+        content += (call.function?.name || '') + (call.function?.arguments || '');
+      }
+    }
+
+    const out = transform && data !== undefined ? transform(data) : undefined;
+    if (out === undefined) {
+      res.write(`${line}\n`);
+    } else if (out !== null) {
+      res.write(out);
+    }
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let newlineIdx;
+      while ((newlineIdx = buffer.indexOf('\n')) !== -1) {
+        relayLine(buffer.substring(0, newlineIdx).replace(/\r$/, ''));
+        buffer = buffer.substring(newlineIdx + 1);
+      }
+    }
+    if (buffer) relayLine(buffer);
+    completed = true;
+  } catch (streamErr) {
+    if (streamErr.name !== 'AbortError') {
+      console.error('Stream error:', streamErr);
+    }
+  } finally {
+    res.end();
+  }
+
+  return { content, usage, completed };
+}
+
+/**
+ * Attempts at debiting a settled proxy request before giving up.
+ * Retrying is safe: debit_usage settles a reservation at most once.
+ */
+const DEBIT_ATTEMPTS = 3;
+const DEBIT_RETRY_DELAY_MS = 250;
+
+/**
+ * Log proxy usage and settle the request's token reservation.
+ * `usage` carries the upstream prompt/completion token counts; they are
+ * always recorded, and debited directly when metering per token.
+ * `modelType` is the model that served the request (and is billed);
+ * `requestedModel` the one the client asked for, if different.
+ * `costFactor` scales the cost (e.g. for cache hits).
+ * Returns the usage_logs row id, or null if the reservation was already
+ * settled. Throws if the debit still fails after DEBIT_ATTEMPTS tries.
+ */
+async function logProxyUsage(deviceId, userId, modelType, requestType, reservationId, usage = null, meteringMode = 'per_prompt', requestedModel = null, costFactor = 1) {
+  const tokenCost = Math.round(calculateRequestCost(modelType, meteringMode, usage) * costFactor);
+  const promptTokens = usage?.prompt_tokens ?? null;
+  const completionTokens = usage?.completion_tokens ?? null;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      // Release the hold, debit the actual cost and log it in one transaction
+      const result = await debitUsage({
+        deviceId,
+        userId,
+        monthYear: getCurrentPeriod().key,
+        tokens: tokenCost,
+        modelType,
+        requestType: `proxy-${requestType}`,
+        description: `AI proxy: ${requestType} via ${modelType}`
+          + (requestedModel && requestedModel !== modelType ? ` (fallback from ${requestedModel})` : '')
+          + (promptTokens !== null ? ` (${promptTokens} prompt + ${completionTokens} completion tokens)` : ''),
+        requestedModel: requestedModel || modelType,
+        promptTokens,
+        completionTokens,
+        reservationId,
+      });
+      if (!result?.debited) {
+        console.warn(`Reservation ${reservationId} was already settled; not logging usage twice`);
+        return null;
+      }
+      return result.log_id;
+    } catch (err) {
+      if (attempt >= DEBIT_ATTEMPTS) throw err;
+      console.warn(`Debit for reservation ${reservationId} failed (attempt ${attempt}), retrying:`, err.message);
+      await new Promise(resolve => setTimeout(resolve, DEBIT_RETRY_DELAY_MS * attempt));
+    }
+  }
+}
+
+module.exports = {
+  getProxyModels,
+  OPENAI_CHAT_PARAMS,
+  validateChatParams,
+  validateEmbeddingsInput,
+  getModelEntry,
+  getRoutableModels,
+  estimateTokens,
+  estimateMessagesTokens,
+  runMeteredRequest,
+  sendUpstreamError,
+  proxyChatCompletion,
+  proxyEmbeddings,
+  relayStream,
+  logProxyUsage,
+};
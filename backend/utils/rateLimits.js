@@ -0,0 +1,185 @@
+/**
+ * Per-device and per-account rate limits for the AI proxy.
+ *
+ * Limits are `{ requests_per_minute, tokens_per_minute, concurrent_streams }`
+ * (see migration_add_rate_limits.sql). Owners set them per device
+ * (devices.rate_limits); admins set them per account (users.rate_limits),
+ * shared by all of the account's devices. A field that is not set falls
+ * back to the server default (PROXY_DEVICE_* / PROXY_ACCOUNT_* env vars);
+ * 0 means no limit.
+ *
+ * Counters are kept in memory over a sliding one-minute window, like the
+ * upstream circuit breakers.
+ */
+
+const RATE_LIMIT_FIELDS = ['requests_per_minute', 'tokens_per_minute', 'concurrent_streams'];
+
+const WINDOW_MS = 60 * 1000;
+// Retry-After for a request refused because too many streams are open
+const STREAM_RETRY_SECONDS = 5;
+
+function envLimit(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  return Math.max(parseInt(value) || 0, 0);
+}
+
+const DEFAULT_LIMITS = {
+  device: {
+    requests_per_minute: envLimit('PROXY_DEVICE_REQUESTS_PER_MINUTE', 60),
+    tokens_per_minute: envLimit('PROXY_DEVICE_TOKENS_PER_MINUTE', 0),
+    concurrent_streams: envLimit('PROXY_DEVICE_CONCURRENT_STREAMS', 4),
+  },
+  account: {
+    requests_per_minute: envLimit('PROXY_ACCOUNT_REQUESTS_PER_MINUTE', 0),
+    tokens_per_minute: envLimit('PROXY_ACCOUNT_TOKENS_PER_MINUTE', 0),
+    concurrent_streams: envLimit('PROXY_ACCOUNT_CONCURRENT_STREAMS', 0),
+  },
+};
+
+// key → [{ at, tokens }] within the window, oldest first
+const windows = new Map();
+// key → open streams
+const openStreams = new Map();
+
+/**
+ * Validate limits from a request body.
+ * Returns { limits } (null clears them) or { error }.
+ */
+function parseRateLimits(input) {
+  if (input === null) return { limits: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'rate_limits must be an object or null' };
+  }
+
+  const limits = {};
+  for (const [field, value] of Object.entries(input)) {
+    if (!RATE_LIMIT_FIELDS.includes(field)) {
+      return { error: `Unknown rate limit: ${field}` };
+    }
+    if (value === null || value === undefined) continue;
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: `rate_limits.${field} must be a non-negative integer (0 = no limit)` };
+    }
+    limits[field] = value;
+  }
+
+  return { limits: Object.keys(limits).length ? limits : null };
+}
+
+function effectiveLimits(scope, limits) {
+  return { ...DEFAULT_LIMITS[scope], ...(limits || {}) };
+}
+
+function recentEntries(key, now) {
+  const entries = (windows.get(key) || []).filter(e => now - e.at < WINDOW_MS);
+  if (entries.length) windows.set(key, entries);
+  else windows.delete(key);
+  return entries;
+}
+
+/**
+ * Why this scope is over its limits, or null if the request may go ahead.
+ */
+function limitViolation({ key, name, limits }, { promptEstimate, stream }, now) {
+  const entries = recentEntries(key, now);
+  const retryAt = (entry) => Math.ceil((entry.at + WINDOW_MS - now) / 1000);
+
+  const rpm = limits.requests_per_minute;
+  if (rpm && entries.length >= rpm) {
+    return {
+      error: `Rate limit reached: this ${name} may send ${rpm} requests per minute.`,
+      retryAfter: retryAt(entries[entries.length - rpm]),
+    };
+  }
+
+  const tpm = limits.tokens_per_minute;
+  if (tpm) {
+    let used = entries.reduce((sum, e) => sum + e.tokens, 0);
+    if (used + promptEstimate > tpm) {
+      // Wait until enough of the window has expired, or a full window if it can never fit
+      let retryAfter = WINDOW_MS / 1000;
+      if (promptEstimate <= tpm) {
+        for (const entry of entries) {
+          used -= entry.tokens;
+          if (used + promptEstimate <= tpm) {
+            retryAfter = retryAt(entry);
+            break;
+          }
+        }
+      }
+      return {
+        error: `Rate limit reached: this ${name} may use ${tpm} tokens per minute.`,
+        retryAfter,
+      };
+    }
+  }
+
+  const maxStreams = limits.concurrent_streams;
+  if (stream && maxStreams && (openStreams.get(key) || 0) >= maxStreams) {
+    return {
+      error: `Too many open streams: this ${name} may have ${maxStreams} at a time.`,
+      retryAfter: STREAM_RETRY_SECONDS,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Admit a proxy request against the device's and the account's limits.
+ * Returns { error, code: 'RATE_LIMITED', retryAfter } (seconds) when over
+ * a limit. Otherwise counts the request and returns a ticket with
+ * `recordUsage(tokens)`, to replace the prompt estimate with the actual
+ * token count once known, and `release()`, to call when the request ends.
+ */
+function acquireRateLimit(req, owner, { promptEstimate = 0, stream = false } = {}) {
+  const scopes = [
+    { key: `device:${req.deviceId}`, name: 'device', limits: effectiveLimits('device', req.device?.rate_limits) },
+    { key: `account:${req.userId}`, name: 'account', limits: effectiveLimits('account', owner?.rate_limits) },
+  ];
+  const now = Date.now();
+
+  for (const scope of scopes) {
+    const violation = limitViolation(scope, { promptEstimate, stream }, now);
+    if (violation) {
+      return { ...violation, code: 'RATE_LIMITED' };
+    }
+  }
+
+  // One entry object shared by both windows, so recordUsage updates both
+  const entry = { at: now, tokens: promptEstimate };
+  for (const { key } of scopes) {
+    const entries = windows.get(key) || [];
+    entries.push(entry);
+    windows.set(key, entries);
+    if (stream) openStreams.set(key, (openStreams.get(key) || 0) + 1);
+  }
+
+  let released = false;
+  return {
+    recordUsage: (tokens) => { entry.tokens = tokens; },
+    release: () => {
+      if (released || !stream) return;
+      released = true;
+      for (const { key } of scopes) {
+        const open = (openStreams.get(key) || 1) - 1;
+        if (open > 0) openStreams.set(key, open);
+        else openStreams.delete(key);
+      }
+    },
+  };
+}
+
+/**
+ * Server defaults, for showing what an unset limit means.
+ */
+function getRateLimitDefaults() {
+  return DEFAULT_LIMITS;
+}
+
+module.exports = {
+  parseRateLimits,
+  acquireRateLimit,
+  getRateLimitDefaults,
+};
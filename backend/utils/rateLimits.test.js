@@ -0,0 +1,92 @@
+const { describe, test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRateLimits, acquireRateLimit, getRateLimitDefaults } = require('./rateLimits');
+
+let nextId = 0;
+// A request from a fresh device of a fresh account, with the device's limits
+function request(rateLimits = null) {
+  nextId++;
+  return { deviceId: `d${nextId}`, userId: `u${nextId}`, device: { rate_limits: rateLimits } };
+}
+
+function setNow(ms) {
+  mock.method(Date, 'now', () => ms);
+}
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('parseRateLimits', () => {
+  test('keeps the limits that are set', () => {
+    assert.deepEqual(parseRateLimits({ requests_per_minute: 10, tokens_per_minute: null }).limits, { requests_per_minute: 10 });
+    assert.equal(parseRateLimits({}).limits, null);
+    assert.equal(parseRateLimits(null).limits, null);
+  });
+
+  test('refuses unknown or negative limits', () => {
+    assert.match(parseRateLimits({ per_hour: 1 }).error, /Unknown rate limit/);
+    assert.match(parseRateLimits({ concurrent_streams: 1.5 }).error, /non-negative integer/);
+    assert.match(parseRateLimits([]).error, /must be an object or null/);
+  });
+});
+
+describe('acquireRateLimit', () => {
+  test('uses the server defaults for unset limits', () => {
+    assert.equal(getRateLimitDefaults().device.requests_per_minute, 60);
+    assert.equal(getRateLimitDefaults().account.requests_per_minute, 0);
+  });
+
+  test('refuses requests over the per-minute count until the window moves on', () => {
+    const req = request({ requests_per_minute: 2 });
+    setNow(1_000_000);
+    assert.ok(acquireRateLimit(req).release);
+    setNow(1_010_000);
+    assert.ok(acquireRateLimit(req).release);
+
+    setNow(1_020_000);
+    const refused = acquireRateLimit(req);
+    assert.equal(refused.code, 'RATE_LIMITED');
+    assert.match(refused.error, /this device may send 2 requests per minute/);
+    assert.equal(refused.retryAfter, 40);
+
+    setNow(1_060_000);
+    assert.ok(acquireRateLimit(req).release);
+  });
+
+  test('counts tokens per minute, with the actual usage once known', () => {
+    const req = request({ tokens_per_minute: 1000 });
+    setNow(2_000_000);
+    acquireRateLimit(req, null, { promptEstimate: 100 }).recordUsage(900);
+
+    setNow(2_030_000);
+    const refused = acquireRateLimit(req, null, { promptEstimate: 200 });
+    assert.match(refused.error, /may use 1000 tokens per minute/);
+    assert.equal(refused.retryAfter, 30);
+    assert.ok(acquireRateLimit(req, null, { promptEstimate: 100 }).release);
+  });
+
+  test('asks a request that can never fit to wait a full minute', () => {
+    const req = request({ tokens_per_minute: 100 });
+    assert.equal(acquireRateLimit(req, null, { promptEstimate: 500 }).retryAfter, 60);
+  });
+
+  test('limits open streams until they are released', () => {
+    const req = request({ concurrent_streams: 1 });
+    const first = acquireRateLimit(req, null, { stream: true });
+    assert.match(acquireRateLimit(req, null, { stream: true }).error, /Too many open streams/);
+    assert.ok(acquireRateLimit(req, null, { stream: false }).release);
+
+    first.release();
+    first.release();
+    assert.ok(acquireRateLimit(req, null, { stream: true }).release);
+  });
+
+  test("applies the account's limits across its devices", () => {
+    const owner = { rate_limits: { requests_per_minute: 1 } };
+    const req = request();
+    acquireRateLimit(req, owner);
+    const refused = acquireRateLimit({ ...req, deviceId: 'another-device' }, owner);
+    assert.match(refused.error, /this account may send 1 requests per minute/);
+  });
+});
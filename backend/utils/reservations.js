@@ -0,0 +1,72 @@
+const supabase = require('../config/supabase');
+const { getLimitWindows } = require('./billingPeriods');
+
+/**
+ * How long a reservation may stay pending before the sweeper refunds it.
+ * Should exceed the proxy request timeout.
+ */
+const RESERVATION_TTL_SECONDS = parseInt(process.env.PROXY_RESERVATION_TTL_SECONDS) || 300;
+
+/**
+ * Atomically hold tokens against a device's allocation for a billing
+ * period, within its usage limits.
+ * Returns { reserved, has_allocation, reservation_id, remaining }, with
+ * `limit` set when a usage limit refused the hold.
+ * Throws if the database call fails.
+ */
+async function reserveTokens(deviceId, monthYear, tokens, modelType, requestType) {
+  const { data, error } = await supabase.rpc('reserve_tokens', {
+    p_device_id: deviceId,
+    p_month_year: monthYear,
+    p_tokens: tokens,
+    p_model_type: modelType,
+    p_request_type: requestType,
+    p_ttl_seconds: RESERVATION_TTL_SECONDS,
+    p_windows: getLimitWindows(),
+  });
+
+  if (error) {
+    throw new Error(`Failed to reserve tokens: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Release a reservation without debiting anything (settling one with
+ * its actual cost is debitUsage's job, see utils/usageAccounting.js).
+ * Never throws — an unrefunded hold is picked up by the sweeper.
+ */
+async function refundReservation(reservationId) {
+  try {
+    const { data, error } = await supabase.rpc('refund_reservation', { p_reservation_id: reservationId });
+    if (error) throw error;
+    return data;
+  } catch (err) {
+    console.error('Failed to refund reservation:', err.message || err);
+    return false;
+  }
+}
+
+/**
+ * Periodically refund reservations that were never settled
+ * (e.g. the server restarted mid-request).
+ */
+function startReservationSweeper(intervalMs = 60 * 1000) {
+  const timer = setInterval(async () => {
+    const { data, error } = await supabase.rpc('expire_token_reservations');
+    if (error) {
+      console.error('Reservation sweep failed:', error.message);
+    } else if (data > 0) {
+      console.log(`🧹 Expired ${data} stale token reservation(s)`);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RESERVATION_TTL_SECONDS,
+  reserveTokens,
+  refundReservation,
+  startReservationSweeper,
+};
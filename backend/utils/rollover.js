@@ -0,0 +1,162 @@
+const supabase = require('../config/supabase');
+const { getCurrentPeriod, getPreviousPeriod, refreshBillingPeriod } = require('./billingPeriods');
+
+/**
+ * Period rollover (see migration_add_monthly_rollover.sql and
+ * migration_add_billing_periods.sql).
+ *
+ * When a billing period starts (utils/billingPeriods.js), every device
+ * gets an allocation from its owner's rollover policy
+ * (users.rollover_policy, set by admins): `{ base, carry_over,
+ * carry_over_cap }`, where `base` is 'previous' (the last period's
+ * allocation) or 'budget' (the owner's monthly_token_budget) and
+ * `carry_over` adds the last period's unused tokens, at most
+ * `carry_over_cap` (default: the base). The period before is closed with a
+ * summary per user in month_close_summaries.
+ */
+
+const ROLLOVER_BASES = ['previous', 'budget'];
+const ROLLOVER_FIELDS = ['base', 'carry_over', 'carry_over_cap'];
+
+// Period this server last rolled over to, so the check below is cheap
+let lastRolledPeriod = null;
+
+/**
+ * Validate a rollover policy from a request body.
+ * Returns { policy } (null restores the defaults) or { error }.
+ */
+function parseRolloverPolicy(input) {
+  if (input === null) return { policy: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'rollover_policy must be an object or null' };
+  }
+
+  const policy = {};
+  for (const [field, value] of Object.entries(input)) {
+    if (!ROLLOVER_FIELDS.includes(field)) {
+      return { error: `Unknown rollover_policy field: ${field}` };
+    }
+    if (value === null || value === undefined) continue;
+    if (field === 'base' && !ROLLOVER_BASES.includes(value)) {
+      return { error: `rollover_policy.base must be one of: ${ROLLOVER_BASES.join(', ')}` };
+    }
+    if (field === 'carry_over' && typeof value !== 'boolean') {
+      return { error: 'rollover_policy.carry_over must be a boolean' };
+    }
+    if (field === 'carry_over_cap' && (!Number.isInteger(value) || value < 0)) {
+      return { error: 'rollover_policy.carry_over_cap must be a non-negative integer' };
+    }
+    policy[field] = value;
+  }
+
+  return { policy: Object.keys(policy).length ? policy : null };
+}
+
+/**
+ * A device's allocation for the period `periodKey`, created from its
+ * owner's rollover policy if it has none yet. Throws if the database call
+ * fails.
+ */
+async function getPeriodAllocation(deviceId, periodKey = getCurrentPeriod().key) {
+  const { data, error } = await supabase.rpc('rollover_allocation', {
+    p_device_id: deviceId,
+    p_month_year: periodKey,
+  });
+  if (error) {
+    throw new Error(`Failed to load allocation for ${periodKey}: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Create every device's allocation for `period` (from getCurrentPeriod)
+ * and close the period before. Existing allocations and summaries are
+ * left alone, so this can run any number of times. Returns { period,
+ * closed_period, allocations_created, tokens_carried_over, users_closed }.
+ * Throws if the database call fails.
+ */
+async function rolloverPeriod(period = getCurrentPeriod()) {
+  const closed = getPreviousPeriod(period);
+  const { data, error } = await supabase.rpc('rollover_period', {
+    p_period_key: period.key,
+    p_closed_key: closed.key,
+    p_closed_start: closed.start.toISOString(),
+    p_closed_end: closed.end.toISOString(),
+  });
+  if (error) {
+    throw new Error(`Failed to roll over ${period.key}: ${error.message}`);
+  }
+  if (period.key === getCurrentPeriod().key) {
+    lastRolledPeriod = period.key;
+  }
+  return data;
+}
+
+/**
+ * Start the period `periodKey` over: every device's allocation is set again
+ * from its owner's rollover policy with nothing used, keeping the tokens
+ * reserved by in-flight requests. `defaultAllocation` is the monthly
+ * budget of owners without one. Returns { period, devices_reset,
+ * tokens_allocated }. Throws if the database call fails.
+ */
+async function resetPeriod(periodKey, defaultAllocation = 50) {
+  const { data, error } = await supabase.rpc('reset_period', {
+    p_period_key: periodKey,
+    p_default_allocation: defaultAllocation,
+  });
+  if (error) {
+    throw new Error(`Failed to reset ${periodKey}: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Roll over to each new period shortly after it starts (and once at
+ * startup, in case the server was down when it did).
+ */
+function startPeriodRollover(intervalMs = 60 * 1000) {
+  const check = async () => {
+    const period = getCurrentPeriod();
+    if (period.key === lastRolledPeriod) return;
+    try {
+      const result = await rolloverPeriod(period);
+      if (result?.allocations_created > 0 || result?.users_closed > 0) {
+        console.log(`📅 Rolled over to ${period.key}: ${result.allocations_created} allocation(s), ${result.tokens_carried_over} token(s) carried over, ${result.users_closed} user(s) closed`);
+      }
+    } catch (err) {
+      console.error('Period rollover failed:', err.message);
+    }
+  };
+
+  // Not before the billing period is loaded, or the first check would
+  // roll over to the default one
+  refreshBillingPeriod().then(check);
+  const timer = setInterval(check, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Period-close summaries, newest first; optionally for one period key.
+ */
+async function listMonthCloseSummaries({ month = null, userId = null } = {}) {
+  let query = supabase
+    .from('month_close_summaries')
+    .select('*, users(email, display_name)')
+    .order('created_at', { ascending: false });
+  if (month) query = query.eq('month_year', month);
+  if (userId) query = query.eq('user_id', userId);
+
+  const { data, error } = await query.limit(500);
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  parseRolloverPolicy,
+  getPeriodAllocation,
+  rolloverPeriod,
+  resetPeriod,
+  startPeriodRollover,
+  listMonthCloseSummaries,
+};
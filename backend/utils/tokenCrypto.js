@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+
+/**
+ * Envelope encryption for stored GitHub tokens (users.github_access_token,
+ * github_credentials.token).
+ *
+ * Each token is encrypted with its own random data key (AES-256-GCM), and
+ * the data key is wrapped with a versioned master key from the environment:
+ *
+ *   TOKEN_ENCRYPTION_KEYS=2:<base64 32 bytes>,1:<base64 32 bytes>
+ *   TOKEN_ENCRYPTION_KEY_VERSION=2   (defaults to the highest version)
+ *
+ * Stored format: enc:<key version>:<wrapped data key>:<iv>:<auth tag>:<ciphertext>
+ * (base64 parts). Values without the `enc:` prefix are legacy plaintext and
+ * are passed through until `npm run reencrypt-tokens` encrypts them.
+ *
+ * Without a master key no new tokens can be saved, and in production the
+ * server refuses to start.
+ */
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+function loadMasterKeys() {
+  const keys = new Map();
+  for (const entry of (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',')) {
+    if (!entry.trim()) continue;
+    const [version, encoded] = entry.trim().split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!/^\d+$/.test(version) || key.length !== 32) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must be "<version>:<base64 32-byte key>"');
+    }
+    keys.set(parseInt(version), key);
+  }
+  return keys;
+}
+
+const masterKeys = loadMasterKeys();
+const activeVersion = parseInt(process.env.TOKEN_ENCRYPTION_KEY_VERSION) || Math.max(0, ...masterKeys.keys());
+
+if (masterKeys.size === 0) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('TOKEN_ENCRYPTION_KEYS must be set in production (generate a key with: openssl rand -base64 32)');
+  }
+  console.warn('⚠️  TOKEN_ENCRYPTION_KEYS not set - GitHub tokens will not be saved, so the AI proxy is unavailable');
+} else if (!masterKeys.has(activeVersion)) {
+  throw new Error(`TOKEN_ENCRYPTION_KEY_VERSION ${activeVersion} is not in TOKEN_ENCRYPTION_KEYS`);
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key, { iv, tag, ciphertext }) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function wrapDataKey(dataKey, version) {
+  const { iv, tag, ciphertext } = seal(masterKeys.get(version), dataKey);
+  return Buffer.concat([iv, tag, ciphertext]).toString('base64');
+}
+
+function unwrapDataKey(wrapped, version) {
+  const masterKey = masterKeys.get(version);
+  if (!masterKey) {
+    throw new Error(`Token encryption key version ${version} is not configured`);
+  }
+  const raw = Buffer.from(wrapped, 'base64');
+  return open(masterKey, {
+    iv: raw.subarray(0, IV_BYTES),
+    tag: raw.subarray(IV_BYTES, IV_BYTES + 16),
+    ciphertext: raw.subarray(IV_BYTES + 16),
+  });
+}
+
+function parse(stored) {
+  const [prefix, version, wrapped, iv, tag, ciphertext] = stored.split(':');
+  if (prefix !== PREFIX || !ciphertext) return null;
+  return { version: parseInt(version), wrapped, iv, tag, ciphertext };
+}
+
+function isEncrypted(stored) {
+  return typeof stored === 'string' && parse(stored) !== null;
+}
+
+/**
+ * Whether a master key is configured, so encryptToken() can store tokens.
+ */
+function canEncryptTokens() {
+  return masterKeys.size > 0;
+}
+
+/**
+ * Encrypt a token for storage.
+ * Throws when no master key is configured, rather than storing it in plaintext.
+ */
+function encryptToken(plaintext) {
+  if (!plaintext) return plaintext;
+  if (masterKeys.size === 0) {
+    throw new Error('Token encryption is not configured (TOKEN_ENCRYPTION_KEYS); refusing to store a GitHub token in plaintext');
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const { iv, tag, ciphertext } = seal(dataKey, Buffer.from(plaintext, 'utf8'));
+  return [
+    PREFIX,
+    activeVersion,
+    wrapDataKey(dataKey, activeVersion),
+    iv.toString('base64'),
+    tag.toString('base64'),
+    ciphertext.toString('base64'),
+  ].join(':');
+}
+
+/**
+ * Decrypt a stored token. Legacy plaintext values are returned as-is.
+ * Throws if the value was encrypted with a key that is not configured.
+ */
+function decryptToken(stored) {
+  if (!isEncrypted(stored)) return stored;
+
+  const parts = parse(stored);
+  const dataKey = unwrapDataKey(parts.wrapped, parts.version);
+  return open(dataKey, {
+    iv: Buffer.from(parts.iv, 'base64'),
+    tag: Buffer.from(parts.tag, 'base64'),
+    ciphertext: Buffer.from(parts.ciphertext, 'base64'),
+  }).toString('utf8');
+}
+
+/**
+ * Whether decryptToken() can read this value with the configured keys.
+ */
+function canDecryptToken(stored) {
+  return !isEncrypted(stored) || masterKeys.has(parse(stored).version);
+}
+
+/**
+ * Whether a stored value should be rewritten by reencryptToken():
+ * plaintext, or wrapped with an older master key.
+ */
+function needsReencryption(stored) {
+  if (!stored || masterKeys.size === 0) return false;
+  return !isEncrypted(stored) || parse(stored).version !== activeVersion;
+}
+
+/**
+ * Bring a stored value up to the active master key. Encrypted values only
+ * have their data key re-wrapped; plaintext values are encrypted.
+ */
+function reencryptToken(stored) {
+  if (!needsReencryption(stored)) return stored;
+  if (!isEncrypted(stored)) return encryptToken(stored);
+
+  const parts = parse(stored);
+  const dataKey = unwrapDataKey(parts.wrapped, parts.version);
+  return [
+    PREFIX,
+    activeVersion,
+    wrapDataKey(dataKey, activeVersion),
+    parts.iv,
+    parts.tag,
+    parts.ciphertext,
+  ].join(':');
+}
+
+module.exports = {
+  canEncryptTokens,
+  encryptToken,
+  decryptToken,
+  canDecryptToken,
+  needsReencryption,
+  reencryptToken,
+};
@@ -0,0 +1,78 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const KEY_1 = crypto.randomBytes(32).toString('base64');
+const KEY_2 = crypto.randomBytes(32).toString('base64');
+const ENV_NAMES = ['TOKEN_ENCRYPTION_KEYS', 'TOKEN_ENCRYPTION_KEY_VERSION', 'NODE_ENV'];
+const savedEnv = Object.fromEntries(ENV_NAMES.map(name => [name, process.env[name]]));
+
+// The module reads its keys once, so each test loads a fresh copy
+function loadTokenCrypto(env) {
+  for (const name of ENV_NAMES) {
+    if (env[name] === undefined) delete process.env[name];
+    else process.env[name] = env[name];
+  }
+  delete require.cache[require.resolve('./tokenCrypto')];
+  return require('./tokenCrypto');
+}
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+describe('tokenCrypto', () => {
+  test('round-trips a token through the active key', () => {
+    const { encryptToken, decryptToken } = loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: `1:${KEY_1}` });
+    const stored = encryptToken('ghp_secret');
+    assert.match(stored, /^enc:1:/);
+    assert.ok(!stored.includes('ghp_secret'));
+    assert.equal(decryptToken(stored), 'ghp_secret');
+  });
+
+  test('passes legacy plaintext through', () => {
+    const { decryptToken, canDecryptToken } = loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: `1:${KEY_1}` });
+    assert.equal(decryptToken('ghp_plain'), 'ghp_plain');
+    assert.equal(canDecryptToken('ghp_plain'), true);
+  });
+
+  test('re-wraps tokens under a new key version', () => {
+    const old = loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: `1:${KEY_1}` });
+    const stored = old.encryptToken('ghp_secret');
+
+    const rotated = loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: `2:${KEY_2},1:${KEY_1}` });
+    assert.equal(rotated.needsReencryption(stored), true);
+    const rewrapped = rotated.reencryptToken(stored);
+    assert.match(rewrapped, /^enc:2:/);
+    assert.equal(rotated.needsReencryption(rewrapped), false);
+    assert.equal(rotated.decryptToken(rewrapped), 'ghp_secret');
+  });
+
+  test('cannot decrypt with a key version that is not configured', () => {
+    const stored = loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: `2:${KEY_2}` }).encryptToken('ghp_secret');
+    const { canDecryptToken, decryptToken } = loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: `1:${KEY_1}` });
+    assert.equal(canDecryptToken(stored), false);
+    assert.throws(() => decryptToken(stored), /version 2 is not configured/);
+  });
+
+  test('without a key, refuses to store tokens rather than keep them in plaintext', () => {
+    const { canEncryptTokens, encryptToken } = loadTokenCrypto({});
+    assert.equal(canEncryptTokens(), false);
+    assert.throws(() => encryptToken('ghp_secret'), /not configured/);
+  });
+
+  test('without a key in production, fails to load', () => {
+    assert.throws(() => loadTokenCrypto({ NODE_ENV: 'production' }), /TOKEN_ENCRYPTION_KEYS must be set/);
+  });
+
+  test('rejects malformed keys', () => {
+    assert.throws(() => loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: '1:short' }), /base64 32-byte key/);
+    assert.throws(
+      () => loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: `1:${KEY_1}`, TOKEN_ENCRYPTION_KEY_VERSION: '3' }),
+      /TOKEN_ENCRYPTION_KEY_VERSION 3 is not in/,
+    );
+  });
+});
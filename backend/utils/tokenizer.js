@@ -0,0 +1,59 @@
+/**
+ * Approximate token counting for prompts and completions.
+ *
+ * Text is split the way GPT-style BPE tokenizers pre-tokenize it (words
+ * with their leading space, groups of up to three digits, punctuation
+ * runs, whitespace runs) and each piece is priced by its shape. That is
+ * much closer to real counts than characters / 4 — code and non-Latin
+ * scripts in particular — without shipping vocabulary files. Counts are
+ * still estimates: keep a margin when comparing them to hard limits.
+ */
+
+const PIECE = /'(?:[sdmt]|ll|ve|re)| ?\p{L}+| ?\p{N}{1,3}| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+// CJK and other scripts without spaces: about a token per character
+const WIDE = /[\u1100-\u11ff\u2e80-\ua4cf\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/g;
+// Words up to this long are usually a single token
+const SHORT_WORD = 8;
+
+// Tokens added per chat message for the role and separators
+const MESSAGE_OVERHEAD = 4;
+
+function countPiece(piece) {
+  const wide = piece.match(WIDE)?.length || 0;
+  if (wide) return wide + Math.ceil((piece.length - wide) / 4);
+
+  const text = piece.trimStart();
+  if (!text) return Math.ceil(piece.length / 8);
+  if (/^\p{L}/u.test(text)) return text.length <= SHORT_WORD ? 1 : Math.ceil(text.length / 5);
+  if (/^\p{N}/u.test(text)) return 1;
+  return Math.ceil(text.length / 2);
+}
+
+/**
+ * Estimated tokens in a string.
+ */
+function countTokens(text) {
+  if (!text) return 0;
+  let tokens = 0;
+  for (const [piece] of String(text).matchAll(PIECE)) {
+    tokens += countPiece(piece);
+  }
+  return tokens;
+}
+
+/**
+ * Estimated prompt tokens for an OpenAI-style messages array (plus tool
+ * definitions, which also count as prompt).
+ */
+function countMessagesTokens(messages, tools = null) {
+  return messages.reduce((sum, m) => {
+    const content = typeof m.content === 'string' ? m.content : JSON.stringify(m.content || '');
+    const toolCalls = m.tool_calls ? JSON.stringify(m.tool_calls) : '';
+    return sum + countTokens(content) + countTokens(toolCalls) + MESSAGE_OVERHEAD;
+  }, tools?.length ? countTokens(JSON.stringify(tools)) : 0);
+}
+
+module.exports = {
+  countTokens,
+  countMessagesTokens,
+};
@@ -0,0 +1,47 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { countTokens, countMessagesTokens } = require('./tokenizer');
+
+describe('countTokens', () => {
+  test('counts nothing for empty text', () => {
+    assert.equal(countTokens(''), 0);
+    assert.equal(countTokens(null), 0);
+  });
+
+  test('counts short words, with their leading space, as one token each', () => {
+    assert.equal(countTokens('hello world'), 2);
+    assert.equal(countTokens("it's done"), 3);
+  });
+
+  test('splits long words and numbers', () => {
+    assert.equal(countTokens('internationalisation'), 4);
+    assert.equal(countTokens('1234567'), 3);
+  });
+
+  test('counts about a token per character in scripts without spaces', () => {
+    assert.equal(countTokens('你好世界'), 4);
+  });
+
+  test('counts code more densely than characters / 4 would', () => {
+    const code = 'if (a[i] !== b[i]) { return -1; }';
+    assert.ok(countTokens(code) > Math.ceil(code.length / 4));
+  });
+});
+
+describe('countMessagesTokens', () => {
+  test('adds a per-message overhead to the content', () => {
+    assert.equal(countMessagesTokens([{ role: 'user', content: 'hello world' }]), 2 + 4);
+  });
+
+  test('counts content parts, tool calls and tool definitions', () => {
+    const plain = countMessagesTokens([{ role: 'user', content: 'hi' }]);
+    const parts = countMessagesTokens([{ role: 'user', content: [{ type: 'text', text: 'hi' }] }]);
+    assert.ok(parts > plain);
+
+    const call = { role: 'assistant', content: null, tool_calls: [{ id: 'c1', function: { name: 'lookup', arguments: '{}' } }] };
+    assert.ok(countMessagesTokens([call]) > 4);
+
+    const tools = [{ type: 'function', function: { name: 'lookup' } }];
+    assert.ok(countMessagesTokens([{ role: 'user', content: 'hi' }], tools) > plain);
+  });
+});
@@ -0,0 +1,97 @@
+const supabase = require('../config/supabase');
+
+/**
+ * Opt-in transcripts of proxy requests (see migration_add_transcripts.sql).
+ * Owners with `transcript_logging` on get the (DLP-redacted) request, the
+ * response, the models and the latency of each settled request stored,
+ * linked to its usage_logs row. Older transcripts are purged per owner
+ * after `transcript_retention_days`.
+ */
+
+/**
+ * Largest request or response stored per transcript, in characters of JSON.
+ * Anything bigger is kept as a truncated string.
+ */
+const TRANSCRIPT_MAX_CHARS = parseInt(process.env.TRANSCRIPT_MAX_CHARS) || 200000;
+
+/**
+ * Validate transcript settings from a request body.
+ * Returns { settings } (only the fields given) or { error }.
+ */
+function parseTranscriptSettings(input) {
+  const settings = {};
+  const { transcript_logging, transcript_retention_days } = input || {};
+
+  if (transcript_logging !== undefined) {
+    if (typeof transcript_logging !== 'boolean') {
+      return { error: 'transcript_logging must be a boolean' };
+    }
+    settings.transcript_logging = transcript_logging;
+  }
+  if (transcript_retention_days !== undefined) {
+    if (!Number.isInteger(transcript_retention_days) || transcript_retention_days < 1 || transcript_retention_days > 3650) {
+      return { error: 'transcript_retention_days must be an integer between 1 and 3650' };
+    }
+    settings.transcript_retention_days = transcript_retention_days;
+  }
+  if (Object.keys(settings).length === 0) {
+    return { error: 'Nothing to update' };
+  }
+
+  return { settings };
+}
+
+function clip(value) {
+  if (value === undefined || value === null) return null;
+  const json = JSON.stringify(value);
+  if (json.length <= TRANSCRIPT_MAX_CHARS) return value;
+  return { truncated: true, json: json.slice(0, TRANSCRIPT_MAX_CHARS) };
+}
+
+/**
+ * Store a transcript. Never throws — a failed write only loses the transcript.
+ */
+async function recordTranscript({ req, usageLogId, modelType, requestedModel, requestType, request, response, usage, latencyMs }) {
+  try {
+    const { error } = await supabase
+      .from('transcripts')
+      .insert({
+        user_id: req.userId,
+        device_id: req.deviceId,
+        usage_log_id: usageLogId || null,
+        model_type: modelType,
+        requested_model: requestedModel || modelType,
+        request_type: `proxy-${requestType}`,
+        request: clip(request),
+        response: clip(response),
+        prompt_tokens: usage?.prompt_tokens ?? null,
+        completion_tokens: usage?.completion_tokens ?? null,
+        latency_ms: latencyMs,
+      });
+    if (error) throw error;
+  } catch (err) {
+    console.error('Failed to record transcript:', err.message || err);
+  }
+}
+
+/**
+ * Periodically delete transcripts past their owner's retention period.
+ */
+function startTranscriptPurge(intervalMs = 60 * 60 * 1000) {
+  const timer = setInterval(async () => {
+    const { data, error } = await supabase.rpc('purge_expired_transcripts');
+    if (error) {
+      console.error('Transcript purge failed:', error.message);
+    } else if (data > 0) {
+      console.log(`🧹 Purged ${data} expired transcript(s)`);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  parseTranscriptSettings,
+  recordTranscript,
+  startTranscriptPurge,
+};
@@ -0,0 +1,154 @@
+/**
+ * Upstream resilience for the AI proxy: retry with exponential backoff
+ * (honouring Retry-After) and a circuit breaker per upstream model.
+ *
+ * A breaker is keyed by `<provider>:<upstream model>`, because providers
+ * such as GitHub Models rate-limit and fail per model. After
+ * PROXY_CIRCUIT_FAILURE_THRESHOLD consecutive failures it opens for
+ * PROXY_CIRCUIT_COOLDOWN_MS, then lets a single trial request through.
+ */
+
+const MAX_RETRIES = parseInt(process.env.PROXY_UPSTREAM_MAX_RETRIES ?? 2);
+const BACKOFF_BASE_MS = parseInt(process.env.PROXY_RETRY_BASE_MS) || 500;
+const MAX_RETRY_DELAY_MS = parseInt(process.env.PROXY_RETRY_MAX_DELAY_MS) || 8000;
+const FAILURE_THRESHOLD = parseInt(process.env.PROXY_CIRCUIT_FAILURE_THRESHOLD) || 5;
+const COOLDOWN_MS = parseInt(process.env.PROXY_CIRCUIT_COOLDOWN_MS) || 30 * 1000;
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// key → { failures, openedAt, trialInFlight }
+const circuits = new Map();
+
+function circuitKey(route) {
+  return `${route.providerName}:${route.upstreamModel}`;
+}
+
+/**
+ * Whether a request may be sent to this upstream right now.
+ */
+function isCircuitClosed(route) {
+  const circuit = circuits.get(circuitKey(route));
+  if (!circuit || circuit.failures < FAILURE_THRESHOLD) return true;
+
+  // Open: wait out the cooldown, then allow one trial request (half-open)
+  if (Date.now() - circuit.openedAt < COOLDOWN_MS || circuit.trialInFlight) return false;
+  circuit.trialInFlight = true;
+  return true;
+}
+
+function recordSuccess(route) {
+  circuits.delete(circuitKey(route));
+}
+
+// An aborted call says nothing about the upstream; let the next request be the trial
+function releaseTrial(route) {
+  const circuit = circuits.get(circuitKey(route));
+  if (circuit) circuit.trialInFlight = false;
+}
+
+function recordFailure(route) {
+  const key = circuitKey(route);
+  const circuit = circuits.get(key) || { failures: 0, openedAt: 0, trialInFlight: false };
+  circuit.failures++;
+  circuit.trialInFlight = false;
+  if (circuit.failures >= FAILURE_THRESHOLD) {
+    if (circuit.failures === FAILURE_THRESHOLD) {
+      console.warn(`Circuit opened for upstream ${key} after ${circuit.failures} consecutive failures`);
+    }
+    circuit.openedAt = Date.now();
+  }
+  circuits.set(key, circuit);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds.
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): Retry-After if given,
+ * otherwise exponential backoff with jitter. Returns null when
+ * Retry-After asks for longer than we are willing to wait.
+ */
+function retryDelay(attempt, apiRes) {
+  const retryAfter = parseRetryAfter(apiRes?.headers.get('retry-after'));
+  if (retryAfter !== null) {
+    return retryAfter <= MAX_RETRY_DELAY_MS ? retryAfter : null;
+  }
+  const backoff = BACKOFF_BASE_MS * 2 ** attempt;
+  return Math.min(backoff + Math.random() * backoff * 0.2, MAX_RETRY_DELAY_MS);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Call the upstream candidates in order until one succeeds.
+ * `candidates` is a list of { model, route }; `call(route)` makes the
+ * request and returns a fetch Response.
+ *
+ * Retryable failures (429, 5xx, network errors) are retried with backoff,
+ * then the next candidate is tried. Other responses (success or a client
+ * error) are returned as-is.
+ *
+ * Returns { apiRes, candidate }. `apiRes` is the last failed response
+ * (or null if every candidate was skipped or unreachable).
+ */
+async function callWithFallback(candidates, call, signal) {
+  let last = { apiRes: null, candidate: candidates[0] };
+
+  for (const candidate of candidates) {
+    const { route } = candidate;
+
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+      if (!isCircuitClosed(route)) {
+        console.warn(`Skipping upstream ${circuitKey(route)}: circuit open`);
+        break;
+      }
+
+      let apiRes = null;
+      try {
+        apiRes = await call(route);
+      } catch (err) {
+        if (signal?.aborted) {
+          releaseTrial(route);
+          throw err;
+        }
+        console.error(`Upstream ${circuitKey(route)} request failed:`, err.message);
+      }
+
+      if (apiRes && !RETRYABLE_STATUSES.includes(apiRes.status)) {
+        recordSuccess(route);
+        return { apiRes, candidate };
+      }
+
+      recordFailure(route);
+
+      // Only the latest failure is reported; free the previous connection
+      await last.apiRes?.body?.cancel().catch(() => {});
+      last = { apiRes, candidate };
+
+      const delay = attempt < MAX_RETRIES ? retryDelay(attempt, apiRes) : null;
+      if (delay === null) break;
+      await sleep(delay, signal);
+    }
+  }
+
+  return last;
+}
+
+module.exports = { callWithFallback };
@@ -0,0 +1,120 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PROXY_UPSTREAM_MAX_RETRIES = '2';
+process.env.PROXY_RETRY_BASE_MS = '1';
+process.env.PROXY_RETRY_MAX_DELAY_MS = '50';
+process.env.PROXY_CIRCUIT_FAILURE_THRESHOLD = '3';
+process.env.PROXY_CIRCUIT_COOLDOWN_MS = '1000';
+const { callWithFallback } = require('./upstreamRetry');
+
+let nextId = 0;
+// A candidate with its own circuit
+function candidate(model = 'gpt-4o') {
+  nextId++;
+  return { model, route: { providerName: 'test', upstreamModel: `${model}-${nextId}` } };
+}
+
+const reply = (status, headers = {}) => new Response(status === 200 ? '{}' : null, { status, headers });
+
+// A call() answering from `statuses` in turn (an Error is thrown), logging which routes it was called for
+function scripted(...statuses) {
+  const calls = [];
+  const call = async (route) => {
+    calls.push(route.upstreamModel);
+    const next = statuses.length > 1 ? statuses.shift() : statuses[0];
+    if (next instanceof Error) throw next;
+    return reply(next);
+  };
+  return { call, calls };
+}
+
+beforeEach(() => {
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('callWithFallback', () => {
+  test('returns the first response that is not retryable', async () => {
+    const primary = candidate();
+    const { call, calls } = scripted(503, 200);
+    const { apiRes, candidate: served } = await callWithFallback([primary], call);
+    assert.equal(apiRes.status, 200);
+    assert.equal(served, primary);
+    assert.equal(calls.length, 2);
+  });
+
+  test('hands client errors back without retrying', async () => {
+    const { call, calls } = scripted(400);
+    assert.equal((await callWithFallback([candidate()], call)).apiRes.status, 400);
+    assert.equal(calls.length, 1);
+  });
+
+  test('moves on to the fallback model once retries run out', async () => {
+    const primary = candidate();
+    const fallback = candidate('gpt-4o-mini');
+    const { call, calls } = scripted(429, 429, 429, 200);
+    const result = await callWithFallback([primary, fallback], call);
+    assert.equal(result.candidate, fallback);
+    assert.deepEqual(calls, [...Array(3).fill(primary.route.upstreamModel), fallback.route.upstreamModel]);
+  });
+
+  test('retries network errors', async () => {
+    const { call } = scripted(new Error('ECONNRESET'), 200);
+    assert.equal((await callWithFallback([candidate()], call)).apiRes.status, 200);
+  });
+
+  test('returns the last failure when every candidate fails', async () => {
+    const last = candidate();
+    const { call } = scripted(502);
+    const result = await callWithFallback([candidate(), last], call);
+    assert.equal(result.apiRes.status, 502);
+    assert.equal(result.candidate, last);
+  });
+
+  test('gives up on a candidate whose Retry-After is too long', async () => {
+    const calls = [];
+    const call = async (route) => {
+      calls.push(route.upstreamModel);
+      return reply(429, { 'retry-after': '120' });
+    };
+    await callWithFallback([candidate()], call);
+    assert.equal(calls.length, 1);
+  });
+
+  test('skips an upstream whose circuit is open, then lets one trial through', async () => {
+    const flaky = candidate();
+    await callWithFallback([flaky], scripted(500).call);
+
+    const skipped = scripted(200);
+    assert.equal((await callWithFallback([flaky], skipped.call)).apiRes, null);
+    assert.equal(skipped.calls.length, 0);
+
+    const later = Date.now() + 1000;
+    mock.method(Date, 'now', () => later);
+    const trial = scripted(200);
+    assert.equal((await callWithFallback([flaky], trial.call)).apiRes.status, 200);
+    assert.equal(trial.calls.length, 1);
+  });
+
+  test('frees the trial when the caller aborts it', async () => {
+    const flaky = candidate();
+    await callWithFallback([flaky], scripted(500).call);
+    const later = Date.now() + 1000;
+    mock.method(Date, 'now', () => later);
+
+    const controller = new AbortController();
+    const aborting = async () => {
+      controller.abort(new Error('client went away'));
+      throw controller.signal.reason;
+    };
+    await assert.rejects(callWithFallback([flaky], aborting, controller.signal), /client went away/);
+
+    const trial = scripted(200);
+    assert.equal((await callWithFallback([flaky], trial.call)).apiRes.status, 200);
+  });
+});
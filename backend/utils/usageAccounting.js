@@ -0,0 +1,153 @@
+const supabase = require('../config/supabase');
+const { getCurrentPeriod, getLimitWindows } = require('./billingPeriods');
+
+const MAX_CLIENT_EVENT_ID_LENGTH = 128;
+// Offline events older than this are not accepted for replay
+const MAX_EVENT_AGE_MS = 35 * 24 * 60 * 60 * 1000;
+// Allowance for device clocks running ahead of the server's
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * The client's ID for a usage event, from the Idempotency-Key header or
+ * `client_event_id` in the body. Returns { clientEventId } (null when
+ * neither is sent) or { error }.
+ */
+function parseClientEventId(req) {
+  const header = req.get('Idempotency-Key');
+  const field = req.body?.client_event_id;
+
+  if (field !== undefined && field !== null && typeof field !== 'string') {
+    return { error: 'client_event_id must be a string' };
+  }
+  if (header && field && header !== field) {
+    return { error: 'Idempotency-Key and client_event_id do not match' };
+  }
+
+  const clientEventId = (header || field || '').trim();
+  if (clientEventId.length > MAX_CLIENT_EVENT_ID_LENGTH) {
+    return { error: `client_event_id must be at most ${MAX_CLIENT_EVENT_ID_LENGTH} characters` };
+  }
+  return { clientEventId: clientEventId || null };
+}
+
+/**
+ * Whether `promptCount` is a usable prompt_count: a whole number of at least 1.
+ */
+function isValidPromptCount(promptCount) {
+  return Number.isInteger(promptCount) && promptCount >= 1;
+}
+
+/**
+ * Validate one event of a batch (POST /api/usage/batch). Returns
+ * { event } with camelCased fields and `occurredAt` as a Date, or { error }.
+ */
+function parseUsageEvent(input, now = Date.now()) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'event must be an object' };
+  }
+  const { client_event_id, model_type, request_type = 'completion', description = '', prompt_count = 1, occurred_at } = input;
+
+  if (typeof client_event_id !== 'string' || !client_event_id.trim()) {
+    return { error: 'client_event_id is required' };
+  }
+  if (client_event_id.trim().length > MAX_CLIENT_EVENT_ID_LENGTH) {
+    return { error: `client_event_id must be at most ${MAX_CLIENT_EVENT_ID_LENGTH} characters` };
+  }
+  if (!model_type || typeof model_type !== 'string') {
+    return { error: 'model_type is required' };
+  }
+  if (!isValidPromptCount(prompt_count)) {
+    return { error: 'prompt_count must be a positive integer' };
+  }
+
+  const occurredAt = typeof occurred_at === 'string' ? Date.parse(occurred_at) : NaN;
+  if (Number.isNaN(occurredAt)) {
+    return { error: 'occurred_at must be an ISO 8601 timestamp' };
+  }
+  if (occurredAt > now + MAX_CLOCK_SKEW_MS) {
+    return { error: 'occurred_at is in the future' };
+  }
+  if (now - occurredAt > MAX_EVENT_AGE_MS) {
+    return { error: 'occurred_at is too old to replay' };
+  }
+
+  return {
+    event: {
+      clientEventId: client_event_id.trim(),
+      modelType: model_type,
+      requestType: request_type,
+      description,
+      promptCount: prompt_count,
+      occurredAt: new Date(occurredAt),
+    },
+  };
+}
+
+/**
+ * Debit a device's allocation and write the usage_logs row in one
+ * transaction (debit_usage, see migration_add_debit_usage.sql).
+ *
+ * Without `reservationId` the debit is refused if the tokens do not fit
+ * the period's allocation, which is created with `defaultAllocation` if
+ * missing, or would exceed a usage limit of the device or its owner. With
+ * it, the reservation's hold is released and `tokens` debited regardless,
+ * as the proxied request has already been served.
+ *
+ * With `clientEventId`, an event the device has already logged is not
+ * debited again; the original log is returned with `duplicate: true`
+ * and the current balance. `occurredAt` backdates the log (offline
+ * events); `monthYear` defaults to the billing period it falls in.
+ *
+ * Returns { debited, duplicate, log_id, tokens_used, model_type,
+ * allocated, used, remaining }, or
+ * { debited: false, reason, remaining } where reason is
+ * 'insufficient_tokens', 'usage_limit' (with `limit`, see
+ * checkUsageLimits in utils/billingPeriods.js) or 'already_settled'.
+ * Throws if the database call fails.
+ */
+async function debitUsage({
+  deviceId,
+  userId,
+  monthYear = null,
+  tokens,
+  modelType,
+  requestType = 'completion',
+  description = null,
+  requestedModel = null,
+  promptTokens = null,
+  completionTokens = null,
+  reservationId = null,
+  defaultAllocation = 50,
+  clientEventId = null,
+  occurredAt = null,
+}) {
+  const { data, error } = await supabase.rpc('debit_usage', {
+    p_device_id: deviceId,
+    p_user_id: userId,
+    p_month_year: monthYear || getCurrentPeriod(occurredAt || undefined).key,
+    p_tokens: tokens,
+    p_model_type: modelType,
+    p_request_type: requestType,
+    p_description: description,
+    p_requested_model: requestedModel,
+    p_prompt_tokens: promptTokens,
+    p_completion_tokens: completionTokens,
+    p_reservation_id: reservationId,
+    p_default_allocation: defaultAllocation,
+    p_client_event_id: clientEventId,
+    p_occurred_at: occurredAt ? occurredAt.toISOString() : null,
+    p_windows: reservationId ? null : getLimitWindows(occurredAt || undefined),
+  });
+
+  if (error) {
+    throw new Error(`Failed to debit usage: ${error.message}`);
+  }
+  return data;
+}
+
+module.exports = {
+  parseClientEventId,
+  isValidPromptCount,
+  parseUsageEvent,
+  debitUsage,
+};
@@ -0,0 +1,102 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const supabase = require('../testing/fakeSupabase').installFakeSupabase();
+const { parseClientEventId, isValidPromptCount, parseUsageEvent, debitUsage } = require('./usageAccounting');
+const { getCurrentPeriod } = require('./billingPeriods');
+
+// Just enough of an Express request for parseClientEventId
+const request = (header, body = {}) => ({ get: (name) => (name === 'Idempotency-Key' ? header : undefined), body });
+
+const NOW = Date.parse('2025-07-16T12:00:00Z');
+const event = (fields = {}) => ({
+  client_event_id: 'evt-1', model_type: 'gpt-4o', occurred_at: '2025-07-16T11:00:00Z', ...fields,
+});
+
+describe('parseClientEventId', () => {
+  test('takes the header or the body field', () => {
+    assert.deepEqual(parseClientEventId(request('key-1')), { clientEventId: 'key-1' });
+    assert.deepEqual(parseClientEventId(request(undefined, { client_event_id: ' key-2 ' })), { clientEventId: 'key-2' });
+    assert.deepEqual(parseClientEventId(request('key-3', { client_event_id: 'key-3' })), { clientEventId: 'key-3' });
+    assert.deepEqual(parseClientEventId(request()), { clientEventId: null });
+  });
+
+  test('refuses mismatched, non-string or overlong IDs', () => {
+    assert.match(parseClientEventId(request('a', { client_event_id: 'b' })).error, /do not match/);
+    assert.match(parseClientEventId(request(undefined, { client_event_id: 5 })).error, /must be a string/);
+    assert.match(parseClientEventId(request('x'.repeat(129))).error, /at most 128 characters/);
+  });
+});
+
+describe('isValidPromptCount', () => {
+  test('accepts whole numbers of at least 1 only', () => {
+    assert.equal(isValidPromptCount(1), true);
+    assert.equal(isValidPromptCount(12), true);
+    for (const count of [0, -1, 1.5, '2', null, NaN, Infinity]) {
+      assert.equal(isValidPromptCount(count), false, String(count));
+    }
+  });
+});
+
+describe('parseUsageEvent', () => {
+  test('camelCases the event and fills in the defaults', () => {
+    assert.deepEqual(parseUsageEvent(event({ client_event_id: ' evt-1 ' }), NOW).event, {
+      clientEventId: 'evt-1',
+      modelType: 'gpt-4o',
+      requestType: 'completion',
+      description: '',
+      promptCount: 1,
+      occurredAt: new Date('2025-07-16T11:00:00Z'),
+    });
+  });
+
+  test('refuses malformed events', () => {
+    assert.match(parseUsageEvent(null, NOW).error, /must be an object/);
+    assert.match(parseUsageEvent(event({ client_event_id: ' ' }), NOW).error, /client_event_id is required/);
+    assert.match(parseUsageEvent(event({ model_type: 3 }), NOW).error, /model_type is required/);
+    assert.match(parseUsageEvent(event({ prompt_count: 0 }), NOW).error, /prompt_count must be a positive integer/);
+    assert.match(parseUsageEvent(event({ occurred_at: 'yesterday' }), NOW).error, /ISO 8601/);
+  });
+
+  test('allows some clock skew, but not events from the future or too long ago', () => {
+    assert.ok(parseUsageEvent(event({ occurred_at: '2025-07-16T12:04:00Z' }), NOW).event);
+    assert.match(parseUsageEvent(event({ occurred_at: '2025-07-16T12:10:00Z' }), NOW).error, /in the future/);
+    assert.match(parseUsageEvent(event({ occurred_at: '2025-06-01T00:00:00Z' }), NOW).error, /too old to replay/);
+  });
+});
+
+describe('debitUsage', () => {
+  beforeEach(() => {
+    supabase.reset();
+    supabase.onRpc = () => ({ data: { debited: true, log_id: 'l1' }, error: null });
+  });
+
+  test('debits against the period the event falls in, within usage limits', async () => {
+    const occurredAt = new Date('2025-03-10T12:00:00Z');
+    const result = await debitUsage({ deviceId: 'd1', userId: 'u1', tokens: 3, modelType: 'gpt-4o', clientEventId: 'evt-1', occurredAt });
+    assert.deepEqual(result, { debited: true, log_id: 'l1' });
+
+    const [{ rpc, args }] = supabase.calls;
+    assert.equal(rpc, 'debit_usage');
+    assert.equal(args.p_month_year, getCurrentPeriod(occurredAt).key);
+    assert.equal(args.p_occurred_at, '2025-03-10T12:00:00.000Z');
+    assert.equal(args.p_client_event_id, 'evt-1');
+    assert.ok(args.p_windows.daily.start);
+  });
+
+  test('skips usage limits when settling a reservation', async () => {
+    await debitUsage({ deviceId: 'd1', userId: 'u1', monthYear: '2025-07', tokens: 3, modelType: 'gpt-4o', reservationId: 'r1' });
+    const [{ args }] = supabase.calls;
+    assert.equal(args.p_month_year, '2025-07');
+    assert.equal(args.p_reservation_id, 'r1');
+    assert.equal(args.p_windows, null);
+  });
+
+  test('throws when the database call fails', async () => {
+    supabase.onRpc = () => ({ data: null, error: { message: 'connection reset' } });
+    await assert.rejects(
+      debitUsage({ deviceId: 'd1', userId: 'u1', tokens: 1, modelType: 'gpt-4o' }),
+      /Failed to debit usage: connection reset/,
+    );
+  });
+});
@@ -118,6 +118,18 @@ class Api {
     return this.request('PUT', `/user/devices/${deviceId}/rename`, { name });
   }
 
+  setDevicePolicy(deviceId, model_policy) {
+    return this.request('PUT', `/user/devices/${deviceId}/policy`, { model_policy });
+  }
+
+  setDeviceLimits(deviceId, rate_limits) {
+    return this.request('PUT', `/user/devices/${deviceId}/limits`, { rate_limits });
+  }
+
+  setDeviceUsageLimits(deviceId, usage_limits) {
+    return this.request('PUT', `/user/devices/${deviceId}/usage-limits`, { usage_limits });
+  }
+
   deleteDevice(deviceId) {
     return this.request('DELETE', `/user/devices/${deviceId}`);
   }
@@ -143,6 +155,10 @@ class Api {
     return this.request('DELETE', `/admin/users/${userId}`);
   }
 
+  setBillingPeriod(billing_period) {
+    return this.request('PUT', '/admin/billing-period', { billing_period });
+  }
+
   getInvites() {
     return this.deduplicatedGet('/admin/invites');
   }
@@ -159,10 +175,110 @@ class Api {
     return this.request('DELETE', `/admin/invites/${inviteId}`);
   }
 
+  getAdminModels() {
+    return this.deduplicatedGet('/admin/models');
+  }
+
+  createModel(model) {
+    return this.request('POST', '/admin/models', model);
+  }
+
+  updateModel(modelId, updates) {
+    return this.request('PUT', `/admin/models/${encodeURIComponent(modelId)}`, updates);
+  }
+
+  deleteModel(modelId) {
+    return this.request('DELETE', `/admin/models/${encodeURIComponent(modelId)}`);
+  }
+
+  getAdminDlpRules() {
+    return this.request('GET', '/admin/dlp/rules');
+  }
+
+  createAdminDlpRule(rule) {
+    return this.request('POST', '/admin/dlp/rules', rule);
+  }
+
+  updateAdminDlpRule(ruleId, updates) {
+    return this.request('PUT', `/admin/dlp/rules/${ruleId}`, updates);
+  }
+
+  deleteAdminDlpRule(ruleId) {
+    return this.request('DELETE', `/admin/dlp/rules/${ruleId}`);
+  }
+
+  getAdminDlpEvents() {
+    return this.request('GET', '/admin/dlp/events');
+  }
+
+  getAdminPromptTemplates() {
+    return this.request('GET', '/admin/prompt-templates');
+  }
+
+  saveAdminPromptTemplate(kind, content) {
+    return this.request('PUT', `/admin/prompt-templates/${kind}`, { content });
+  }
+
+  getAdminPromptTemplateVersions(kind) {
+    return this.request('GET', `/admin/prompt-templates/${kind}/versions`);
+  }
+
   updateSettings(settings) {
     return this.request('PUT', '/admin/settings', { settings });
   }
 
+  // ─── Data-loss prevention ─────
+  getDlpRules() {
+    return this.request('GET', '/user/dlp/rules');
+  }
+
+  createDlpRule(rule) {
+    return this.request('POST', '/user/dlp/rules', rule);
+  }
+
+  updateDlpRule(ruleId, updates) {
+    return this.request('PUT', `/user/dlp/rules/${ruleId}`, updates);
+  }
+
+  deleteDlpRule(ruleId) {
+    return this.request('DELETE', `/user/dlp/rules/${ruleId}`);
+  }
+
+  getDlpEvents() {
+    return this.request('GET', '/user/dlp/events');
+  }
+
+  // ─── Transcripts ─────
+  getTranscriptSettings() {
+    return this.request('GET', '/user/transcripts/settings');
+  }
+
+  updateTranscriptSettings(settings) {
+    return this.request('PUT', '/user/transcripts/settings', settings);
+  }
+
+  getTranscript(transcriptId) {
+    return this.request('GET', `/user/transcripts/${transcriptId}`);
+  }
+
+  deleteTranscript(transcriptId) {
+    return this.request('DELETE', `/user/transcripts/${transcriptId}`);
+  }
+
+  // ─── Prompt templates ─────
+  getPromptTemplates() {
+    return this.request('GET', '/user/prompt-templates');
+  }
+
+  savePromptTemplate(kind, content, deviceId = null) {
+    return this.request('PUT', `/user/prompt-templates/${kind}`, { content, ...(deviceId && { device_id: deviceId }) });
+  }
+
+  getPromptTemplateVersions(kind, deviceId = null) {
+    const query = deviceId ? `?device_id=${encodeURIComponent(deviceId)}` : '';
+    return this.request('GET', `/user/prompt-templates/${kind}/versions${query}`);
+  }
+
   // ─── GitHub PAT / Proxy ────────
   saveGitHubPat(github_pat) {
     return this.request('POST', '/auth/save-github-pat', { github_pat });
@@ -176,6 +292,22 @@ class Api {
     return this.request('GET', '/auth/proxy-status');
   }
 
+  getGitHubCredentials() {
+    return this.request('GET', '/auth/github-credentials');
+  }
+
+  addGitHubCredential(token, label) {
+    return this.request('POST', '/auth/github-credentials', { token, label });
+  }
+
+  updateGitHubCredential(credentialId, updates) {
+    return this.request('PUT', `/auth/github-credentials/${credentialId}`, updates);
+  }
+
+  deleteGitHubCredential(credentialId) {
+    return this.request('DELETE', `/auth/github-credentials/${credentialId}`);
+  }
+
   // ─── Health ───────────────────
   healthCheck() {
     return this.request('GET', '/health');
@@ -12,7 +12,41 @@ function timeAgo(dateStr) {
   return `${days}d ago`;
 }
 
-export function DeviceCard({ device, onBlock, onTransfer, onSetAlloc, onRename, onViewHistory, onDelete }) {
+function policySummary(policy) {
+  if (!policy) return null;
+  const parts = [];
+  if (policy.models?.length) {
+    parts.push(`${policy.mode === 'allow' ? 'Only' : 'No'} ${policy.models.join(', ')}`);
+  } else if (policy.mode === 'allow') {
+    parts.push('No models allowed');
+  }
+  if (policy.max_cost !== null && policy.max_cost !== undefined) {
+    parts.push(policy.max_cost === 0 ? 'Free models only' : `Max ${policy.max_cost} tok/prompt`);
+  }
+  return parts.join(' · ');
+}
+
+function limitsSummary(limits) {
+  if (!limits) return null;
+  const parts = [];
+  const show = (value, label) => {
+    if (value !== undefined) parts.push(value === 0 ? `No ${label} limit` : `${value} ${label}`);
+  };
+  show(limits.requests_per_minute, 'req/min');
+  show(limits.tokens_per_minute, 'tok/min');
+  show(limits.concurrent_streams, 'streams');
+  return parts.join(' · ');
+}
+
+function usageLimitsSummary(limits) {
+  if (!limits) return null;
+  return [['daily', 'day'], ['weekly', 'week'], ['monthly', 'month']]
+    .filter(([field]) => limits[field])
+    .map(([field, label]) => `${limits[field]} tok/${label}`)
+    .join(' · ');
+}
+
+export function DeviceCard({ device, onBlock, onTransfer, onSetAlloc, onEditPolicy, onEditLimits, onEditUsageLimits, onEditInstructions, onRename, onViewHistory, onDelete }) {
   const { allocation } = device;
   const remaining = allocation.allocated - allocation.used;
 
@@ -20,6 +54,9 @@ export function DeviceCard({ device, onBlock, onTransfer, onSetAlloc, onRename,
     (Date.now() - new Date(device.last_seen).getTime()) < 10 * 60 * 1000;
 
   const dotClass = device.is_blocked ? 'blocked' : isRecentlyActive ? 'online' : 'inactive';
+  const policy = policySummary(device.model_policy);
+  const limits = limitsSummary(device.rate_limits);
+  const caps = usageLimitsSummary(device.usage_limits);
 
   return (
     <div className={`device-card ${device.is_blocked ? 'blocked' : ''}`}>
@@ -55,6 +92,24 @@ export function DeviceCard({ device, onBlock, onTransfer, onSetAlloc, onRename,
         </span>
       </div>
 
+      {policy && (
+        <div className="device-meta" style={{ marginTop: '4px', fontSize: '11px' }} title="Model policy">
+          🛡 {policy}
+        </div>
+      )}
+
+      {limits && (
+        <div className="device-meta" style={{ marginTop: '4px', fontSize: '11px' }} title="Proxy rate limits">
+          ⏱ {limits}
+        </div>
+      )}
+
+      {caps && (
+        <div className="device-meta" style={{ marginTop: '4px', fontSize: '11px' }} title="Usage caps">
+          📏 {caps}
+        </div>
+      )}
+
       <div className="device-footer">
         <button className="btn btn-sm btn-primary" onClick={() => onTransfer(device)}>
           ↗ Transfer
@@ -62,6 +117,18 @@ export function DeviceCard({ device, onBlock, onTransfer, onSetAlloc, onRename,
         <button className="btn btn-sm" onClick={() => onSetAlloc(device)}>
           ✎ Set Limit
         </button>
+        <button className="btn btn-sm" onClick={() => onEditPolicy(device)}>
+          🛡 Models
+        </button>
+        <button className="btn btn-sm" onClick={() => onEditLimits(device)}>
+          ⏱ Limits
+        </button>
+        <button className="btn btn-sm" onClick={() => onEditUsageLimits(device)} title="Daily, weekly and monthly token caps">
+          📏 Caps
+        </button>
+        <button className="btn btn-sm" onClick={() => onEditInstructions(device)} title="Instructions">
+          📝
+        </button>
         <button className="btn btn-sm" onClick={() => onViewHistory(device)}>
           📊 History
         </button>
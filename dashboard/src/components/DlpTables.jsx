@@ -0,0 +1,126 @@
+const ACTION_BADGES = { log: 'cyan', redact: 'yellow', block: 'red' };
+const SOURCE_BADGES = { builtin: ['blue', 'BUILT-IN'], global: ['purple', 'GLOBAL'], owner: ['green', 'OWNER'] };
+
+function ruleMatchSummary(rule) {
+  if (rule.kind === 'entropy') {
+    return `entropy ≥ ${rule.min_entropy ?? 4.5} bits/char, ${rule.min_length ?? 20}+ chars`;
+  }
+  return `/${rule.pattern}/${rule.flags || ''}`;
+}
+
+/**
+ * DLP rules with where each comes from. Rules from `editableSource`
+ * can be edited, toggled and deleted; the others can only be overridden
+ * (by owners, only made stricter).
+ */
+export function DlpRulesTable({ rules, editableSource, onEdit, onOverride, onToggle, onDelete }) {
+  return (
+    <div className="table-wrapper">
+      <table>
+        <thead>
+          <tr>
+            <th>Rule</th>
+            <th>Match</th>
+            <th>Action</th>
+            <th>Source</th>
+            <th>Status</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rules.map(rule => (
+            <tr key={rule.name}>
+              <td>
+                <div>{rule.name}</div>
+                {rule.description && (
+                  <div style={{ fontSize: '11px', color: 'var(--text-muted)' }}>{rule.description}</div>
+                )}
+              </td>
+              <td style={{ maxWidth: '320px' }}>
+                <code
+                  style={{ fontSize: '11px', fontFamily: 'var(--font-mono)', display: 'block', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                  title={ruleMatchSummary(rule)}
+                >
+                  {ruleMatchSummary(rule)}
+                </code>
+              </td>
+              <td><span className={`badge ${ACTION_BADGES[rule.action]}`}>{rule.action.toUpperCase()}</span></td>
+              <td><span className={`badge ${SOURCE_BADGES[rule.source][0]}`}>{SOURCE_BADGES[rule.source][1]}</span></td>
+              <td>
+                {rule.is_enabled ? (
+                  <span className="badge cyan">ENABLED</span>
+                ) : (
+                  <span className="badge red">DISABLED</span>
+                )}
+              </td>
+              <td>
+                {rule.source === editableSource ? (
+                  <div style={{ display: 'flex', gap: '4px' }}>
+                    <button className="btn btn-sm" onClick={() => onEdit(rule)} title="Edit">✎</button>
+                    <button className="btn btn-sm" onClick={() => onToggle(rule)} title={rule.is_enabled ? 'Disable' : 'Enable'}>
+                      {rule.is_enabled ? '⏸' : '▶'}
+                    </button>
+                    <button className="btn btn-sm btn-danger" onClick={() => onDelete(rule)} title="Delete">🗑</button>
+                  </div>
+                ) : (
+                  <button
+                    className="btn btn-sm"
+                    onClick={() => onOverride(rule)}
+                    title={editableSource === 'owner' ? 'Make this rule stricter for your devices' : 'Change the action or disable this rule'}
+                  >
+                    Override
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Recent DLP matches. The matched text itself is never stored.
+ */
+export function DlpEventsTable({ events, showOwner = false }) {
+  if (events.length === 0) {
+    return <p style={{ fontSize: '13px', color: 'var(--text-muted)' }}>No sensitive data detected yet.</p>;
+  }
+
+  return (
+    <div className="table-wrapper">
+      <table>
+        <thead>
+          <tr>
+            <th>Time</th>
+            {showOwner && <th>Owner</th>}
+            <th>Device</th>
+            <th>Rule</th>
+            <th>Action</th>
+            <th>Matches</th>
+            <th>Request</th>
+          </tr>
+        </thead>
+        <tbody>
+          {events.map(ev => (
+            <tr key={ev.id}>
+              <td style={{ fontSize: '12px' }}>{new Date(ev.created_at).toLocaleString()}</td>
+              {showOwner && <td>{ev.users?.display_name || '—'}</td>}
+              <td>{ev.devices?.device_name || '—'}</td>
+              <td>{ev.rule_name}</td>
+              <td><span className={`badge ${ACTION_BADGES[ev.action]}`}>{ev.action.toUpperCase()}</span></td>
+              <td>
+                {ev.match_count}
+                {ev.match_preview && (
+                  <code style={{ fontSize: '11px', fontFamily: 'var(--font-mono)', color: 'var(--text-muted)', marginLeft: '6px' }}>{ev.match_preview}</code>
+                )}
+              </td>
+              <td style={{ fontSize: '12px' }}>{ev.request_type} · {ev.model_type}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
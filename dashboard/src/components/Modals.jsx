@@ -195,6 +195,293 @@ export function RenameModal({ device, onClose, onRename }) {
   );
 }
 
+export function ModelPolicyModal({ title, policy, models, onClose, onSave }) {
+  const [mode, setMode] = useState(policy ? policy.mode : 'none');
+  const [selected, setSelected] = useState(new Set(policy?.models || []));
+  const [maxCost, setMaxCost] = useState(policy?.max_cost ?? '');
+  const [loading, setLoading] = useState(false);
+
+  const toggleModel = (id) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
+    });
+  };
+
+  const handleSubmit = async () => {
+    setLoading(true);
+    try {
+      const cap = maxCost === '' ? null : parseInt(maxCost);
+      if (mode === 'none' && cap === null) {
+        await onSave(null);
+      } else {
+        await onSave({
+          mode: mode === 'none' ? 'deny' : mode,
+          models: mode === 'none' ? [] : [...selected],
+          max_cost: cap,
+        });
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const costs = [...new Set(models.map(m => (m.is_free ? 0 : m.tokens_per_prompt)))].sort((a, b) => a - b);
+
+  return (
+    <Modal
+      title={title}
+      onClose={onClose}
+      footer={
+        <>
+          <button className="btn" onClick={onClose}>Cancel</button>
+          <button className="btn btn-primary" onClick={handleSubmit} disabled={loading}>
+            {loading ? <span className="spinner" /> : 'Save Policy'}
+          </button>
+        </>
+      }
+    >
+      <div className="form-group">
+        <label className="form-label">Models</label>
+        <select className="form-select" value={mode} onChange={e => setMode(e.target.value)}>
+          <option value="none">All models</option>
+          <option value="allow">Only the selected models</option>
+          <option value="deny">All except the selected models</option>
+        </select>
+      </div>
+
+      {mode !== 'none' && (
+        <div className="form-group" style={{ maxHeight: '200px', overflowY: 'auto', fontSize: '13px' }}>
+          {models.map(m => (
+            <label key={m.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '2px 0' }}>
+              <input type="checkbox" checked={selected.has(m.id)} onChange={() => toggleModel(m.id)} />
+              <span>{m.display_name}</span>
+              <span style={{ marginLeft: 'auto', color: 'var(--text-muted)' }}>
+                {m.is_free ? 'FREE' : `${m.tokens_per_prompt} tok`}
+              </span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="form-label">Maximum Cost per Prompt</label>
+        <select className="form-select" value={maxCost} onChange={e => setMaxCost(e.target.value)}>
+          <option value="">No limit</option>
+          {costs.map(c => (
+            <option key={c} value={c}>{c === 0 ? 'Free models only' : `Up to ${c} token${c === 1 ? '' : 's'}`}</option>
+          ))}
+        </select>
+      </div>
+    </Modal>
+  );
+}
+
+const RATE_LIMIT_INPUTS = [
+  { field: 'requests_per_minute', label: 'Requests per Minute' },
+  { field: 'tokens_per_minute', label: 'Tokens per Minute' },
+  { field: 'concurrent_streams', label: 'Concurrent Streams' },
+];
+
+export function RateLimitsModal({ title, limits, defaults, onClose, onSave }) {
+  const [form, setForm] = useState(() => Object.fromEntries(
+    RATE_LIMIT_INPUTS.map(({ field }) => [field, limits?.[field] ?? ''])
+  ));
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async () => {
+    const next = {};
+    for (const { field } of RATE_LIMIT_INPUTS) {
+      if (form[field] !== '') next[field] = parseInt(form[field]);
+    }
+    setLoading(true);
+    try {
+      await onSave(Object.keys(next).length ? next : null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={title}
+      onClose={onClose}
+      footer={
+        <>
+          <button className="btn" onClick={onClose}>Cancel</button>
+          <button className="btn btn-primary" onClick={handleSubmit} disabled={loading}>
+            {loading ? <span className="spinner" /> : 'Save Limits'}
+          </button>
+        </>
+      }
+    >
+      {RATE_LIMIT_INPUTS.map(({ field, label }) => (
+        <div className="form-group" key={field}>
+          <label className="form-label">{label}</label>
+          <input
+            type="number"
+            className="form-input"
+            min={0}
+            value={form[field]}
+            onChange={e => setForm({ ...form, [field]: e.target.value })}
+            placeholder={defaults ? `Default: ${defaults[field] || 'no limit'}` : 'Default'}
+          />
+        </div>
+      ))}
+      <span style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+        Applies to AI proxy requests. Leave a field empty for the server default; 0 means no limit.
+      </span>
+    </Modal>
+  );
+}
+
+const USAGE_LIMIT_INPUTS = [
+  { field: 'daily', label: 'Tokens per Day' },
+  { field: 'weekly', label: 'Tokens per Week' },
+  { field: 'monthly', label: 'Tokens per Month' },
+];
+
+export function UsageLimitsModal({ title, limits, hint, onClose, onSave }) {
+  const [form, setForm] = useState(() => Object.fromEntries(
+    USAGE_LIMIT_INPUTS.map(({ field }) => [field, limits?.[field] || ''])
+  ));
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async () => {
+    const next = {};
+    for (const { field } of USAGE_LIMIT_INPUTS) {
+      if (form[field] !== '' && parseInt(form[field]) > 0) next[field] = parseInt(form[field]);
+    }
+    setLoading(true);
+    try {
+      await onSave(Object.keys(next).length ? next : null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={title}
+      onClose={onClose}
+      footer={
+        <>
+          <button className="btn" onClick={onClose}>Cancel</button>
+          <button className="btn btn-primary" onClick={handleSubmit} disabled={loading}>
+            {loading ? <span className="spinner" /> : 'Save Caps'}
+          </button>
+        </>
+      }
+    >
+      {USAGE_LIMIT_INPUTS.map(({ field, label }) => (
+        <div className="form-group" key={field}>
+          <label className="form-label">{label}</label>
+          <input
+            type="number"
+            className="form-input"
+            min={0}
+            value={form[field]}
+            onChange={e => setForm({ ...form, [field]: e.target.value })}
+            placeholder="No cap"
+          />
+        </div>
+      ))}
+      <span style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+        {hint} Days, weeks and months follow the billing period's time zone. Leave a field empty for no cap.
+      </span>
+    </Modal>
+  );
+}
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export function BillingPeriodModal({ period, onClose, onSave }) {
+  const [type, setType] = useState(period?.type || 'monthly');
+  const [timeZone, setTimeZone] = useState(period?.time_zone || Intl.DateTimeFormat().resolvedOptions().timeZone);
+  const [weekStart, setWeekStart] = useState(String(period?.week_start ?? 1));
+  const [anchor, setAnchor] = useState(period?.anchor || new Date().toISOString().slice(0, 10));
+  const [lengthDays, setLengthDays] = useState(String(period?.length_days || 14));
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async () => {
+    setLoading(true);
+    try {
+      await onSave({
+        type,
+        time_zone: timeZone.trim(),
+        week_start: parseInt(weekStart),
+        ...(type === 'custom' && { anchor, length_days: parseInt(lengthDays) }),
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal
+      title="📅 Billing Period"
+      onClose={onClose}
+      footer={
+        <>
+          <button className="btn" onClick={onClose}>Cancel</button>
+          <button className="btn btn-primary" onClick={handleSubmit} disabled={loading || !timeZone.trim()}>
+            {loading ? <span className="spinner" /> : 'Save Period'}
+          </button>
+        </>
+      }
+    >
+      <div className="form-group">
+        <label className="form-label">Allocations Start Over</label>
+        <select className="form-select" value={type} onChange={e => setType(e.target.value)}>
+          <option value="monthly">Every month</option>
+          <option value="weekly">Every week</option>
+          <option value="daily">Every day</option>
+          <option value="custom">Every N days</option>
+        </select>
+      </div>
+      <div className="form-group">
+        <label className="form-label">Time Zone</label>
+        <input
+          type="text"
+          className="form-input"
+          value={timeZone}
+          onChange={e => setTimeZone(e.target.value)}
+          placeholder="e.g. Europe/Berlin"
+        />
+      </div>
+      <div className="form-group">
+        <label className="form-label">Weeks Start On</label>
+        <select className="form-select" value={weekStart} onChange={e => setWeekStart(e.target.value)}>
+          {WEEKDAYS.map((day, i) => <option key={day} value={i}>{day}</option>)}
+        </select>
+      </div>
+      {type === 'custom' && (
+        <>
+          <div className="form-group">
+            <label className="form-label">First Period Starts</label>
+            <input type="date" className="form-input" value={anchor} onChange={e => setAnchor(e.target.value)} />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Period Length (days)</label>
+            <input
+              type="number"
+              className="form-input"
+              min={1}
+              max={366}
+              value={lengthDays}
+              onChange={e => setLengthDays(e.target.value)}
+            />
+          </div>
+        </>
+      )}
+      <span style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+        Periods start at midnight in this time zone. Devices get a fresh allocation from their owner's rollover policy each period.
+      </span>
+    </Modal>
+  );
+}
+
 export function ResetModal({ deviceCount, onClose, onReset }) {
   const [tokens, setTokens] = useState('50');
   const [loading, setLoading] = useState(false);
@@ -247,7 +534,7 @@ export function ResetModal({ deviceCount, onClose, onReset }) {
   );
 }
 
-export function HistoryModal({ device, logs, onClose }) {
+export function HistoryModal({ device, logs, onClose, onViewTranscript }) {
   return (
     <Modal title={`📊 Usage History — ${device.name}`} onClose={onClose}>
       {logs.length === 0 ? (
@@ -263,7 +550,9 @@ export function HistoryModal({ device, logs, onClose }) {
                 <th>Time</th>
                 <th>Model</th>
                 <th>Type</th>
+                <th>Prompt / Completion</th>
                 <th>Tokens</th>
+                <th></th>
               </tr>
             </thead>
             <tbody>
@@ -276,7 +565,15 @@ export function HistoryModal({ device, logs, onClose }) {
                     </span>
                   </td>
                   <td>{log.request_type}</td>
+                  <td style={{ fontFamily: 'var(--font-mono)', fontSize: '12px' }}>
+                    {log.prompt_tokens != null ? `${log.prompt_tokens} / ${log.completion_tokens ?? 0}` : '—'}
+                  </td>
                   <td style={{ fontWeight: 700 }}>{log.tokens_used}</td>
+                  <td>
+                    {log.transcript_id && (
+                      <button className="btn btn-sm" onClick={() => onViewTranscript(log.transcript_id)} title="View transcript">📝</button>
+                    )}
+                  </td>
                 </tr>
               ))}
             </tbody>
@@ -287,6 +584,464 @@ export function HistoryModal({ device, logs, onClose }) {
   );
 }
 
+function TranscriptBlock({ label, value }) {
+  return (
+    <div className="form-group">
+      <label className="form-label">{label}</label>
+      <pre style={{
+        maxHeight: '220px', overflow: 'auto', margin: 0, padding: '10px',
+        background: 'var(--bg-input)', border: '1px solid var(--border)', borderRadius: '6px',
+        fontFamily: 'var(--font-mono)', fontSize: '11px', whiteSpace: 'pre-wrap', wordBreak: 'break-word',
+      }}>
+        {value == null ? '—' : typeof value === 'string' ? value : JSON.stringify(value, null, 2)}
+      </pre>
+    </div>
+  );
+}
+
+export function TranscriptModal({ transcript, onClose, onDelete }) {
+  const messages = transcript.request?.messages;
+
+  return (
+    <Modal
+      title={`📝 Transcript — ${transcript.devices?.device_name || 'Device'}`}
+      onClose={onClose}
+      footer={
+        <>
+          {onDelete && <button className="btn btn-danger" onClick={() => onDelete(transcript)}>Delete</button>}
+          <button className="btn" onClick={onClose}>Close</button>
+        </>
+      }
+    >
+      <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', fontSize: '12px', color: 'var(--text-secondary)', marginBottom: '16px' }}>
+        <span>{new Date(transcript.created_at).toLocaleString()}</span>
+        <span>
+          {transcript.model_type}
+          {transcript.requested_model && transcript.requested_model !== transcript.model_type && ` (requested ${transcript.requested_model})`}
+        </span>
+        <span>{transcript.request_type}</span>
+        {transcript.prompt_tokens != null && <span>{transcript.prompt_tokens} / {transcript.completion_tokens ?? 0} tokens</span>}
+        {transcript.latency_ms != null && <span>{transcript.latency_ms} ms</span>}
+      </div>
+
+      {Array.isArray(messages) ? (
+        messages.map((m, i) => (
+          <TranscriptBlock key={i} label={m.role} value={m.content ?? m.tool_calls} />
+        ))
+      ) : (
+        <TranscriptBlock label="request" value={transcript.request} />
+      )}
+      <TranscriptBlock label="response" value={transcript.response?.content ?? transcript.response} />
+    </Modal>
+  );
+}
+
+const TEMPLATE_KINDS = [
+  { kind: 'chat', label: 'Chat' },
+  { kind: 'completion', label: 'Inline Completions' },
+];
+
+export function PromptTemplatesModal({ title, templates, inherited, maxChars, onLoadVersions, onClose, onSave }) {
+  const [kind, setKind] = useState('chat');
+  const [drafts, setDrafts] = useState(() => Object.fromEntries(
+    TEMPLATE_KINDS.map(({ kind }) => [kind, templates?.[kind]?.content || ''])
+  ));
+  const [versions, setVersions] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const current = templates?.[kind];
+  const changed = drafts[kind].trim() !== (current?.content || '');
+
+  const switchKind = (next) => {
+    setKind(next);
+    setVersions(null);
+  };
+
+  const showHistory = async () => {
+    setVersions(await onLoadVersions(kind));
+  };
+
+  const handleSubmit = async () => {
+    setLoading(true);
+    try {
+      await onSave(kind, drafts[kind].trim());
+      setVersions(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={title}
+      onClose={onClose}
+      footer={
+        <>
+          <button className="btn" onClick={onClose}>Cancel</button>
+          <button className="btn btn-primary" onClick={handleSubmit} disabled={loading || !changed}>
+            {loading ? <span className="spinner" /> : 'Save New Version'}
+          </button>
+        </>
+      }
+    >
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+        {TEMPLATE_KINDS.map(k => (
+          <button
+            key={k.kind}
+            className={`btn btn-sm ${kind === k.kind ? 'btn-primary' : ''}`}
+            onClick={() => switchKind(k.kind)}
+          >
+            {k.label}
+          </button>
+        ))}
+      </div>
+
+      {inherited?.[kind] && (
+        <TranscriptBlock label="Applied first (set above this level)" value={inherited[kind]} />
+      )}
+
+      <div className="form-group">
+        <label className="form-label">
+          Instructions {current ? `— v${current.version}, saved ${new Date(current.created_at).toLocaleString()} by ${current.created_by}` : '— not set'}
+        </label>
+        <textarea
+          className="form-input"
+          rows={8}
+          maxLength={maxChars}
+          value={drafts[kind]}
+          onChange={e => setDrafts({ ...drafts, [kind]: e.target.value })}
+          placeholder="e.g. We use TypeScript strict mode; never suggest jQuery."
+          style={{ fontFamily: 'var(--font-mono)', fontSize: '12px', resize: 'vertical' }}
+        />
+        <span style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+          {drafts[kind].length} / {maxChars} characters. Saving adds a new version; save an empty text to turn these off.
+        </span>
+      </div>
+
+      {versions === null ? (
+        <button className="btn btn-sm" onClick={showHistory}>🕘 Version History</button>
+      ) : versions.length === 0 ? (
+        <span style={{ fontSize: '12px', color: 'var(--text-muted)' }}>No versions saved yet.</span>
+      ) : (
+        <div style={{ maxHeight: '200px', overflow: 'auto', fontSize: '12px' }}>
+          {versions.map(v => (
+            <div key={v.version} style={{ display: 'flex', gap: '8px', alignItems: 'center', padding: '6px 0', borderBottom: '1px solid var(--border)' }}>
+              <strong style={{ fontFamily: 'var(--font-mono)' }}>v{v.version}</strong>
+              <span style={{ color: 'var(--text-muted)', whiteSpace: 'nowrap' }}>{new Date(v.created_at).toLocaleDateString()} · {v.created_by}</span>
+              <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: 'var(--text-secondary)' }}>
+                {v.content || '(off)'}
+              </span>
+              {v.is_current ? (
+                <span className="badge cyan">CURRENT</span>
+              ) : (
+                <button className="btn btn-sm" onClick={() => setDrafts({ ...drafts, [kind]: v.content })}>Restore</button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+const UPSTREAMS = ['github', 'azure', 'anthropic', 'local'];
+
+export function ModelModal({ model, onClose, onSave }) {
+  const isNew = !model;
+  const [form, setForm] = useState({
+    id: model?.id || '',
+    display_name: model?.display_name || '',
+    provider: model?.provider || '',
+    description: model?.description || '',
+    kind: model?.kind || 'chat',
+    cost: model?.cost?.toString() ?? '1',
+    is_free: model?.is_free || false,
+    input_rate: model?.input_rate?.toString() ?? '',
+    output_rate: model?.output_rate?.toString() ?? '',
+    context_window: model?.context_window?.toString() ?? '',
+    aliases: (model?.aliases || []).join(', '),
+    fallbacks: (model?.fallbacks || []).join(', '),
+    is_enabled: model?.is_enabled ?? true,
+    proxy_enabled: model?.proxy_enabled || false,
+    upstream: model?.upstream || '',
+    upstream_model: model?.upstream_model || '',
+    sort_order: model?.sort_order?.toString() ?? '100',
+  });
+  const [loading, setLoading] = useState(false);
+
+  const set = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async () => {
+    if (isNew && !form.id.trim()) return;
+    setLoading(true);
+    try {
+      await onSave(isNew ? null : model.id, {
+        ...(isNew && { id: form.id.trim() }),
+        display_name: form.display_name.trim() || form.id.trim(),
+        provider: form.provider.trim() || 'other',
+        description: form.description.trim(),
+        kind: form.kind,
+        cost: parseInt(form.cost) || 0,
+        is_free: form.is_free,
+        input_rate: form.input_rate === '' ? null : parseFloat(form.input_rate),
+        output_rate: form.output_rate === '' ? null : parseFloat(form.output_rate),
+        context_window: form.context_window === '' ? null : parseInt(form.context_window),
+        aliases: form.aliases.split(',').map(a => a.trim()).filter(Boolean),
+        fallbacks: form.fallbacks.split(',').map(f => f.trim()).filter(Boolean),
+        is_enabled: form.is_enabled,
+        proxy_enabled: form.proxy_enabled,
+        upstream: form.upstream || null,
+        upstream_model: form.upstream_model.trim() || null,
+        sort_order: parseInt(form.sort_order) || 100,
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={isNew ? '➕ Add Model' : `✎ Edit Model — ${model.id}`}
+      onClose={onClose}
+      footer={
+        <>
+          <button className="btn" onClick={onClose}>Cancel</button>
+          <button className="btn btn-primary" onClick={handleSubmit} disabled={loading || (isNew && !form.id.trim())}>
+            {loading ? <span className="spinner" /> : isNew ? 'Add Model' : 'Save Changes'}
+          </button>
+        </>
+      }
+    >
+      {isNew && (
+        <div className="form-group">
+          <label className="form-label">Model ID</label>
+          <input type="text" className="form-input" value={form.id} onChange={set('id')} placeholder="e.g. gpt-4.1" autoFocus />
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="form-label">Display Name</label>
+        <input type="text" className="form-input" value={form.display_name} onChange={set('display_name')} placeholder="e.g. GPT-4.1" />
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px' }}>
+        <div className="form-group" style={{ flex: 1 }}>
+          <label className="form-label">Tokens / Prompt</label>
+          <input type="number" className="form-input" value={form.cost} onChange={set('cost')} min="0" disabled={form.is_free} />
+        </div>
+        <div className="form-group" style={{ flex: 1 }}>
+          <label className="form-label">Input Rate / 1K</label>
+          <input type="number" className="form-input" value={form.input_rate} onChange={set('input_rate')} min="0" step="0.05" />
+        </div>
+        <div className="form-group" style={{ flex: 1 }}>
+          <label className="form-label">Output Rate / 1K</label>
+          <input type="number" className="form-input" value={form.output_rate} onChange={set('output_rate')} min="0" step="0.05" />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Aliases (comma-separated)</label>
+        <input type="text" className="form-input" value={form.aliases} onChange={set('aliases')} placeholder="e.g. gpt4.1, gpt-4.1-preview" />
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px' }}>
+        <div className="form-group" style={{ flex: 1 }}>
+          <label className="form-label">Provider</label>
+          <input type="text" className="form-input" value={form.provider} onChange={set('provider')} placeholder="e.g. openai" />
+        </div>
+        <div className="form-group" style={{ flex: 1 }}>
+          <label className="form-label">Kind</label>
+          <select className="form-select" value={form.kind} onChange={set('kind')}>
+            <option value="chat">chat</option>
+            <option value="embedding">embedding</option>
+          </select>
+        </div>
+        <div className="form-group" style={{ flex: 1 }}>
+          <label className="form-label">Context Window</label>
+          <input type="number" className="form-input" value={form.context_window} onChange={set('context_window')} min="1" placeholder="tokens" />
+        </div>
+        <div className="form-group" style={{ flex: 1 }}>
+          <label className="form-label">Sort Order</label>
+          <input type="number" className="form-input" value={form.sort_order} onChange={set('sort_order')} />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Description</label>
+        <input type="text" className="form-input" value={form.description} onChange={set('description')} />
+      </div>
+
+      <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', marginBottom: '16px', fontSize: '13px' }}>
+        <label><input type="checkbox" checked={form.is_free} onChange={set('is_free')} /> Free</label>
+        <label><input type="checkbox" checked={form.is_enabled} onChange={set('is_enabled')} /> Enabled</label>
+        <label><input type="checkbox" checked={form.proxy_enabled} onChange={set('proxy_enabled')} /> Offered through AI proxy</label>
+      </div>
+
+      {form.proxy_enabled && (
+        <div style={{ display: 'flex', gap: '12px' }}>
+          <div className="form-group" style={{ flex: 1 }}>
+            <label className="form-label">Upstream</label>
+            <select className="form-select" value={form.upstream} onChange={set('upstream')}>
+              <option value="">github (default)</option>
+              {UPSTREAMS.filter(u => u !== 'github').map(u => <option key={u} value={u}>{u}</option>)}
+            </select>
+          </div>
+          <div className="form-group" style={{ flex: 1 }}>
+            <label className="form-label">Upstream Model</label>
+            <input type="text" className="form-input" value={form.upstream_model} onChange={set('upstream_model')} placeholder="defaults to Model ID" />
+          </div>
+        </div>
+      )}
+
+      {form.proxy_enabled && (
+        <div className="form-group">
+          <label className="form-label">Fallback Models (in order, comma-separated)</label>
+          <input type="text" className="form-input" value={form.fallbacks} onChange={set('fallbacks')} placeholder="e.g. gpt-4.1, gpt-4o" />
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+export function DlpRuleModal({ rule, override = false, allowPattern = true, onClose, onSave }) {
+  const isNew = !rule || override;
+  // Without patterns (owners), new rules are entropy rules and overrides keep the original's match
+  const editMatch = allowPattern || rule?.kind !== 'regex';
+  const [form, setForm] = useState({
+    name: rule?.name || '',
+    description: rule?.description || '',
+    kind: rule?.kind || (allowPattern ? 'regex' : 'entropy'),
+    pattern: rule?.pattern || '',
+    flags: rule?.flags || '',
+    min_length: rule?.min_length?.toString() ?? '',
+    min_entropy: rule?.min_entropy?.toString() ?? '',
+    action: rule?.action || 'redact',
+    is_enabled: rule?.is_enabled ?? true,
+  });
+  const [loading, setLoading] = useState(false);
+
+  const set = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const canSave = form.name.trim() && (form.kind === 'entropy' || !allowPattern || form.pattern.trim());
+
+  const handleSubmit = async () => {
+    if (!canSave) return;
+    setLoading(true);
+    try {
+      await onSave(isNew ? null : rule.id, {
+        name: form.name.trim(),
+        description: form.description.trim(),
+        kind: form.kind,
+        pattern: allowPattern ? form.pattern.trim() || null : null,
+        flags: allowPattern ? form.flags.trim() : '',
+        min_length: form.kind === 'entropy' && form.min_length !== '' ? parseInt(form.min_length) : null,
+        min_entropy: form.kind === 'entropy' && form.min_entropy !== '' ? parseFloat(form.min_entropy) : null,
+        action: form.action,
+        is_enabled: form.is_enabled,
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={override ? `🛡 Override Rule — ${rule.name}` : isNew ? '➕ Add DLP Rule' : `✎ Edit DLP Rule — ${rule.name}`}
+      onClose={onClose}
+      footer={
+        <>
+          <button className="btn" onClick={onClose}>Cancel</button>
+          <button className="btn btn-primary" onClick={handleSubmit} disabled={loading || !canSave}>
+            {loading ? <span className="spinner" /> : isNew ? 'Save Rule' : 'Save Changes'}
+          </button>
+        </>
+      }
+    >
+      {override && (
+        <p style={{ fontSize: '13px', color: 'var(--text-secondary)', marginBottom: '16px' }}>
+          {allowPattern
+            ? `Your copy replaces the ${rule.source === 'builtin' ? 'built-in' : 'global'} rule of the same name.`
+            : `Your override can make the ${rule.source === 'builtin' ? 'built-in' : 'global'} rule stricter for your devices, not weaker.`}
+          {' '}Delete it to go back to the original.
+        </p>
+      )}
+
+      <div style={{ display: 'flex', gap: '12px' }}>
+        <div className="form-group" style={{ flex: 2 }}>
+          <label className="form-label">Name</label>
+          <input type="text" className="form-input" value={form.name} onChange={set('name')} placeholder="e.g. internal-hostnames" disabled={override} autoFocus={!override} />
+        </div>
+        <div className="form-group" style={{ flex: 1 }}>
+          <label className="form-label">Action</label>
+          <select className="form-select" value={form.action} onChange={set('action')}>
+            <option value="log">log</option>
+            <option value="redact">redact</option>
+            <option value="block">block</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Description</label>
+        <input type="text" className="form-input" value={form.description} onChange={set('description')} maxLength={200} />
+      </div>
+
+      {allowPattern && (
+        <>
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <div className="form-group" style={{ flex: 1 }}>
+              <label className="form-label">Kind</label>
+              <select className="form-select" value={form.kind} onChange={set('kind')}>
+                <option value="regex">regex</option>
+                <option value="entropy">entropy</option>
+              </select>
+            </div>
+            <div className="form-group" style={{ flex: 1 }}>
+              <label className="form-label">Flags</label>
+              <input type="text" className="form-input" value={form.flags} onChange={set('flags')} placeholder="i, m, s, u" />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">{form.kind === 'entropy' ? 'Candidate Pattern (optional)' : 'Pattern (JavaScript regex)'}</label>
+            <input
+              type="text"
+              className="form-input"
+              value={form.pattern}
+              onChange={set('pattern')}
+              placeholder={form.kind === 'entropy' ? 'defaults to long base64/hex-like words' : 'e.g. \\bdb-[a-z]+\\.corp\\.internal\\b'}
+              style={{ fontFamily: 'var(--font-mono)', fontSize: '12px' }}
+            />
+          </div>
+        </>
+      )}
+
+      {form.kind === 'entropy' && editMatch && (
+        <div style={{ display: 'flex', gap: '12px' }}>
+          <div className="form-group" style={{ flex: 1 }}>
+            <label className="form-label">Min Length</label>
+            <input type="number" className="form-input" value={form.min_length} onChange={set('min_length')} min="8" max="200" placeholder="20" />
+          </div>
+          <div className="form-group" style={{ flex: 1 }}>
+            <label className="form-label">Min Entropy (bits/char)</label>
+            <input type="number" className="form-input" value={form.min_entropy} onChange={set('min_entropy')} min="1" max="8" step="0.1" placeholder="4.5" />
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '16px', marginBottom: '16px', fontSize: '13px' }}>
+        <label><input type="checkbox" checked={form.is_enabled} onChange={set('is_enabled')} /> Enabled</label>
+      </div>
+    </Modal>
+  );
+}
+
 export function ConfirmModal({ title, message, confirmLabel = 'Confirm', danger = false, onClose, onConfirm }) {
   const [loading, setLoading] = useState(false);
 
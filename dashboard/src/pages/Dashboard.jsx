@@ -8,8 +8,30 @@ import {
   SetAllocationModal,
   RenameModal,
   HistoryModal,
+  TranscriptModal,
   ConfirmModal,
+  ModelModal,
+  ModelPolicyModal,
+  RateLimitsModal,
+  UsageLimitsModal,
+  BillingPeriodModal,
+  DlpRuleModal,
+  PromptTemplatesModal,
 } from '../components/Modals';
+import { DlpRulesTable, DlpEventsTable } from '../components/DlpTables';
+
+/** Human-readable billing period, e.g. "October 2026" or "Week of Oct 19" */
+function periodLabel(period) {
+  if (!period?.start) return new Date().toLocaleString('en', { month: 'long', year: 'numeric' });
+  const fmt = (date, options) => new Date(date).toLocaleString('en', { timeZone: period.time_zone, ...options });
+  const last = new Date(new Date(period.end).getTime() - 1);
+  switch (period.type) {
+    case 'daily': return fmt(period.start, { month: 'short', day: 'numeric', year: 'numeric' });
+    case 'weekly': return `Week of ${fmt(period.start, { month: 'short', day: 'numeric' })}`;
+    case 'custom': return `${fmt(period.start, { month: 'short', day: 'numeric' })} – ${fmt(last, { month: 'short', day: 'numeric' })}`;
+    default: return fmt(period.start, { month: 'long', year: 'numeric' });
+  }
+}
 
 export default function Dashboard({ onLogout }) {
   const toast = useToast();
@@ -27,6 +49,12 @@ export default function Dashboard({ onLogout }) {
   // Admin state
   const [adminData, setAdminData] = useState(null);
   const [adminLoading, setAdminLoading] = useState(false);
+  const [adminModels, setAdminModels] = useState([]);
+  const [adminDlpRules, setAdminDlpRules] = useState([]);
+  const [adminDlpEvents, setAdminDlpEvents] = useState([]);
+
+  // Model catalog (token cost reference)
+  const [models, setModels] = useState([]);
 
   // Modals
   const [modal, setModal] = useState(null);
@@ -40,6 +68,19 @@ export default function Dashboard({ onLogout }) {
   const [proxyStatus, setProxyStatus] = useState({ available: false, github_username: null });
   const [patLoading, setPatLoading] = useState(false);
 
+  // GitHub PAT pool (rotated by the proxy)
+  const [githubCredentials, setGithubCredentials] = useState([]);
+  const [newCredential, setNewCredential] = useState({ label: '', token: '' });
+  const [credentialLoading, setCredentialLoading] = useState(false);
+
+  // Data-loss prevention rules and recent matches for this account
+  const [dlpRules, setDlpRules] = useState([]);
+  const [dlpEvents, setDlpEvents] = useState([]);
+
+  // Opt-in proxy transcripts
+  const [transcriptSettings, setTranscriptSettings] = useState({ transcript_logging: false, transcript_retention_days: 30 });
+  const [transcriptSaving, setTranscriptSaving] = useState(false);
+
   const currentUser = api.getUser();
   const isAdmin = api.isAdmin();
   const mountedRef = useRef(true);
@@ -68,8 +109,18 @@ export default function Dashboard({ onLogout }) {
   const fetchAdminData = useCallback(async () => {
     setAdminLoading(true);
     try {
-      const res = await api.getAdminDashboard();
-      if (mountedRef.current) setAdminData(res);
+      const [res, modelsRes, dlpRulesRes, dlpEventsRes] = await Promise.all([
+        api.getAdminDashboard(),
+        api.getAdminModels(),
+        api.getAdminDlpRules(),
+        api.getAdminDlpEvents(),
+      ]);
+      if (mountedRef.current) {
+        setAdminData(res);
+        setAdminModels(modelsRes.models || []);
+        setAdminDlpRules(dlpRulesRes.rules || []);
+        setAdminDlpEvents(dlpEventsRes.events || []);
+      }
     } catch (err) {
       toast.error('Admin dashboard error: ' + err.message);
     } finally {
@@ -103,6 +154,50 @@ export default function Dashboard({ onLogout }) {
     fetchProxyStatus();
   }, [fetchProxyStatus]);
 
+  const fetchGitHubCredentials = useCallback(async () => {
+    try {
+      const res = await api.getGitHubCredentials();
+      if (mountedRef.current) setGithubCredentials(res.credentials || []);
+    } catch (err) {
+      console.error('GitHub credentials error:', err);
+    }
+  }, []);
+
+  const fetchDlp = useCallback(async () => {
+    try {
+      const [rulesRes, eventsRes] = await Promise.all([api.getDlpRules(), api.getDlpEvents()]);
+      if (mountedRef.current) {
+        setDlpRules(rulesRes.rules || []);
+        setDlpEvents(eventsRes.events || []);
+      }
+    } catch (err) {
+      console.error('DLP error:', err);
+    }
+  }, []);
+
+  const fetchTranscriptSettings = useCallback(async () => {
+    try {
+      const res = await api.getTranscriptSettings();
+      if (mountedRef.current) setTranscriptSettings(res);
+    } catch (err) {
+      console.error('Transcript settings error:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'settings') {
+      fetchGitHubCredentials();
+      fetchDlp();
+      fetchTranscriptSettings();
+    }
+  }, [activeTab, fetchGitHubCredentials, fetchDlp, fetchTranscriptSettings]);
+
+  useEffect(() => {
+    api.getModels()
+      .then(res => { if (mountedRef.current) setModels(res.models || []); })
+      .catch(err => console.error('Models error:', err));
+  }, []);
+
   // PAT handlers
   const handleSaveGitHubPat = async () => {
     if (!githubPat.trim()) {
@@ -135,6 +230,166 @@ export default function Dashboard({ onLogout }) {
     }
   };
 
+  // PAT pool handlers
+  const handleAddGitHubCredential = async () => {
+    if (!newCredential.token.trim()) {
+      toast.error('Please enter a GitHub PAT');
+      return;
+    }
+    setCredentialLoading(true);
+    try {
+      await api.addGitHubCredential(newCredential.token.trim(), newCredential.label.trim() || undefined);
+      toast.success('PAT added to the pool');
+      setNewCredential({ label: '', token: '' });
+      fetchGitHubCredentials();
+      fetchProxyStatus();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setCredentialLoading(false);
+    }
+  };
+
+  const handleSetCredentialStatus = async (credential, status) => {
+    try {
+      await api.updateGitHubCredential(credential.id, { status });
+      toast.success(`${credential.label} ${status === 'healthy' ? 're-enabled' : 'disabled'}`);
+      fetchGitHubCredentials();
+      fetchProxyStatus();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDeleteGitHubCredential = async (credential) => {
+    try {
+      await api.deleteGitHubCredential(credential.id);
+      toast.success(`${credential.label} removed`);
+      setModal(null);
+      fetchGitHubCredentials();
+      fetchProxyStatus();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  // DLP rule handlers — `scope` is 'user' (own rules) or 'admin' (global rules)
+  const refreshDlp = (scope) => (scope === 'admin' ? fetchAdminData() : fetchDlp());
+
+  const handleSaveDlpRule = async (scope, ruleId, fields) => {
+    try {
+      if (ruleId) {
+        await (scope === 'admin' ? api.updateAdminDlpRule(ruleId, fields) : api.updateDlpRule(ruleId, fields));
+      } else {
+        await (scope === 'admin' ? api.createAdminDlpRule(fields) : api.createDlpRule(fields));
+      }
+      toast.success(`DLP rule ${fields.name} saved`);
+      setModal(null);
+      refreshDlp(scope);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleToggleDlpRule = async (scope, rule) => {
+    try {
+      const updates = { is_enabled: !rule.is_enabled };
+      await (scope === 'admin' ? api.updateAdminDlpRule(rule.id, updates) : api.updateDlpRule(rule.id, updates));
+      toast.success(`DLP rule ${rule.name} ${rule.is_enabled ? 'disabled' : 'enabled'}`);
+      refreshDlp(scope);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDeleteDlpRule = async (scope, rule) => {
+    try {
+      await (scope === 'admin' ? api.deleteAdminDlpRule(rule.id) : api.deleteDlpRule(rule.id));
+      toast.success(`DLP rule ${rule.name} deleted`);
+      setModal(null);
+      refreshDlp(scope);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleSaveTranscriptSettings = async () => {
+    const days = parseInt(transcriptSettings.transcript_retention_days);
+    if (!days || days < 1 || days > 3650) {
+      toast.error('Retention must be between 1 and 3650 days');
+      return;
+    }
+    setTranscriptSaving(true);
+    try {
+      const res = await api.updateTranscriptSettings({
+        transcript_logging: transcriptSettings.transcript_logging,
+        transcript_retention_days: days,
+      });
+      setTranscriptSettings(res);
+      toast.success(res.transcript_logging ? 'Transcripts enabled' : 'Transcripts disabled');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setTranscriptSaving(false);
+    }
+  };
+
+  // Prompt templates: `scope` is 'organization' (admin), 'user' or 'device'
+  const handleOpenPromptTemplates = async (scope, device = null) => {
+    const join = (...texts) => texts.filter(Boolean).join('\n\n');
+    try {
+      if (scope === 'organization') {
+        const res = await api.getAdminPromptTemplates();
+        setModal({ type: 'promptTemplates', scope, templates: res.organization, maxChars: res.max_chars });
+        return;
+      }
+
+      const res = await api.getPromptTemplates();
+      const org = res.organization;
+      const inherited = {};
+      for (const kind of ['chat', 'completion']) {
+        inherited[kind] = scope === 'device'
+          ? join(org[kind]?.content, res.user[kind]?.content)
+          : join(org[kind]?.content);
+      }
+      setModal({
+        type: 'promptTemplates',
+        scope,
+        device,
+        templates: scope === 'device' ? res.devices[device.id] : res.user,
+        inherited,
+        maxChars: res.max_chars,
+      });
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleLoadPromptTemplateVersions = async (scope, kind, device = null) => {
+    try {
+      const res = scope === 'organization'
+        ? await api.getAdminPromptTemplateVersions(kind)
+        : await api.getPromptTemplateVersions(kind, device?.id);
+      return res.versions || [];
+    } catch (err) {
+      toast.error(err.message);
+      return [];
+    }
+  };
+
+  const handleSavePromptTemplate = async (scope, kind, content, device = null) => {
+    try {
+      const res = scope === 'organization'
+        ? await api.saveAdminPromptTemplate(kind, content)
+        : await api.savePromptTemplate(kind, content, device?.id);
+      toast.success(content ? `Instructions saved as v${res.template.version}` : 'Instructions turned off');
+      // Reload so the modal shows the new current version
+      await handleOpenPromptTemplates(scope, device);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
   // ─── Helpers ───────────────────
   /** Background sync after any mutation — don't touch UI until data arrives */
   const syncAfterMutation = () => {
@@ -273,6 +528,72 @@ export default function Dashboard({ onLogout }) {
     }
   };
 
+  const handleSetDevicePolicy = async (deviceId, policy) => {
+    markDeviceBusy(deviceId, true);
+    try {
+      // Optimistic
+      setData(prev => prev ? {
+        ...prev,
+        devices: (prev.devices || []).map(d =>
+          d.id === deviceId ? { ...d, model_policy: policy } : d
+        ),
+      } : prev);
+      await api.setDevicePolicy(deviceId, policy);
+      toast.success(policy ? 'Model policy updated' : 'Model policy removed');
+      setModal(null);
+      syncAfterMutation();
+    } catch (err) {
+      toast.error(err.message);
+      fetchDashboard();
+    } finally {
+      markDeviceBusy(deviceId, false);
+    }
+  };
+
+  const handleSetDeviceLimits = async (deviceId, limits) => {
+    markDeviceBusy(deviceId, true);
+    try {
+      // Optimistic
+      setData(prev => prev ? {
+        ...prev,
+        devices: (prev.devices || []).map(d =>
+          d.id === deviceId ? { ...d, rate_limits: limits } : d
+        ),
+      } : prev);
+      await api.setDeviceLimits(deviceId, limits);
+      toast.success(limits ? 'Rate limits updated' : 'Rate limits reset to defaults');
+      setModal(null);
+      syncAfterMutation();
+    } catch (err) {
+      toast.error(err.message);
+      fetchDashboard();
+    } finally {
+      markDeviceBusy(deviceId, false);
+    }
+  };
+
+  const handleSetDeviceUsageLimits = async (deviceId, limits) => {
+    markDeviceBusy(deviceId, true);
+    try {
+      // Optimistic
+      setData(prev => prev ? {
+        ...prev,
+        devices: (prev.devices || []).map(d =>
+          d.id === deviceId ? { ...d, usage_limits: limits } : d
+        ),
+      } : prev);
+      await api.setDeviceUsageLimits(deviceId, limits);
+      toast.success(limits ? 'Usage caps updated' : 'Usage caps removed');
+      setModal(null);
+      syncAfterMutation();
+    } catch (err) {
+      toast.error(err.message);
+      fetchDashboard();
+    } finally {
+      markDeviceBusy(deviceId, false);
+    }
+  };
+
   const handleDeleteDevice = async (device) => {
     markDeviceBusy(device.id, true);
     try {
@@ -302,6 +623,29 @@ export default function Dashboard({ onLogout }) {
     }
   };
 
+  /** Open a transcript from the history modal; closing it returns there */
+  const handleViewTranscript = async (transcriptId) => {
+    try {
+      const res = await api.getTranscript(transcriptId);
+      setModal({ type: 'transcript', transcript: res.transcript, history: modal });
+    } catch (err) {
+      toast.error('Failed to load transcript');
+    }
+  };
+
+  const handleDeleteTranscript = async (transcript, history) => {
+    try {
+      await api.deleteTranscript(transcript.id);
+      toast.success('Transcript deleted');
+      setModal(history && {
+        ...history,
+        logs: history.logs.map(log => log.transcript_id === transcript.id ? { ...log, transcript_id: null } : log),
+      });
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
   // ─── Admin Actions ────────────────────
   const handleUpdateUser = async (userId, updates) => {
     try {
@@ -314,6 +658,17 @@ export default function Dashboard({ onLogout }) {
     }
   };
 
+  const handleSaveBillingPeriod = async (period) => {
+    try {
+      await api.setBillingPeriod(period);
+      toast.success('Billing period updated');
+      setModal(null);
+      fetchAdminData();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
   const handleDeleteUser = async (user) => {
     try {
       // Optimistic
@@ -335,6 +690,43 @@ export default function Dashboard({ onLogout }) {
     }
   };
 
+  const handleSaveModel = async (modelId, fields) => {
+    try {
+      if (modelId) {
+        await api.updateModel(modelId, fields);
+        toast.success('Model updated');
+      } else {
+        await api.createModel(fields);
+        toast.success(`Model ${fields.id} added`);
+      }
+      setModal(null);
+      fetchAdminData();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleToggleModel = async (model) => {
+    try {
+      await api.updateModel(model.id, { is_enabled: !model.is_enabled });
+      toast.success(`${model.display_name} ${model.is_enabled ? 'disabled' : 'enabled'}`);
+      fetchAdminData();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDeleteModel = async (model) => {
+    try {
+      await api.deleteModel(model.id);
+      toast.success(`Model ${model.id} deleted`);
+      setModal(null);
+      fetchAdminData();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
   // ─── Initial Skeleton Loading ──────────
   if (initialLoading && !data) {
     return (
@@ -397,7 +789,7 @@ export default function Dashboard({ onLogout }) {
           <div className="topnav-brand">
             <div className="logo-icon">⚡</div>
             <span className="brand-text">Token Tracker</span>
-            <span className="badge cyan" style={{ marginLeft: 4 }}>{summary.month || new Date().toLocaleString('en', { month: 'long', year: 'numeric' })}</span>
+            <span className="badge cyan" style={{ marginLeft: 4 }}>{periodLabel(summary.period)}</span>
           </div>
           <div className="topnav-actions">
             <div className="user-info" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
@@ -515,6 +907,10 @@ export default function Dashboard({ onLogout }) {
                     onBlock={handleBlock}
                     onTransfer={(d) => setModal({ type: 'setAlloc', device: d })}
                     onSetAlloc={(d) => setModal({ type: 'setAlloc', device: d })}
+                    onEditPolicy={(d) => setModal({ type: 'devicePolicy', device: d })}
+                    onEditLimits={(d) => setModal({ type: 'deviceLimits', device: d })}
+                    onEditUsageLimits={(d) => setModal({ type: 'deviceUsageLimits', device: d })}
+                    onEditInstructions={(d) => handleOpenPromptTemplates('device', d)}
                     onRename={(d) => setModal({ type: 'rename', device: d })}
                     onViewHistory={handleViewHistory}
                     onDelete={(d) => setModal({ type: 'confirmDelete', device: d })}
@@ -796,6 +1192,199 @@ export default function Dashboard({ onLogout }) {
               )}
             </div>
 
+            {/* GitHub PAT pool */}
+            <div className="card" style={{ marginBottom: '20px' }}>
+              <h3 style={{ marginBottom: '16px', fontSize: '14px', fontFamily: 'var(--font-mono)', color: 'var(--accent)' }}>
+                GITHUB_PAT_POOL
+              </h3>
+              <p style={{ fontSize: '13px', color: 'var(--text-secondary)', marginBottom: '16px' }}>
+                Add several PATs to spread your devices' requests across them. The proxy uses the least recently used healthy PAT,
+                and marks a PAT unhealthy when GitHub rejects it (401/403) so the next one takes over.
+              </p>
+
+              <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'flex-end', marginBottom: '16px' }}>
+                <div className="form-group" style={{ width: '200px' }}>
+                  <label className="form-label">Label</label>
+                  <input
+                    type="text"
+                    className="form-input"
+                    value={newCredential.label}
+                    onChange={e => setNewCredential({ ...newCredential, label: e.target.value })}
+                    placeholder="e.g. Team PAT #2"
+                    maxLength={100}
+                  />
+                </div>
+                <div className="form-group" style={{ flex: 1, minWidth: '300px' }}>
+                  <label className="form-label">GitHub PAT</label>
+                  <input
+                    type="password"
+                    className="form-input"
+                    value={newCredential.token}
+                    onChange={e => setNewCredential({ ...newCredential, token: e.target.value })}
+                    placeholder="github_pat_xxxxxxxxxxxx..."
+                    style={{ fontFamily: 'var(--font-mono)', fontSize: '12px' }}
+                  />
+                </div>
+                <button
+                  className="btn btn-primary"
+                  onClick={handleAddGitHubCredential}
+                  disabled={credentialLoading || !newCredential.token.trim()}
+                  style={{ height: '42px', padding: '0 20px' }}
+                >
+                  {credentialLoading ? <span className="spinner" /> : '+ Add PAT'}
+                </button>
+              </div>
+
+              {githubCredentials.length > 0 && (
+                <div className="table-wrapper">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>PAT</th>
+                        <th>Requests</th>
+                        <th>Errors</th>
+                        <th>Last Error</th>
+                        <th>Status</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {githubCredentials.map(c => (
+                        <tr key={c.id}>
+                          <td>
+                            <div>{c.label}</div>
+                            <code style={{ fontSize: '11px', fontFamily: 'var(--font-mono)', color: 'var(--text-muted)' }}>{c.token_hint || '••••'}</code>
+                            {c.scopes?.length > 0 && (
+                              <div style={{ fontSize: '11px', color: 'var(--text-muted)' }}>{c.scopes.join(', ')}</div>
+                            )}
+                          </td>
+                          <td>{c.request_count}</td>
+                          <td>{c.error_count}</td>
+                          <td style={{ fontSize: '12px', maxWidth: '280px' }}>
+                            {c.last_error ? (
+                              <>
+                                <div style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={c.last_error}>{c.last_error}</div>
+                                <div style={{ color: 'var(--text-muted)' }}>{new Date(c.last_error_at).toLocaleString()}</div>
+                              </>
+                            ) : '—'}
+                          </td>
+                          <td>
+                            {c.status === 'healthy' && <span className="badge green">HEALTHY</span>}
+                            {c.status === 'unhealthy' && <span className="badge red">UNHEALTHY</span>}
+                            {c.status === 'disabled' && <span className="badge yellow">DISABLED</span>}
+                          </td>
+                          <td>
+                            <div style={{ display: 'flex', gap: '4px' }}>
+                              {c.status === 'healthy' ? (
+                                <button className="btn btn-sm" onClick={() => handleSetCredentialStatus(c, 'disabled')} title="Disable">
+                                  ⏸
+                                </button>
+                              ) : (
+                                <button className="btn btn-sm" onClick={() => handleSetCredentialStatus(c, 'healthy')} title="Re-enable">
+                                  ▶
+                                </button>
+                              )}
+                              <button className="btn btn-sm btn-danger" onClick={() => setModal({ type: 'confirmDeleteCredential', credential: c })} title="Delete">
+                                🗑
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            {/* Data-loss prevention */}
+            <div className="card" style={{ marginBottom: '20px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+                <h3 style={{ fontSize: '14px', fontFamily: 'var(--font-mono)', color: 'var(--accent)' }}>
+                  DLP_RULES
+                </h3>
+                <button className="btn btn-sm btn-primary" onClick={() => setModal({ type: 'dlpRule', scope: 'user', rule: null })}>
+                  + Add Rule
+                </button>
+              </div>
+              <p style={{ fontSize: '13px', color: 'var(--text-secondary)', marginBottom: '16px' }}>
+                Prompts your devices send through the AI proxy are scanned for secrets and personal data before they leave the server.
+                Matches are logged, redacted, or the request is blocked. Add entropy rules for long random-looking strings, or override a built-in or global rule to make it stricter for your devices. Custom patterns are set by your administrator.
+              </p>
+              <DlpRulesTable
+                rules={dlpRules}
+                editableSource="owner"
+                onEdit={rule => setModal({ type: 'dlpRule', scope: 'user', rule })}
+                onOverride={rule => setModal({ type: 'dlpRule', scope: 'user', rule, override: true })}
+                onToggle={rule => handleToggleDlpRule('user', rule)}
+                onDelete={rule => setModal({ type: 'confirmDeleteDlpRule', scope: 'user', rule })}
+              />
+            </div>
+
+            <div className="card" style={{ marginBottom: '20px' }}>
+              <h3 style={{ marginBottom: '16px', fontSize: '14px', fontFamily: 'var(--font-mono)', color: 'var(--accent)' }}>
+                DLP_EVENTS
+              </h3>
+              <DlpEventsTable events={dlpEvents} />
+            </div>
+
+            {/* Prompt templates */}
+            <div className="card" style={{ marginBottom: '20px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+                <h3 style={{ fontSize: '14px', fontFamily: 'var(--font-mono)', color: 'var(--accent)' }}>
+                  INSTRUCTIONS
+                </h3>
+                <button className="btn btn-sm btn-primary" onClick={() => handleOpenPromptTemplates('user')}>
+                  ✎ Edit
+                </button>
+              </div>
+              <p style={{ fontSize: '13px', color: 'var(--text-secondary)' }}>
+                Instructions the AI proxy adds to every chat and inline-completion request from your devices,
+                e.g. "We use TypeScript strict mode; never suggest jQuery". They come after the organisation's
+                instructions; give a single device its own with 📝 on its card. Every save is kept as a version.
+              </p>
+            </div>
+
+            {/* Proxy transcripts */}
+            <div className="card" style={{ marginBottom: '20px' }}>
+              <h3 style={{ marginBottom: '16px', fontSize: '14px', fontFamily: 'var(--font-mono)', color: 'var(--accent)' }}>
+                TRANSCRIPTS
+              </h3>
+              <p style={{ fontSize: '13px', color: 'var(--text-secondary)', marginBottom: '16px' }}>
+                Keep the prompt and response of every request your devices send through the AI proxy (after DLP redaction),
+                so you can check what a charge was for. Open them from a device's usage history. Admins can view them too.
+              </p>
+              <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'flex-end' }}>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', height: '42px' }}>
+                  <input
+                    type="checkbox"
+                    checked={transcriptSettings.transcript_logging}
+                    onChange={e => setTranscriptSettings({ ...transcriptSettings, transcript_logging: e.target.checked })}
+                  />
+                  Keep transcripts
+                </label>
+                <div className="form-group" style={{ width: '200px' }}>
+                  <label className="form-label">Delete after (days)</label>
+                  <input
+                    type="number"
+                    className="form-input"
+                    min={1}
+                    max={3650}
+                    value={transcriptSettings.transcript_retention_days}
+                    onChange={e => setTranscriptSettings({ ...transcriptSettings, transcript_retention_days: e.target.value })}
+                  />
+                </div>
+                <button
+                  className="btn btn-primary"
+                  onClick={handleSaveTranscriptSettings}
+                  disabled={transcriptSaving}
+                  style={{ height: '42px', padding: '0 20px' }}
+                >
+                  {transcriptSaving ? <span className="spinner" /> : 'Save'}
+                </button>
+              </div>
+            </div>
+
             {/* How to create PAT */}
             <div className="card" style={{ marginBottom: '20px' }}>
               <h3 style={{ marginBottom: '16px', fontSize: '14px', fontFamily: 'var(--font-mono)', color: 'var(--accent)' }}>
@@ -873,6 +1462,22 @@ export default function Dashboard({ onLogout }) {
                   </div>
                 </div>
 
+                {/* Billing period */}
+                <div className="card" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '24px' }}>
+                  <div>
+                    <div className="stat-label">Billing Period</div>
+                    <div style={{ fontSize: '14px', marginTop: '4px' }}>
+                      {periodLabel(adminData.period)}
+                      <span style={{ color: 'var(--text-muted)', fontSize: '12px' }}>
+                        {' '}· {adminData.billing_period?.type || 'monthly'} · {adminData.billing_period?.time_zone}
+                      </span>
+                    </div>
+                  </div>
+                  <button className="btn btn-sm" onClick={() => setModal({ type: 'billingPeriod' })}>
+                    📅 Change
+                  </button>
+                </div>
+
                 {/* Users list */}
                 <h3 style={{ marginBottom: '16px', fontSize: '14px', fontFamily: 'var(--font-mono)', color: 'var(--accent)' }}>
                   ALL_USERS
@@ -883,11 +1488,115 @@ export default function Dashboard({ onLogout }) {
                       key={u.id}
                       user={u}
                       onEdit={(usr) => setModal({ type: 'editUser', user: usr })}
+                      onEditPolicy={(usr) => setModal({ type: 'userPolicy', user: usr })}
+                      onEditLimits={(usr) => setModal({ type: 'userLimits', user: usr })}
+                      onEditUsageLimits={(usr) => setModal({ type: 'userUsageLimits', user: usr })}
                       onToggleActive={(usr) => handleUpdateUser(usr.id, { is_active: !usr.is_active })}
                       onDelete={(usr) => setModal({ type: 'confirmDeleteUser', user: usr })}
                     />
                   ))}
                 </div>
+
+                {/* Model catalog */}
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', margin: '32px 0 16px' }}>
+                  <h3 style={{ fontSize: '14px', fontFamily: 'var(--font-mono)', color: 'var(--accent)' }}>
+                    MODEL_CATALOG
+                  </h3>
+                  <button className="btn btn-sm btn-primary" onClick={() => setModal({ type: 'model', model: null })}>
+                    + Add Model
+                  </button>
+                </div>
+                <div className="table-wrapper">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Model</th>
+                        <th>Aliases</th>
+                        <th>Cost</th>
+                        <th>Proxy</th>
+                        <th>Status</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {adminModels.map(m => (
+                        <tr key={m.id}>
+                          <td>
+                            <div>{m.display_name}</div>
+                            <code style={{ fontSize: '11px', fontFamily: 'var(--font-mono)', color: 'var(--text-muted)' }}>{m.id}</code>
+                          </td>
+                          <td style={{ fontSize: '12px' }}>{(m.aliases || []).join(', ') || '—'}</td>
+                          <td>{m.is_free ? <span className="badge green">FREE</span> : `${m.cost} tok`}</td>
+                          <td style={{ fontSize: '12px' }}>
+                            {m.proxy_enabled ? (m.upstream || 'github') : '—'}
+                            {m.proxy_enabled && m.fallbacks?.length > 0 && (
+                              <div style={{ color: 'var(--text-muted)' }}>→ {m.fallbacks.join(' → ')}</div>
+                            )}
+                            {m.proxy_enabled && m.context_window && (
+                              <div style={{ color: 'var(--text-muted)' }}>{Math.round(m.context_window / 1000)}K context</div>
+                            )}
+                          </td>
+                          <td>
+                            {m.is_enabled ? (
+                              <span className="badge cyan">ENABLED</span>
+                            ) : (
+                              <span className="badge red">DISABLED</span>
+                            )}
+                          </td>
+                          <td>
+                            <div style={{ display: 'flex', gap: '4px' }}>
+                              <button className="btn btn-sm" onClick={() => setModal({ type: 'model', model: m })} title="Edit">
+                                ✎
+                              </button>
+                              <button className="btn btn-sm" onClick={() => handleToggleModel(m)} title={m.is_enabled ? 'Disable' : 'Enable'}>
+                                {m.is_enabled ? '⏸' : '▶'}
+                              </button>
+                              {m.id !== 'other' && (
+                                <button className="btn btn-sm btn-danger" onClick={() => setModal({ type: 'confirmDeleteModel', model: m })} title="Delete">
+                                  🗑
+                                </button>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', margin: '24px 0 12px' }}>
+                  <h3 style={{ fontSize: '14px', fontFamily: 'var(--font-mono)', color: 'var(--accent)' }}>
+                    ORGANISATION_INSTRUCTIONS
+                  </h3>
+                  <button className="btn btn-sm btn-primary" onClick={() => handleOpenPromptTemplates('organization')}>
+                    ✎ Edit
+                  </button>
+                </div>
+                <p style={{ fontSize: '13px', color: 'var(--text-secondary)' }}>
+                  Added to every chat and inline-completion request through the AI proxy, before each owner's and device's own instructions.
+                </p>
+
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', margin: '24px 0 12px' }}>
+                  <h3 style={{ fontSize: '14px', fontFamily: 'var(--font-mono)', color: 'var(--accent)' }}>
+                    GLOBAL_DLP_RULES
+                  </h3>
+                  <button className="btn btn-sm btn-primary" onClick={() => setModal({ type: 'dlpRule', scope: 'admin', rule: null })}>
+                    + Add Rule
+                  </button>
+                </div>
+                <DlpRulesTable
+                  rules={adminDlpRules}
+                  editableSource="global"
+                  onEdit={rule => setModal({ type: 'dlpRule', scope: 'admin', rule })}
+                  onOverride={rule => setModal({ type: 'dlpRule', scope: 'admin', rule, override: true })}
+                  onToggle={rule => handleToggleDlpRule('admin', rule)}
+                  onDelete={rule => setModal({ type: 'confirmDeleteDlpRule', scope: 'admin', rule })}
+                />
+
+                <h3 style={{ margin: '24px 0 12px', fontSize: '14px', fontFamily: 'var(--font-mono)', color: 'var(--accent)' }}>
+                  DLP_EVENTS
+                </h3>
+                <DlpEventsTable events={adminDlpEvents} showOwner />
               </>
             ) : null}
           </>
@@ -897,21 +1606,16 @@ export default function Dashboard({ onLogout }) {
         <div className="cost-ref" style={{ marginTop: '32px' }}>
           <h3>⚙ TOKEN_COST_MATRIX</h3>
           <div className="cost-grid">
-            <div className="cost-item">
-              <span className="cost-dot" style={{ background: 'var(--purple)' }} />
-              <span>Claude Opus 4.5</span>
-              <span className="cost-val" style={{ color: 'var(--purple)' }}>3 tok</span>
-            </div>
-            <div className="cost-item">
-              <span className="cost-dot" style={{ background: 'var(--blue)' }} />
-              <span>GPT-4 / Sonnet / Others</span>
-              <span className="cost-val" style={{ color: 'var(--blue)' }}>1 tok</span>
-            </div>
-            <div className="cost-item">
-              <span className="cost-dot" style={{ background: 'var(--green)' }} />
-              <span>GPT-5 Mini / Grok Code Fast</span>
-              <span className="cost-val" style={{ color: 'var(--green)' }}>FREE</span>
-            </div>
+            {groupModelsByCost(models).map(({ cost, names }) => {
+              const color = cost === 0 ? 'var(--green)' : cost >= 2 ? 'var(--purple)' : 'var(--blue)';
+              return (
+                <div className="cost-item" key={cost}>
+                  <span className="cost-dot" style={{ background: color }} />
+                  <span>{names.join(' / ')}</span>
+                  <span className="cost-val" style={{ color }}>{cost === 0 ? 'FREE' : `${cost} tok`}</span>
+                </div>
+              );
+            })}
           </div>
         </div>
 
@@ -944,6 +1648,99 @@ export default function Dashboard({ onLogout }) {
           device={modal.device}
           logs={modal.logs}
           onClose={() => setModal(null)}
+          onViewTranscript={handleViewTranscript}
+        />
+      )}
+
+      {modal?.type === 'transcript' && modal.transcript && (
+        <TranscriptModal
+          transcript={modal.transcript}
+          onClose={() => setModal(modal.history || null)}
+          onDelete={(transcript) => handleDeleteTranscript(transcript, modal.history)}
+        />
+      )}
+
+      {modal?.type === 'devicePolicy' && modal.device && (
+        <ModelPolicyModal
+          title={`🛡 Model Policy — ${modal.device.name}`}
+          policy={modal.device.model_policy}
+          models={models}
+          onClose={() => setModal(null)}
+          onSave={(policy) => handleSetDevicePolicy(modal.device.id, policy)}
+        />
+      )}
+
+      {modal?.type === 'deviceLimits' && modal.device && (
+        <RateLimitsModal
+          title={`⏱ Rate Limits — ${modal.device.name}`}
+          limits={modal.device.rate_limits}
+          defaults={data?.rate_limit_defaults?.device}
+          onClose={() => setModal(null)}
+          onSave={(limits) => handleSetDeviceLimits(modal.device.id, limits)}
+        />
+      )}
+
+      {modal?.type === 'promptTemplates' && (
+        <PromptTemplatesModal
+          title={
+            modal.scope === 'organization' ? '📝 Organisation Instructions'
+              : modal.scope === 'device' ? `📝 Instructions — ${modal.device.name}`
+                : '📝 Account Instructions'
+          }
+          templates={modal.templates}
+          inherited={modal.inherited}
+          maxChars={modal.maxChars}
+          onLoadVersions={(kind) => handleLoadPromptTemplateVersions(modal.scope, kind, modal.device)}
+          onClose={() => setModal(null)}
+          onSave={(kind, content) => handleSavePromptTemplate(modal.scope, kind, content, modal.device)}
+        />
+      )}
+
+      {modal?.type === 'userLimits' && modal.user && (
+        <RateLimitsModal
+          title={`⏱ Account Rate Limits — ${modal.user.email}`}
+          limits={modal.user.rate_limits}
+          defaults={data?.rate_limit_defaults?.account}
+          onClose={() => setModal(null)}
+          onSave={(limits) => handleUpdateUser(modal.user.id, { rate_limits: limits })}
+        />
+      )}
+
+      {modal?.type === 'deviceUsageLimits' && modal.device && (
+        <UsageLimitsModal
+          title={`📏 Usage Caps — ${modal.device.name}`}
+          limits={modal.device.usage_limits}
+          hint="Caps this device's token use within its allocation."
+          onClose={() => setModal(null)}
+          onSave={(limits) => handleSetDeviceUsageLimits(modal.device.id, limits)}
+        />
+      )}
+
+      {modal?.type === 'userUsageLimits' && modal.user && (
+        <UsageLimitsModal
+          title={`📏 Account Usage Caps — ${modal.user.email}`}
+          limits={modal.user.usage_limits}
+          hint="Caps the tokens all of this user's devices use together."
+          onClose={() => setModal(null)}
+          onSave={(limits) => handleUpdateUser(modal.user.id, { usage_limits: limits })}
+        />
+      )}
+
+      {modal?.type === 'billingPeriod' && adminData && (
+        <BillingPeriodModal
+          period={adminData.billing_period}
+          onClose={() => setModal(null)}
+          onSave={handleSaveBillingPeriod}
+        />
+      )}
+
+      {modal?.type === 'userPolicy' && modal.user && (
+        <ModelPolicyModal
+          title={`🛡 Account Model Policy — ${modal.user.email}`}
+          policy={modal.user.model_policy}
+          models={models}
+          onClose={() => setModal(null)}
+          onSave={(policy) => handleUpdateUser(modal.user.id, { model_policy: policy })}
         />
       )}
 
@@ -966,6 +1763,57 @@ export default function Dashboard({ onLogout }) {
         />
       )}
 
+      {modal?.type === 'model' && (
+        <ModelModal
+          model={modal.model}
+          onClose={() => setModal(null)}
+          onSave={handleSaveModel}
+        />
+      )}
+
+      {modal?.type === 'confirmDeleteModel' && modal.model && (
+        <ConfirmModal
+          title="🗑 Delete Model"
+          message={`Delete "${modal.model.id}" from the catalog? Usage of this model will be billed as "other" from now on.`}
+          confirmLabel="Delete Model"
+          danger
+          onClose={() => setModal(null)}
+          onConfirm={() => handleDeleteModel(modal.model)}
+        />
+      )}
+
+      {modal?.type === 'dlpRule' && (
+        <DlpRuleModal
+          rule={modal.rule}
+          override={modal.override}
+          allowPattern={modal.scope === 'admin'}
+          onClose={() => setModal(null)}
+          onSave={(ruleId, fields) => handleSaveDlpRule(modal.scope, ruleId, fields)}
+        />
+      )}
+
+      {modal?.type === 'confirmDeleteDlpRule' && modal.rule && (
+        <ConfirmModal
+          title="🗑 Delete DLP Rule"
+          message={`Delete the DLP rule "${modal.rule.name}"? If it overrides a built-in or global rule, that rule applies again.`}
+          confirmLabel="Delete Rule"
+          danger
+          onClose={() => setModal(null)}
+          onConfirm={() => handleDeleteDlpRule(modal.scope, modal.rule)}
+        />
+      )}
+
+      {modal?.type === 'confirmDeleteCredential' && modal.credential && (
+        <ConfirmModal
+          title="🗑 Remove PAT"
+          message={`Remove "${modal.credential.label}" from the PAT pool? The proxy will stop using it immediately.`}
+          confirmLabel="Remove PAT"
+          danger
+          onClose={() => setModal(null)}
+          onConfirm={() => handleDeleteGitHubCredential(modal.credential)}
+        />
+      )}
+
       {modal?.type === 'confirmDeleteUser' && modal.user && (
         <ConfirmModal
           title="🗑 Delete User"
@@ -980,9 +1828,24 @@ export default function Dashboard({ onLogout }) {
   );
 }
 
+// ─── Token Cost Helpers ──────────────────────────
+
+/** Group catalog models by tokens per prompt, most expensive first */
+function groupModelsByCost(models) {
+  const groups = new Map();
+  for (const m of models) {
+    const cost = m.is_free ? 0 : m.tokens_per_prompt;
+    if (!groups.has(cost)) groups.set(cost, []);
+    groups.get(cost).push(m.display_name);
+  }
+  return [...groups.entries()]
+    .sort(([a], [b]) => b - a)
+    .map(([cost, names]) => ({ cost, names }));
+}
+
 // ─── Admin User Card ──────────────────────────
 
-function AdminUserCard({ user, onEdit, onToggleActive, onDelete }) {
+function AdminUserCard({ user, onEdit, onEditPolicy, onEditLimits, onEditUsageLimits, onToggleActive, onDelete }) {
   const deviceCount = user.devices?.length || user.device_count || 0;
   const totalUsed = user.total_used || user.devices?.reduce((sum, d) => sum + (d.allocation?.used || 0), 0) || 0;
 
@@ -1025,6 +1888,15 @@ function AdminUserCard({ user, onEdit, onToggleActive, onDelete }) {
 
       <div className="device-footer">
         <button className="btn btn-sm btn-primary" onClick={() => onEdit(user)}>✎ Edit</button>
+        <button className="btn btn-sm" onClick={() => onEditPolicy(user)} title="Model policy">
+          🛡 {user.model_policy ? 'Policy' : 'Models'}
+        </button>
+        <button className="btn btn-sm" onClick={() => onEditLimits(user)} title="Proxy rate limits for all of this user's devices">
+          ⏱ Limits
+        </button>
+        <button className="btn btn-sm" onClick={() => onEditUsageLimits(user)} title="Daily, weekly and monthly token caps shared by this user's devices">
+          📏 Caps
+        </button>
         <button
           className={`btn btn-sm ${user.is_active ? 'btn-warning' : 'btn-success'}`}
           onClick={() => onToggleActive(user)}
@@ -1043,6 +1915,9 @@ function EditUserModal({ user, onClose, onSave }) {
   const [budget, setBudget] = useState(user.monthly_token_budget?.toString() || '50');
   const [maxDevices, setMaxDevices] = useState(user.max_devices?.toString() || '3');
   const [role, setRole] = useState(user.role || 'user');
+  const [rolloverBase, setRolloverBase] = useState(user.rollover_policy?.base || 'previous');
+  const [carryOver, setCarryOver] = useState(!!user.rollover_policy?.carry_over);
+  const [carryOverCap, setCarryOverCap] = useState(user.rollover_policy?.carry_over_cap?.toString() || '');
   const [loading, setLoading] = useState(false);
 
   const handleSubmit = async () => {
@@ -1052,6 +1927,11 @@ function EditUserModal({ user, onClose, onSave }) {
         monthly_token_budget: parseInt(budget),
         max_devices: parseInt(maxDevices),
         role,
+        rollover_policy: {
+          base: rolloverBase,
+          carry_over: carryOver,
+          ...(carryOver && carryOverCap !== '' && { carry_over_cap: parseInt(carryOverCap) }),
+        },
       });
     } finally {
       setLoading(false);
@@ -1086,6 +1966,30 @@ function EditUserModal({ user, onClose, onSave }) {
               <option value="admin">Admin</option>
             </select>
           </div>
+          <div className="form-group">
+            <label className="form-label">Each Month Starts From</label>
+            <select className="form-select" value={rolloverBase} onChange={e => setRolloverBase(e.target.value)}>
+              <option value="previous">Previous month's device allocations</option>
+              <option value="budget">Monthly token budget per device</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px' }}>
+              <input type="checkbox" checked={carryOver} onChange={e => setCarryOver(e.target.checked)} />
+              Carry over unused tokens
+            </label>
+            {carryOver && (
+              <input
+                type="number"
+                className="form-input"
+                style={{ marginTop: '6px' }}
+                value={carryOverCap}
+                onChange={e => setCarryOverCap(e.target.value)}
+                min="0"
+                placeholder="Cap per device (default: one month's allocation)"
+              />
+            )}
+          </div>
         </div>
         <div className="modal-footer">
           <button className="btn" onClick={onClose}>Cancel</button>
@@ -1,6 +1,8 @@
 import * as vscode from 'vscode';
 import * as http from 'http';
 import * as https from 'https';
+import * as crypto from 'crypto';
+import { CatalogModel } from './models';
 
 // ─── Global backend URL ────────────────────────────────
 const DEFAULT_SERVER_URL = 'https://tokentrackerbackend.abdulrahmanazam.me';
@@ -31,6 +33,7 @@ export interface CheckResult {
   remaining: number;
   is_blocked: boolean;
   reason: string | null;
+  code?: string; // e.g. MODEL_NOT_ALLOWED when a model policy blocks the model, USAGE_LIMIT_REACHED over a usage cap
 }
 
 export interface UsageResult {
@@ -38,6 +41,34 @@ export interface UsageResult {
   tokens_used: number;
   model_type: string;
   remaining: number;
+  /** True when the event had already been logged and was not charged again */
+  duplicate?: boolean;
+}
+
+export interface UsageBatchResult {
+  results: {
+    client_event_id: string | null;
+    status: 'logged' | 'duplicate' | 'rejected' | 'invalid';
+    tokens_used?: number;
+    remaining?: number;
+    error?: string;
+  }[];
+  summary: { logged: number; duplicate: number; rejected: number; invalid: number; tokens_used: number };
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds.
+ */
+function parseRetryAfter(value: string | undefined): number | undefined {
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(date - Date.now(), 0);
 }
 
 /**
@@ -116,7 +147,7 @@ export class ApiClient {
           try {
             const parsed = JSON.parse(data);
             if (res.statusCode && res.statusCode >= 400) {
-              reject({ status: res.statusCode, ...parsed });
+              reject({ status: res.statusCode, retryAfterMs: parseRetryAfter(res.headers['retry-after']), ...parsed });
             } else {
               resolve(parsed as T);
             }
@@ -180,15 +211,39 @@ export class ApiClient {
     });
   }
 
-  /** Log usage after a prompt */
-  async logUsage(modelType: string, requestType: string = 'completion', description: string = ''): Promise<UsageResult> {
+  /**
+   * Log usage after a prompt. Sending the same `clientEventId` again
+   * (a retry, or a replay of an event recorded offline) is not charged twice.
+   */
+  async logUsage(
+    modelType: string,
+    requestType: string = 'completion',
+    description: string = '',
+    clientEventId: string = crypto.randomUUID()
+  ): Promise<UsageResult> {
     return this.request('POST', '/api/usage/log', {
       model_type: modelType,
       request_type: requestType,
       description,
+      client_event_id: clientEventId,
     });
   }
 
+  /** Replay usage events recorded while offline (at most 100 per call) */
+  async logUsageBatch(events: {
+    client_event_id: string;
+    model_type: string;
+    request_type: string;
+    occurred_at: string;
+  }[]): Promise<UsageBatchResult> {
+    return this.request('POST', '/api/usage/batch', { events });
+  }
+
+  /** Get the model catalog (names, aliases and token costs) */
+  async getModelCatalog(): Promise<{ models: CatalogModel[] }> {
+    return this.request('GET', '/api/usage/models', undefined, false);
+  }
+
   /** Get usage history */
   async getHistory(limit: number = 20): Promise<any> {
     if (!this.deviceId) { throw new Error('Not activated'); }
@@ -206,7 +261,7 @@ export class ApiClient {
   async getProxyModels(): Promise<{
     available: boolean;
     reason?: string;
-    models: { id: string; name: string; provider: string; cost: number }[];
+    models: { id: string; name: string; provider: string; cost: number; input_rate?: number; output_rate?: number }[];
   }> {
     return this.request('GET', '/api/proxy/models');
   }
@@ -244,14 +299,128 @@ export class ApiClient {
     });
   }
 
-  /** Stream a chat completion request (returns raw response chunks) */
+  /**
+   * Stream an inline code completion through the proxy. `onDelta` gets
+   * whole lines as they arrive, `onDone` the final (stop-trimmed) text.
+   * Errors carry `status` and `retryAfterMs` like request().
+   * Returns a function that cancels the request.
+   */
+  streamCodeCompletion(
+    prefix: string,
+    suffix: string,
+    language: string,
+    filePath: string,
+    model: string,
+    maxTokens: number,
+    onDelta: (text: string) => void,
+    onDone: (completion: string) => void,
+    onError: (err: any) => void
+  ): () => void {
+    const url = new URL('/api/proxy/completions', this.serverUrl);
+    const isHttps = url.protocol === 'https:';
+    const lib = isHttps ? https : http;
+
+    const bodyStr = JSON.stringify({
+      prefix,
+      suffix,
+      language,
+      file_path: filePath,
+      model,
+      max_tokens: maxTokens,
+      stream: true,
+    });
+
+    const reqOptions = {
+      hostname: url.hostname,
+      port: url.port || (isHttps ? 443 : 80),
+      path: url.pathname,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(bodyStr).toString(),
+        ...(this.deviceToken ? { Authorization: `Bearer ${this.deviceToken}` } : {}),
+      },
+      timeout: 30000,
+    };
+
+    let finished = false;
+    const finish = (fn: () => void) => {
+      if (!finished) {
+        finished = true;
+        fn();
+      }
+    };
+
+    const req = lib.request(reqOptions, (res) => {
+      if (res.statusCode && res.statusCode >= 400) {
+        let data = '';
+        res.on('data', (chunk: string) => { data += chunk; });
+        res.on('end', () => {
+          const retryAfterMs = parseRetryAfter(res.headers['retry-after']);
+          try {
+            finish(() => onError({ status: res.statusCode, retryAfterMs, ...JSON.parse(data) }));
+          } catch {
+            finish(() => onError({ status: res.statusCode, retryAfterMs, error: `HTTP ${res.statusCode}` }));
+          }
+        });
+        return;
+      }
+
+      let sseBuffer = '';
+      res.on('data', (chunk: Buffer) => {
+        sseBuffer += chunk.toString();
+
+        let newlineIdx: number;
+        while ((newlineIdx = sseBuffer.indexOf('\n')) !== -1) {
+          const line = sseBuffer.substring(0, newlineIdx).trimEnd();
+          sseBuffer = sseBuffer.substring(newlineIdx + 1);
+          if (!line.startsWith('data: ')) {
+            continue;
+          }
+          try {
+            const parsed = JSON.parse(line.slice(6));
+            if (parsed.done) {
+              finish(() => onDone(parsed.completion || ''));
+            } else if (parsed.delta) {
+              onDelta(parsed.delta);
+            }
+          } catch {
+            // Incomplete JSON — skip
+          }
+        }
+      });
+
+      res.on('end', () => finish(() => onError(new Error('Completion stream ended early'))));
+    });
+
+    req.on('error', (err: Error) => finish(() => onError(err)));
+    req.on('timeout', () => {
+      req.destroy();
+      finish(() => onError(new Error('Completion stream timed out')));
+    });
+
+    req.write(bodyStr);
+    req.end();
+
+    return () => {
+      finished = true;
+      req.destroy();
+    };
+  }
+
+  /**
+   * Stream a chat completion request (returns raw response chunks).
+   * `onTruncated` is told how many earlier messages the server left out
+   * to fit the model's context window, if any.
+   */
   streamChatCompletion(
     messages: { role: string; content: string }[],
     model: string = 'gpt-4o',
     options: { temperature?: number; max_tokens?: number } = {},
     onChunk: (chunk: string) => void,
     onDone: () => void,
-    onError: (err: Error) => void
+    onError: (err: Error) => void,
+    onTruncated?: (omitted: number) => void
   ): void {
     const url = new URL('/api/proxy/chat', this.serverUrl);
     const isHttps = url.protocol === 'https:';
@@ -292,6 +461,11 @@ export class ApiClient {
         return;
       }
 
+      const omitted = parseInt(String(res.headers['x-context-truncated'] ?? ''), 10);
+      if (omitted > 0) {
+        onTruncated?.(omitted);
+      }
+
       // Buffer for incomplete SSE lines across TCP chunks
       let sseBuffer = '';
       let receivedAnyContent = false;
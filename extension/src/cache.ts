@@ -1,4 +1,5 @@
 import * as vscode from 'vscode';
+import { CatalogModel } from './models';
 
 interface CachedData {
   // Token key used to activate
@@ -20,7 +21,20 @@ interface CachedData {
   lastSynced: number; // timestamp
 }
 
+/** A usage event recorded while offline, replayed via POST /api/usage/batch */
+export interface QueuedUsageEvent {
+  client_event_id: string;
+  model_type: string;
+  request_type: string;
+  occurred_at: string; // ISO timestamp
+  cost: number; // tokens counted locally
+}
+
 const CACHE_KEY = 'tokenTracker.cache';
+const MODEL_CATALOG_KEY = 'tokenTracker.modelCatalog';
+const USAGE_QUEUE_KEY = 'tokenTracker.usageQueue';
+// Oldest events are dropped beyond this many
+const MAX_QUEUED_EVENTS = 1000;
 
 /**
  * Local cache for offline resilience.
@@ -104,6 +118,31 @@ export class Cache {
     }
   }
 
+  /** Record an offline usage event to replay once the server is reachable */
+  queueUsage(event: QueuedUsageEvent): void {
+    const queue = [...this.loadUsageQueue(), event].slice(-MAX_QUEUED_EVENTS);
+    this.context.globalState.update(USAGE_QUEUE_KEY, queue);
+  }
+
+  /** Offline usage events not yet replayed, oldest first */
+  loadUsageQueue(): QueuedUsageEvent[] {
+    return this.context.globalState.get<QueuedUsageEvent[]>(USAGE_QUEUE_KEY) ?? [];
+  }
+
+  /** Drop replayed events from the queue */
+  removeFromUsageQueue(clientEventIds: string[]): void {
+    const done = new Set(clientEventIds);
+    this.context.globalState.update(
+      USAGE_QUEUE_KEY,
+      this.loadUsageQueue().filter(e => !done.has(e.client_event_id)),
+    );
+  }
+
+  /** Tokens counted locally for events still waiting to be replayed */
+  getQueuedUsageCost(): number {
+    return this.loadUsageQueue().reduce((sum, e) => sum + e.cost, 0);
+  }
+
   /** Get remaining tokens from cache */
   getRemaining(): number {
     const cached = this.load();
@@ -123,8 +162,19 @@ export class Cache {
     return Date.now() - cached.lastSynced;
   }
 
+  /** Save the last fetched model catalog (kept across deactivation) */
+  saveModelCatalog(models: CatalogModel[]): void {
+    this.context.globalState.update(MODEL_CATALOG_KEY, models);
+  }
+
+  /** Load the cached model catalog */
+  loadModelCatalog(): CatalogModel[] | undefined {
+    return this.context.globalState.get<CatalogModel[]>(MODEL_CATALOG_KEY);
+  }
+
   /** Clear all cached data (deactivate) */
   clear(): void {
     this.context.globalState.update(CACHE_KEY, undefined);
+    this.context.globalState.update(USAGE_QUEUE_KEY, undefined);
   }
 }
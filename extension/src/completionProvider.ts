@@ -2,12 +2,31 @@ import * as vscode from 'vscode';
 import { ApiClient } from './apiClient';
 import { Cache } from './cache';
 
+/**
+ * A streamed completion: where it was requested and the text received so far.
+ */
+interface CompletionStream {
+  uri: string;
+  anchorOffset: number;
+  /** Text just before the anchor, to tell whether the document still matches */
+  context: string;
+  text: string;
+  /** What the editor was last given, to know whether to re-trigger */
+  shown: string;
+  done: boolean;
+  cancel: () => void;
+}
+
 /**
  * Provides inline code completions by proxying through the backend
  * to the account owner's GitHub Copilot/Models access.
  *
  * This replaces the need for GitHub sign-in on each device —
  * the token key is enough to get AI suggestions.
+ *
+ * Completions are streamed: the first line is shown as soon as it
+ * arrives, and the suggestion is refreshed with the rest when the
+ * stream finishes (or as the user accepts it line by line).
  */
 export class ProxyCompletionProvider implements vscode.InlineCompletionItemProvider {
   private api: ApiClient;
@@ -17,6 +36,10 @@ export class ProxyCompletionProvider implements vscode.InlineCompletionItemProvi
   private readonly DEBOUNCE_MS = 500; // Don't fire requests too fast
   private consecutiveErrors: number = 0;
   private readonly MAX_CONSECUTIVE_ERRORS = 3;
+  // Set when the server rate-limits us (429); no requests until then
+  private rateLimitedUntil: number = 0;
+  // The latest streamed completion
+  private stream: CompletionStream | null = null;
 
   // Model to use for inline completions (fast & cheap)
   private completionModel: string = 'gpt-4o-mini';
@@ -58,8 +81,20 @@ export class ProxyCompletionProvider implements vscode.InlineCompletionItemProvi
       return undefined;
     }
 
-    // Debounce rapid typing
+    // Continue a streamed completion the user is accepting (or that has finished)
+    const rest = this.continuation(document, position);
+    if (rest) {
+      this.stream!.shown = this.stream!.text;
+      return [new vscode.InlineCompletionItem(rest, new vscode.Range(position, position))];
+    }
+
+    // Wait out a rate limit instead of adding to it
     const now = Date.now();
+    if (now < this.rateLimitedUntil) {
+      return undefined;
+    }
+
+    // Debounce rapid typing
     if (now - this.lastRequestTime < this.DEBOUNCE_MS) {
       return undefined;
     }
@@ -75,77 +110,177 @@ export class ProxyCompletionProvider implements vscode.InlineCompletionItemProvi
 
     this.lastRequestTime = now;
 
-    try {
-      // Get code context around the cursor
-      const maxPrefixLines = 50;
-      const maxSuffixLines = 15;
+    // Get code context around the cursor
+    const maxPrefixLines = 50;
+    const maxSuffixLines = 15;
 
-      const startLine = Math.max(0, position.line - maxPrefixLines);
-      const endLine = Math.min(document.lineCount - 1, position.line + maxSuffixLines);
+    const startLine = Math.max(0, position.line - maxPrefixLines);
+    const endLine = Math.min(document.lineCount - 1, position.line + maxSuffixLines);
 
-      const prefixRange = new vscode.Range(startLine, 0, position.line, position.character);
-      const suffixRange = new vscode.Range(position.line, position.character, endLine, document.lineAt(endLine).text.length);
+    const prefixRange = new vscode.Range(startLine, 0, position.line, position.character);
+    const suffixRange = new vscode.Range(position.line, position.character, endLine, document.lineAt(endLine).text.length);
 
-      const prefix = document.getText(prefixRange);
-      const suffix = document.getText(suffixRange);
+    const prefix = document.getText(prefixRange);
+    const suffix = document.getText(suffixRange);
 
-      if (prefix.trim().length < 3) {
-        return undefined; // Not enough context
-      }
+    if (prefix.trim().length < 3) {
+      return undefined; // Not enough context
+    }
 
-      // Check cancellation
-      if (token.isCancellationRequested) {
-        return undefined;
-      }
+    // Check cancellation
+    if (token.isCancellationRequested) {
+      return undefined;
+    }
+
+    // Drop any stream still running for an older position
+    if (this.stream && !this.stream.done) {
+      this.stream.cancel();
+    }
+
+    const firstLines = await this.startStream(document, position, prefix, suffix, token);
+    if (!firstLines?.trim() || token.isCancellationRequested) {
+      return undefined;
+    }
+
+    // Return as inline completion
+    return [new vscode.InlineCompletionItem(firstLines, new vscode.Range(position, position))];
+  }
+
+  /**
+   * Start streaming a completion. Resolves with the text received once the
+   * first line arrives (or the stream ends); the rest keeps streaming into
+   * this.stream. Resolves undefined on error or cancellation.
+   */
+  private startStream(
+    document: vscode.TextDocument,
+    position: vscode.Position,
+    prefix: string,
+    suffix: string,
+    token: vscode.CancellationToken
+  ): Promise<string | undefined> {
+    return new Promise((resolve) => {
+      let answered = false;
+      const answer = (text: string | undefined) => {
+        if (!answered) {
+          answered = true;
+          if (text !== undefined) {
+            current.shown = text;
+          }
+          resolve(text);
+        }
+      };
 
-      // Get the language ID
-      const language = document.languageId;
-      const filePath = document.uri.fsPath || document.fileName;
+      const current: CompletionStream = {
+        uri: document.uri.toString(),
+        anchorOffset: document.offsetAt(position),
+        context: prefix.slice(-200),
+        text: '',
+        shown: '',
+        done: false,
+        cancel: () => {},
+      };
+      this.stream = current;
 
-      // Call the proxy
-      const result = await this.api.proxyCodeCompletion(
+      current.cancel = this.api.streamCodeCompletion(
         prefix,
         suffix,
-        language,
-        filePath,
+        document.languageId,
+        document.uri.fsPath || document.fileName,
         this.completionModel,
-        200
+        200,
+        (delta) => {
+          current.text += delta;
+          if (current.text.trim()) {
+            answer(current.text);
+          }
+        },
+        (completion) => {
+          current.text = completion;
+          current.done = true;
+          this.consecutiveErrors = 0;
+          answer(completion);
+          this.showRest(current);
+        },
+        (err) => {
+          current.done = true;
+          this.handleError(err);
+          answer(undefined);
+        }
       );
 
-      // Check cancellation again
-      if (token.isCancellationRequested) {
-        return undefined;
-      }
+      // Typing on before the first line arrives makes it useless
+      token.onCancellationRequested(() => {
+        if (!answered) {
+          current.cancel();
+          current.done = true;
+          answer(undefined);
+        }
+      });
+    });
+  }
 
-      const completionText = result.completion?.trim();
-      if (!completionText) {
-        return undefined;
-      }
+  /**
+   * The part of the latest streamed completion not yet in the document, if
+   * the document still matches it at the cursor.
+   */
+  private continuation(document: vscode.TextDocument, position: vscode.Position): string | undefined {
+    const s = this.stream;
+    if (!s || s.uri !== document.uri.toString()) {
+      return undefined;
+    }
 
-      // Return as inline completion
-      const item = new vscode.InlineCompletionItem(
-        completionText,
-        new vscode.Range(position, position)
-      );
+    const offset = document.offsetAt(position);
+    if (offset < s.anchorOffset) {
+      return undefined;
+    }
 
-      return [item];
-    } catch (err: any) {
-      this.consecutiveErrors++;
-      const errMsg = err?.message || err?.error || String(err);
-      console.error('[TokenTracker] Inline completion error:', errMsg);
-
-      // If we get too many consecutive errors, temporarily disable to avoid spam
-      if (this.consecutiveErrors >= this.MAX_CONSECUTIVE_ERRORS) {
-        console.warn('[TokenTracker] Too many consecutive errors, pausing completions for 60s');
-        this.enabled = false;
-        setTimeout(() => {
-          this.enabled = true;
-          this.consecutiveErrors = 0;
-          console.log('[TokenTracker] Re-enabling completions after pause');
-        }, 60000);
-      }
+    const typed = document.getText(new vscode.Range(document.positionAt(s.anchorOffset), position));
+    if (!s.text.startsWith(typed)) {
+      return undefined;
+    }
 
+    const contextStart = document.positionAt(Math.max(0, s.anchorOffset - s.context.length));
+    if (document.getText(new vscode.Range(contextStart, document.positionAt(s.anchorOffset))) !== s.context) {
       return undefined;
     }
+
+    const rest = s.text.slice(typed.length);
+    return rest.trim() ? rest : undefined;
+  }
+
+  /**
+   * Ask the editor to refresh the suggestion once more of it has arrived, or
+   * the server has cleaned it up. A completion the server dropped is not
+   * re-requested.
+   */
+  private showRest(s: CompletionStream): void {
+    const editor = vscode.window.activeTextEditor;
+    if (s.text.trim() && s.text !== s.shown && editor?.document.uri.toString() === s.uri && this.stream === s) {
+      vscode.commands.executeCommand('editor.action.inlineSuggest.trigger');
+    }
+  }
+
+  private handleError(err: any): void {
+    // Rate limited: pause for as long as the server asks, without counting it as an error
+    if (err?.status === 429) {
+      this.rateLimitedUntil = Date.now() + (err.retryAfterMs ?? 60000);
+      console.warn(`[TokenTracker] Rate limited, pausing completions for ${Math.ceil((this.rateLimitedUntil - Date.now()) / 1000)}s`);
+      return;
+    }
+
+    this.consecutiveErrors++;
+    const errMsg = err?.message || err?.error || String(err);
+    console.error('[TokenTracker] Inline completion error:', errMsg);
+
+    // If we get too many consecutive errors, temporarily disable to avoid spam
+    if (this.consecutiveErrors >= this.MAX_CONSECUTIVE_ERRORS) {
+      console.warn('[TokenTracker] Too many consecutive errors, pausing completions for 60s');
+      this.enabled = false;
+      setTimeout(() => {
+        this.enabled = true;
+        this.consecutiveErrors = 0;
+        console.log('[TokenTracker] Re-enabling completions after pause');
+      }, 60000);
+    }
   }
 }
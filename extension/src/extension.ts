@@ -296,17 +296,13 @@ function registerChatParticipant(context: vscode.ExtensionContext) {
 
         const cached = cache.load();
         if (cached && (cached.isBlocked || cached.remaining <= 0)) {
-          stream.markdown('⚠️ Token limit reached! No remaining tokens this month. Contact admin for more.');
+          stream.markdown('⚠️ Token limit reached! No remaining tokens this period. Contact admin for more.');
           return;
         }
 
-        // Build conversation history from chat context
-        const messages: { role: string; content: string }[] = [
-          {
-            role: 'system',
-            content: 'You are a helpful AI coding assistant. Provide clear, concise answers. Use markdown formatting for code blocks and explanations.',
-          },
-        ];
+        // Build conversation history from chat context. The system prompt
+        // comes from the server's prompt templates
+        const messages: { role: string; content: string }[] = [];
 
         // Include previous turns for context
         for (const turn of chatContext.history) {
@@ -354,7 +350,10 @@ function registerChatParticipant(context: vscode.ExtensionContext) {
                 stream.markdown(chunk);
               },
               () => resolve(),
-              (err) => reject(err)
+              (err) => reject(err),
+              (omitted) => {
+                stream.markdown(`_ℹ️ ${omitted} earlier message${omitted === 1 ? ' was' : 's were'} left out to fit the model's context window._\n\n`);
+              }
             );
 
             // Handle cancellation
@@ -467,7 +466,7 @@ async function showBalance() {
       
       <div class="card">
         <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:12px;">
-          <h3 style="margin:0;">Balance — ${cached.month || 'Current Month'}</h3>
+          <h3 style="margin:0;">Balance — ${cached.month || 'Current Period'}</h3>
           ${proxyStatus.available
       ? '<span class="proxy-badge">⚡ AI Proxy Active</span>'
       : '<span class="proxy-badge inactive">AI Proxy Offline</span>'}
@@ -123,7 +123,7 @@ export class ProxyModelProvider {
     // Check if blocked
     const cached = this.cache.load();
     if (cached && (cached.isBlocked || cached.remaining <= 0)) {
-      throw new Error('Token limit reached! No remaining tokens this month.');
+      throw new Error('Token limit reached! No remaining tokens this period.');
     }
 
     // Convert messages to API format
@@ -2,10 +2,9 @@
  * Maps VS Code / Copilot model identifiers to our tracking model names.
  * Determines token cost per model.
  *
- * Costs:
- *   claude-opus-4.5  → 3 tokens / prompt
- *   Free models      → 0 tokens / prompt
- *   Everything else  → 1 token  / prompt
+ * Costs come from the server's model catalog (GET /api/usage/models).
+ * The built-in list below mirrors the server's defaults and is used
+ * until the catalog has been fetched (or while offline).
  */
 
 export interface ModelInfo {
@@ -14,69 +13,103 @@ export interface ModelInfo {
   isFree: boolean;
 }
 
-/** Patterns that identify free models (0 tokens) */
-const FREE_PATTERNS: string[] = [
-  'gpt-5-mini', 'gpt5-mini', 'gpt-5mini', 'gpt-4o-mini',
+/** A model catalog entry, as returned by GET /api/usage/models */
+export interface CatalogModel {
+  id: string;
+  display_name?: string;
+  tokens_per_prompt: number;
+  is_free: boolean;
+  aliases?: string[];
+}
+
+const FALLBACK_MODEL_ID = 'other';
+
+const DEFAULT_CATALOG: CatalogModel[] = [
+  { id: 'claude-opus-4.5', tokens_per_prompt: 3, is_free: false, aliases: ['opus'] },
+  { id: 'claude-sonnet-4', tokens_per_prompt: 1, is_free: false },
+  { id: 'claude-3.5-sonnet', tokens_per_prompt: 1, is_free: false },
+  { id: 'claude-sonnet', tokens_per_prompt: 1, is_free: false, aliases: ['sonnet'] },
+  { id: 'gpt-4.1', tokens_per_prompt: 1, is_free: false },
+  { id: 'gpt-4.1-mini', tokens_per_prompt: 0, is_free: true },
+  { id: 'gpt-4.1-nano', tokens_per_prompt: 0, is_free: true },
+  { id: 'gpt-4o', tokens_per_prompt: 1, is_free: false },
+  { id: 'gpt-4o-mini', tokens_per_prompt: 0, is_free: true, aliases: ['gpt4o-mini'] },
+  { id: 'o3-mini', tokens_per_prompt: 1, is_free: false },
+  { id: 'gpt-4', tokens_per_prompt: 1, is_free: false },
+  { id: 'gpt-5-mini', tokens_per_prompt: 0, is_free: true, aliases: ['gpt5-mini', 'gpt-5mini'] },
+  { id: 'grok-code-fast-1', tokens_per_prompt: 1, is_free: false, aliases: ['grok-code-fast'] },
+  { id: 'gemini', tokens_per_prompt: 1, is_free: false },
+  { id: 'copilot', tokens_per_prompt: 1, is_free: false },
+  { id: 'other', tokens_per_prompt: 1, is_free: false },
 ];
 
-/** Pattern that identifies Opus 4.5 (3 tokens) */
-function isOpus(id: string): boolean {
-  const lower = id.toLowerCase();
-  return (lower.includes('claude') && (lower.includes('opus') || lower.includes('4.5')));
+let catalog: CatalogModel[] = DEFAULT_CATALOG;
+
+/** Normalize a model name for matching ("GPT 4o_mini" → "gpt-4o-mini") */
+function normalize(id: string): string {
+  return (id || '').toLowerCase().trim().replace(/[\s_]+/g, '-');
+}
+
+/** Replace the active catalog (ignored if empty) */
+export function setModelCatalog(entries: CatalogModel[] | undefined): void {
+  if (entries && entries.length > 0) {
+    catalog = entries;
+  }
 }
 
-/** Check if a model id matches any free pattern */
-function isFree(id: string): boolean {
-  const lower = id.toLowerCase().replace(/[\s_]/g, '-');
-  return FREE_PATTERNS.some(p => lower.includes(p));
+/** The active catalog */
+export function getModelCatalog(): CatalogModel[] {
+  return catalog;
 }
 
 /**
- * Resolve a model identifier (from VS Code LM API or Copilot) into cost info.
+ * Find the catalog entry for a model id, matching the server:
+ * exact id/alias first, then the longest id or alias the name contains.
  */
-export function resolveModel(modelId: string): ModelInfo {
-  const lower = modelId.toLowerCase().replace(/[\s_]/g, '-');
+function findEntry(id: string): CatalogModel | undefined {
+  const exact = catalog.find(m => m.id === id)
+    || catalog.find(m => (m.aliases || []).includes(id));
+  if (exact) { return exact; }
 
-  if (isFree(lower)) {
-    return { trackingName: lower, cost: 0, isFree: true };
-  }
-  if (isOpus(lower)) {
-    return { trackingName: 'claude-opus-4.5', cost: 3, isFree: false };
+  let best: CatalogModel | undefined;
+  let bestLength = 0;
+  for (const m of catalog) {
+    if (m.id === FALLBACK_MODEL_ID) { continue; }
+    for (const name of [m.id, ...(m.aliases || [])]) {
+      if (name.length > bestLength && id.includes(name)) {
+        best = m;
+        bestLength = name.length;
+      }
+    }
   }
+  return best;
+}
 
-  // Map common names
-  if (lower.includes('claude') && lower.includes('sonnet')) {
-    return { trackingName: 'claude-sonnet', cost: 1, isFree: false };
-  }
-  if (lower.includes('gpt-4o')) {
-    return { trackingName: 'gpt-4o', cost: 1, isFree: false };
-  }
-  if (lower.includes('gpt-4')) {
-    return { trackingName: 'gpt-4', cost: 1, isFree: false };
-  }
-  if (lower.includes('copilot')) {
-    return { trackingName: 'copilot', cost: 1, isFree: false };
-  }
-  if (lower.includes('gemini')) {
-    return { trackingName: 'gemini', cost: 1, isFree: false };
+/**
+ * Resolve a model identifier (from VS Code LM API or Copilot) into cost info.
+ */
+export function resolveModel(modelId: string): ModelInfo {
+  const lower = normalize(modelId);
+  const entry = findEntry(lower);
+
+  if (entry) {
+    return {
+      trackingName: entry.id,
+      cost: entry.is_free ? 0 : entry.tokens_per_prompt,
+      isFree: entry.is_free,
+    };
   }
 
-  return { trackingName: lower || 'other', cost: 1, isFree: false };
+  const fallback = catalog.find(m => m.id === FALLBACK_MODEL_ID);
+  return { trackingName: lower || FALLBACK_MODEL_ID, cost: fallback?.tokens_per_prompt ?? 1, isFree: false };
 }
 
 /**
  * Returns a sorted list of known models for display purposes.
  */
 export function getKnownModels(): { name: string; cost: number }[] {
-  return [
-    { name: 'claude-opus-4.5', cost: 3 },
-    { name: 'claude-sonnet', cost: 1 },
-    { name: 'gpt-4', cost: 1 },
-    { name: 'gpt-4o', cost: 1 },
-    { name: 'grok-code-fast-1', cost: 1 },
-    { name: 'copilot', cost: 1 },
-    { name: 'gemini', cost: 1 },
-    { name: 'gpt-5-mini', cost: 0 },
-    { name: 'gpt-4o-mini', cost: 0 },
-  ];
+  return catalog
+    .filter(m => m.id !== FALLBACK_MODEL_ID)
+    .map(m => ({ name: m.id, cost: m.is_free ? 0 : m.tokens_per_prompt }))
+    .sort((a, b) => b.cost - a.cost);
 }
@@ -44,10 +44,10 @@ export class StatusBarManager {
       this.item.tooltip = 'Token limit reached! Contact admin for more.';
       this.item.backgroundColor = new vscode.ThemeColor('statusBarItem.errorBackground');
     } else if (remaining <= 10) {
-      this.item.tooltip = `Low tokens! ${remaining} remaining this month.`;
+      this.item.tooltip = `Low tokens! ${remaining} remaining this period.`;
       this.item.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
     } else {
-      this.item.tooltip = `${remaining} tokens remaining this month. Click for details.`;
+      this.item.tooltip = `${remaining} tokens remaining this period. Click for details.`;
       this.item.backgroundColor = undefined;
     }
   }
@@ -1,8 +1,9 @@
 import * as vscode from 'vscode';
-import { ApiClient } from './apiClient';
+import * as crypto from 'crypto';
+import { ApiClient, UsageBatchResult } from './apiClient';
 import { Cache } from './cache';
 import { StatusBarManager } from './statusBar';
-import { resolveModel, ModelInfo } from './models';
+import { resolveModel, setModelCatalog, ModelInfo } from './models';
 
 /**
  * Core tracker that:
@@ -11,7 +12,7 @@ import { resolveModel, ModelInfo } from './models';
  *  - Detects Copilot Chat messages via output channel monitoring
  *  - Enforces per-device token limits
  *  - Reports usage to the central server
- *  - Caches balance locally for offline mode
+ *  - Caches balance locally for offline mode, queueing usage to replay later
  */
 export class TokenTracker {
   private api: ApiClient;
@@ -31,6 +32,10 @@ export class TokenTracker {
   // Inline completion tracking
   private lastUserTypingAt: number = 0;
 
+  // Offline usage replay
+  private replayingUsage: boolean = false;
+  private readonly REPLAY_BATCH_SIZE = 100;
+
   // Wrapped models cache
   private wrappedModels: WeakSet<vscode.LanguageModelChat> = new WeakSet();
 
@@ -38,6 +43,7 @@ export class TokenTracker {
     this.api = api;
     this.cache = cache;
     this.statusBar = statusBar;
+    setModelCatalog(cache.loadModelCatalog());
   }
 
   // ─── Lifecycle ───────────────────────────────────────────
@@ -46,17 +52,22 @@ export class TokenTracker {
   async syncBalance(): Promise<void> {
     try {
       this.api.refreshConfig();
+      await this.replayUsageQueue();
       const balance = await this.api.getBalance();
       this.isOnline = true;
+
+      // Keep counting offline usage the server has not seen yet
+      const queued = this.cache.getQueuedUsageCost();
       this.cache.updateBalance(
         balance.allocated,
-        balance.used,
-        balance.remaining,
+        balance.used + queued,
+        balance.remaining - queued,
         balance.month || '',
         balance.is_blocked,
       );
-      this.statusBar.update(balance.used, balance.allocated, balance.is_blocked);
+      this.statusBar.update(balance.used + queued, balance.allocated, balance.is_blocked);
       this.checkAndEnforceLimits();
+      await this.syncModelCatalog();
       this.notifySyncComplete();
     } catch {
       this.isOnline = false;
@@ -67,6 +78,88 @@ export class TokenTracker {
     }
   }
 
+  /** Refresh model costs from the server; keeps the cached catalog on failure */
+  private async syncModelCatalog(): Promise<void> {
+    try {
+      const { models } = await this.api.getModelCatalog();
+      if (models?.length) {
+        setModelCatalog(models);
+        this.cache.saveModelCatalog(models);
+      }
+    } catch (err) {
+      console.log('[TokenTracker] Could not fetch model catalog:', err);
+    }
+  }
+
+  /**
+   * Send usage recorded while offline to the server, oldest first, and
+   * show what happened to it. Network errors are thrown (the queue is kept
+   * for the next sync); events the server answered for are removed.
+   */
+  private async replayUsageQueue(): Promise<void> {
+    if (this.replayingUsage || this.cache.loadUsageQueue().length === 0) {
+      return;
+    }
+    this.replayingUsage = true;
+
+    const total: UsageBatchResult['summary'] = { logged: 0, duplicate: 0, rejected: 0, invalid: 0, tokens_used: 0 };
+    try {
+      let queue = this.cache.loadUsageQueue();
+      while (queue.length > 0) {
+        const batch = queue.slice(0, this.REPLAY_BATCH_SIZE);
+        let response: UsageBatchResult;
+        try {
+          response = await this.api.logUsageBatch(batch.map(({ cost, ...event }) => event));
+        } catch (err: any) {
+          if (!err?.status) {
+            throw err;
+          }
+          console.error('[TokenTracker] Usage replay refused:', err);
+          break;
+        }
+
+        for (const result of response.results) {
+          console.log(`[TokenTracker] Replayed ${result.client_event_id}: ${result.status}${result.error ? ` (${result.error})` : ''}`);
+        }
+        for (const key of Object.keys(total) as (keyof typeof total)[]) {
+          total[key] += response.summary[key];
+        }
+        this.cache.removeFromUsageQueue(batch.map(e => e.client_event_id));
+        queue = this.cache.loadUsageQueue();
+      }
+    } finally {
+      this.replayingUsage = false;
+      this.showReplayResult(total);
+    }
+  }
+
+  /** Summarise a replay of offline usage */
+  private showReplayResult(summary: UsageBatchResult['summary']): void {
+    const parts: string[] = [];
+    if (summary.logged > 0) {
+      parts.push(`${summary.logged} offline request(s) synced (${summary.tokens_used} tokens)`);
+    }
+    if (summary.duplicate > 0) {
+      parts.push(`${summary.duplicate} already recorded`);
+    }
+    if (summary.rejected > 0) {
+      parts.push(`${summary.rejected} rejected because the budget or a usage cap ran out`);
+    }
+    if (summary.invalid > 0) {
+      parts.push(`${summary.invalid} rejected as invalid or too old`);
+    }
+    if (parts.length === 0) {
+      return;
+    }
+
+    const message = `Token Tracker: ${parts.join(', ')}.`;
+    if (summary.rejected > 0 || summary.invalid > 0) {
+      vscode.window.showWarningMessage(message);
+    } else {
+      vscode.window.showInformationMessage(message);
+    }
+  }
+
   /** Start periodic sync (every 60 s) */
   startPeriodicSync(): void {
     this.syncBalance();
@@ -158,7 +251,7 @@ export class TokenTracker {
             if (!canUse) {
               // Throw a LanguageModelError to block the request
               throw new Error(
-                'Token limit reached! You have used all your allocated tokens this month. Contact admin for more.'
+                'Token limit reached! You have used all your allocated tokens this period. Contact admin for more.'
               );
             }
 
@@ -301,15 +394,18 @@ export class TokenTracker {
         return false;
       }
       if (cached.remaining < model.cost) {
-        this.showBlockedNotification('Monthly token limit reached!');
+        this.showBlockedNotification('Token limit reached for this period!');
         return false;
       }
     }
 
+    // Reused if this has to be replayed, so it is never charged twice
+    const clientEventId = crypto.randomUUID();
+
     // Try reporting to server
     if (this.isOnline) {
       try {
-        const result = await this.api.logUsage(model.trackingName, requestType);
+        const result = await this.api.logUsage(model.trackingName, requestType, '', clientEventId);
         console.log(`[TokenTracker] Server logged: ${model.trackingName}, remaining=${result.remaining}`);
 
         this.cache.updateBalance(
@@ -328,6 +424,11 @@ export class TokenTracker {
         return true;
       } catch (err: any) {
         console.error(`[TokenTracker] Server error:`, err);
+        if (err?.status === 429 && err?.code === 'USAGE_LIMIT_REACHED') {
+          // A daily/weekly/monthly cap, not an empty allocation: it lifts on its own
+          vscode.window.showWarningMessage(`⚡ ${err.error}`);
+          return false;
+        }
         if (err?.status === 403) {
           // Server says no — enforce
           this.cache.updateBalance(
@@ -346,8 +447,15 @@ export class TokenTracker {
       }
     }
 
-    // Offline tracking — increment locally
+    // Offline tracking — increment locally and queue for replay
     console.log(`[TokenTracker] Offline tracking: +${model.cost} tokens`);
+    this.cache.queueUsage({
+      client_event_id: clientEventId,
+      model_type: model.trackingName,
+      request_type: requestType,
+      occurred_at: new Date().toISOString(),
+      cost: model.cost,
+    });
     this.cache.incrementUsed(model.cost);
     const updatedCached = this.cache.load();
     if (updatedCached) {